@@ -0,0 +1,130 @@
+"use client";
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
+import { Label } from '@/components/ui/label';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, AlertCircle, CheckCircle, Mail } from 'lucide-react';
+import { forgotPassword } from '@/lib/api/auth';
+
+export default function ForgotPasswordPage() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [emailSent, setEmailSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email) {
+      setError('Please enter your email');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      await forgotPassword(email);
+      setEmailSent(true);
+    } catch (error) {
+      setError(error.message || 'Failed to send reset email');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-b from-white to-gray-100 px-4">
+      <Card className="w-full max-w-md shadow-lg border-0">
+        <CardHeader className="space-y-1 text-center pb-8">
+          <div className="flex justify-center mb-2">
+            <svg className="h-10 w-10 text-blue-600" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M12 22c5.523 0 10-4.477 10-10S17.523 2 12 2 2 6.477 2 12s4.477 10 10 10z"/>
+              <path d="M7 13l3 3 7-7" stroke="white" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" fill="none"/>
+            </svg>
+          </div>
+          <CardTitle className="text-2xl font-bold text-blue-600">Forgot your password?</CardTitle>
+          <CardDescription className="text-gray-500">
+            Enter your email and we'll send you a link to choose a new one
+          </CardDescription>
+        </CardHeader>
+        {emailSent ? (
+          <CardContent className="space-y-5 pb-8">
+            <Alert className="flex items-center gap-2">
+              <CheckCircle className="h-4 w-4 text-green-600" />
+              <AlertDescription>
+                We sent a reset link to {email}. It expires in 10 minutes.
+              </AlertDescription>
+            </Alert>
+            <p className="text-center text-sm text-gray-600">
+              <Link
+                href="/auth/login"
+                className="text-blue-600 hover:text-blue-800 font-medium"
+              >
+                Back to sign in
+              </Link>
+            </p>
+          </CardContent>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <CardContent className="space-y-5">
+              {error && (
+                <Alert variant="destructive" className="flex items-center gap-2">
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>{error}</AlertDescription>
+                </Alert>
+              )}
+
+              <div className="space-y-2">
+                <Label htmlFor="email" className="text-gray-700">Email</Label>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                  <Input
+                    id="email"
+                    type="email"
+                    placeholder="example@example.com"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="pl-10 text-gray-700"
+                    required
+                  />
+                </div>
+              </div>
+            </CardContent>
+
+            <CardFooter className="flex flex-col pb-8">
+              <Button
+                type="submit"
+                className="w-full py-6 bg-blue-600 text-white hover:bg-blue-700"
+                disabled={isLoading}
+              >
+                {isLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Sending...
+                  </>
+                ) : (
+                  'Send reset link'
+                )}
+              </Button>
+
+              <p className="mt-6 text-center text-sm text-gray-600">
+                Remembered it?{' '}
+                <Link
+                  href="/auth/login"
+                  className="text-blue-600 hover:text-blue-800 font-medium"
+                >
+                  Sign in
+                </Link>
+              </p>
+            </CardFooter>
+          </form>
+        )}
+      </Card>
+    </div>
+  );
+}
\ No newline at end of file
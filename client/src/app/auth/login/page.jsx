@@ -2,7 +2,7 @@
 
 import { useState } from 'react';
 import Link from 'next/link';
-import { useRouter } from 'next/navigation';
+import { useRouter, useSearchParams } from 'next/navigation';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
@@ -17,6 +17,10 @@ export default function LoginPage() {
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const router = useRouter();
+  const searchParams = useSearchParams();
+  // Only follow redirects within the app
+  const redirect = searchParams.get('redirect');
+  const redirectTo = redirect && redirect.startsWith('/') && !redirect.startsWith('//') ? redirect : '/design-systems';
   const { signIn } = useAuth();
   
   const handleSubmit = async (e) => {
@@ -32,7 +36,7 @@ export default function LoginPage() {
     
     try {
       await signIn({ email, password });
-      router.push('/design-systems');
+      router.push(redirectTo);
     } catch (error) {
       setError(error.message || 'Failed to sign in');
     } finally {
@@ -2,7 +2,7 @@
 
 import { useState } from 'react';
 import Link from 'next/link';
-import { useRouter } from 'next/navigation';
+import { useRouter, useSearchParams } from 'next/navigation';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
@@ -12,13 +12,17 @@ import { Loader2, AlertCircle, User, Mail, Lock } from 'lucide-react';
 import { useAuth } from '@/providers/auth-provider';
 
 export default function RegisterPage() {
+  const searchParams = useSearchParams();
   const [name, setName] = useState('');
-  const [email, setEmail] = useState('');
+  const [email, setEmail] = useState(searchParams.get('email') || '');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const router = useRouter();
+  // Only follow redirects within the app
+  const redirect = searchParams.get('redirect');
+  const redirectTo = redirect && redirect.startsWith('/') && !redirect.startsWith('//') ? redirect : '/design-systems';
   const { signUp } = useAuth();
   
   const handleSubmit = async (e) => {
@@ -44,7 +48,7 @@ export default function RegisterPage() {
     
     try {
       await signUp({ name, email, password });
-      router.push('/design-systems');
+      router.push(redirectTo);
     } catch (error) {
       setError(error.message || 'Failed to create account');
     } finally {
@@ -0,0 +1,146 @@
+"use client";
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { useParams, useRouter } from 'next/navigation';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
+import { Label } from '@/components/ui/label';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, AlertCircle, Lock } from 'lucide-react';
+import { resetPassword } from '@/lib/api/auth';
+import { useAuth } from '@/providers/auth-provider';
+import { useToast } from '@/lib/hooks/use-toast';
+
+export default function ResetPasswordPage() {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const params = useParams();
+  const router = useRouter();
+  const { refreshUser } = useAuth();
+  const { toast } = useToast();
+  const { token } = params;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters long');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      await resetPassword(token, password);
+      await refreshUser();
+
+      toast({
+        title: "Password updated",
+        description: "You're now signed in with your new password",
+        variant: "success"
+      });
+
+      router.push('/design-systems');
+    } catch (error) {
+      setError(error.message || 'Failed to reset password');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-b from-white to-gray-100 px-4">
+      <Card className="w-full max-w-md shadow-lg border-0">
+        <CardHeader className="space-y-1 text-center pb-8">
+          <div className="flex justify-center mb-2">
+            <svg className="h-10 w-10 text-blue-600" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M12 22c5.523 0 10-4.477 10-10S17.523 2 12 2 2 6.477 2 12s4.477 10 10 10z"/>
+              <path d="M7 13l3 3 7-7" stroke="white" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" fill="none"/>
+            </svg>
+          </div>
+          <CardTitle className="text-2xl font-bold text-blue-600">Choose a new password</CardTitle>
+          <CardDescription className="text-gray-500">
+            Reset links can only be used once and expire after 10 minutes
+          </CardDescription>
+        </CardHeader>
+        <form onSubmit={handleSubmit}>
+          <CardContent className="space-y-5">
+            {error && (
+              <Alert variant="destructive" className="flex items-center gap-2">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>
+                  {error}
+                  {error.includes('token') && (
+                    <>
+                      {' '}
+                      <Link href="/auth/forgot-password" className="underline font-medium">
+                        Request a new link
+                      </Link>
+                    </>
+                  )}
+                </AlertDescription>
+              </Alert>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="password" className="text-gray-700">New password</Label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                <Input
+                  id="password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="pl-10 text-gray-700"
+                  required
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="confirmPassword" className="text-gray-700">Confirm new password</Label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                <Input
+                  id="confirmPassword"
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className="pl-10 text-gray-700"
+                  required
+                />
+              </div>
+            </div>
+          </CardContent>
+
+          <CardFooter className="flex flex-col pb-8">
+            <Button
+              type="submit"
+              className="w-full py-6 bg-blue-600 text-white hover:bg-blue-700"
+              disabled={isLoading}
+            >
+              {isLoading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Saving...
+                </>
+              ) : (
+                'Reset password'
+              )}
+            </Button>
+          </CardFooter>
+        </form>
+      </Card>
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,119 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { useParams, useRouter, useSearchParams } from 'next/navigation';
+import { DesignSystemDiff } from '@/components/design-system/design-system-diff';
+import { Button } from '@/components/ui/button';
+import { ChevronLeft, Loader2, ArrowRight } from 'lucide-react';
+import { getDesignSystemVersions, getDesignSystemDiff } from '@/lib/api/figma';
+import { useToast } from '@/lib/hooks/use-toast';
+
+export default function DesignSystemDiffPage() {
+  const params = useParams();
+  const searchParams = useSearchParams();
+  const router = useRouter();
+  const { toast } = useToast();
+  const { id } = params;
+
+  const [versions, setVersions] = useState([]);
+  // Versions picked by the user; empty ones are filled in by the server
+  const [selection, setSelection] = useState({
+    from: searchParams.get('from') || '',
+    to: searchParams.get('to') || ''
+  });
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Load the versions to choose from
+  useEffect(() => {
+    if (!id) return;
+
+    getDesignSystemVersions(id)
+      .then(data => setVersions(data.versions))
+      .catch(error => {
+        toast({
+          title: "Failed to load version history",
+          description: error.message,
+          variant: "destructive"
+        });
+      });
+  }, [id]);
+
+  // Compare whenever the selected versions change
+  useEffect(() => {
+    if (id) {
+      fetchDiff();
+    }
+  }, [id, selection.from, selection.to]);
+
+  // Fetch the diff between the selected versions
+  const fetchDiff = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getDesignSystemDiff(id, selection);
+      setDiff(data.diff);
+    } catch (error) {
+      setDiff(null);
+      setError(error.message || 'Failed to compare versions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const from = selection.from || diff?.from.version || '';
+  const to = selection.to || diff?.to.version || '';
+
+  // Pick one side, keeping the other side as currently shown
+  const handleSelect = (side, version) => {
+    setSelection({ from, to, [side]: version });
+  };
+
+  const versionOptions = versions.map(version => (
+    <option key={version._id} value={version.version}>v{version.version}</option>
+  ));
+
+  return (
+    <div className="container mx-auto py-8 px-4">
+      <div className="flex justify-between items-center mb-8">
+        <Button variant="ghost" onClick={() => router.push(`/design-systems/${id}`)}>
+          <ChevronLeft className="h-4 w-4 mr-2" />
+          Back to Design System
+        </Button>
+        <div className="flex items-center gap-2 text-sm">
+          <select
+            className="rounded-md border px-2 py-1"
+            value={from}
+            onChange={(e) => handleSelect('from', e.target.value)}
+          >
+            {!versions.some(version => version.version === from) && from && <option value={from}>v{from}</option>}
+            {versionOptions}
+          </select>
+          <ArrowRight className="h-4 w-4 text-gray-400" />
+          <select
+            className="rounded-md border px-2 py-1"
+            value={to}
+            onChange={(e) => handleSelect('to', e.target.value)}
+          >
+            {!versions.some(version => version.version === to) && to && <option value={to}>v{to}</option>}
+            {versionOptions}
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-96">
+          <Loader2 className="h-12 w-12 animate-spin text-gray-400" />
+        </div>
+      ) : error ? (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
+          <p className="font-medium">Error comparing versions</p>
+          <p className="text-sm">{error}</p>
+        </div>
+      ) : (
+        <DesignSystemDiff diff={diff} />
+      )}
+    </div>
+  );
+}
\ No newline at end of file
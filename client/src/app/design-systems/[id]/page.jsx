@@ -3,25 +3,47 @@
 import { useState, useEffect } from 'react';
 import { useParams, useRouter } from 'next/navigation';
 import { DesignSystemViewer } from '@/components/design-system/design-system-viewer';
+import { VersionHistory } from '@/components/design-system/version-history';
 import { Button } from '@/components/ui/button';
 import { 
   ChevronLeft, 
   Loader2, 
   Download, 
-  Trash
+  Trash,
+  RefreshCw,
+  Sparkles
 } from 'lucide-react';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
 import { 
   getDesignSystemById, 
   exportDesignSystem,
-  deleteDesignSystem 
+  exportDesignSystemFile,
+  deleteDesignSystem,
+  syncDesignSystem
 } from '@/lib/api/figma';
 import { useToast } from '@/lib/hooks/use-toast';
+import { downloadBlob } from '@/lib/utils';
+
+// File exports offered alongside the JSON export
+const FILE_EXPORT_FORMATS = [
+  { format: 'css', label: 'CSS Variables', extension: 'css' },
+  { format: 'dtcg', label: 'Design Tokens (DTCG)', extension: 'tokens.json' },
+  { format: 'tailwind', label: 'Tailwind Theme', extension: 'tailwind.config.js' },
+  { format: 'style-dictionary', label: 'Style Dictionary (SCSS, JS, iOS, Android)', extension: 'zip' },
+];
 
 export default function DesignSystemDetailsPage() {
   const [designSystem, setDesignSystem] = useState(null);
+  const [access, setAccess] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [isSyncing, setIsSyncing] = useState(false);
   const params = useParams();
   const router = useRouter();
   const { toast } = useToast();
@@ -41,6 +63,7 @@ export default function DesignSystemDetailsPage() {
       setError(null);
       const data = await getDesignSystemById(designSystemId);
       setDesignSystem(data.designSystem);
+      setAccess(data.access);
     } catch (error) {
       setError(error.message || 'Failed to fetch design system');
       toast({
@@ -84,6 +107,51 @@ export default function DesignSystemDetailsPage() {
     }
   };
   
+  // Handle export of a file format (e.g. CSS custom properties)
+  const handleFileExport = async ({ format, label, extension }) => {
+    try {
+      const blob = await exportDesignSystemFile(id, format);
+      downloadBlob(blob, `${designSystem.name.replace(/\s+/g, '-').toLowerCase()}.${extension}`);
+      
+      toast({
+        title: "Export successful",
+        description: `${label} file has been downloaded`,
+        variant: "success"
+      });
+    } catch (error) {
+      toast({
+        title: "Export failed",
+        description: error.message,
+        variant: "destructive"
+      });
+    }
+  };
+  
+  // Handle re-sync with the Figma file
+  const handleSync = async () => {
+    try {
+      setIsSyncing(true);
+      const data = await syncDesignSystem(id);
+      setDesignSystem(data.designSystem);
+      
+      toast({
+        title: data.changes.hasChanges ? `Synced as version ${data.designSystem.version}` : "Already up to date",
+        description: data.changes.hasChanges
+          ? data.changelog.summary
+          : "Nothing changed in Figma since the last sync",
+        variant: "success"
+      });
+    } catch (error) {
+      toast({
+        title: "Sync failed",
+        description: error.message,
+        variant: "destructive"
+      });
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+  
   // Handle delete design system
   const handleDelete = async () => {
     try {
@@ -116,42 +184,85 @@ export default function DesignSystemDetailsPage() {
           </Button>
         </div>
         <div className="flex gap-2">
+          {access?.canEdit && (
+            <Button 
+              variant="outline" 
+              onClick={handleSync}
+              disabled={loading || !designSystem || isSyncing}
+            >
+              <RefreshCw className={`h-4 w-4 mr-2 ${isSyncing ? 'animate-spin' : ''}`} />
+              {isSyncing ? 'Syncing...' : 'Sync with Figma'}
+            </Button>
+          )}
           <Button 
             variant="outline" 
-            onClick={handleExport}
+            onClick={() => router.push(`/generate?designSystemId=${id}`)}
             disabled={loading || !designSystem}
           >
-            <Download className="h-4 w-4 mr-2" />
-            Export
+            <Sparkles className="h-4 w-4 mr-2" />
+            Generate UI
           </Button>
-          <Dialog>
-            <DialogTrigger asChild>
+          <VersionHistory
+            designSystemId={id}
+            currentVersion={designSystem?.version}
+            onRestored={setDesignSystem}
+            canRestore={Boolean(access?.canEdit)}
+            disabled={loading || !designSystem || isSyncing}
+          />
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
               <Button 
-                variant="destructive" 
+                variant="outline" 
                 disabled={loading || !designSystem}
               >
-                <Trash className="h-4 w-4 mr-2" />
-                Delete
+                <Download className="h-4 w-4 mr-2" />
+                Export
               </Button>
-            </DialogTrigger>
-            <DialogContent>
-              <DialogHeader>
-                <DialogTitle>Are you sure you want to delete this design system?</DialogTitle>
-              </DialogHeader>
-              <p className="py-4">
-                This action cannot be undone. This will permanently delete the design system
-                and all its components.
-              </p>
-              <div className="flex justify-end gap-2">
-                <Button variant="outline" onClick={() => document.body.click()}>
-                  Cancel
-                </Button>
-                <Button variant="destructive" onClick={handleDelete}>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuItem onClick={handleExport}>
+                JSON
+              </DropdownMenuItem>
+              {FILE_EXPORT_FORMATS.map(exportFormat => (
+                <DropdownMenuItem 
+                  key={exportFormat.format} 
+                  onClick={() => handleFileExport(exportFormat)}
+                >
+                  {exportFormat.label} (.{exportFormat.extension})
+                </DropdownMenuItem>
+              ))}
+            </DropdownMenuContent>
+          </DropdownMenu>
+          {access?.canDelete && (
+            <Dialog>
+              <DialogTrigger asChild>
+                <Button 
+                  variant="destructive" 
+                  disabled={loading || !designSystem}
+                >
+                  <Trash className="h-4 w-4 mr-2" />
                   Delete
                 </Button>
-              </div>
-            </DialogContent>
-          </Dialog>
+              </DialogTrigger>
+              <DialogContent>
+                <DialogHeader>
+                  <DialogTitle>Are you sure you want to delete this design system?</DialogTitle>
+                </DialogHeader>
+                <p className="py-4">
+                  This action cannot be undone. This will permanently delete the design system
+                  and all its components.
+                </p>
+                <div className="flex justify-end gap-2">
+                  <Button variant="outline" onClick={() => document.body.click()}>
+                    Cancel
+                  </Button>
+                  <Button variant="destructive" onClick={handleDelete}>
+                    Delete
+                  </Button>
+                </div>
+              </DialogContent>
+            </Dialog>
+          )}
         </div>
       </div>
       
@@ -20,6 +20,7 @@ import {
 } from '@/lib/api/figma';
 import { useToast } from '@/lib/hooks/use-toast';
 import { useAuth } from '@/providers/auth-provider';
+import { useOrganization } from '@/providers/organization-provider';
 import { ScrollArea } from '@/components/ui/scroll-area';
 
 export default function DesignSystemPage() {
@@ -30,6 +31,10 @@ export default function DesignSystemPage() {
   const router = useRouter();
   const { toast } = useToast();
   const { isAuthenticated, loading: authLoading } = useAuth();
+  const { currentOrganization, currentRole } = useOrganization();
+  const organizationId = currentOrganization ? currentOrganization._id : null;
+  // Members of an organization can view its design systems but not add any
+  const canCreate = !currentOrganization || currentRole !== 'member';
 
   // Check authentication on mount
   useEffect(() => {
@@ -38,23 +43,23 @@ export default function DesignSystemPage() {
     }
   }, [isAuthenticated, authLoading, router]);
 
-  // Load all design systems on mount
+  // Load the design systems of the selected organization
   useEffect(() => {
     if (isAuthenticated) {
-      fetchDesignSystems();
+      fetchDesignSystems(true);
     }
-  }, [isAuthenticated]);
+  }, [isAuthenticated, organizationId]);
 
   // Fetch all design systems
-  const fetchDesignSystems = async () => {
+  const fetchDesignSystems = async (organizationChanged = false) => {
     try {
       setLoading(true);
-      const data = await getDesignSystems();
+      const data = await getDesignSystems(organizationId);
       setDesignSystems(data.designSystems || []);
 
       // Set first design system as active if available
-      if (data.designSystems && data.designSystems.length > 0 && !activeDesignSystem) {
-        setActiveDesignSystem(data.designSystems[0]);
+      if (organizationChanged || !activeDesignSystem) {
+        setActiveDesignSystem(data.designSystems && data.designSystems.length > 0 ? data.designSystems[0] : null);
       }
     } catch (error) {
       toast({
@@ -187,7 +192,7 @@ export default function DesignSystemPage() {
             <div className="flex gap-2">
               <Button
                 variant="outline"
-                onClick={fetchDesignSystems}
+                onClick={() => fetchDesignSystems()}
                 disabled={loading}
                 size="sm"
                 aria-label="Refresh design systems"
@@ -201,7 +206,7 @@ export default function DesignSystemPage() {
               </Button>
               <Button
                 onClick={() => setShowUploader(true)}
-                disabled={loading}
+                disabled={loading || !canCreate}
                 size="sm"
                 aria-label="Create new design system"
                 className="bg-gradient-to-r from-blue-500 to-indigo-500 text-white hover:from-blue-600 hover:to-indigo-600"
@@ -217,7 +222,9 @@ export default function DesignSystemPage() {
           {/* Sidebar with design system list */}
           <aside className="lg:col-span-3">
             <div className="bg-card rounded-lg shadow-sm border p-4">
-              <h2 className="text-lg font-medium mb-4">Your Design Systems</h2>
+              <h2 className="text-lg font-medium mb-4">
+                {currentOrganization ? currentOrganization.name : 'Your Design Systems'}
+              </h2>
               
               {loading && designSystems.length === 0 ? (
                 <div className="flex items-center justify-center h-40">
@@ -226,15 +233,17 @@ export default function DesignSystemPage() {
               ) : designSystems.length === 0 ? (
                 <div className="text-center p-6 bg-muted/50 rounded-md">
                   <p className="text-muted-foreground">No design systems yet</p>
-                  <Button 
-                    variant="outline" 
-                    size="sm" 
-                    className="mt-4"
-                    onClick={() => setShowUploader(true)}
-                  >
-                    <Plus className="h-4 w-4 mr-2" />
-                    Create your first
-                  </Button>
+                  {canCreate && (
+                    <Button 
+                      variant="outline" 
+                      size="sm" 
+                      className="mt-4"
+                      onClick={() => setShowUploader(true)}
+                    >
+                      <Plus className="h-4 w-4 mr-2" />
+                      Create your first
+                    </Button>
+                  )}
                 </div>
               ) : (
                 <ScrollArea className="h-[calc(100vh-280px)]">
@@ -276,7 +285,7 @@ export default function DesignSystemPage() {
           {/* Main content area */}
           <main className="lg:col-span-9">
             <div className="bg-card rounded-lg shadow-sm border p-6">
-              {showUploader || designSystems.length === 0 ? (
+              {canCreate && (showUploader || designSystems.length === 0) ? (
                 <div>
                   {showUploader && designSystems.length > 0 && (
                     <Button 
@@ -289,7 +298,7 @@ export default function DesignSystemPage() {
                       Back to design systems
                     </Button>
                   )}
-                  <DesignSystemUploader onUploadComplete={handleUploadComplete} />
+                  <DesignSystemUploader onUploadComplete={handleUploadComplete} organizationId={organizationId} />
                 </div>
               ) : (
                 <div className="space-y-6">
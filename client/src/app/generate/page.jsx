@@ -0,0 +1,347 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Label } from '@/components/ui/label';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { AlertCircle, Check, Copy, Loader2, Sparkles, Trash } from 'lucide-react';
+import { getDesignSystems } from '@/lib/api/figma';
+import { generateUI, getGenerations, deleteGeneration } from '@/lib/api/generate';
+import { useToast } from '@/lib/hooks/use-toast';
+import { useAuth } from '@/providers/auth-provider';
+import { useOrganization } from '@/providers/organization-provider';
+
+// Longest prompt the server accepts
+const MAX_PROMPT_LENGTH = 2000;
+
+export default function GeneratePage() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const { toast } = useToast();
+  const { isAuthenticated, loading: authLoading } = useAuth();
+  const { currentOrganization } = useOrganization();
+  const organizationId = currentOrganization ? currentOrganization._id : null;
+
+  const [designSystems, setDesignSystems] = useState([]);
+  const [designSystemId, setDesignSystemId] = useState(searchParams.get('designSystemId') || '');
+  const [prompt, setPrompt] = useState('');
+  const [generations, setGenerations] = useState([]);
+  const [activeGeneration, setActiveGeneration] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  // Check authentication on mount
+  useEffect(() => {
+    if (!authLoading && !isAuthenticated) {
+      router.push('/auth/login');
+    }
+  }, [isAuthenticated, authLoading, router]);
+
+  // Load the design systems of the selected organization
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchDesignSystems();
+    }
+  }, [isAuthenticated, organizationId]);
+
+  // Load the history of the selected design system
+  useEffect(() => {
+    if (designSystemId) {
+      fetchGenerations();
+    }
+  }, [designSystemId]);
+
+  // Fetch the design systems to generate with
+  const fetchDesignSystems = async () => {
+    try {
+      setLoading(true);
+      const data = await getDesignSystems(organizationId);
+      const list = data.designSystems || [];
+      setDesignSystems(list);
+
+      // Keep the selection if it's still available, otherwise pick the first one
+      setDesignSystemId(current =>
+        list.some(designSystem => designSystem._id === current) ? current : (list[0] ? list[0]._id : '')
+      );
+    } catch (error) {
+      toast({
+        title: "Error fetching design systems",
+        description: error.message,
+        variant: "destructive"
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch earlier generations for the selected design system
+  const fetchGenerations = async () => {
+    try {
+      const data = await getGenerations(designSystemId);
+      setGenerations(data.generations || []);
+      setActiveGeneration(data.generations && data.generations.length > 0 ? data.generations[0] : null);
+    } catch (error) {
+      toast({
+        title: "Error fetching generations",
+        description: error.message,
+        variant: "destructive"
+      });
+    }
+  };
+
+  // Generate a screen from the prompt
+  const handleGenerate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsGenerating(true);
+      const generation = await generateUI(designSystemId, prompt.trim());
+
+      setGenerations(prev => [generation, ...prev]);
+      setActiveGeneration(generation);
+      setPrompt('');
+    } catch (error) {
+      toast({
+        title: "Generation failed",
+        description: error.message,
+        variant: "destructive"
+      });
+      // Failed generations are saved too
+      fetchGenerations();
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  // Delete a generation from the history
+  const handleDelete = async (id) => {
+    try {
+      await deleteGeneration(id);
+
+      const remaining = generations.filter(generation => generation._id !== id);
+      setGenerations(remaining);
+      if (activeGeneration && activeGeneration._id === id) {
+        setActiveGeneration(remaining[0] || null);
+      }
+    } catch (error) {
+      toast({
+        title: "Delete failed",
+        description: error.message,
+        variant: "destructive"
+      });
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(activeGeneration.code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      toast({
+        title: "Copy failed",
+        description: error.message,
+        variant: "destructive"
+      });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <Loader2 className="h-12 w-12 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto py-8 px-4">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold">Generate UI</h1>
+        <p className="text-gray-500 mt-1">
+          Describe a screen and get JSX built only from your design system's components and tokens
+        </p>
+      </div>
+
+      {designSystems.length === 0 ? (
+        <div className="text-center py-12 bg-gray-50 rounded-lg border border-dashed border-gray-300">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No design systems yet</h3>
+          <p className="text-gray-500 mb-6">Upload a design system from Figma to start generating screens</p>
+          <Button onClick={() => router.push('/design-systems')}>
+            Go to Design Systems
+          </Button>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 space-y-6">
+            <Card>
+              <form onSubmit={handleGenerate}>
+                <CardContent className="space-y-4 pt-6">
+                  <div className="space-y-2">
+                    <Label htmlFor="design-system">Design system</Label>
+                    <select
+                      id="design-system"
+                      className="w-full rounded-md border px-2 py-2 text-sm"
+                      value={designSystemId}
+                      onChange={(e) => setDesignSystemId(e.target.value)}
+                    >
+                      {designSystems.map(designSystem => (
+                        <option key={designSystem._id} value={designSystem._id}>
+                          {designSystem.name}{designSystem.version ? ` (v${designSystem.version})` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label htmlFor="prompt">What do you want to build?</Label>
+                    <textarea
+                      id="prompt"
+                      className="w-full min-h-32 rounded-md border px-3 py-2 text-sm"
+                      placeholder="A sign up form with email and password fields and a primary button"
+                      value={prompt}
+                      maxLength={MAX_PROMPT_LENGTH}
+                      onChange={(e) => setPrompt(e.target.value)}
+                      required
+                    />
+                    <p className="text-xs text-gray-500 text-right">{prompt.length}/{MAX_PROMPT_LENGTH}</p>
+                  </div>
+
+                  <div className="flex justify-end">
+                    <Button type="submit" disabled={isGenerating || !designSystemId || !prompt.trim()}>
+                      {isGenerating ? (
+                        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                      ) : (
+                        <Sparkles className="h-4 w-4 mr-2" />
+                      )}
+                      {isGenerating ? 'Generating...' : 'Generate'}
+                    </Button>
+                  </div>
+                </CardContent>
+              </form>
+            </Card>
+
+            {activeGeneration && (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="text-lg">{activeGeneration.prompt}</CardTitle>
+                  <CardDescription>
+                    {new Date(activeGeneration.createdAt).toLocaleString()} · {activeGeneration.model || activeGeneration.provider}
+                    {activeGeneration.designSystemVersion ? ` · v${activeGeneration.designSystemVersion}` : ''}
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  {activeGeneration.status === 'failed' ? (
+                    <Alert variant="destructive" className="flex items-center gap-2">
+                      <AlertCircle className="h-4 w-4" />
+                      <AlertDescription>{activeGeneration.error || 'Generation failed'}</AlertDescription>
+                    </Alert>
+                  ) : (
+                    <>
+                      {activeGeneration.components.length > 0 && (
+                        <div className="flex flex-wrap gap-2">
+                          {activeGeneration.components.map(component => (
+                            <span key={component} className="text-xs px-2 py-1 bg-gray-100 rounded font-medium">
+                              {component}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+
+                      {activeGeneration.issues.length > 0 && (
+                        <Alert className="border-yellow-200 bg-yellow-50 text-yellow-800">
+                          <AlertDescription>
+                            <p className="font-medium mb-1">Not everything uses the design system:</p>
+                            <ul className="list-disc pl-5 text-sm">
+                              {activeGeneration.issues.map(issue => (
+                                <li key={issue}>{issue}</li>
+                              ))}
+                            </ul>
+                          </AlertDescription>
+                        </Alert>
+                      )}
+
+                      <div className="relative">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          className="absolute right-2 top-2 z-10 bg-white"
+                          onClick={handleCopy}
+                        >
+                          {copied ? (
+                            <Check className="h-4 w-4 mr-2 text-green-600" />
+                          ) : (
+                            <Copy className="h-4 w-4 mr-2" />
+                          )}
+                          {copied ? 'Copied' : 'Copy'}
+                        </Button>
+                        <ScrollArea className="h-96 rounded-md border bg-gray-950">
+                          <pre className="p-4 text-xs leading-relaxed text-gray-100">
+                            <code>{activeGeneration.code}</code>
+                          </pre>
+                        </ScrollArea>
+                      </div>
+
+                      <p className="text-xs text-gray-500">
+                        Components are imported from @/components/design-system. Use "View code" on a component to get its source.
+                      </p>
+                    </>
+                  )}
+                </CardContent>
+              </Card>
+            )}
+          </div>
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-lg">History</CardTitle>
+              <CardDescription>Your screens for this design system</CardDescription>
+            </CardHeader>
+            <CardContent>
+              {generations.length === 0 ? (
+                <p className="text-sm text-gray-500">Nothing generated yet</p>
+              ) : (
+                <ScrollArea className="h-[32rem]">
+                  <div className="space-y-2 pr-3">
+                    {generations.map(generation => (
+                      <div
+                        key={generation._id}
+                        className={`flex items-start justify-between gap-2 rounded-md border p-3 cursor-pointer hover:bg-gray-50 ${
+                          activeGeneration && activeGeneration._id === generation._id ? 'border-blue-500 bg-blue-50' : ''
+                        }`}
+                        onClick={() => setActiveGeneration(generation)}
+                      >
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium truncate">{generation.prompt}</p>
+                          <p className="text-xs text-gray-500">
+                            {new Date(generation.createdAt).toLocaleString()}
+                            {generation.status === 'failed' && <span className="text-red-600"> · Failed</span>}
+                          </p>
+                        </div>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          aria-label="Delete generation"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleDelete(generation._id);
+                          }}
+                        >
+                          <Trash className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    ))}
+                  </div>
+                </ScrollArea>
+              )}
+            </CardContent>
+          </Card>
+        </div>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,169 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useParams, useRouter } from 'next/navigation';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, AlertCircle, Building2, Check, X } from 'lucide-react';
+import { getInvitation, acceptInvitation, declineInvitation } from '@/lib/api/organizations';
+import { useAuth } from '@/providers/auth-provider';
+import { useOrganization } from '@/providers/organization-provider';
+import { useToast } from '@/lib/hooks/use-toast';
+
+export default function InvitationPage() {
+  const params = useParams();
+  const router = useRouter();
+  const { toast } = useToast();
+  const { user, loading: authLoading } = useAuth();
+  const { selectOrganization, refreshOrganizations } = useOrganization();
+  const { token } = params;
+
+  const [invitation, setInvitation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [responding, setResponding] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!token) return;
+
+    getInvitation(token)
+      .then(data => setInvitation(data.invitation))
+      .catch(error => setError(error.message || 'Failed to load invitation'))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleAccept = async () => {
+    try {
+      setResponding('accept');
+      const data = await acceptInvitation(token);
+
+      toast({
+        title: `Joined ${data.organization.name}`,
+        variant: "success"
+      });
+
+      // Show the organization's design systems
+      await refreshOrganizations();
+      selectOrganization(data.organization._id);
+      router.push('/design-systems');
+    } catch (error) {
+      setError(error.message || 'Failed to accept invitation');
+    } finally {
+      setResponding(null);
+    }
+  };
+
+  const handleDecline = async () => {
+    try {
+      setResponding('decline');
+      await declineInvitation(token);
+      setInvitation({ ...invitation, status: 'declined' });
+    } catch (error) {
+      setError(error.message || 'Failed to decline invitation');
+    } finally {
+      setResponding(null);
+    }
+  };
+
+  const invitationPath = `/invitations/${token}`;
+  const isPending = invitation?.status === 'pending';
+  const isInvitee = user && invitation && user.email.toLowerCase() === invitation.email;
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-b from-white to-gray-100 px-4">
+      <Card className="w-full max-w-md shadow-lg border-0">
+        {loading || authLoading ? (
+          <CardContent className="flex items-center justify-center h-48">
+            <Loader2 className="h-8 w-8 animate-spin text-gray-400" />
+          </CardContent>
+        ) : !invitation ? (
+          <CardContent className="pt-6">
+            <Alert variant="destructive" className="flex items-center gap-2">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{error || 'Invitation not found'}</AlertDescription>
+            </Alert>
+          </CardContent>
+        ) : (
+          <>
+            <CardHeader className="space-y-1 text-center pb-6">
+              <div className="flex justify-center mb-2">
+                <Building2 className="h-10 w-10 text-blue-600" />
+              </div>
+              <CardTitle className="text-2xl font-bold text-blue-600">
+                Join {invitation.organization?.name || 'the organization'}
+              </CardTitle>
+              <CardDescription className="text-gray-500">
+                {invitation.invitedBy?.name || 'Someone'} invited {invitation.email} to join as {invitation.role === 'admin' ? 'an admin' : 'a member'}
+              </CardDescription>
+            </CardHeader>
+
+            <CardContent className="space-y-4">
+              {error && (
+                <Alert variant="destructive" className="flex items-center gap-2">
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>{error}</AlertDescription>
+                </Alert>
+              )}
+
+              {!isPending ? (
+                <p className="text-center text-sm text-gray-600">
+                  This invitation has {invitation.status === 'expired' ? 'expired' : `already been ${invitation.status}`}.
+                </p>
+              ) : !user ? (
+                <p className="text-center text-sm text-gray-600">
+                  Sign in as {invitation.email} to accept, or create an account with that email to join automatically.
+                </p>
+              ) : !isInvitee ? (
+                <p className="text-center text-sm text-gray-600">
+                  You're signed in as {user.email}. Sign in as {invitation.email} to accept this invitation.
+                </p>
+              ) : null}
+            </CardContent>
+
+            {isPending && (
+              <CardFooter className="flex gap-3 pb-8">
+                {isInvitee ? (
+                  <Button
+                    className="flex-1 bg-blue-600 text-white hover:bg-blue-700"
+                    onClick={handleAccept}
+                    disabled={responding !== null}
+                  >
+                    {responding === 'accept' ? (
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    ) : (
+                      <Check className="mr-2 h-4 w-4" />
+                    )}
+                    Accept
+                  </Button>
+                ) : !user ? (
+                  <>
+                    <Button asChild className="flex-1 bg-blue-600 text-white hover:bg-blue-700">
+                      <Link href={`/auth/login?redirect=${encodeURIComponent(invitationPath)}`}>Sign in</Link>
+                    </Button>
+                    <Button asChild variant="outline" className="flex-1">
+                      <Link href={`/auth/register?email=${encodeURIComponent(invitation.email)}`}>Create account</Link>
+                    </Button>
+                  </>
+                ) : null}
+                <Button
+                  variant="ghost"
+                  onClick={handleDecline}
+                  disabled={responding !== null}
+                >
+                  {responding === 'decline' ? (
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  ) : (
+                    <X className="mr-2 h-4 w-4" />
+                  )}
+                  Decline
+                </Button>
+              </CardFooter>
+            )}
+          </>
+        )}
+      </Card>
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,241 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { useParams, useRouter } from 'next/navigation';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
+import { ChevronLeft, Loader2, Save, Trash } from 'lucide-react';
+import { OrganizationMembers } from '@/components/organization/organization-members';
+import { OrganizationInvitations } from '@/components/organization/organization-invitations';
+import { RoleBadge } from '@/components/organization/role-badge';
+import { getOrganization, updateOrganization, deleteOrganization } from '@/lib/api/organizations';
+import { useToast } from '@/lib/hooks/use-toast';
+import { useAuth } from '@/providers/auth-provider';
+import { useOrganization } from '@/providers/organization-provider';
+
+export default function OrganizationDetailsPage() {
+  const [organization, setOrganization] = useState(null);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const params = useParams();
+  const router = useRouter();
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const { currentOrganization, getRole, selectOrganization, refreshOrganizations } = useOrganization();
+  const { id } = params;
+
+  const role = getRole(organization);
+  const canManage = role === 'owner' || role === 'admin';
+
+  // Load organization on mount
+  useEffect(() => {
+    if (id) {
+      fetchOrganization();
+    }
+  }, [id]);
+
+  // Fetch organization with its members
+  const fetchOrganization = async () => {
+    try {
+      setError(null);
+      const data = await getOrganization(id);
+      setOrganization(data.organization);
+      setName(data.organization.name);
+      setDescription(data.organization.description || '');
+    } catch (error) {
+      setError(error.message || 'Failed to fetch organization');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Members or roles changed
+  const handleMembersChanged = () => {
+    fetchOrganization();
+    refreshOrganizations();
+  };
+
+  // Handle rename
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      await updateOrganization(id, { name, description });
+      await fetchOrganization();
+      refreshOrganizations();
+
+      toast({
+        title: "Organization updated",
+        variant: "success"
+      });
+    } catch (error) {
+      toast({
+        title: "Failed to update organization",
+        description: error.message,
+        variant: "destructive"
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Handle delete organization
+  const handleDelete = async () => {
+    try {
+      setIsDeleting(true);
+      await deleteOrganization(id);
+
+      if (currentOrganization && currentOrganization._id === id) {
+        selectOrganization(null);
+      }
+      await refreshOrganizations();
+
+      toast({
+        title: "Organization deleted",
+        description: `${organization.name} and its design systems have been deleted`,
+        variant: "success"
+      });
+
+      router.push('/organizations');
+    } catch (error) {
+      toast({
+        title: "Delete failed",
+        description: error.message,
+        variant: "destructive"
+      });
+      setIsDeleting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <Loader2 className="h-12 w-12 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto py-8 px-4 max-w-3xl">
+      <Button variant="ghost" className="mb-6" onClick={() => router.push('/organizations')}>
+        <ChevronLeft className="h-4 w-4 mr-2" />
+        Back to Organizations
+      </Button>
+
+      {error ? (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
+          <p className="font-medium">Error loading organization</p>
+          <p className="text-sm">{error}</p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          <div className="flex items-center gap-3">
+            <h1 className="text-3xl font-bold text-foreground truncate">{organization.name}</h1>
+            {role && <RoleBadge role={role} />}
+          </div>
+          {organization.description && (
+            <p className="text-muted-foreground -mt-4">{organization.description}</p>
+          )}
+
+          {canManage && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-lg">Settings</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <form onSubmit={handleSave} className="space-y-4">
+                  <div className="space-y-2">
+                    <Label htmlFor="organization-name">Name</Label>
+                    <Input
+                      id="organization-name"
+                      value={name}
+                      onChange={(e) => setName(e.target.value)}
+                      maxLength={50}
+                      required
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="organization-description">Description</Label>
+                    <Input
+                      id="organization-description"
+                      value={description}
+                      onChange={(e) => setDescription(e.target.value)}
+                      maxLength={500}
+                    />
+                  </div>
+                  <Button
+                    type="submit"
+                    disabled={isSaving || !name.trim() || (name === organization.name && description === (organization.description || ''))}
+                  >
+                    {isSaving ? (
+                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    ) : (
+                      <Save className="h-4 w-4 mr-2" />
+                    )}
+                    Save
+                  </Button>
+                </form>
+              </CardContent>
+            </Card>
+          )}
+
+          <OrganizationMembers
+            organization={organization}
+            currentUserId={user?.id}
+            canManage={canManage}
+            onChanged={handleMembersChanged}
+          />
+
+          {canManage && <OrganizationInvitations organizationId={organization._id} />}
+
+          {role === 'owner' && (
+            <Card className="border-red-200">
+              <CardHeader>
+                <CardTitle className="text-lg text-red-700">Danger zone</CardTitle>
+              </CardHeader>
+              <CardContent className="flex items-center justify-between gap-4">
+                <p className="text-sm text-muted-foreground">
+                  Deleting the organization also deletes all of its design systems.
+                </p>
+                <Dialog>
+                  <DialogTrigger asChild>
+                    <Button variant="destructive" disabled={isDeleting}>
+                      <Trash className="h-4 w-4 mr-2" />
+                      Delete
+                    </Button>
+                  </DialogTrigger>
+                  <DialogContent>
+                    <DialogHeader>
+                      <DialogTitle>Are you sure you want to delete {organization.name}?</DialogTitle>
+                    </DialogHeader>
+                    <p className="py-4">
+                      This action cannot be undone. This will permanently delete the organization,
+                      its design systems and their version history.
+                    </p>
+                    <div className="flex justify-end gap-2">
+                      <Button variant="outline" onClick={() => document.body.click()}>
+                        Cancel
+                      </Button>
+                      <Button variant="destructive" onClick={handleDelete} disabled={isDeleting}>
+                        {isDeleting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                        Delete
+                      </Button>
+                    </div>
+                  </DialogContent>
+                </Dialog>
+              </CardContent>
+            </Card>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
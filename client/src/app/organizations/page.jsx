@@ -0,0 +1,187 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
+import { Building2, Loader2, Plus, Users } from 'lucide-react';
+import { createOrganization } from '@/lib/api/organizations';
+import { useToast } from '@/lib/hooks/use-toast';
+import { useAuth } from '@/providers/auth-provider';
+import { useOrganization } from '@/providers/organization-provider';
+import { RoleBadge } from '@/components/organization/role-badge';
+
+export default function OrganizationsPage() {
+  const [createOpen, setCreateOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+  const router = useRouter();
+  const { toast } = useToast();
+  const { isAuthenticated, loading: authLoading } = useAuth();
+  const { organizations, loading, getRole, selectOrganization, refreshOrganizations } = useOrganization();
+
+  // Check authentication on mount
+  useEffect(() => {
+    if (!authLoading && !isAuthenticated) {
+      router.push('/auth/login');
+    }
+  }, [isAuthenticated, authLoading, router]);
+
+  // Handle create organization
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsCreating(true);
+      const data = await createOrganization({ name, description });
+      await refreshOrganizations();
+
+      toast({
+        title: "Organization created",
+        description: `${data.organization.name} is ready. Invite your team to get started.`,
+        variant: "success"
+      });
+
+      setCreateOpen(false);
+      setName('');
+      setDescription('');
+      router.push(`/organizations/${data.organization._id}`);
+    } catch (error) {
+      toast({
+        title: "Failed to create organization",
+        description: error.message,
+        variant: "destructive"
+      });
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  // Show an organization's design systems
+  const handleViewDesignSystems = (organizationId) => {
+    selectOrganization(organizationId);
+    router.push('/design-systems');
+  };
+
+  // If still checking authentication or not authenticated, show loading
+  if (authLoading || !isAuthenticated) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto py-8 px-4">
+      <header className="mb-8 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-foreground">Organizations</h1>
+          <p className="text-muted-foreground mt-1">Share design systems with your team</p>
+        </div>
+        <Dialog open={createOpen} onOpenChange={setCreateOpen}>
+          <DialogTrigger asChild>
+            <Button
+              size="sm"
+              className="bg-gradient-to-r from-blue-500 to-indigo-500 text-white hover:from-blue-600 hover:to-indigo-600"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              New Organization
+            </Button>
+          </DialogTrigger>
+          <DialogContent>
+            <DialogHeader>
+              <DialogTitle>Create an organization</DialogTitle>
+            </DialogHeader>
+            <form onSubmit={handleCreate} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="organization-name">Name</Label>
+                <Input
+                  id="organization-name"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  maxLength={50}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="organization-description">Description</Label>
+                <Input
+                  id="organization-description"
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  maxLength={500}
+                />
+              </div>
+              <div className="flex justify-end gap-2">
+                <Button type="button" variant="outline" onClick={() => setCreateOpen(false)}>
+                  Cancel
+                </Button>
+                <Button type="submit" disabled={isCreating || !name.trim()}>
+                  {isCreating && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  Create
+                </Button>
+              </div>
+            </form>
+          </DialogContent>
+        </Dialog>
+      </header>
+
+      {loading && organizations.length === 0 ? (
+        <div className="flex items-center justify-center h-40">
+          <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+        </div>
+      ) : organizations.length === 0 ? (
+        <div className="text-center p-10 bg-muted/50 rounded-md">
+          <Building2 className="h-10 w-10 mx-auto text-muted-foreground" />
+          <p className="text-muted-foreground mt-4">You're not part of any organization yet</p>
+          <Button variant="outline" size="sm" className="mt-4" onClick={() => setCreateOpen(true)}>
+            <Plus className="h-4 w-4 mr-2" />
+            Create your first
+          </Button>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {organizations.map(organization => {
+            const role = getRole(organization);
+
+            return (
+              <Card key={organization._id}>
+                <CardHeader>
+                  <div className="flex items-start justify-between gap-2">
+                    <CardTitle className="text-lg truncate" title={organization.name}>
+                      {organization.name}
+                    </CardTitle>
+                    {role && <RoleBadge role={role} />}
+                  </div>
+                  {organization.description && (
+                    <CardDescription className="line-clamp-2">{organization.description}</CardDescription>
+                  )}
+                </CardHeader>
+                <CardContent>
+                  <p className="flex items-center text-sm text-muted-foreground">
+                    <Users className="h-4 w-4 mr-2" />
+                    {organization.members.length} {organization.members.length === 1 ? 'member' : 'members'}
+                  </p>
+                </CardContent>
+                <CardFooter className="flex gap-2">
+                  <Button variant="outline" size="sm" asChild>
+                    <Link href={`/organizations/${organization._id}`}>Manage</Link>
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => handleViewDesignSystems(organization._id)}>
+                    Design systems
+                  </Button>
+                </CardFooter>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,111 @@
+"use client";
+
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Check, Code2, Copy, Loader2 } from 'lucide-react';
+import { getComponentCode } from '@/lib/api/figma';
+import { useToast } from '@/lib/hooks/use-toast';
+
+export function ComponentCodeDialog({ designSystemId, componentId, componentName }) {
+  const [open, setOpen] = useState(false);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const { toast } = useToast();
+
+  // Generate the code the first time the dialog opens
+  const handleOpenChange = async (isOpen) => {
+    setOpen(isOpen);
+    if (!isOpen || result) return;
+
+    try {
+      setLoading(true);
+      setResult(await getComponentCode(designSystemId, componentId));
+    } catch (error) {
+      toast({
+        title: "Failed to generate code",
+        description: error.message,
+        variant: "destructive"
+      });
+      setOpen(false);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(result.code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      toast({
+        title: "Copy failed",
+        description: error.message,
+        variant: "destructive"
+      });
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Code2 className="h-4 w-4 mr-2" />
+          View code
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>{result?.fileName || componentName}</DialogTitle>
+        </DialogHeader>
+
+        {loading || !result ? (
+          <div className="flex items-center justify-center h-40">
+            <Loader2 className="h-8 w-8 animate-spin text-gray-400" />
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {result.props.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {result.props.map(prop => (
+                  <span key={prop.name} className="text-xs px-2 py-1 bg-gray-100 rounded">
+                    <span className="font-medium">{prop.name}</span>
+                    <span className="text-gray-500">: {prop.type === 'boolean' ? 'boolean' : prop.values.join(' | ')}</span>
+                  </span>
+                ))}
+              </div>
+            )}
+
+            <div className="relative">
+              <Button
+                variant="outline"
+                size="sm"
+                className="absolute right-2 top-2 z-10 bg-white"
+                onClick={handleCopy}
+              >
+                {copied ? (
+                  <Check className="h-4 w-4 mr-2 text-green-600" />
+                ) : (
+                  <Copy className="h-4 w-4 mr-2" />
+                )}
+                {copied ? 'Copied' : 'Copy'}
+              </Button>
+              <ScrollArea className="h-96 rounded-md border bg-gray-950">
+                <pre className="p-4 text-xs leading-relaxed text-gray-100">
+                  <code>{result.code}</code>
+                </pre>
+              </ScrollArea>
+            </div>
+
+            <p className="text-xs text-gray-500">
+              Class names use the design system's theme. Export it as a Tailwind config to use the component.
+            </p>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
\ No newline at end of file
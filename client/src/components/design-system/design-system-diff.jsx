@@ -0,0 +1,259 @@
+"use client";
+
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { ArrowRight } from 'lucide-react';
+
+// Badge colors for each kind of change
+const CHANGE_STYLES = {
+  added: 'bg-green-100 text-green-800',
+  removed: 'bg-red-100 text-red-800',
+  renamed: 'bg-blue-100 text-blue-800',
+  modified: 'bg-amber-100 text-amber-800'
+};
+
+// Token categories previewed as a swatch of their value
+const SWATCH_CATEGORIES = ['colors', 'gradients'];
+
+/**
+ * Format a diffed value for display
+ * @param {*} value - The value
+ * @returns {string} The formatted value
+ */
+function formatValue(value) {
+  if (value === undefined || value === null) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function ChangeBadge({ type }) {
+  return (
+    <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${CHANGE_STYLES[type]}`}>
+      {type}
+    </span>
+  );
+}
+
+function TokenPreview({ category, token }) {
+  if (!token) {
+    return <div className="flex-1 rounded-md border border-dashed p-3 text-xs text-gray-400">None</div>;
+  }
+
+  if (SWATCH_CATEGORIES.includes(category) && typeof token.value === 'string') {
+    return (
+      <div className="flex-1 rounded-md border overflow-hidden">
+        <div className="h-12 w-full" style={{ background: token.value }} />
+        <p className="p-2 text-xs text-gray-500 break-all">{token.hex || token.value}</p>
+      </div>
+    );
+  }
+
+  if (category === 'typography') {
+    return (
+      <div className="flex-1 rounded-md border p-3">
+        <p
+          className="truncate"
+          style={{
+            fontFamily: token.fontFamily,
+            fontSize: token.fontSize,
+            fontWeight: token.fontWeight,
+            lineHeight: token.lineHeight,
+            letterSpacing: token.letterSpacing,
+            textTransform: token.textCase
+          }}
+        >
+          The quick brown fox
+        </p>
+        <p className="mt-1 text-xs text-gray-500">{token.value}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 rounded-md border p-3 text-xs text-gray-600 break-all">
+      {formatValue(token.value !== undefined ? token.value : token)}
+    </div>
+  );
+}
+
+function FieldChanges({ changes }) {
+  if (!changes || changes.length === 0) return null;
+
+  return (
+    <ul className="mt-2 space-y-1">
+      {changes.map(change => (
+        <li key={change.field} className="text-xs text-gray-600 break-all">
+          <span className="font-medium">{change.field}:</span>{' '}
+          <span className="line-through text-red-700">{formatValue(change.before)}</span>{' '}
+          <ArrowRight className="inline h-3 w-3" />{' '}
+          <span className="text-green-700">{formatValue(change.after)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function TokenChange({ category, type, name, before, after, changes }) {
+  return (
+    <div className="py-3 border-b last:border-b-0">
+      <div className="flex items-center gap-2 mb-2">
+        <ChangeBadge type={type} />
+        <span className="font-medium text-sm">{name}</span>
+      </div>
+      <div className="flex items-center gap-3">
+        <TokenPreview category={category} token={before} />
+        <ArrowRight className="h-4 w-4 text-gray-400 shrink-0" />
+        <TokenPreview category={category} token={after} />
+      </div>
+      <FieldChanges changes={changes} />
+    </div>
+  );
+}
+
+function TokenCategoryDiff({ category, diff }) {
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-lg capitalize">{category}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        {diff.added.map(({ key, token }) => (
+          <TokenChange key={`added-${key}`} category={category} type="added" name={key} after={token} />
+        ))}
+        {diff.removed.map(({ key, token }) => (
+          <TokenChange key={`removed-${key}`} category={category} type="removed" name={key} before={token} />
+        ))}
+        {diff.renamed.map(change => (
+          <TokenChange
+            key={`renamed-${change.key}`}
+            category={category}
+            type="renamed"
+            name={`${change.previousKey} → ${change.key}`}
+            before={change.before}
+            after={change.after}
+            changes={change.changes}
+          />
+        ))}
+        {diff.modified.map(change => (
+          <TokenChange
+            key={`modified-${change.key}`}
+            category={category}
+            type="modified"
+            name={change.key}
+            before={change.before}
+            after={change.after}
+            changes={change.changes}
+          />
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
+
+function ComponentsDiff({ components, componentSets }) {
+  const hasComponentChanges = components.added.length + components.removed.length + components.modified.length > 0;
+  const hasSetChanges = componentSets.added.length + componentSets.removed.length + componentSets.modified.length > 0;
+
+  if (!hasComponentChanges && !hasSetChanges) return null;
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-lg">Components</CardTitle>
+      </CardHeader>
+      <CardContent>
+        {componentSets.added.map(componentSet => (
+          <div key={`set-added-${componentSet.key}`} className="flex items-center gap-2 py-3 border-b">
+            <ChangeBadge type="added" />
+            <span className="font-medium text-sm">{componentSet.name}</span>
+            <span className="text-xs text-gray-500">component set</span>
+          </div>
+        ))}
+        {componentSets.removed.map(componentSet => (
+          <div key={`set-removed-${componentSet.key}`} className="flex items-center gap-2 py-3 border-b">
+            <ChangeBadge type="removed" />
+            <span className="font-medium text-sm">{componentSet.name}</span>
+            <span className="text-xs text-gray-500">component set</span>
+          </div>
+        ))}
+        {componentSets.modified.map(componentSet => (
+          <div key={`set-modified-${componentSet.key}`} className="py-3 border-b">
+            <div className="flex items-center gap-2">
+              <ChangeBadge type="modified" />
+              <span className="font-medium text-sm">
+                {componentSet.previousName ? `${componentSet.previousName} → ${componentSet.name}` : componentSet.name}
+              </span>
+              <span className="text-xs text-gray-500">component set</span>
+            </div>
+            <ul className="mt-2 space-y-1 text-xs text-gray-600">
+              {componentSet.variants.added.length > 0 && (
+                <li className="text-green-700">New variants: {componentSet.variants.added.join(', ')}</li>
+              )}
+              {componentSet.variants.removed.length > 0 && (
+                <li className="text-red-700">Removed variants: {componentSet.variants.removed.join(', ')}</li>
+              )}
+              {Object.entries(componentSet.variantProperties.added).map(([property, values]) => (
+                <li key={`added-${property}`} className="text-green-700">{property}: added {values.join(', ')}</li>
+              ))}
+              {Object.entries(componentSet.variantProperties.removed).map(([property, values]) => (
+                <li key={`removed-${property}`} className="text-red-700">{property}: removed {values.join(', ')}</li>
+              ))}
+            </ul>
+          </div>
+        ))}
+        {components.added.map(component => (
+          <div key={`added-${component.key}`} className="flex items-center gap-2 py-3 border-b">
+            <ChangeBadge type="added" />
+            <span className="font-medium text-sm">{component.name}</span>
+          </div>
+        ))}
+        {components.removed.map(component => (
+          <div key={`removed-${component.key}`} className="flex items-center gap-2 py-3 border-b">
+            <ChangeBadge type="removed" />
+            <span className="font-medium text-sm">{component.name}</span>
+          </div>
+        ))}
+        {components.modified.map(component => (
+          <div key={`modified-${component.key}`} className="py-3 border-b last:border-b-0">
+            <div className="flex items-center gap-2">
+              <ChangeBadge type="modified" />
+              <span className="font-medium text-sm">
+                {component.previousName ? `${component.previousName} → ${component.name}` : component.name}
+              </span>
+            </div>
+            <FieldChanges changes={component.changes} />
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
+
+export function DesignSystemDiff({ diff }) {
+  const categories = Object.keys(diff.tokens);
+
+  if (!diff.hasChanges) {
+    return (
+      <p className="text-gray-500">
+        No differences between v{diff.from.version} and v{diff.to.version}.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(diff.summary).map(([type, count]) => (
+          <span key={type} className={`px-2 py-1 rounded-full text-xs ${CHANGE_STYLES[type]}`}>
+            {count} {type}
+          </span>
+        ))}
+      </div>
+
+      {categories.map(category => (
+        <TokenCategoryDiff key={category} category={category} diff={diff.tokens[category]} />
+      ))}
+
+      <ComponentsDiff components={diff.components} componentSets={diff.componentSets} />
+    </div>
+  );
+}
\ No newline at end of file
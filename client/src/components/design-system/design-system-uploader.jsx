@@ -12,19 +12,20 @@ import {
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
-import { AlertCircle, FileUp, Link2, Loader2, CheckCircle } from 'lucide-react';
+import { AlertCircle, FileUp, Link2, Loader2, CheckCircle, Circle } from 'lucide-react';
 import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { uploadFigmaDesignSystem, importDesignSystem } from '@/lib/api/figma';
 import { useToast } from '@/lib/hooks/use-toast';
 
-export function DesignSystemUploader({ onUploadComplete }) {
+export function DesignSystemUploader({ onUploadComplete, organizationId = null }) {
   const [activeTab, setActiveTab] = useState('figma');
   const [figmaFileUrl, setFigmaFileUrl] = useState('');
   const [figmaToken, setFigmaToken] = useState('');
   const [jsonFile, setJsonFile] = useState(null);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [extractionJob, setExtractionJob] = useState(null);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const { toast } = useToast();
@@ -83,15 +84,17 @@ export function DesignSystemUploader({ onUploadComplete }) {
     if (!fileKey) return; // Error is set in extractFigmaFileKey
     
     setIsUploading(true);
-    setUploadProgress(10);
+    setUploadProgress(0);
+    setExtractionJob(null);
     
     try {
-      // Extract and save design system
-      setUploadProgress(30);
-      
-      const designSystem = await uploadFigmaDesignSystem(fileKey, figmaToken, (progress) => {
-        setUploadProgress(30 + progress * 0.7);
-      });
+      // Extract and save design system, following the extraction job's progress
+      let latestJob = null;
+      const designSystem = await uploadFigmaDesignSystem(fileKey, figmaToken, (job) => {
+        latestJob = job;
+        setExtractionJob(job);
+        setUploadProgress(job.percent);
+      }, organizationId);
       
       setUploadProgress(100);
       
@@ -102,6 +105,17 @@ export function DesignSystemUploader({ onUploadComplete }) {
         variant: "success"
       });
       
+      // Some node or preview requests failed even after retrying
+      const report = latestJob?.report;
+      if (report && !report.complete) {
+        const missingNodes = report.nodes?.failedIds.length || 0;
+        const missingPreviews = report.previews?.failedIds.length || 0;
+        toast({
+          title: "Partially extracted",
+          description: `Figma did not return ${missingNodes} component node(s) and ${missingPreviews} preview(s). Try extracting again later to fill them in.`
+        });
+      }
+      
       if (onUploadComplete) {
         onUploadComplete(designSystem);
       }
@@ -114,6 +128,7 @@ export function DesignSystemUploader({ onUploadComplete }) {
       });
     } finally {
       setIsUploading(false);
+      setExtractionJob(null);
     }
   };
   
@@ -152,7 +167,7 @@ export function DesignSystemUploader({ onUploadComplete }) {
       }
       
       // Import the design system
-      const designSystem = await importDesignSystem(designSystemData);
+      const designSystem = await importDesignSystem(designSystemData, organizationId);
       
       setUploadProgress(100);
       
@@ -188,9 +203,33 @@ export function DesignSystemUploader({ onUploadComplete }) {
             style={{ width: `${uploadProgress}%` }} 
           />
         </div>
-        <p className="text-sm text-gray-500 mt-2">
-          {uploadProgress < 100 ? 'Processing...' : 'Complete!'}
-        </p>
+        <div className="flex justify-between text-sm text-gray-500 mt-2">
+          <span>
+            {extractionJob?.message || (uploadProgress < 100 ? 'Processing...' : 'Complete!')}
+          </span>
+          <span>{Math.round(uploadProgress)}%</span>
+        </div>
+        
+        {extractionJob?.stages && (
+          <ul className="mt-3 space-y-1">
+            {extractionJob.stages.map((stage) => (
+              <li key={stage.name} className="flex items-center text-xs text-gray-500">
+                {stage.status === 'completed' ? (
+                  <CheckCircle className="mr-2 h-3.5 w-3.5 text-green-600" />
+                ) : stage.status === 'running' ? (
+                  <Loader2 className="mr-2 h-3.5 w-3.5 animate-spin text-blue-600" />
+                ) : stage.status === 'failed' ? (
+                  <AlertCircle className="mr-2 h-3.5 w-3.5 text-red-600" />
+                ) : (
+                  <Circle className="mr-2 h-3.5 w-3.5 text-gray-300" />
+                )}
+                <span className={stage.status === 'running' ? 'text-gray-900' : ''}>
+                  {stage.label}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
     );
   };
@@ -200,7 +239,7 @@ export function DesignSystemUploader({ onUploadComplete }) {
       <CardHeader>
         <CardTitle>Upload Design System</CardTitle>
         <CardDescription>
-          Import your design system from Figma or upload a JSON file
+          Import your design system from Figma or upload a JSON or design tokens file
         </CardDescription>
       </CardHeader>
       
@@ -259,7 +298,7 @@ export function DesignSystemUploader({ onUploadComplete }) {
                 disabled={isUploading}
               />
               <p className="text-xs text-gray-500">
-                Upload a previously exported design system JSON file
+                Upload a previously exported design system JSON file or a W3C design tokens (DTCG) file
               </p>
             </div>
           </TabsContent>
@@ -1,21 +1,43 @@
 "use client";
 
-import { useState } from 'react';
+import { useMemo, useState } from 'react';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
-import { PaletteIcon, TypeIcon, BoxIcon, CloudLightningIcon, SquareIcon, ComponentIcon } from 'lucide-react';
+import { PaletteIcon, BlendIcon, TypeIcon, BoxIcon, CloudLightningIcon, SquareIcon, SquareDashedIcon, EyeOffIcon, DropletsIcon, LayoutGridIcon, ComponentIcon } from 'lucide-react';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { 
   ColorTokenDisplay, 
+  GradientTokenDisplay,
   TypographyTokenDisplay, 
   SpacingTokenDisplay,
   ShadowTokenDisplay,
   BorderTokenDisplay,
-  ComponentDisplay
+  RadiusTokenDisplay,
+  OpacityTokenDisplay,
+  BlurTokenDisplay,
+  LayoutTokenDisplay,
+  ComponentDisplay,
+  ModeSwitcher
 } from '@/components/design-system/token-displays';
+import { getVariableModes, applyVariableModes } from '@/lib/utils/token-utils';
 
 export function DesignSystemViewer({ designSystem }) {
   const [activeTab, setActiveTab] = useState('colors');
+  const [selectedModes, setSelectedModes] = useState({});
+  
+  const modeCollections = useMemo(
+    () => getVariableModes(designSystem?.tokens),
+    [designSystem]
+  );
+  
+  const tokens = useMemo(
+    () => applyVariableModes(designSystem?.tokens, selectedModes),
+    [designSystem, selectedModes]
+  );
+  
+  const handleModeChange = (collection, mode) => {
+    setSelectedModes(prev => ({ ...prev, [collection]: mode }));
+  };
   
   if (!designSystem) {
     return (
@@ -30,7 +52,7 @@ export function DesignSystemViewer({ designSystem }) {
     );
   }
   
-  const { tokens, components, componentSets } = designSystem;
+  const { components, componentSets } = designSystem;
   
   return (
     <div className="w-full bg-slate-50/50 rounded-lg">
@@ -44,6 +66,13 @@ export function DesignSystemViewer({ designSystem }) {
               <PaletteIcon className="h-4 w-4 mr-2" />
               <span className="hidden sm:inline">Colors</span>
             </TabsTrigger>
+            <TabsTrigger 
+              value="gradients" 
+              className="flex items-center data-[state=active]:bg-gradient-to-r data-[state=active]:from-blue-50 data-[state=active]:to-indigo-50 data-[state=active]:shadow-sm data-[state=active]:font-medium"
+            >
+              <BlendIcon className="h-4 w-4 mr-2" />
+              <span className="hidden sm:inline">Gradients</span>
+            </TabsTrigger>
             <TabsTrigger 
               value="typography" 
               className="flex items-center data-[state=active]:bg-gradient-to-r data-[state=active]:from-blue-50 data-[state=active]:to-indigo-50 data-[state=active]:shadow-sm data-[state=active]:font-medium"
@@ -72,6 +101,34 @@ export function DesignSystemViewer({ designSystem }) {
               <SquareIcon className="h-4 w-4 mr-2" />
               <span className="hidden sm:inline">Borders</span>
             </TabsTrigger>
+            <TabsTrigger 
+              value="radii" 
+              className="flex items-center data-[state=active]:bg-gradient-to-r data-[state=active]:from-blue-50 data-[state=active]:to-indigo-50 data-[state=active]:shadow-sm data-[state=active]:font-medium"
+            >
+              <SquareDashedIcon className="h-4 w-4 mr-2" />
+              <span className="hidden sm:inline">Radii</span>
+            </TabsTrigger>
+            <TabsTrigger 
+              value="opacity" 
+              className="flex items-center data-[state=active]:bg-gradient-to-r data-[state=active]:from-blue-50 data-[state=active]:to-indigo-50 data-[state=active]:shadow-sm data-[state=active]:font-medium"
+            >
+              <EyeOffIcon className="h-4 w-4 mr-2" />
+              <span className="hidden sm:inline">Opacity</span>
+            </TabsTrigger>
+            <TabsTrigger 
+              value="blur" 
+              className="flex items-center data-[state=active]:bg-gradient-to-r data-[state=active]:from-blue-50 data-[state=active]:to-indigo-50 data-[state=active]:shadow-sm data-[state=active]:font-medium"
+            >
+              <DropletsIcon className="h-4 w-4 mr-2" />
+              <span className="hidden sm:inline">Blur</span>
+            </TabsTrigger>
+            <TabsTrigger 
+              value="layout" 
+              className="flex items-center data-[state=active]:bg-gradient-to-r data-[state=active]:from-blue-50 data-[state=active]:to-indigo-50 data-[state=active]:shadow-sm data-[state=active]:font-medium"
+            >
+              <LayoutGridIcon className="h-4 w-4 mr-2" />
+              <span className="hidden sm:inline">Layout</span>
+            </TabsTrigger>
             <TabsTrigger 
               value="components" 
               className="flex items-center data-[state=active]:bg-gradient-to-r data-[state=active]:from-blue-50 data-[state=active]:to-indigo-50 data-[state=active]:shadow-sm data-[state=active]:font-medium"
@@ -81,11 +138,23 @@ export function DesignSystemViewer({ designSystem }) {
             </TabsTrigger>
           </TabsList>
           
+          {activeTab !== 'components' && (
+            <ModeSwitcher 
+              collections={modeCollections} 
+              selectedModes={selectedModes} 
+              onModeChange={handleModeChange} 
+            />
+          )}
+          
           <ScrollArea className="h-[500px] pr-4">
             <TabsContent value="colors">
               <ColorTokenDisplay tokens={tokens.colors} />
             </TabsContent>
             
+            <TabsContent value="gradients">
+              <GradientTokenDisplay tokens={tokens.gradients} />
+            </TabsContent>
+            
             <TabsContent value="typography">
               <TypographyTokenDisplay tokens={tokens.typography} />
             </TabsContent>
@@ -102,11 +171,28 @@ export function DesignSystemViewer({ designSystem }) {
               <BorderTokenDisplay tokens={tokens.borders} />
             </TabsContent>
             
+            <TabsContent value="radii">
+              <RadiusTokenDisplay tokens={tokens.radii} />
+            </TabsContent>
+            
+            <TabsContent value="opacity">
+              <OpacityTokenDisplay tokens={tokens.opacity} />
+            </TabsContent>
+            
+            <TabsContent value="blur">
+              <BlurTokenDisplay tokens={tokens.blur} />
+            </TabsContent>
+            
+            <TabsContent value="layout">
+              <LayoutTokenDisplay grids={tokens.grids} breakpoints={tokens.breakpoints} />
+            </TabsContent>
+            
             <TabsContent value="components">
               <ComponentDisplay 
                 components={components} 
                 componentSets={componentSets} 
                 previews={designSystem.componentPreviews}
+                designSystemId={designSystem._id}
               />
             </TabsContent>
           </ScrollArea>
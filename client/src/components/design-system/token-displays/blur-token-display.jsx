@@ -0,0 +1,39 @@
+"use client";
+
+export function BlurTokenDisplay({ tokens }) {
+  if (!tokens || Object.keys(tokens).length === 0) {
+    return <p className="text-gray-500">No blur tokens found.</p>;
+  }
+  
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+      {Object.entries(tokens).map(([name, token]) => {
+        const isBackgroundBlur = token.type === 'backgroundBlur';
+        
+        return (
+          <div key={name} className="rounded-md border overflow-hidden">
+            <div className="relative h-24 bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500">
+              {isBackgroundBlur ? (
+                <div 
+                  className="absolute inset-4 rounded-md bg-white/30" 
+                  style={{ backdropFilter: token.value }}
+                />
+              ) : (
+                <div 
+                  className="absolute inset-4 rounded-md bg-white" 
+                  style={{ filter: token.value }}
+                />
+              )}
+            </div>
+            <div className="p-3 bg-gray-50">
+              <p className="font-medium text-sm">{name}</p>
+              <p className="text-xs text-gray-500">
+                {isBackgroundBlur ? 'Background blur' : 'Layer blur'}: {token.radius}
+              </p>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
\ No newline at end of file
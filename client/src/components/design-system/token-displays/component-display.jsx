@@ -1,8 +1,9 @@
 "use client";
 
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { ComponentCodeDialog } from '@/components/design-system/component-code-dialog';
 
-export function ComponentDisplay({ components, componentSets, previews }) {
+export function ComponentDisplay({ components, componentSets, previews, designSystemId }) {
   if ((!components || components.length === 0) && 
       (!componentSets || Object.keys(componentSets).length === 0)) {
     return <p className="text-gray-500">No components found.</p>;
@@ -20,9 +21,19 @@ export function ComponentDisplay({ components, componentSets, previews }) {
                 <CardHeader className="bg-gray-50 pb-3">
                   <div className="flex justify-between items-center">
                     <CardTitle className="text-base">{componentSet.name}</CardTitle>
-                    <span className="text-xs px-2 py-1 bg-blue-100 text-blue-800 rounded-full">
-                      {componentSet.components?.length || 0} variants
-                    </span>
+                    <div className="flex items-center gap-2">
+                      <span className="text-xs px-2 py-1 bg-blue-100 text-blue-800 rounded-full">
+                        {componentSet.components?.length || 0} variants
+                      </span>
+                      {/* Code can only be generated for saved design systems */}
+                      {designSystemId && (
+                        <ComponentCodeDialog
+                          designSystemId={designSystemId}
+                          componentId={id}
+                          componentName={componentSet.name}
+                        />
+                      )}
+                    </div>
                   </div>
                   <p className="text-sm text-gray-500">
                     {componentSet.description || `A collection of ${componentSet.name} variants`}
@@ -171,6 +182,15 @@ export function ComponentDisplay({ components, componentSets, previews }) {
                           <p className="text-xs text-gray-500 ml-2 truncate">{component.description}</p>
                         )}
                       </div>
+                      {designSystemId && (
+                        <div className="mt-2">
+                          <ComponentCodeDialog
+                            designSystemId={designSystemId}
+                            componentId={component.figmaId || component.id}
+                            componentName={component.name}
+                          />
+                        </div>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -0,0 +1,29 @@
+"use client";
+
+export function GradientTokenDisplay({ tokens }) {
+  if (!tokens || Object.keys(tokens).length === 0) {
+    return <p className="text-gray-500">No gradient tokens found.</p>;
+  }
+  
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+      {Object.entries(tokens).map(([name, token]) => (
+        <div key={name} className="rounded-md overflow-hidden border bg-white">
+          <div 
+            className="h-24 w-full" 
+            style={{ background: token.value }}
+          />
+          <div className="p-3">
+            <div className="flex items-center justify-between">
+              <p className="font-medium text-sm">{name}</p>
+              <span className="text-xs text-gray-500 capitalize">{token.type}</span>
+            </div>
+            <p className="text-xs text-gray-500 mt-1 whitespace-normal break-words">
+              {token.value}
+            </p>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,6 +1,12 @@
 export { ColorTokenDisplay } from './color-token-display';
+export { GradientTokenDisplay } from './gradient-token-display';
 export { TypographyTokenDisplay } from './typography-token-display';
 export { SpacingTokenDisplay } from './spacing-token-display';
 export { ShadowTokenDisplay } from './shadow-token-display';
 export { BorderTokenDisplay } from './border-token-display';
-export { ComponentDisplay } from './component-display';
\ No newline at end of file
+export { RadiusTokenDisplay } from './radius-token-display';
+export { OpacityTokenDisplay } from './opacity-token-display';
+export { BlurTokenDisplay } from './blur-token-display';
+export { LayoutTokenDisplay } from './layout-token-display';
+export { ComponentDisplay } from './component-display';
+export { ModeSwitcher } from './mode-switcher';
\ No newline at end of file
@@ -0,0 +1,86 @@
+"use client";
+
+function GridPreview({ columns }) {
+  return (
+    <div 
+      className="h-16 w-full grid bg-white rounded-md border"
+      style={{ 
+        gridTemplateColumns: `repeat(${columns.count}, minmax(0, 1fr))`,
+        columnGap: `min(${columns.gutter}, 8px)`,
+        paddingInline: `min(${columns.margin}, 16px)`
+      }}
+    >
+      {Array.from({ length: columns.count }).map((_, index) => (
+        <div key={index} className="bg-pink-200/70" />
+      ))}
+    </div>
+  );
+}
+
+export function LayoutTokenDisplay({ grids, breakpoints }) {
+  const hasGrids = grids && Object.keys(grids).length > 0;
+  const hasBreakpoints = breakpoints && Object.keys(breakpoints).length > 0;
+  
+  if (!hasGrids && !hasBreakpoints) {
+    return <p className="text-gray-500">No layout grid or breakpoint tokens found.</p>;
+  }
+  
+  return (
+    <div className="space-y-8">
+      {hasBreakpoints && (
+        <div>
+          <h3 className="text-sm font-semibold mb-3">Breakpoints</h3>
+          <div className="space-y-3">
+            {Object.entries(breakpoints)
+              .sort(([, a], [, b]) => (a.width || 0) - (b.width || 0))
+              .map(([name, token]) => (
+                <div key={name} className="border rounded-md p-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <p className="font-medium text-sm">{token.name || name}</p>
+                    <p className="text-xs text-gray-500">min-width: {token.value}</p>
+                  </div>
+                  {token.columns && <GridPreview columns={token.columns} />}
+                  {token.description && (
+                    <p className="text-xs text-gray-500 mt-2">{token.description}</p>
+                  )}
+                </div>
+              ))}
+          </div>
+        </div>
+      )}
+      
+      {hasGrids && (
+        <div>
+          <h3 className="text-sm font-semibold mb-3">Layout Grids</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {Object.entries(grids).map(([name, token]) => (
+              <div key={name} className="border rounded-md p-4">
+                <p className="font-medium text-sm mb-3">{name}</p>
+                {token.columns && <GridPreview columns={token.columns} />}
+                <div className="grid grid-cols-2 gap-2 mt-3">
+                  {token.columns && (
+                    <>
+                      <p className="text-xs text-gray-500">Columns: {token.columns.count}</p>
+                      <p className="text-xs text-gray-500">Gutter: {token.columns.gutter}</p>
+                      <p className="text-xs text-gray-500">Margin: {token.columns.margin}</p>
+                      <p className="text-xs text-gray-500">Alignment: {token.columns.alignment}</p>
+                    </>
+                  )}
+                  {token.rows && (
+                    <p className="text-xs text-gray-500">Rows: {token.rows.count}</p>
+                  )}
+                  {token.baseline && (
+                    <p className="text-xs text-gray-500">Baseline: {token.baseline}</p>
+                  )}
+                  {token.frameWidth && (
+                    <p className="text-xs text-gray-500">Frame: {token.frameWidth}</p>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
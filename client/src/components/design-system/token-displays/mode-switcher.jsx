@@ -0,0 +1,38 @@
+"use client";
+
+import { Button } from '@/components/ui/button';
+import { LayersIcon } from 'lucide-react';
+
+export function ModeSwitcher({ collections, selectedModes, onModeChange }) {
+  if (!collections || collections.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-4 mb-4 p-3 bg-white rounded-lg border">
+      {collections.map(({ collection, modes, defaultMode }) => {
+        const activeMode = selectedModes[collection] || defaultMode;
+
+        return (
+          <div key={collection} className="flex items-center gap-2">
+            <LayersIcon className="h-4 w-4 text-gray-500" />
+            <span className="text-sm font-medium">{collection}</span>
+            <div className="flex gap-1">
+              {modes.map(mode => (
+                <Button
+                  key={mode}
+                  size="sm"
+                  variant={mode === activeMode ? 'default' : 'outline'}
+                  className="h-7 px-2 text-xs"
+                  onClick={() => onModeChange(collection, mode)}
+                >
+                  {mode}
+                </Button>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
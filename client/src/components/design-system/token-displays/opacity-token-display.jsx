@@ -0,0 +1,26 @@
+"use client";
+
+export function OpacityTokenDisplay({ tokens }) {
+  if (!tokens || Object.keys(tokens).length === 0) {
+    return <p className="text-gray-500">No opacity tokens found.</p>;
+  }
+  
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+      {Object.entries(tokens).map(([name, token]) => (
+        <div key={name} className="rounded-md border overflow-hidden">
+          <div className="p-4 flex items-center justify-center bg-[repeating-conic-gradient(#e5e7eb_0%_25%,#ffffff_0%_50%)] bg-[length:16px_16px]">
+            <div 
+              className="h-16 w-16 rounded-md bg-blue-500" 
+              style={{ opacity: token.value }}
+            />
+          </div>
+          <div className="p-3 bg-gray-50">
+            <p className="font-medium text-sm">{name}</p>
+            <p className="text-xs text-gray-500">{Math.round(token.value * 100)}%</p>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
\ No newline at end of file
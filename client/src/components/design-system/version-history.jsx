@@ -0,0 +1,189 @@
+"use client";
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { Button } from '@/components/ui/button';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { ChevronDown, ChevronRight, GitCompare, History, Loader2, RotateCcw } from 'lucide-react';
+import { getDesignSystemVersions, restoreDesignSystemVersion } from '@/lib/api/figma';
+import { useToast } from '@/lib/hooks/use-toast';
+import { formatDate } from '@/lib/utils/format-utils';
+
+// How each kind of version came about
+const SOURCE_LABELS = {
+  save: 'Extracted',
+  sync: 'Synced with Figma',
+  restore: 'Restored',
+  baseline: 'Before history'
+};
+
+// Badge colors for each kind of version bump
+const BUMP_STYLES = {
+  major: 'bg-red-100 text-red-800',
+  minor: 'bg-green-100 text-green-800',
+  patch: 'bg-gray-100 text-gray-800'
+};
+
+export function VersionHistory({ designSystemId, currentVersion, onRestored, canRestore = true, disabled = false }) {
+  const [open, setOpen] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [restoringVersion, setRestoringVersion] = useState(null);
+  const [expandedVersion, setExpandedVersion] = useState(null);
+  const router = useRouter();
+  const { toast } = useToast();
+
+  // Load versions every time the dialog opens
+  const handleOpenChange = async (isOpen) => {
+    setOpen(isOpen);
+    if (!isOpen) return;
+
+    try {
+      setLoading(true);
+      const data = await getDesignSystemVersions(designSystemId);
+      setVersions(data.versions);
+    } catch (error) {
+      toast({
+        title: "Failed to load version history",
+        description: error.message,
+        variant: "destructive"
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Roll the design system back to a version
+  const handleRestore = async (version) => {
+    try {
+      setRestoringVersion(version);
+      const data = await restoreDesignSystemVersion(designSystemId, version);
+
+      toast({
+        title: data.changes.hasChanges ? `Restored version ${version}` : "Nothing to restore",
+        description: data.changes.hasChanges
+          ? `Saved as version ${data.designSystem.version}`
+          : `The design system already matches version ${version}`,
+        variant: "success"
+      });
+
+      setOpen(false);
+      onRestored?.(data.designSystem);
+    } catch (error) {
+      toast({
+        title: "Restore failed",
+        description: error.message,
+        variant: "destructive"
+      });
+    } finally {
+      setRestoringVersion(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogTrigger asChild>
+        <Button variant="outline" disabled={disabled}>
+          <History className="h-4 w-4 mr-2" />
+          History
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Version history</DialogTitle>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-40">
+            <Loader2 className="h-8 w-8 animate-spin text-gray-400" />
+          </div>
+        ) : versions.length === 0 ? (
+          <p className="py-4 text-sm text-gray-500">
+            No versions recorded yet. A version is recorded every time the design system changes.
+          </p>
+        ) : (
+          <ScrollArea className="max-h-96 pr-4">
+            <ul className="divide-y">
+              {versions.map(version => (
+                <li key={version._id} className="py-3">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium">v{version.version}</span>
+                        {version.changelog?.bump && (
+                          <span className={`px-2 py-0.5 rounded-full text-xs ${BUMP_STYLES[version.changelog.bump]}`}>
+                            {version.changelog.bump}
+                          </span>
+                        )}
+                        {version.version === currentVersion && (
+                          <span className="bg-blue-100 text-blue-800 px-2 py-0.5 rounded-full text-xs">
+                            Current
+                          </span>
+                        )}
+                      </div>
+                      <p className="text-sm text-gray-500">
+                        {SOURCE_LABELS[version.source] || version.source}
+                        {version.restoredFrom && ` from v${version.restoredFrom}`}
+                        {' · '}
+                        {formatDate(version.createdAt)}
+                        {version.stats && ` · ${version.stats.components} components`}
+                      </p>
+                      {version.changelog && (
+                        <button
+                          type="button"
+                          className="flex items-center text-sm text-gray-700 hover:underline disabled:no-underline"
+                          onClick={() => setExpandedVersion(expandedVersion === version.version ? null : version.version)}
+                          disabled={version.changelog.entries.length === 0}
+                        >
+                          {version.changelog.entries.length > 0 && (expandedVersion === version.version
+                            ? <ChevronDown className="h-3 w-3 mr-1" />
+                            : <ChevronRight className="h-3 w-3 mr-1" />)}
+                          {version.changelog.summary}
+                        </button>
+                      )}
+                    </div>
+                    {version.version !== currentVersion && (
+                      <div className="flex gap-2">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => router.push(`/design-systems/${designSystemId}/diff?from=${encodeURIComponent(version.version)}`)}
+                        >
+                          <GitCompare className="h-4 w-4 mr-2" />
+                          Compare
+                        </Button>
+                        {canRestore && (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleRestore(version.version)}
+                            disabled={restoringVersion !== null}
+                          >
+                            {restoringVersion === version.version ? (
+                              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                            ) : (
+                              <RotateCcw className="h-4 w-4 mr-2" />
+                            )}
+                            Restore
+                          </Button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                  {expandedVersion === version.version && (
+                    <ul className="mt-2 ml-4 list-disc text-sm text-gray-600 space-y-1">
+                      {version.changelog.entries.map((entry, index) => (
+                        <li key={index}>{entry.message}</li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </ScrollArea>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
\ No newline at end of file
@@ -16,6 +16,7 @@ import {
 import { Menu, X, User, LogOut, Settings } from 'lucide-react';
 import { logout } from '@/lib/api/auth';
 import { useAuth } from '@/providers/auth-provider';
+import { OrganizationSwitcher } from '@/components/layout/organization-switcher';
 
 export function Header() {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
@@ -31,6 +32,8 @@ export function Header() {
   const navigation = [
     { name: 'Home', href: '/' },
     { name: 'Design Systems', href: '/design-systems' },
+    { name: 'Generate', href: '/generate' },
+    { name: 'Organizations', href: '/organizations' },
     // { name: 'Documentation', href: '/docs' },
   ];
   
@@ -67,6 +70,11 @@ export function Header() {
           </div>
           
           <div className="flex items-center">
+            {isAuthenticated && (
+              <div className="hidden sm:block mr-4">
+                <OrganizationSwitcher />
+              </div>
+            )}
             {isAuthenticated ? (
               <DropdownMenu>
                 <DropdownMenuTrigger asChild>
@@ -0,0 +1,57 @@
+"use client";
+
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { Building2, ChevronDown, Settings } from 'lucide-react';
+import { useOrganization } from '@/providers/organization-provider';
+
+// Radix radio groups need a string value for "no organization"
+const ALL_VALUE = 'all';
+
+export function OrganizationSwitcher() {
+  const { organizations, currentOrganization, selectOrganization } = useOrganization();
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size="sm" className="max-w-[12rem]">
+          <Building2 className="h-4 w-4 mr-2 shrink-0" />
+          <span className="truncate">{currentOrganization ? currentOrganization.name : 'All design systems'}</span>
+          <ChevronDown className="h-4 w-4 ml-2 shrink-0" />
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-56">
+        <DropdownMenuLabel>Show design systems from</DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        <DropdownMenuRadioGroup
+          value={currentOrganization ? currentOrganization._id : ALL_VALUE}
+          onValueChange={(value) => selectOrganization(value === ALL_VALUE ? null : value)}
+        >
+          <DropdownMenuRadioItem value={ALL_VALUE}>All design systems</DropdownMenuRadioItem>
+          {organizations.map(organization => (
+            <DropdownMenuRadioItem key={organization._id} value={organization._id}>
+              <span className="truncate">{organization.name}</span>
+            </DropdownMenuRadioItem>
+          ))}
+        </DropdownMenuRadioGroup>
+        <DropdownMenuSeparator />
+        <DropdownMenuItem asChild>
+          <Link href="/organizations">
+            <Settings className="mr-2 h-4 w-4" />
+            <span>Manage organizations</span>
+          </Link>
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
\ No newline at end of file
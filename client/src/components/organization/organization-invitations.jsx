@@ -0,0 +1,167 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Loader2, Mail, X } from 'lucide-react';
+import { RoleBadge } from '@/components/organization/role-badge';
+import { inviteMember, getInvitations, revokeInvitation } from '@/lib/api/organizations';
+import { useToast } from '@/lib/hooks/use-toast';
+import { formatDate } from '@/lib/utils/format-utils';
+
+export function OrganizationInvitations({ organizationId }) {
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('member');
+  const [isInviting, setIsInviting] = useState(false);
+  const [revokingId, setRevokingId] = useState(null);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    if (organizationId) {
+      fetchInvitations();
+    }
+  }, [organizationId]);
+
+  // Fetch pending invitations
+  const fetchInvitations = async () => {
+    try {
+      setLoading(true);
+      const data = await getInvitations(organizationId);
+      setInvitations(data.invitations);
+    } catch (error) {
+      toast({
+        title: "Failed to load invitations",
+        description: error.message,
+        variant: "destructive"
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Email an invitation
+  const handleInvite = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsInviting(true);
+      const data = await inviteMember(organizationId, { email, role });
+
+      toast({
+        title: "Invitation sent",
+        description: `We emailed an invitation to ${data.invitation.email}`,
+        variant: "success"
+      });
+
+      setEmail('');
+      setRole('member');
+      fetchInvitations();
+    } catch (error) {
+      toast({
+        title: "Failed to send invitation",
+        description: error.message,
+        variant: "destructive"
+      });
+    } finally {
+      setIsInviting(false);
+    }
+  };
+
+  // Revoke a pending invitation
+  const handleRevoke = async (invitation) => {
+    try {
+      setRevokingId(invitation._id);
+      await revokeInvitation(organizationId, invitation._id);
+      setInvitations(prev => prev.filter(item => item._id !== invitation._id));
+    } catch (error) {
+      toast({
+        title: "Failed to revoke invitation",
+        description: error.message,
+        variant: "destructive"
+      });
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg">Invitations</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <form onSubmit={handleInvite} className="flex flex-col sm:flex-row sm:items-end gap-2">
+          <div className="flex-1 space-y-2">
+            <Label htmlFor="invite-email">Invite by email</Label>
+            <Input
+              id="invite-email"
+              type="email"
+              placeholder="teammate@example.com"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+            />
+          </div>
+          <select
+            className="rounded-md border px-2 py-2 text-sm"
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            aria-label="Role"
+          >
+            <option value="member">Member</option>
+            <option value="admin">Admin</option>
+          </select>
+          <Button type="submit" disabled={isInviting || !email}>
+            {isInviting ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <Mail className="h-4 w-4 mr-2" />
+            )}
+            Send invite
+          </Button>
+        </form>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-20">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+          </div>
+        ) : invitations.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No pending invitations</p>
+        ) : (
+          <ul className="divide-y">
+            {invitations.map(invitation => (
+              <li key={invitation._id} className="flex items-center justify-between gap-4 py-3">
+                <div className="min-w-0">
+                  <p className="font-medium truncate">{invitation.email}</p>
+                  <p className="text-sm text-muted-foreground">
+                    Invited by {invitation.invitedBy?.name || 'someone'} · expires {formatDate(invitation.expiresAt)}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <RoleBadge role={invitation.role} />
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleRevoke(invitation)}
+                    disabled={revokingId !== null}
+                    aria-label={`Revoke invitation for ${invitation.email}`}
+                  >
+                    {revokingId === invitation._id ? (
+                      <Loader2 className="h-4 w-4 animate-spin" />
+                    ) : (
+                      <X className="h-4 w-4" />
+                    )}
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
\ No newline at end of file
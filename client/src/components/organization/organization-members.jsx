@@ -0,0 +1,127 @@
+"use client";
+
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Loader2, UserMinus } from 'lucide-react';
+import { RoleBadge } from '@/components/organization/role-badge';
+import { updateMemberRole, removeMember } from '@/lib/api/organizations';
+import { useToast } from '@/lib/hooks/use-toast';
+
+export function OrganizationMembers({ organization, currentUserId, canManage = false, onChanged }) {
+  const [pendingUserId, setPendingUserId] = useState(null);
+  const { toast } = useToast();
+
+  // Change a member's role between admin and member
+  const handleRoleChange = async (member, role) => {
+    try {
+      setPendingUserId(member.user._id);
+      await updateMemberRole(organization._id, member.user._id, role);
+
+      toast({
+        title: "Role updated",
+        description: `${member.user.name} is now ${role === 'admin' ? 'an admin' : 'a member'}`,
+        variant: "success"
+      });
+
+      onChanged?.();
+    } catch (error) {
+      toast({
+        title: "Failed to update role",
+        description: error.message,
+        variant: "destructive"
+      });
+    } finally {
+      setPendingUserId(null);
+    }
+  };
+
+  // Remove a member from the organization
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.user.name} from ${organization.name}?`)) {
+      return;
+    }
+
+    try {
+      setPendingUserId(member.user._id);
+      await removeMember(organization._id, member.user._id);
+
+      toast({
+        title: "Member removed",
+        description: `${member.user.name} no longer has access to ${organization.name}`,
+        variant: "success"
+      });
+
+      onChanged?.();
+    } catch (error) {
+      toast({
+        title: "Failed to remove member",
+        description: error.message,
+        variant: "destructive"
+      });
+    } finally {
+      setPendingUserId(null);
+    }
+  };
+
+  // Members whose account was deleted have no user
+  const members = organization.members.filter(member => member.user);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg">Members ({members.length})</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <ul className="divide-y">
+          {members.map(member => {
+            const isEditable = canManage && member.role !== 'owner' && member.user._id !== currentUserId;
+
+            return (
+              <li key={member.user._id} className="flex items-center justify-between gap-4 py-3">
+                <div className="min-w-0">
+                  <p className="font-medium truncate">
+                    {member.user.name}
+                    {member.user._id === currentUserId && <span className="text-muted-foreground font-normal"> (you)</span>}
+                  </p>
+                  <p className="text-sm text-muted-foreground truncate">{member.user.email}</p>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  {pendingUserId === member.user._id && (
+                    <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />
+                  )}
+                  {isEditable ? (
+                    <>
+                      <select
+                        className="rounded-md border px-2 py-1 text-sm"
+                        value={member.role}
+                        onChange={(e) => handleRoleChange(member, e.target.value)}
+                        disabled={pendingUserId !== null}
+                        aria-label={`Role of ${member.user.name}`}
+                      >
+                        <option value="admin">Admin</option>
+                        <option value="member">Member</option>
+                      </select>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="text-destructive hover:text-destructive"
+                        onClick={() => handleRemove(member)}
+                        disabled={pendingUserId !== null}
+                        aria-label={`Remove ${member.user.name}`}
+                      >
+                        <UserMinus className="h-4 w-4" />
+                      </Button>
+                    </>
+                  ) : (
+                    <RoleBadge role={member.role} />
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </CardContent>
+    </Card>
+  );
+}
\ No newline at end of file
@@ -0,0 +1,16 @@
+"use client";
+
+// Badge colors for each member role
+const ROLE_STYLES = {
+  owner: 'bg-purple-100 text-purple-800',
+  admin: 'bg-blue-100 text-blue-800',
+  member: 'bg-gray-100 text-gray-800'
+};
+
+export function RoleBadge({ role }) {
+  return (
+    <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${ROLE_STYLES[role] || ROLE_STYLES.member}`}>
+      {role}
+    </span>
+  );
+}
\ No newline at end of file
@@ -72,6 +72,48 @@ export async function getCurrentUser() {
   return handleApiResponse(response);
 }
 
+/**
+ * Email the user a link to reset their password
+ * @param {string} email - Email address of the account
+ * @returns {Promise<Object>} Response
+ */
+export async function forgotPassword(email) {
+  const response = await fetch(`${API_BASE_URL}/auth/forgotpassword`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ email })
+  });
+  
+  return handleApiResponse(response);
+}
+
+/**
+ * Set a new password using the token from a reset email
+ * @param {string} resetToken - Token from the reset link
+ * @param {string} password - New password
+ * @returns {Promise<Object>} Response with a login token
+ */
+export async function resetPassword(resetToken, password) {
+  const response = await fetch(`${API_BASE_URL}/auth/resetpassword/${resetToken}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ password })
+  });
+  
+  const data = await handleApiResponse(response);
+  
+  // Resetting the password also signs the user in
+  if (data.token) {
+    localStorage.setItem('token', data.token);
+  }
+  
+  return data;
+}
+
 /**
  * Check if the user is authenticated
  * @returns {boolean} Authentication status
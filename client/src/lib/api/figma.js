@@ -21,46 +21,158 @@ export async function authenticateFigma(token) {
 }
 
 /**
- * Upload a design system from Figma
+ * Start a background job that extracts and saves a design system from Figma
  * @param {string} fileKey - Figma file key
- * @param {string} token - Figma personal access token
- * @param {Function} progressCallback - Optional callback for progress updates
- * @returns {Promise<Object>} The uploaded design system
+ * @param {string} [organizationId] - Organization to save the design system to
+ * @returns {Promise<Object>} The created job ({ jobId, job })
  */
-export async function uploadFigmaDesignSystem(fileKey, token, progressCallback) {
-  // First authenticate with Figma
-  await authenticateFigma(token);
-  
-  // Then extract and save the design system
-  const response = await fetch(`${API_BASE_URL}/figma/extract-and-save`, {
+export async function startExtractionJob(fileKey, organizationId = null) {
+  const response = await fetch(`${API_BASE_URL}/figma/extraction-jobs`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${localStorage.getItem('token')}`
     },
-    body: JSON.stringify({ fileKey, token })
+    body: JSON.stringify({ fileKey, organizationId })
   });
   
-  // Update progress (simulate progress since we don't have real-time updates)
-  if (progressCallback) {
-    const mockProgress = () => {
-      for (let i = 0; i <= 100; i += 10) {
-        setTimeout(() => progressCallback(i / 100), i * 50);
+  return handleApiResponse(response);
+}
+
+/**
+ * Get the current status of an extraction job
+ * @param {string} jobId - Extraction job ID
+ * @returns {Promise<Object>} The job status
+ */
+export async function getExtractionJob(jobId) {
+  const response = await fetch(`${API_BASE_URL}/figma/extraction-jobs/${jobId}`, {
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  const data = await handleApiResponse(response);
+  return data.job;
+}
+
+/**
+ * Read Server-Sent Events from a streaming response
+ * @param {Response} response - Fetch API response with an event stream body
+ * @param {Function} onEvent - Called with (event, data) for every event
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    
+    buffer += decoder.decode(value, { stream: true });
+    
+    // Events are separated by a blank line
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    
+    for (const rawEvent of events) {
+      let event = 'message';
+      const dataLines = [];
+      
+      for (const line of rawEvent.split(/\r?\n/)) {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).trim());
+        }
+      }
+      
+      // Comment-only events (heartbeats) have no data
+      if (dataLines.length > 0) {
+        onEvent(event, JSON.parse(dataLines.join('\n')));
       }
-    };
-    mockProgress();
+    }
   }
+}
+
+/**
+ * Follow an extraction job until it completes
+ * Uses fetch instead of EventSource so the Authorization header can be sent,
+ * and reconnects if the stream drops before the job has finished
+ * @param {string} jobId - Extraction job ID
+ * @param {Function} onProgress - Called with the job status on every update
+ * @returns {Promise<Object>} The completed job
+ */
+export async function watchExtractionJob(jobId, onProgress) {
+  while (true) {
+    let finishedJob = null;
+    
+    const response = await fetch(`${API_BASE_URL}/figma/extraction-jobs/${jobId}/events`, {
+      headers: {
+        'Accept': 'text/event-stream',
+        'Authorization': `Bearer ${localStorage.getItem('token')}`
+      }
+    });
+    
+    if (!response.ok) {
+      // Parses the JSON error body and throws
+      await handleApiResponse(response);
+    }
+    
+    await readEventStream(response, (event, job) => {
+      if (onProgress) onProgress(job);
+      if (event === 'completed' || event === 'failed') finishedJob = job;
+    });
+    
+    // The connection dropped; check whether the job finished in the meantime
+    if (!finishedJob) {
+      const job = await getExtractionJob(jobId);
+      if (job.status === 'completed' || job.status === 'failed') finishedJob = job;
+    }
+    
+    if (finishedJob) {
+      if (finishedJob.status === 'failed') {
+        throw new Error(finishedJob.error || 'Extraction failed');
+      }
+      return finishedJob;
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+}
+
+/**
+ * Upload a design system from Figma
+ * @param {string} fileKey - Figma file key
+ * @param {string} token - Figma personal access token
+ * @param {Function} progressCallback - Optional callback with the extraction job status ({ percent, stage, message, stages })
+ * @param {string} [organizationId] - Organization to save the design system to
+ * @returns {Promise<Object>} The uploaded design system
+ */
+export async function uploadFigmaDesignSystem(fileKey, token, progressCallback, organizationId = null) {
+  // First authenticate with Figma
+  await authenticateFigma(token);
   
-  const data = await handleApiResponse(response);
+  // Then extract and save the design system in the background, following its progress
+  const { jobId, job } = await startExtractionJob(fileKey, organizationId);
+  if (progressCallback) progressCallback(job);
+  
+  const completedJob = await watchExtractionJob(jobId, progressCallback);
+  
+  const data = await getDesignSystemById(completedJob.designSystemId);
   return data.designSystem;
 }
 
 /**
  * Get all design systems for the current user
+ * @param {string} [organizationId] - Only get this organization's design systems
  * @returns {Promise<Object>} Design systems
  */
-export async function getDesignSystems() {
-  const response = await fetch(`${API_BASE_URL}/figma/design-systems`, {
+export async function getDesignSystems(organizationId = null) {
+  const query = organizationId ? `?organizationId=${encodeURIComponent(organizationId)}` : '';
+  
+  const response = await fetch(`${API_BASE_URL}/figma/design-systems${query}`, {
     headers: {
       'Authorization': `Bearer ${localStorage.getItem('token')}`
     }
@@ -84,6 +196,108 @@ export async function getDesignSystemById(id) {
   return handleApiResponse(response);
 }
 
+/**
+ * Re-sync a design system with its Figma file
+ * @param {string} id - Design system ID
+ * @returns {Promise<Object>} The synced design system and what changed ({ designSystem, changes })
+ */
+export async function syncDesignSystem(id) {
+  const response = await fetch(`${API_BASE_URL}/figma/design-systems/${id}/sync`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  return handleApiResponse(response);
+}
+
+/**
+ * List the recorded versions of a design system, newest first
+ * @param {string} id - Design system ID
+ * @returns {Promise<Object>} { currentVersion, versions }
+ */
+export async function getDesignSystemVersions(id) {
+  const response = await fetch(`${API_BASE_URL}/figma/design-systems/${id}/versions`, {
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  return handleApiResponse(response);
+}
+
+/**
+ * Get the snapshot of one version of a design system
+ * @param {string} id - Design system ID
+ * @param {string} version - Version number
+ * @returns {Promise<Object>} { version }
+ */
+export async function getDesignSystemVersion(id, version) {
+  const response = await fetch(`${API_BASE_URL}/figma/design-systems/${id}/versions/${encodeURIComponent(version)}`, {
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  return handleApiResponse(response);
+}
+
+/**
+ * Roll a design system back to a recorded version
+ * @param {string} id - Design system ID
+ * @param {string} version - Version to restore
+ * @returns {Promise<Object>} The restored design system and what changed ({ designSystem, changes, restoredFrom })
+ */
+export async function restoreDesignSystemVersion(id, version) {
+  const response = await fetch(`${API_BASE_URL}/figma/design-systems/${id}/versions/${encodeURIComponent(version)}/restore`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  return handleApiResponse(response);
+}
+
+/**
+ * Compare two versions of a design system
+ * @param {string} id - Design system ID
+ * @param {Object} [versions] - Versions to compare
+ * @param {string} [versions.from] - Older version (defaults to the version before `to`)
+ * @param {string} [versions.to] - Newer version (defaults to the current version)
+ * @returns {Promise<Object>} { diff }
+ */
+export async function getDesignSystemDiff(id, { from, to } = {}) {
+  const params = new URLSearchParams();
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  
+  const response = await fetch(`${API_BASE_URL}/figma/design-systems/${id}/diff?${params.toString()}`, {
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  return handleApiResponse(response);
+}
+
+/**
+ * Generate a React + Tailwind component from a component set
+ * @param {string} id - Design system ID
+ * @param {string} componentId - Component set ID, or the ID of a component in the set
+ * @returns {Promise<Object>} { code, fileName, componentName, props }
+ */
+export async function getComponentCode(id, componentId) {
+  const response = await fetch(`${API_BASE_URL}/figma/design-systems/${id}/components/${encodeURIComponent(componentId)}/code`, {
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  return handleApiResponse(response);
+}
+
 /**
  * Export a design system as JSON
  * @param {string} id - Design system ID
@@ -99,19 +313,41 @@ export async function exportDesignSystem(id) {
   return handleApiResponse(response);
 }
 
+/**
+ * Export a design system as a file in the given format
+ * @param {string} id - Design system ID
+ * @param {string} format - Export format (e.g. css)
+ * @returns {Promise<Blob>} The exported file
+ */
+export async function exportDesignSystemFile(id, format) {
+  const response = await fetch(`${API_BASE_URL}/figma/export/${id}?format=${encodeURIComponent(format)}`, {
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    // Parses the JSON error body and throws
+    return handleApiResponse(response);
+  }
+  
+  return response.blob();
+}
+
 /**
  * Import a design system from JSON
  * @param {Object} designSystem - Design system data
+ * @param {string} [organizationId] - Organization to import the design system into
  * @returns {Promise<Object>} Imported design system
  */
-export async function importDesignSystem(designSystem) {
+export async function importDesignSystem(designSystem, organizationId = null) {
   const response = await fetch(`${API_BASE_URL}/figma/import`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${localStorage.getItem('token')}`
     },
-    body: JSON.stringify({ designSystem })
+    body: JSON.stringify({ designSystem, organizationId })
   });
   
   const data = await handleApiResponse(response);
@@ -0,0 +1,72 @@
+import { handleApiResponse } from '@/lib/utils/api-utils';
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+/**
+ * Generate a screen from a prompt with a design system's components and tokens
+ * @param {string} designSystemId - Design system ID
+ * @param {string} prompt - What to build
+ * @returns {Promise<Object>} The saved generation ({ code, components, issues, ... })
+ */
+export async function generateUI(designSystemId, prompt) {
+  const response = await fetch(`${API_BASE_URL}/generate`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    body: JSON.stringify({ designSystemId, prompt })
+  });
+  
+  const data = await handleApiResponse(response);
+  return data.generation;
+}
+
+/**
+ * Get the current user's generations, newest first
+ * @param {string} [designSystemId] - Only get generations for this design system
+ * @returns {Promise<Object>} Generations
+ */
+export async function getGenerations(designSystemId = null) {
+  const query = designSystemId ? `?designSystemId=${encodeURIComponent(designSystemId)}` : '';
+  
+  const response = await fetch(`${API_BASE_URL}/generate${query}`, {
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  return handleApiResponse(response);
+}
+
+/**
+ * Get a generation by ID
+ * @param {string} id - Generation ID
+ * @returns {Promise<Object>} The generation
+ */
+export async function getGeneration(id) {
+  const response = await fetch(`${API_BASE_URL}/generate/${id}`, {
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  const data = await handleApiResponse(response);
+  return data.generation;
+}
+
+/**
+ * Delete a generation
+ * @param {string} id - Generation ID
+ * @returns {Promise<Object>} Response
+ */
+export async function deleteGeneration(id) {
+  const response = await fetch(`${API_BASE_URL}/generate/${id}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  return handleApiResponse(response);
+}
\ No newline at end of file
@@ -0,0 +1,227 @@
+import { handleApiResponse } from '@/lib/utils/api-utils';
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+/**
+ * Get the organizations the current user belongs to
+ * @returns {Promise<Object>} Organizations
+ */
+export async function getOrganizations() {
+  const response = await fetch(`${API_BASE_URL}/organizations`, {
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+
+  return handleApiResponse(response);
+}
+
+/**
+ * Get an organization by ID
+ * @param {string} id - Organization ID
+ * @returns {Promise<Object>} Organization with its members
+ */
+export async function getOrganization(id) {
+  const response = await fetch(`${API_BASE_URL}/organizations/${id}`, {
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+
+  return handleApiResponse(response);
+}
+
+/**
+ * Create an organization owned by the current user
+ * @param {Object} organization - { name, description }
+ * @returns {Promise<Object>} The created organization
+ */
+export async function createOrganization(organization) {
+  const response = await fetch(`${API_BASE_URL}/organizations`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    body: JSON.stringify(organization)
+  });
+
+  return handleApiResponse(response);
+}
+
+/**
+ * Update an organization's name or description
+ * @param {string} id - Organization ID
+ * @param {Object} updates - { name, description }
+ * @returns {Promise<Object>} The updated organization
+ */
+export async function updateOrganization(id, updates) {
+  const response = await fetch(`${API_BASE_URL}/organizations/${id}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    body: JSON.stringify(updates)
+  });
+
+  return handleApiResponse(response);
+}
+
+/**
+ * Delete an organization along with its design systems
+ * @param {string} id - Organization ID
+ * @returns {Promise<Object>} Response
+ */
+export async function deleteOrganization(id) {
+  const response = await fetch(`${API_BASE_URL}/organizations/${id}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+
+  return handleApiResponse(response);
+}
+
+/**
+ * Change a member's role
+ * @param {string} organizationId - Organization ID
+ * @param {string} userId - ID of the member
+ * @param {string} role - 'admin' or 'member'
+ * @returns {Promise<Object>} The updated organization
+ */
+export async function updateMemberRole(organizationId, userId, role) {
+  const response = await fetch(`${API_BASE_URL}/organizations/${organizationId}/members/${userId}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    body: JSON.stringify({ role })
+  });
+
+  return handleApiResponse(response);
+}
+
+/**
+ * Remove a member from an organization
+ * @param {string} organizationId - Organization ID
+ * @param {string} userId - ID of the member
+ * @returns {Promise<Object>} The updated organization
+ */
+export async function removeMember(organizationId, userId) {
+  const response = await fetch(`${API_BASE_URL}/organizations/${organizationId}/members/${userId}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+
+  return handleApiResponse(response);
+}
+
+/**
+ * Invite someone to an organization by email
+ * @param {string} organizationId - Organization ID
+ * @param {Object} invitation - { email, role }
+ * @returns {Promise<Object>} The created invitation
+ */
+export async function inviteMember(organizationId, invitation) {
+  const response = await fetch(`${API_BASE_URL}/organizations/${organizationId}/invitations`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    body: JSON.stringify(invitation)
+  });
+
+  return handleApiResponse(response);
+}
+
+/**
+ * Get the pending invitations of an organization
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} Pending invitations
+ */
+export async function getInvitations(organizationId) {
+  const response = await fetch(`${API_BASE_URL}/organizations/${organizationId}/invitations`, {
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+
+  return handleApiResponse(response);
+}
+
+/**
+ * Revoke a pending invitation
+ * @param {string} organizationId - Organization ID
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<Object>} The revoked invitation
+ */
+export async function revokeInvitation(organizationId, invitationId) {
+  const response = await fetch(`${API_BASE_URL}/organizations/${organizationId}/invitations/${invitationId}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+
+  return handleApiResponse(response);
+}
+
+/**
+ * Get the pending invitations sent to the current user
+ * @returns {Promise<Object>} Pending invitations
+ */
+export async function getMyInvitations() {
+  const response = await fetch(`${API_BASE_URL}/invitations`, {
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+
+  return handleApiResponse(response);
+}
+
+/**
+ * Get an invitation by the token from its email link
+ * @param {string} token - Invitation token
+ * @returns {Promise<Object>} The invitation
+ */
+export async function getInvitation(token) {
+  const response = await fetch(`${API_BASE_URL}/invitations/${token}`);
+
+  return handleApiResponse(response);
+}
+
+/**
+ * Accept an invitation as the current user
+ * @param {string} token - Invitation token
+ * @returns {Promise<Object>} The joined organization
+ */
+export async function acceptInvitation(token) {
+  const response = await fetch(`${API_BASE_URL}/invitations/${token}/accept`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+
+  return handleApiResponse(response);
+}
+
+/**
+ * Decline an invitation
+ * @param {string} token - Invitation token
+ * @returns {Promise<Object>} Response data
+ */
+export async function declineInvitation(token) {
+  const response = await fetch(`${API_BASE_URL}/invitations/${token}/decline`, {
+    method: 'POST'
+  });
+
+  return handleApiResponse(response);
+}
\ No newline at end of file
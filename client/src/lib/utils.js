@@ -78,4 +78,20 @@ export function debounce(func, wait) {
     clearTimeout(timeout);
     timeout = setTimeout(() => func.apply(context, args), wait);
   };
+}
+
+/**
+ * Trigger a browser download for a blob
+ * @param {Blob} blob - The file contents
+ * @param {string} fileName - The name of the downloaded file
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  
+  URL.revokeObjectURL(url);
 }
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * Collect the variable collections that have more than one mode
+ * @param {Object} tokens - Design system tokens by category
+ * @returns {Array<{ collection: string, modes: string[], defaultMode: string }>} Collections with modes
+ */
+export function getVariableModes(tokens = {}) {
+  const collections = {};
+
+  for (const categoryTokens of Object.values(tokens)) {
+    for (const token of Object.values(categoryTokens || {})) {
+      if (!token || !token.collection || !token.modes) continue;
+
+      if (!collections[token.collection]) {
+        collections[token.collection] = {
+          collection: token.collection,
+          modes: [],
+          defaultMode: token.defaultMode
+        };
+      }
+
+      for (const mode of Object.keys(token.modes)) {
+        if (!collections[token.collection].modes.includes(mode)) {
+          collections[token.collection].modes.push(mode);
+        }
+      }
+    }
+  }
+
+  return Object.values(collections).filter(({ modes }) => modes.length > 1);
+}
+
+/**
+ * Apply the selected mode of each collection to the tokens
+ * Tokens without a value for the selected mode keep their default value
+ * @param {Object} tokens - Design system tokens by category
+ * @param {Object} selectedModes - Selected mode name by collection name
+ * @returns {Object} Tokens with mode values applied
+ */
+export function applyVariableModes(tokens = {}, selectedModes = {}) {
+  const resolved = {};
+
+  for (const [category, categoryTokens] of Object.entries(tokens)) {
+    resolved[category] = {};
+
+    for (const [name, token] of Object.entries(categoryTokens || {})) {
+      const mode = token && token.collection ? selectedModes[token.collection] : null;
+      const modeValue = mode && token.modes ? token.modes[mode] : null;
+
+      resolved[category][name] = modeValue ? { ...token, ...modeValue } : token;
+    }
+  }
+
+  return resolved;
+}
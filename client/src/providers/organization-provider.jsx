@@ -0,0 +1,86 @@
+"use client";
+
+import { createContext, useContext, useEffect, useState } from 'react';
+import { getOrganizations } from '@/lib/api/organizations';
+import { useAuth } from '@/providers/auth-provider';
+
+// Remembers the selected organization between visits
+const STORAGE_KEY = 'organizationId';
+
+const OrganizationContext = createContext(null);
+
+export function OrganizationProvider({ children }) {
+  const { user, isAuthenticated } = useAuth();
+  const [organizations, setOrganizations] = useState([]);
+  const [currentOrganizationId, setCurrentOrganizationId] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      setCurrentOrganizationId(localStorage.getItem(STORAGE_KEY));
+      fetchOrganizations();
+    } else {
+      setOrganizations([]);
+      setCurrentOrganizationId(null);
+    }
+  }, [isAuthenticated]);
+
+  const fetchOrganizations = async () => {
+    try {
+      setLoading(true);
+      const data = await getOrganizations();
+      setOrganizations(data.organizations || []);
+
+      // Forget an organization the user no longer belongs to
+      const storedId = localStorage.getItem(STORAGE_KEY);
+      if (storedId && !(data.organizations || []).some(organization => organization._id === storedId)) {
+        selectOrganization(null);
+      }
+    } catch (error) {
+      console.error('Error fetching organizations:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectOrganization = (organizationId) => {
+    if (organizationId) {
+      localStorage.setItem(STORAGE_KEY, organizationId);
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+    setCurrentOrganizationId(organizationId);
+  };
+
+  const currentOrganization = organizations.find(organization => organization._id === currentOrganizationId) || null;
+
+  // The current user's role in an organization
+  const getRole = (organization) => {
+    const member = organization?.members.find(member => member.user && member.user._id === user?.id);
+    return member ? member.role : null;
+  };
+
+  return (
+    <OrganizationContext.Provider
+      value={{
+        organizations,
+        currentOrganization,
+        currentRole: getRole(currentOrganization),
+        loading,
+        selectOrganization,
+        getRole,
+        refreshOrganizations: fetchOrganizations
+      }}
+    >
+      {children}
+    </OrganizationContext.Provider>
+  );
+}
+
+export const useOrganization = () => {
+  const context = useContext(OrganizationContext);
+  if (context === null) {
+    throw new Error('useOrganization must be used within an OrganizationProvider');
+  }
+  return context;
+};
\ No newline at end of file
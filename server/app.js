@@ -14,6 +14,9 @@ const figmaRoutes = require('./routes/figmaRoutes');
 const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
 const organizationRoutes = require('./routes/organizationRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const generationRoutes = require('./routes/generationRoutes');
+const designSystemRoutes = require('./routes/designSystemRoutes');
 
 // Connect to database
 connectDB();
@@ -32,7 +35,6 @@ if (process.env.NODE_ENV === 'development') {
 
 // Security middleware
 app.use(helmet());
-app.use(xss());
 app.use(mongoSanitize());
 app.use(hpp());
 
@@ -49,11 +51,21 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Design system routes take source code and generation routes take prompts, both meant to
+// contain markup that is only parsed or sent to a model, never rendered, so they're mounted
+// before xss-clean escapes it
+app.use('/api/design-systems', designSystemRoutes);
+app.use('/api/generate', generationRoutes);
+
+// Escape HTML in the input of every other route
+app.use(xss());
+
 // Mount routers
 app.use('/api/figma', figmaRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/organizations', organizationRoutes);
+app.use('/api/invitations', invitationRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -1,14 +1,45 @@
+// Read an integer setting, keeping explicit zeros (e.g. FIGMA_MAX_RETRIES=0 disables retries)
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
 module.exports = {
     port: process.env.PORT || 5000,
     nodeEnv: process.env.NODE_ENV || 'development',
     mongoURI: process.env.MONGO_URI,
     jwtSecret: process.env.JWT_SECRET,
     jwtExpire: process.env.JWT_EXPIRE,
+    // Where links in emails point to
+    clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
+    invitations: {
+      expireDays: parseInt(process.env.INVITATION_EXPIRE_DAYS, 10) || 7
+    },
     figmaAPI: {
-      baseURL: 'https://api.figma.com/v1',
+      baseURL: process.env.FIGMA_API_URL || 'https://api.figma.com/v1',
       clientId: process.env.FIGMA_CLIENT_ID,
       clientSecret: process.env.FIGMA_CLIENT_SECRET,
-      redirectUri: process.env.FIGMA_REDIRECT_URI
+      redirectUri: process.env.FIGMA_REDIRECT_URI,
+      maxRetries: readInt(process.env.FIGMA_MAX_RETRIES, 5),
+      retryBaseDelay: readInt(process.env.FIGMA_RETRY_BASE_DELAY, 1000),
+      maxRetryDelay: readInt(process.env.FIGMA_MAX_RETRY_DELAY, 60000),
+      maxConcurrentRequests: readInt(process.env.FIGMA_MAX_CONCURRENT_REQUESTS, 4),
+      cache: {
+        maxFiles: readInt(process.env.FIGMA_CACHE_MAX_FILES, 10),
+        maxNodes: readInt(process.env.FIGMA_CACHE_MAX_NODES, 5000),
+        // Persist cached responses on disk when set
+        dir: process.env.FIGMA_CACHE_DIR || null
+      }
+    },
+    generation: {
+      // Model provider for prompt-to-UI generation ('stub' runs offline and is deterministic)
+      provider: process.env.GENERATION_PROVIDER || 'stub',
+      apiUrl: process.env.GENERATION_API_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.GENERATION_API_KEY,
+      model: process.env.GENERATION_MODEL || 'gpt-4o-mini',
+      timeout: parseInt(process.env.GENERATION_TIMEOUT, 10) || 60000,
+      // Attempts per generation; later attempts get the validation issues as feedback
+      maxAttempts: parseInt(process.env.GENERATION_MAX_ATTEMPTS, 10) || 2
     },
     email: {
       host: process.env.EMAIL_HOST || 'smtp.mailtrap.io',
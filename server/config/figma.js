@@ -4,5 +4,10 @@ module.exports = {
   baseURL: config.figmaAPI.baseURL,
   clientId: config.figmaAPI.clientId,
   clientSecret: config.figmaAPI.clientSecret,
-  redirectUri: config.figmaAPI.redirectUri
+  redirectUri: config.figmaAPI.redirectUri,
+  maxRetries: config.figmaAPI.maxRetries,
+  retryBaseDelay: config.figmaAPI.retryBaseDelay,
+  maxRetryDelay: config.figmaAPI.maxRetryDelay,
+  maxConcurrentRequests: config.figmaAPI.maxConcurrentRequests,
+  cache: config.figmaAPI.cache
 };
\ No newline at end of file
@@ -0,0 +1,193 @@
+// server/controllers/__tests__/extractionJobs.test.js
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const config = require('../../config/default');
+const User = require('../../models/User');
+const ExtractionJob = require('../../models/ExtractionJob');
+const { extractionJobRunner, designSystemStore } = require('../../services');
+const figmaRoutes = require('../../routes/figmaRoutes');
+
+const user = { _id: new mongoose.Types.ObjectId(), id: null, role: 'user' };
+user.id = user._id.toString();
+
+const app = express();
+app.use(express.json());
+app.use('/api/figma', figmaRoutes);
+
+const token = jwt.sign({ id: user.id }, config.jwtSecret);
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+/**
+ * Read a whole event stream and split it into events
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Array>} The events, as { event, data }
+ */
+const readEvents = async (jobId) => {
+  const response = await request(app)
+    .get(`/api/figma/extraction-jobs/${jobId}/events`)
+    .set('Authorization', `Bearer ${token}`)
+    .timeout(2000)
+    .buffer(true)
+    .parse((res, callback) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => callback(null, text));
+    });
+
+  return response.body.split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+};
+
+describe('extraction job progress', () => {
+  let job;
+  let stored;
+  let writesReleased;
+  let finishExtraction;
+  let onRead;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    job = new ExtractionJob({ fileKey: 'file-key', userId: user._id });
+    stored = job.toObject();
+    writesReleased = Promise.resolve();
+    onRead = () => Promise.resolve();
+
+    // Stands in for the jobs collection; a read returns the job as it was stored when the read started
+    jest.spyOn(ExtractionJob, 'updateOne').mockImplementation((filter, { $set }) =>
+      writesReleased.then(() => { Object.assign(stored, $set); })
+    );
+    jest.spyOn(ExtractionJob, 'findById').mockImplementation(async () => {
+      const copy = JSON.parse(JSON.stringify(stored));
+      await onRead();
+      return new ExtractionJob(copy);
+    });
+
+    const extraction = deferred();
+    finishExtraction = () => extraction.resolve({
+      name: 'Acme UI',
+      extractionReport: { complete: true, nodes: null, previews: null },
+      extractionMetrics: {}
+    });
+    jest.spyOn(extractionJobRunner, 'extractDesignSystem').mockImplementation((figmaApi, fileKey, onProgress) => {
+      onProgress('file', 1, 'Fetched "Acme UI"');
+      return extraction.promise;
+    });
+    jest.spyOn(designSystemStore, 'saveDesignSystem').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), name: 'Acme UI' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Run the job the way startJob does
+   * @returns {Promise<void>} Resolves once the job has finished and left the active jobs
+   */
+  const runJob = () => {
+    extractionJobRunner.activeJobs.add(job._id.toString());
+    return extractionJobRunner.runJob(job, {});
+  };
+
+  const waitForEvent = (status) => new Promise(resolve => {
+    const unsubscribe = extractionJobRunner.subscribe(job._id.toString(), (snapshot) => {
+      if (snapshot.status === status) {
+        unsubscribe();
+        resolve(snapshot);
+      }
+    });
+  });
+
+  test('streams progress until the job completes', async () => {
+    const run = runJob();
+    const events = readEvents(job._id.toString());
+
+    // Once the stream has read the job, let the extraction finish
+    onRead = () => Promise.resolve().then(() => setImmediate(finishExtraction));
+
+    const received = await events;
+    await run;
+
+    expect(received[0].event).toBe('progress');
+    expect(received[received.length - 1].event).toBe('completed');
+    expect(received[received.length - 1].data.percent).toBe(100);
+  });
+
+  test('sends the final event when the job completes between the read and the subscribe', async () => {
+    // Hold the database writes, so the job is still running in the database when the read resolves
+    const release = deferred();
+    writesReleased = release.promise;
+    const run = runJob();
+
+    onRead = async () => {
+      const completed = waitForEvent('completed');
+      finishExtraction();
+      await completed;
+    };
+
+    const received = await readEvents(job._id.toString());
+
+    expect(stored.status).not.toBe('completed');
+    expect(received.map(({ event }) => event)).toEqual(['completed']);
+    expect(received[0].data.designSystemId).toEqual(expect.any(String));
+
+    release.resolve();
+    await run;
+  });
+
+  test("doesn't fail a job that completed and left the active jobs while being read", async () => {
+    const run = runJob();
+    await new Promise(resolve => setImmediate(resolve));
+
+    onRead = async () => {
+      onRead = () => Promise.resolve();
+      finishExtraction();
+      await run;
+    };
+
+    const received = await readEvents(job._id.toString());
+
+    expect(received.map(({ event }) => event)).toEqual(['completed']);
+    expect(stored.status).toBe('completed');
+  });
+
+  test('reports the latest state of a running job, ahead of the database', async () => {
+    const release = deferred();
+    writesReleased = release.promise;
+    const run = runJob();
+
+    const response = await request(app)
+      .get(`/api/figma/extraction-jobs/${job._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(stored.status).toBe('queued');
+    expect(response.body.job).toMatchObject({ status: 'running', stage: 'file', message: 'Fetched "Acme UI"' });
+
+    finishExtraction();
+    release.resolve();
+    await run;
+  });
+
+  test('marks jobs left unfinished by another process as failed', async () => {
+    const received = await readEvents(job._id.toString());
+
+    expect(received.map(({ event }) => event)).toEqual(['failed']);
+    expect(received[0].data.error).toBe('Extraction was interrupted. Please start it again.');
+  });
+});
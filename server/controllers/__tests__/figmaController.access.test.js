@@ -0,0 +1,160 @@
+// server/controllers/__tests__/figmaController.access.test.js
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const config = require('../../config/default');
+const User = require('../../models/User');
+const Organization = require('../../models/Organization');
+const { designSystemStore, designSystemHistory } = require('../../services');
+const figmaRoutes = require('../../routes/figmaRoutes');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const users = {
+  owner: { _id: id(), role: 'user' },
+  admin: { _id: id(), role: 'user' },
+  member: { _id: id(), role: 'user' },
+  outsider: { _id: id(), role: 'user' },
+  siteAdmin: { _id: id(), role: 'admin' }
+};
+for (const user of Object.values(users)) {
+  user.id = user._id.toString();
+}
+
+const organizationId = id();
+const organization = {
+  _id: organizationId,
+  members: [
+    { user: users.owner._id, role: 'owner' },
+    { user: users.admin._id, role: 'admin' },
+    { user: users.member._id, role: 'member' }
+  ]
+};
+
+const designSystem = {
+  _id: id(),
+  name: 'Acme UI',
+  userId: users.owner._id,
+  organizationId,
+  figmaFileKey: 'file-key',
+  version: 2
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/figma', figmaRoutes);
+
+const tokenFor = (user) => jwt.sign({ id: user.id }, config.jwtSecret);
+
+// The routes each permission guards
+const routes = {
+  get: (agent) => agent.get(`/api/figma/design-systems/${designSystem._id}`),
+  export: (agent) => agent.get(`/api/figma/export/${designSystem._id}?format=json`),
+  sync: (agent) => agent.post(`/api/figma/design-systems/${designSystem._id}/sync`),
+  restore: (agent) => agent.post(`/api/figma/design-systems/${designSystem._id}/versions/1/restore`),
+  delete: (agent) => agent.delete(`/api/figma/design-systems/${designSystem._id}`)
+};
+
+const send = (route, user) => routes[route](request(app)).set('Authorization', `Bearer ${tokenFor(user)}`);
+
+describe('figmaController design system access', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    jest.spyOn(User, 'findById').mockImplementation((userId) =>
+      Promise.resolve(Object.values(users).find(user => user.id === userId.toString()) || null)
+    );
+    jest.spyOn(Organization, 'findById').mockImplementation(() => ({
+      select: jest.fn().mockResolvedValue(organization)
+    }));
+
+    jest.spyOn(designSystemStore, 'getDesignSystemById').mockResolvedValue(designSystem);
+    jest.spyOn(designSystemStore, 'exportDesignSystem').mockResolvedValue({ name: designSystem.name });
+    jest.spyOn(designSystemStore, 'deleteDesignSystem').mockResolvedValue(true);
+    jest.spyOn(designSystemHistory, 'getVersion').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('member', () => {
+    test.each(['get', 'export'])('may %s the design system', async (route) => {
+      const response = await send(route, users.member);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+    });
+
+    test('is told it can view but not edit or delete', async () => {
+      const response = await send('get', users.member);
+
+      expect(response.body.access).toEqual({ role: 'member', canEdit: false, canDelete: false });
+    });
+
+    test.each(['sync', 'restore', 'delete'])('may not %s the design system', async (route) => {
+      const response = await send(route, users.member);
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ success: false, error: `Not authorized to ${route} this design system` });
+    });
+
+    test("doesn't reach the store when deleting", async () => {
+      await send('delete', users.member);
+
+      expect(designSystemStore.deleteDesignSystem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe.each(['owner', 'admin', 'siteAdmin'])('%s', (role) => {
+    test('may delete the design system', async () => {
+      const response = await send('delete', users[role]);
+
+      expect(response.status).toBe(200);
+      expect(designSystemStore.deleteDesignSystem).toHaveBeenCalledWith(designSystem._id.toString());
+    });
+
+    test('gets past the permission check on restore', async () => {
+      // The version doesn't exist, which is only checked once the user may restore
+      const response = await send('restore', users[role]);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('is told it can edit and delete', async () => {
+      const response = await send('get', users[role]);
+
+      expect(response.body.access).toMatchObject({ canEdit: true, canDelete: true });
+    });
+  });
+
+  describe('non-member', () => {
+    test.each(['get', 'export', 'sync', 'restore', 'delete'])('may not %s the design system', async (route) => {
+      const response = await send(route, users.outsider);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  test.each(['constructor', 'toString', '__proto__', 'hasOwnProperty'])('rejects the export format %s', async (format) => {
+    const response = await request(app)
+      .get(`/api/figma/export/${designSystem._id}?format=${format}`)
+      .set('Authorization', `Bearer ${tokenFor(users.owner)}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe(`Unsupported export format: ${format}`);
+    expect(designSystemStore.exportDesignSystem).not.toHaveBeenCalled();
+  });
+
+  test('answers 404 for design systems that do not exist', async () => {
+    designSystemStore.getDesignSystemById.mockResolvedValue(null);
+
+    const response = await send('get', users.owner);
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,290 @@
+// server/controllers/__tests__/generation.test.js
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const config = require('../../config/default');
+const User = require('../../models/User');
+const Generation = require('../../models/Generation');
+const { designSystemStore } = require('../../services');
+const StubProvider = require('../../services/generation/providers/stubProvider');
+const generationRoutes = require('../../routes/generationRoutes');
+const errorHandler = require('../../middleware/errorHandler');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const users = {
+  owner: { _id: id(), role: 'user' },
+  other: { _id: id(), role: 'user' },
+  siteAdmin: { _id: id(), role: 'admin' }
+};
+for (const user of Object.values(users)) {
+  user.id = user._id.toString();
+}
+
+// A personal design system of the owner, so no organization lookup is needed
+const designSystem = {
+  _id: id(),
+  name: 'Acme UI',
+  version: 2,
+  userId: users.owner._id,
+  organizationId: null,
+  tokens: {
+    colors: {
+      'color/background': { name: 'background', value: '#ffffff' },
+      'color/text': { name: 'text', value: '#111827' }
+    },
+    spacing: {
+      'spacing/md': { name: 'md', value: '16px' },
+      'spacing/lg': { name: 'lg', value: '24px' }
+    },
+    typography: {
+      heading: { name: 'heading', fontFamily: 'Inter', fontWeight: 700, fontSize: '32px', lineHeight: '40px' }
+    }
+  },
+  components: [],
+  componentSets: {}
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/generate', generationRoutes);
+app.use(errorHandler);
+
+const sessionFor = (user) => `Bearer ${jwt.sign({ id: user.id }, config.jwtSecret)}`;
+
+const generate = (body, user = users.owner) =>
+  request(app).post('/api/generate').set('Authorization', sessionFor(user)).send(body);
+
+describe('generation', () => {
+  // In-memory stand-in for the generations collection
+  let generations;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    generations = [];
+
+    jest.spyOn(User, 'findById').mockImplementation((userId) =>
+      Promise.resolve(Object.values(users).find(user => user.id === userId.toString()) || null)
+    );
+    jest.spyOn(designSystemStore, 'getDesignSystemById').mockImplementation((designSystemId) =>
+      Promise.resolve(String(designSystemId) === designSystem._id.toString() ? designSystem : null)
+    );
+
+    jest.spyOn(Generation, 'create').mockImplementation(async (fields) => {
+      const generation = new Generation(fields);
+      await generation.validate();
+      generations.push(generation);
+      return generation;
+    });
+    jest.spyOn(Generation, 'findById').mockImplementation((generationId) =>
+      Promise.resolve(generations.find(generation => generation.id === String(generationId)) || null)
+    );
+    jest.spyOn(Generation, 'find').mockImplementation((filter) => {
+      const query = {
+        sort: jest.fn(() => query),
+        limit: jest.fn(() => Promise.resolve(
+          generations.filter(generation => String(generation.userId) === filter.userId).reverse()
+        ))
+      };
+      return query;
+    });
+    jest.spyOn(Generation.prototype, 'deleteOne').mockImplementation(function() {
+      generations = generations.filter(generation => generation !== this);
+      return Promise.resolve();
+    });
+
+    jest.spyOn(StubProvider.prototype, 'generate');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/generate', () => {
+    test('saves the screen the stub provider builds from the design system tokens', async () => {
+      const response = await generate({ prompt: 'A settings page', designSystemId: designSystem._id });
+
+      expect(response.status).toBe(201);
+      expect(response.body.generation).toMatchObject({
+        prompt: 'A settings page',
+        provider: 'stub',
+        model: 'stub',
+        status: 'completed',
+        designSystemVersion: '2',
+        issues: [],
+        attempts: 1
+      });
+      expect(response.body.generation.code).toContain('className="flex flex-col gap-md p-lg bg-background font-inter"');
+      expect(generations).toHaveLength(1);
+    });
+
+    test('builds the same screen for the same prompt', async () => {
+      const first = await generate({ prompt: 'A settings page', designSystemId: designSystem._id });
+      const second = await generate({ prompt: 'A settings page', designSystemId: designSystem._id });
+
+      expect(second.body.generation.code).toBe(first.body.generation.code);
+    });
+
+    test('keeps markup in the prompt as written', async () => {
+      const response = await generate({ prompt: 'a card with a <button>', designSystemId: designSystem._id });
+
+      expect(response.status).toBe(201);
+      expect(response.body.generation.prompt).toBe('a card with a <button>');
+      expect(StubProvider.prototype.generate.mock.calls[0][0].messages[1]).toEqual({ role: 'user', content: 'a card with a <button>' });
+    });
+
+    test.each([
+      ['a missing prompt', { designSystemId: designSystem._id }, 'Please provide a prompt and a design system'],
+      ['a blank prompt', { prompt: '   ', designSystemId: designSystem._id }, 'Please provide a prompt and a design system'],
+      ['a missing design system', { prompt: 'A settings page' }, 'Please provide a prompt and a design system'],
+      ['a prompt over 2000 characters', { prompt: 'x'.repeat(2001), designSystemId: designSystem._id }, 'Prompt can not be more than 2000 characters']
+    ])('rejects %s', async (label, body, error) => {
+      const response = await generate(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(error);
+      expect(generations).toHaveLength(0);
+    });
+
+    test('answers 404 for design systems that do not exist', async () => {
+      const response = await generate({ prompt: 'A settings page', designSystemId: id() });
+
+      expect(response.status).toBe(404);
+    });
+
+    test("doesn't generate with a design system the user can't view", async () => {
+      const response = await generate({ prompt: 'A settings page', designSystemId: designSystem._id }, users.other);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Not authorized to access this design system');
+      expect(StubProvider.prototype.generate).not.toHaveBeenCalled();
+    });
+
+    test('saves a failed generation and answers 502 when the provider fails', async () => {
+      StubProvider.prototype.generate.mockRejectedValueOnce(new Error('Model unavailable'));
+
+      const response = await generate({ prompt: 'A settings page', designSystemId: designSystem._id });
+
+      expect(response.status).toBe(502);
+      expect(response.body.error).toBe('Model unavailable');
+      expect(response.body.generation).toMatchObject({ status: 'failed', error: 'Model unavailable', attempts: 1, code: '' });
+      expect(generations).toHaveLength(1);
+      expect(generations[0].status).toBe('failed');
+      expect(generations[0].prompt).toBe('A settings page');
+    });
+
+    test('sends the validation issues back to the provider and keeps the fixed code', async () => {
+      StubProvider.prototype.generate.mockResolvedValueOnce({
+        text: '```jsx\nexport default function GeneratedScreen() {\n  return <div className="bg-[#ff0000] p-md">Hi</div>;\n}\n```',
+        model: 'stub'
+      });
+
+      const response = await generate({ prompt: 'A settings page', designSystemId: designSystem._id });
+
+      expect(response.status).toBe(201);
+      expect(response.body.generation.attempts).toBe(2);
+      expect(response.body.generation.issues).toEqual([]);
+
+      const { messages } = StubProvider.prototype.generate.mock.calls[1][0];
+      expect(messages[messages.length - 2].role).toBe('assistant');
+      expect(messages[messages.length - 2].content).toContain('bg-[#ff0000]');
+      expect(messages[messages.length - 1].role).toBe('user');
+      expect(messages[messages.length - 1].content).toMatch(/^Fix these issues and return the complete file again:\n- Hard-coded color #ff0000/);
+    });
+
+    test('keeps the issues of the last attempt when none is clean', async () => {
+      StubProvider.prototype.generate.mockResolvedValue({
+        text: 'export default function GeneratedScreen() {\n  return <Card>Hi</Card>;\n}\n',
+        model: 'stub'
+      });
+
+      const response = await generate({ prompt: 'A settings page', designSystemId: designSystem._id });
+
+      expect(response.status).toBe(201);
+      expect(StubProvider.prototype.generate).toHaveBeenCalledTimes(config.generation.maxAttempts);
+      expect(response.body.generation.attempts).toBe(config.generation.maxAttempts);
+      expect(response.body.generation.issues).toEqual(['<Card> is not a component of the design system']);
+    });
+
+    describe('with an unknown GENERATION_PROVIDER', () => {
+      const configuredProvider = config.generation.provider;
+
+      beforeEach(() => {
+        config.generation.provider = 'unknown-model';
+      });
+
+      afterEach(() => {
+        config.generation.provider = configuredProvider;
+      });
+
+      test('answers 500 without saving a generation', async () => {
+        const response = await generate({ prompt: 'A settings page', designSystemId: designSystem._id });
+
+        expect(response.status).toBe(500);
+        expect(response.body.error).toBe('Unknown generation provider: unknown-model');
+        expect(generations).toHaveLength(0);
+      });
+    });
+  });
+
+  describe('GET and DELETE /api/generate/:id', () => {
+    let generation;
+
+    beforeEach(async () => {
+      generation = (await generate({ prompt: 'A settings page', designSystemId: designSystem._id })).body.generation;
+    });
+
+    test('returns the generation to its owner', async () => {
+      const response = await request(app).get(`/api/generate/${generation._id}`).set('Authorization', sessionFor(users.owner));
+
+      expect(response.status).toBe(200);
+      expect(response.body.generation.code).toBe(generation.code);
+    });
+
+    test('lists the generations of the current user only', async () => {
+      const own = await request(app).get('/api/generate').set('Authorization', sessionFor(users.owner));
+      const others = await request(app).get('/api/generate').set('Authorization', sessionFor(users.other));
+
+      expect(own.body.count).toBe(1);
+      expect(others.body.count).toBe(0);
+    });
+
+    test('rejects an invalid design system filter', async () => {
+      const response = await request(app).get('/api/generate?designSystemId=nope').set('Authorization', sessionFor(users.owner));
+
+      expect(response.status).toBe(400);
+    });
+
+    test.each(['get', 'delete'])("doesn't let other users %s it", async (method) => {
+      const response = await request(app)[method](`/api/generate/${generation._id}`).set('Authorization', sessionFor(users.other));
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Not authorized to access this generation');
+      expect(generations).toHaveLength(1);
+    });
+
+    test('lets site admins read it', async () => {
+      const response = await request(app).get(`/api/generate/${generation._id}`).set('Authorization', sessionFor(users.siteAdmin));
+
+      expect(response.status).toBe(200);
+    });
+
+    test('deletes it for its owner', async () => {
+      const response = await request(app).delete(`/api/generate/${generation._id}`).set('Authorization', sessionFor(users.owner));
+
+      expect(response.status).toBe(200);
+      expect(generations).toHaveLength(0);
+    });
+
+    test('answers 404 for generations that do not exist', async () => {
+      const response = await request(app).get(`/api/generate/${id()}`).set('Authorization', sessionFor(users.owner));
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+// server/controllers/__tests__/importDesignSystem.test.js
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const config = require('../../config/default');
+const User = require('../../models/User');
+const { designSystemStore } = require('../../services');
+const figmaRoutes = require('../../routes/figmaRoutes');
+const errorHandler = require('../../middleware/errorHandler');
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+user.id = user._id.toString();
+
+const app = express();
+app.use(express.json());
+app.use('/api/figma', figmaRoutes);
+app.use(errorHandler);
+
+const importDocument = (designSystem) => request(app)
+  .post('/api/figma/import')
+  .set('Authorization', `Bearer ${jwt.sign({ id: user.id }, config.jwtSecret)}`)
+  .send({ designSystem });
+
+describe('importing design tokens', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(designSystemStore, 'saveDesignSystem').mockImplementation((data) =>
+      Promise.resolve({ _id: new mongoose.Types.ObjectId(), ...data })
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('saves a DTCG document', async () => {
+    const response = await importDocument({ colors: { $type: 'color', primary: { $value: '#2563eb' } } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.designSystem.tokens.colors.primary.hex).toBe('#2563eb');
+  });
+
+  test.each([
+    ['dangling', { colors: { $type: 'color', primary: { $value: '{colors.missing}' } } }, 'colors.primary'],
+    ['circular', { colors: { $type: 'color', a: { $value: '{colors.b}' }, b: { $value: '{colors.a}' } } }, 'colors.a']
+  ])('answers 400 with the path of a %s reference', async (label, document, path) => {
+    const response = await importDocument(document);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ success: false, path });
+    expect(response.body.error).toMatch(new RegExp(`^Invalid token ${path}: `));
+    expect(designSystemStore.saveDesignSystem).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,492 @@
+// server/controllers/__tests__/invitations.test.js
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.JWT_EXPIRE = process.env.JWT_EXPIRE || '1h';
+
+const net = require('net');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const config = require('../../config/default');
+const User = require('../../models/User');
+const Organization = require('../../models/Organization');
+const Invitation = require('../../models/Invitation');
+const { invitationService } = require('../../services');
+const authRoutes = require('../../routes/authRoutes');
+const organizationRoutes = require('../../routes/organizationRoutes');
+const invitationRoutes = require('../../routes/invitationRoutes');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Start a local SMTP stand-in that keeps the messages it receives
+ * @param {Object} [options] - { rejectRecipients } to answer RCPT TO with a permanent failure
+ * @returns {Promise<Object>} { port, messages, close }
+ */
+const startSmtpServer = (options = {}) => new Promise((resolve) => {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let data = null;
+    let recipients = [];
+
+    socket.write('220 localhost ESMTP test\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+
+      let lineEnd;
+      while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            messages.push({ recipients, body: data.join('\n') });
+            data = null;
+            recipients = [];
+            socket.write('250 OK\r\n');
+          } else {
+            data.push(line.replace(/^\.\./, '.'));
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') socket.write('250 localhost\r\n');
+        else if (command === 'MAIL') socket.write('250 OK\r\n');
+        else if (command === 'RCPT' && options.rejectRecipients) socket.write('550 Mailbox unavailable\r\n');
+        else if (command === 'RCPT') {
+          recipients.push(line.replace(/^RCPT TO:\s*<?([^>]*)>?.*$/i, '$1'));
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      port: server.address().port,
+      messages,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+/**
+ * Decode a quoted-printable email body
+ * @param {string} body - The raw body
+ * @returns {string} The text
+ */
+const decodeBody = (body) => body
+  .replace(/=\n/g, '')
+  .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/invitations', invitationRoutes);
+
+const owner = new User({ name: 'Olivia Owner', email: 'owner@example.com', password: 'secret123' });
+const member = new User({ name: 'Max Member', email: 'member@example.com', password: 'secret123' });
+const invitee = new User({ name: 'Ivy Invitee', email: 'ivy@example.com', password: 'secret123' });
+const users = [owner, member, invitee];
+
+const sessionFor = (user) => `Bearer ${jwt.sign({ id: user.id }, config.jwtSecret)}`;
+
+// In-memory stand-ins for the collections the invitation flow touches
+let invitations = [];
+let organization;
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  const value = doc[key];
+  if (condition && condition.$ne !== undefined) return String(value) !== String(condition.$ne);
+  if (condition && condition.$gt !== undefined) return value > condition.$gt;
+  return String(value) === String(condition);
+});
+
+const addInvitation = (fields = {}) => {
+  const invitation = new Invitation({
+    organizationId: organization._id,
+    email: invitee.email,
+    role: 'member',
+    invitedBy: owner._id,
+    expiresAt: new Date(Date.now() + 7 * DAY),
+    ...fields
+  });
+  invitations.push(invitation);
+  return invitation;
+};
+
+describe('invitations', () => {
+  let smtp;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    organization = new Organization({
+      name: 'Acme',
+      owner: owner._id,
+      members: [
+        { user: owner._id, role: 'owner' },
+        { user: member._id, role: 'member' }
+      ]
+    });
+    invitations = [];
+
+    jest.spyOn(User, 'findById').mockImplementation((id) =>
+      Promise.resolve(users.find(user => user.id === String(id)) || null)
+    );
+    jest.spyOn(User, 'find').mockImplementation(() => ({
+      select: jest.fn().mockResolvedValue(users.filter(user =>
+        organization.members.some(entry => String(entry.user) === user.id)
+      ))
+    }));
+    jest.spyOn(Organization, 'findById').mockImplementation((id) =>
+      Promise.resolve(String(id) === organization.id ? organization : null)
+    );
+    jest.spyOn(Organization.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    jest.spyOn(Invitation, 'create').mockImplementation((fields) => Promise.resolve(addInvitation(fields)));
+    jest.spyOn(Invitation, 'findById').mockImplementation((id) =>
+      Promise.resolve(invitations.find(invitation => invitation.id === String(id)) || null)
+    );
+    jest.spyOn(Invitation, 'findOne').mockImplementation((filter) =>
+      Promise.resolve(invitations.find(invitation => matches(invitation, filter)) || null)
+    );
+    jest.spyOn(Invitation, 'find').mockImplementation((filter) =>
+      Promise.resolve(invitations.filter(invitation => matches(invitation, filter)))
+    );
+    jest.spyOn(Invitation, 'updateMany').mockImplementation((filter, update) => {
+      invitations.filter(invitation => matches(invitation, filter)).forEach(invitation => invitation.set(update));
+      return Promise.resolve();
+    });
+    jest.spyOn(Invitation.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Invitation.prototype, 'deleteOne').mockImplementation(function() {
+      invitations = invitations.filter(invitation => invitation !== this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Invitation.prototype, 'populate').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    if (smtp) {
+      await smtp.close();
+      smtp = null;
+    }
+  });
+
+  /**
+   * Point sendEmail at a local SMTP stand-in
+   * @param {Object} [options] - Options for the stand-in
+   */
+  const useSmtpServer = async (options) => {
+    smtp = await startSmtpServer(options);
+    config.email.host = '127.0.0.1';
+    config.email.port = smtp.port;
+    config.email.user = undefined;
+  };
+
+  describe('tokens', () => {
+    test('resolve to the invitation they were signed for', async () => {
+      const invitation = addInvitation();
+
+      await expect(invitationService.getInvitationByToken(invitation.getSignedToken())).resolves.toBe(invitation);
+    });
+
+    test('expire with the invitation', () => {
+      const invitation = addInvitation({ expiresAt: new Date(Date.now() + DAY) });
+      const { exp } = jwt.decode(invitation.getSignedToken());
+
+      expect(exp * 1000).toBeGreaterThan(Date.now() + DAY - 5000);
+      expect(exp * 1000).toBeLessThanOrEqual(invitation.expiresAt.getTime() + 1000);
+    });
+
+    test.each([
+      ['a tampered token', () => addInvitation().getSignedToken().slice(0, -2) + 'xx'],
+      ['a session token', () => jwt.sign({ id: addInvitation().id }, config.jwtSecret)],
+      ['a token signed with another secret', () => jwt.sign({ id: addInvitation().id, type: 'invitation' }, 'other-secret')],
+      ['garbage', () => 'not-a-token']
+    ])('reject %s', async (label, createToken) => {
+      await expect(invitationService.getInvitationByToken(createToken())).resolves.toBeNull();
+    });
+
+    test("can't be used as a session", async () => {
+      const response = await request(app)
+        .get('/api/invitations')
+        .set('Authorization', `Bearer ${addInvitation().getSignedToken()}`);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('expired invitations', () => {
+    const createExpired = () => {
+      const invitation = addInvitation({ expiresAt: new Date(Date.now() - DAY) });
+      const token = jwt.sign(
+        { id: invitation._id, type: 'invitation', exp: Math.floor((Date.now() - DAY) / 1000) },
+        config.jwtSecret
+      );
+      return { invitation, token };
+    };
+
+    test('are reported as expired', async () => {
+      const { token } = createExpired();
+
+      const response = await request(app).get(`/api/invitations/${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.invitation.status).toBe('expired');
+    });
+
+    test("can't be accepted", async () => {
+      const { invitation, token } = createExpired();
+
+      const response = await request(app)
+        .post(`/api/invitations/${token}/accept`)
+        .set('Authorization', sessionFor(invitee));
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('This invitation has expired');
+      expect(invitation.status).toBe('expired');
+      expect(organization.members).toHaveLength(2);
+    });
+  });
+
+  describe('accepting', () => {
+    test('adds the invitee to the organization with the invited role', async () => {
+      const invitation = addInvitation({ role: 'admin' });
+
+      const response = await request(app)
+        .post(`/api/invitations/${invitation.getSignedToken()}/accept`)
+        .set('Authorization', sessionFor(invitee));
+
+      expect(response.status).toBe(200);
+      expect(invitation.status).toBe('accepted');
+      expect(organization.members.find(entry => String(entry.user) === invitee.id).role).toBe('admin');
+    });
+
+    test('is refused for a different email', async () => {
+      const invitation = addInvitation();
+
+      const response = await request(app)
+        .post(`/api/invitations/${invitation.getSignedToken()}/accept`)
+        .set('Authorization', sessionFor(member));
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toContain(invitee.email);
+      expect(invitation.status).toBe('pending');
+    });
+
+    test('only works once', async () => {
+      const invitation = addInvitation();
+      const token = invitation.getSignedToken();
+
+      await request(app).post(`/api/invitations/${token}/accept`).set('Authorization', sessionFor(invitee));
+      const response = await request(app).post(`/api/invitations/${token}/accept`).set('Authorization', sessionFor(invitee));
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('This invitation has already been accepted');
+      expect(organization.members).toHaveLength(3);
+    });
+  });
+
+  describe('declining', () => {
+    test('works with the link alone', async () => {
+      const invitation = addInvitation();
+
+      const response = await request(app).post(`/api/invitations/${invitation.getSignedToken()}/decline`);
+
+      expect(response.status).toBe(200);
+      expect(invitation.status).toBe('declined');
+      expect(invitation.respondedAt).toBeInstanceOf(Date);
+    });
+
+    test('closes the invitation for good', async () => {
+      const invitation = addInvitation();
+      const token = invitation.getSignedToken();
+
+      await request(app).post(`/api/invitations/${token}/decline`);
+      const response = await request(app)
+        .post(`/api/invitations/${token}/accept`)
+        .set('Authorization', sessionFor(invitee));
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('This invitation has already been declined');
+    });
+  });
+
+  describe('revoking', () => {
+    test('is allowed for owners and admins', async () => {
+      const invitation = addInvitation();
+
+      const response = await request(app)
+        .delete(`/api/organizations/${organization.id}/invitations/${invitation.id}`)
+        .set('Authorization', sessionFor(owner));
+
+      expect(response.status).toBe(200);
+      expect(invitation.status).toBe('revoked');
+
+      const accept = await request(app)
+        .post(`/api/invitations/${invitation.getSignedToken()}/accept`)
+        .set('Authorization', sessionFor(invitee));
+      expect(accept.status).toBe(400);
+    });
+
+    test('is refused for members', async () => {
+      const invitation = addInvitation();
+
+      const response = await request(app)
+        .delete(`/api/organizations/${organization.id}/invitations/${invitation.id}`)
+        .set('Authorization', sessionFor(member));
+
+      expect(response.status).toBe(403);
+      expect(invitation.status).toBe('pending');
+    });
+
+    test('only applies to pending invitations', async () => {
+      const invitation = addInvitation({ status: 'accepted' });
+
+      const response = await request(app)
+        .delete(`/api/organizations/${organization.id}/invitations/${invitation.id}`)
+        .set('Authorization', sessionFor(owner));
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('inviting', () => {
+    const invite = (user = owner, body = { email: 'Ivy@Example.com', role: 'admin' }) => request(app)
+      .post(`/api/organizations/${organization.id}/invitations`)
+      .set('Authorization', sessionFor(user))
+      .send(body);
+
+    test('emails a link that accepts the invitation', async () => {
+      await useSmtpServer();
+
+      const response = await invite();
+
+      expect(response.status).toBe(201);
+      expect(smtp.messages).toHaveLength(1);
+      expect(smtp.messages[0].recipients).toEqual(['ivy@example.com']);
+
+      const body = decodeBody(smtp.messages[0].body);
+      expect(body).toContain('Olivia Owner has invited you to join Acme as an admin');
+      const token = body.match(/\/invitations\/([\w-]+\.[\w-]+\.[\w-]+)/)[1];
+
+      const accept = await request(app)
+        .post(`/api/invitations/${token}/accept`)
+        .set('Authorization', sessionFor(invitee));
+      expect(accept.status).toBe(200);
+    });
+
+    test('revokes earlier invitations once the email is sent', async () => {
+      await useSmtpServer();
+      const earlier = addInvitation();
+
+      const response = await invite();
+
+      expect(response.status).toBe(201);
+      expect(earlier.status).toBe('revoked');
+      expect(invitations.filter(invitation => invitation.status === 'pending')).toHaveLength(1);
+    });
+
+    test('keeps earlier invitations when the email fails', async () => {
+      await useSmtpServer({ rejectRecipients: true });
+      const earlier = addInvitation();
+
+      const response = await invite();
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Invitation email could not be sent');
+      expect(invitations).toEqual([earlier]);
+      expect(earlier.status).toBe('pending');
+    });
+
+    test('is refused for members', async () => {
+      const response = await invite(member);
+
+      expect(response.status).toBe(403);
+      expect(Invitation.create).not.toHaveBeenCalled();
+    });
+
+    test('is refused for people who are already members', async () => {
+      const response = await invite(owner, { email: member.email });
+
+      expect(response.status).toBe(400);
+      expect(Invitation.create).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ['no email', {}, 'Please provide an email'],
+      ['a blank email', { email: '   ' }, 'Please provide an email'],
+      ['an email in an array', { email: ['ivy@example.com'] }, 'Please provide an email'],
+      ['a number', { email: 1 }, 'Please provide an email'],
+      ['an object', { email: { $ne: null } }, 'Please provide an email'],
+      ['a malformed email', { email: 'ivy@example' }, 'Please add a valid email']
+    ])('is refused for %s', async (label, body, error) => {
+      const response = await invite(owner, body);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ success: false, error });
+      expect(Invitation.create).not.toHaveBeenCalled();
+    });
+
+    test('trims the email', async () => {
+      await useSmtpServer();
+
+      const response = await invite(owner, { email: '  ivy@example.com ' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.invitation.email).toBe('ivy@example.com');
+    });
+  });
+
+  describe('signing up', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(null);
+      jest.spyOn(User, 'create').mockImplementation((fields) => Promise.resolve(new User(fields)));
+    });
+
+    test('accepts the pending invitations for the email', async () => {
+      const invitation = addInvitation({ email: 'new@example.com', role: 'admin' });
+      const expired = addInvitation({ email: 'new@example.com', expiresAt: new Date(Date.now() - DAY) });
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'New Person', email: 'New@Example.com', password: 'secret123' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.organizations).toEqual([{ id: organization.id, name: 'Acme' }]);
+      expect(invitation.status).toBe('accepted');
+      expect(expired.status).toBe('pending');
+      expect(organization.members.find(entry => String(entry.user) === response.body.user.id).role).toBe('admin');
+    });
+
+    test("doesn't fail when accepting invitations does", async () => {
+      Invitation.find.mockRejectedValue(new Error('Database unavailable'));
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'New Person', email: 'new@example.com', password: 'secret123' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.organizations).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+// server/controllers/__tests__/passwordReset.test.js
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.JWT_EXPIRE = process.env.JWT_EXPIRE || '1h';
+
+jest.mock('../../utils/sendEmail', () => jest.fn());
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const User = require('../../models/User');
+const sendEmail = require('../../utils/sendEmail');
+const authRoutes = require('../../routes/authRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+describe('password reset', () => {
+  let user;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    user = new User({ name: 'Rita Reset', email: 'rita@example.com', password: 'old-password' });
+    sendEmail.mockReset().mockResolvedValue({ messageId: 'test' });
+
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    // Stands in for the users collection, looking users up by email or by reset token
+    jest.spyOn(User, 'findOne').mockImplementation((filter) => {
+      const query = {
+        select: jest.fn(() => query),
+        then: (resolve, reject) => {
+          let found = null;
+
+          if (filter.email !== undefined) {
+            found = filter.email === user.email ? user : null;
+          } else if (filter.resetPasswordToken !== undefined) {
+            found = user.resetPasswordToken === filter.resetPasswordToken &&
+              user.resetPasswordExpire > filter.resetPasswordExpire.$gt ? user : null;
+          }
+
+          return Promise.resolve(found).then(resolve, reject);
+        }
+      };
+      return query;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Request a reset and read the token from the emailed link
+   * @returns {Promise<string>} The reset token
+   */
+  const requestReset = async () => {
+    const response = await request(app).post('/api/auth/forgotpassword').send({ email: user.email });
+
+    expect(response.status).toBe(200);
+    return sendEmail.mock.calls[0][0].message.match(/reset-password\/(\w+)/)[1];
+  };
+
+  const reset = (token, body = { password: 'new-password' }) =>
+    request(app).put(`/api/auth/resetpassword/${token}`).send(body);
+
+  describe('getResetPasswordToken', () => {
+    test('stores a hash of the token that expires in 10 minutes', () => {
+      const token = user.getResetPasswordToken();
+
+      expect(user.resetPasswordToken).toBe(hash(token));
+      expect(user.resetPasswordToken).not.toBe(token);
+      expect(user.resetPasswordExpire.getTime()).toBeGreaterThan(Date.now() + 9 * 60 * 1000);
+      expect(user.resetPasswordExpire.getTime()).toBeLessThanOrEqual(Date.now() + 10 * 60 * 1000);
+    });
+
+    test('gives a new token every time', () => {
+      expect(user.getResetPasswordToken()).not.toBe(user.getResetPasswordToken());
+    });
+  });
+
+  test('emails a link that sets the new password', async () => {
+    const token = await requestReset();
+
+    expect(sendEmail.mock.calls[0][0].email).toBe(user.email);
+
+    const response = await reset(token);
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.token).toEqual(expect.any(String));
+    expect(user.password).toBe('new-password');
+  });
+
+  test('selects the reset fields so clearing them is saved', async () => {
+    const token = await requestReset();
+
+    await reset(token);
+
+    const resetLookup = User.findOne.mock.results[User.findOne.mock.results.length - 1].value;
+    expect(resetLookup.select).toHaveBeenCalledWith('+resetPasswordToken +resetPasswordExpire');
+    expect(user.resetPasswordToken).toBeUndefined();
+    expect(user.resetPasswordExpire).toBeUndefined();
+  });
+
+  test('rejects a token that was already used', async () => {
+    const token = await requestReset();
+
+    await reset(token);
+    const response = await reset(token, { password: 'another-password' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid or expired token');
+    expect(user.password).toBe('new-password');
+  });
+
+  test('rejects an expired token', async () => {
+    const token = await requestReset();
+    user.resetPasswordExpire = Date.now() - 1000;
+
+    const response = await reset(token);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid or expired token');
+    expect(user.password).toBe('old-password');
+  });
+
+  test('rejects an unknown token', async () => {
+    await requestReset();
+
+    const response = await reset('0123456789abcdef0123456789abcdef01234567');
+
+    expect(response.status).toBe(400);
+  });
+
+  test('requires a password', async () => {
+    const token = await requestReset();
+
+    const response = await reset(token, {});
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Please provide a new password');
+    // The token still works
+    expect((await reset(token)).status).toBe(200);
+  });
+
+  test('clears the token when the email fails', async () => {
+    sendEmail.mockRejectedValue(new Error('SMTP unavailable'));
+
+    const response = await request(app).post('/api/auth/forgotpassword').send({ email: user.email });
+
+    expect(response.status).toBe(500);
+    expect(user.resetPasswordToken).toBeUndefined();
+    expect(user.resetPasswordExpire).toBeUndefined();
+  });
+
+  test('answers 404 for unknown emails', async () => {
+    const response = await request(app).post('/api/auth/forgotpassword').send({ email: 'nobody@example.com' });
+
+    expect(response.status).toBe(404);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+});
@@ -4,6 +4,7 @@ const jwt = require('jsonwebtoken');
 const config = require('../config/default');
 const crypto = require('crypto');
 const sendEmail = require('../utils/sendEmail');
+const { invitationService } = require('../services');
 /**
  * @desc    Register a new user
  * @route   POST /api/auth/register
@@ -28,6 +29,9 @@ const register = asyncHandler(async (req, res) => {
     password
   });
   
+  // Join the organizations this email was invited to
+  const organizations = await invitationService.acceptPendingInvitations(user);
+  
   // Generate JWT token
   const token = user.getSignedJwtToken();
   
@@ -39,7 +43,11 @@ const register = asyncHandler(async (req, res) => {
       name: user.name,
       email: user.email,
       role: user.role
-    }
+    },
+    organizations: organizations.map(organization => ({
+      id: organization._id,
+      name: organization.name
+    }))
   });
 });
 
@@ -220,10 +228,10 @@ const forgotPassword = asyncHandler(async (req, res) => {
     
     await user.save({ validateBeforeSave: false });
     
-    // Create reset url
-    const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/resetpassword/${resetToken}`;
+    // Create reset url pointing at the client's reset page
+    const resetUrl = `${config.clientUrl}/auth/reset-password/${resetToken}`;
     
-    const message = `You are receiving this email because you (or someone else) has requested the reset of a password. Please make a PUT request to: \n\n ${resetUrl}`;
+    const message = `You are receiving this email because you (or someone else) has requested the reset of a password. Choose a new password here: \n\n ${resetUrl}\n\nThe link expires in 10 minutes. If you didn't request a reset, you can ignore this email.`;
     
     try {
       await sendEmail({
@@ -256,21 +264,29 @@ const forgotPassword = asyncHandler(async (req, res) => {
    * @access  Public
    */
   const resetPassword = asyncHandler(async (req, res) => {
+    if (!req.body.password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a new password'
+      });
+    }
+    
     // Get hashed token
     const resetPasswordToken = crypto
       .createHash('sha256')
       .update(req.params.resettoken)
       .digest('hex');
     
+    // Select the reset fields so clearing them below is saved
     const user = await User.findOne({
       resetPasswordToken,
       resetPasswordExpire: { $gt: Date.now() }
-    });
+    }).select('+resetPasswordToken +resetPasswordExpire');
     
     if (!user) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid token'
+        error: 'Invalid or expired token'
       });
     }
     
@@ -0,0 +1,63 @@
+const asyncHandler = require('../utils/asyncHandler');
+const { designSystemStore, designSystemAccess, designSystemLinter } = require('../services');
+
+// Most files accepted in one lint request
+const MAX_LINT_FILES = 200;
+
+/**
+ * @desc    Check JSX/TSX source for hard-coded colors, font sizes, spacing and shadows
+ *          that should be design system tokens. Takes { code, fileName } or { files: [{ code, fileName }] }
+ * @route   POST /api/design-systems/:id/lint
+ * @access  Private
+ */
+const lintCode = asyncHandler(async (req, res) => {
+  const files = Array.isArray(req.body.files)
+    ? req.body.files
+    : [{ code: req.body.code, fileName: req.body.fileName }];
+  
+  if (files.length === 0 || files.some(file => !file || typeof file.code !== 'string')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please provide the code to lint'
+    });
+  }
+  
+  if (files.length > MAX_LINT_FILES) {
+    return res.status(400).json({
+      success: false,
+      error: `Can not lint more than ${MAX_LINT_FILES} files at once`
+    });
+  }
+  
+  const designSystem = await designSystemStore.getDesignSystemById(req.params.id);
+  
+  if (!designSystem) {
+    return res.status(404).json({
+      success: false,
+      error: 'Design system not found'
+    });
+  }
+  
+  const role = await designSystemAccess.getRole(designSystem, req.user);
+  
+  if (!designSystemAccess.can(role, 'view')) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized to access this design system'
+    });
+  }
+  
+  const result = designSystemLinter.lintFiles(designSystem, files.map((file, i) => ({
+    code: file.code,
+    fileName: typeof file.fileName === 'string' && file.fileName ? file.fileName : `file-${i + 1}.tsx`
+  })));
+  
+  res.status(200).json({
+    success: true,
+    ...result
+  });
+});
+
+module.exports = {
+  lintCode
+};
\ No newline at end of file
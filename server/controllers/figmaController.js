@@ -1,71 +1,55 @@
 // server/controllers/figmaController.js
 const asyncHandler = require('../utils/asyncHandler');
 const { 
-  figmaApiService, 
-  componentExtractor, 
-  tokenExtractor, 
-  designSystemStore 
+  FigmaApiService, 
+  ComponentExtractor, 
+  DesignTokenExtractor, 
+  designSystemStore,
+  extractionJobRunner,
+  designSystemSync,
+  designSystemHistory,
+  designSystemDiff,
+  designSystemAccess,
+  componentCodeGenerator,
+  DtcgImportError
 } = require('../services');
 const User = require('../models/User');
 
 /**
- * Initialize the Figma API service
+ * Create a Figma API client for a token
+ * Clients are never shared between requests, so concurrent users can't
+ * end up reading files with each other's credentials
  * @param {string} token - The Figma API token
+ * @returns {FigmaApiService} The Figma API client
  */
-const initializeFigmaApi = (token) => {
+const createFigmaClient = (token) => {
   try {
-    console.log('Initializing Figma API with token');
-    figmaApiService.initializeWithPersonalToken(token);
-    console.log('Figma API initialized successfully');
+    return new FigmaApiService(token);
   } catch (error) {
-    console.error('Error initializing Figma API:', error);
+    console.error('Error creating Figma API client:', error);
     throw new Error(`Failed to initialize Figma API: ${error.message}`);
   }
 };
 
 /**
- * Validate and ensure the Figma API is initialized
+ * Create a Figma API client with the user's stored token
  * @param {string} userId - The user ID
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<FigmaApiService|null>} The Figma API client, or null if the user has no token
  */
-const ensureFigmaApiInitialized = async (userId) => {
-  // Check if API is already initialized
-  let isInitialized = false;
-  
+const getFigmaClientForUser = async (userId) => {
   try {
-    // Simple test to check if apiClient exists and is valid
-    if (figmaApiService.apiClient) {
-      // Try a simple request to verify token is working
-      await figmaApiService.getUser();
-      isInitialized = true;
-      console.log('Figma API is already initialized and token is valid');
+    const user = await User.findById(userId).select('+figmaTokens.personalAccessToken');
+    
+    if (!user || !user.figmaTokens || !user.figmaTokens.personalAccessToken) {
+      console.error('No Figma token found for user');
+      return null;
     }
+    
+    return createFigmaClient(user.figmaTokens.personalAccessToken);
   } catch (error) {
-    console.log('Figma API not initialized or token is invalid, will try to initialize');
-    isInitialized = false;
+    console.error('Error creating Figma API client with stored token:', error);
+    return null;
   }
-  
-  if (!isInitialized) {
-    try {
-      // Get the user's token from the database
-      const user = await User.findById(userId).select('+figmaTokens.personalAccessToken');
-      
-      if (!user || !user.figmaTokens || !user.figmaTokens.personalAccessToken) {
-        console.error('No Figma token found for user');
-        return false;
-      }
-      
-      // Initialize the API with the user's token
-      initializeFigmaApi(user.figmaTokens.personalAccessToken);
-      console.log('Successfully initialized Figma API with stored token');
-      return true;
-    } catch (error) {
-      console.error('Error initializing Figma API with stored token:', error);
-      return false;
-    }
-  }
-  
-  return isInitialized;
 };
 
 /**
@@ -83,10 +67,10 @@ const extractDesignSystem = asyncHandler(async (req, res) => {
     });
   }
   
-  // Ensure API is initialized
-  const apiInitialized = await ensureFigmaApiInitialized(req.user.id);
+  // Create a Figma client scoped to this user
+  const figmaApi = await getFigmaClientForUser(req.user.id);
   
-  if (!apiInitialized) {
+  if (!figmaApi) {
     return res.status(400).json({
       success: false,
       error: 'Figma API not initialized. Please provide your Figma token first.'
@@ -96,18 +80,18 @@ const extractDesignSystem = asyncHandler(async (req, res) => {
   try {
     // Get file information
     console.log(`Getting file information for: ${fileKey}`);
-    const fileInfo = await figmaApiService.getFile(fileKey);
+    const fileInfo = await figmaApi.getFile(fileKey);
     const designSystemName = fileInfo.name || 'Design System';
     
     console.log(`Extracting design system from "${designSystemName}" (${fileKey})...`);
     
     // Extract design tokens
     console.log('Extracting design tokens...');
-    const designTokens = await tokenExtractor.extractDesignTokens(fileKey);
+    const designTokens = await new DesignTokenExtractor(figmaApi).extractDesignTokens(fileKey);
     
     // Extract components with improved error handling
     console.log('Extracting components...');
-    const componentData = await componentExtractor.extractComponents(fileKey);
+    const componentData = await new ComponentExtractor(figmaApi).extractComponents(fileKey);
     
     // Combine all data into a design system object
     const designSystem = {
@@ -122,6 +106,7 @@ const extractDesignSystem = asyncHandler(async (req, res) => {
     
     console.log('Design system extraction complete!');
     console.log(`- ${Object.keys(designTokens.colors || {}).length} color tokens`);
+    console.log(`- ${Object.keys(designTokens.gradients || {}).length} gradient tokens`);
     console.log(`- ${Object.keys(designTokens.typography || {}).length} typography tokens`);
     console.log(`- ${Object.keys(designTokens.spacing || {}).length} spacing tokens`);
     console.log(`- ${Object.keys(designSystem.components || {}).length} components`);
@@ -129,7 +114,10 @@ const extractDesignSystem = asyncHandler(async (req, res) => {
     
     res.status(200).json({
       success: true,
-      designSystem
+      designSystem,
+      metrics: {
+        cache: figmaApi.getCacheStats()
+      }
     });
   } catch (error) {
     console.error('Error extracting design system:', error);
@@ -148,7 +136,9 @@ const extractDesignSystem = asyncHandler(async (req, res) => {
 const saveDesignSystem = asyncHandler(async (req, res) => {
   const { designSystem } = req.body;
   const userId = req.user.id;
-  const organizationId = req.user.organizationId || null;
+  const organizationId = req.body.organizationId || null;
+  
+  if (!(await checkOrganizationAccess(req, res))) return;
   
   try {
     const savedDesignSystem = await designSystemStore.saveDesignSystem(
@@ -178,7 +168,7 @@ const saveDesignSystem = asyncHandler(async (req, res) => {
 const extractAndSaveDesignSystem = asyncHandler(async (req, res) => {
   const { fileKey } = req.body;
   const userId = req.user.id;
-  const organizationId = req.user.organizationId || null;
+  const organizationId = req.body.organizationId || null;
   
   if (!fileKey) {
     return res.status(400).json({
@@ -187,10 +177,12 @@ const extractAndSaveDesignSystem = asyncHandler(async (req, res) => {
     });
   }
   
-  // Ensure API is initialized
-  const apiInitialized = await ensureFigmaApiInitialized(req.user.id);
+  if (!(await checkOrganizationAccess(req, res))) return;
+  
+  // Create a Figma client scoped to this user
+  const figmaApi = await getFigmaClientForUser(req.user.id);
   
-  if (!apiInitialized) {
+  if (!figmaApi) {
     return res.status(400).json({
       success: false,
       error: 'Figma API not initialized. Please provide your Figma token first.'
@@ -198,51 +190,7 @@ const extractAndSaveDesignSystem = asyncHandler(async (req, res) => {
   }
   
   try {
-    // Get file information
-    console.log(`Getting file information for: ${fileKey}`);
-    const fileInfo = await figmaApiService.getFile(fileKey);
-    const designSystemName = fileInfo.name || 'Design System';
-    
-    console.log(`Extracting design system from "${designSystemName}" (${fileKey})...`);
-    
-    // Extract design tokens with robust error handling
-    console.log('Extracting design tokens...');
-    let designTokens = { colors: {}, typography: {}, spacing: {}, shadows: {}, borders: {} };
-    try {
-      designTokens = await tokenExtractor.extractDesignTokens(fileKey);
-    } catch (tokenError) {
-      console.error('Error extracting design tokens:', tokenError);
-      // Continue with empty tokens instead of failing the whole process
-    }
-    
-    // Extract components with robust error handling
-    console.log('Extracting components...');
-    let componentData = { components: {}, componentSets: {}, componentPreviews: {} };
-    try {
-      componentData = await componentExtractor.extractComponents(fileKey);
-      console.log("🚀 ~ extractAndSaveDesignSystem ~ componentData:", componentData?.componentPreviews);
-    } catch (componentError) {
-      console.error('Error extracting components:', componentError);
-      // Continue with empty components instead of failing the whole process
-    }
-    
-    // Combine all data into a design system object
-    const designSystem = {
-      name: designSystemName,
-      description: fileInfo.description || '',
-      figmaFileKey: fileKey,
-      tokens: designTokens,
-      components: componentData.components || {},
-      componentSets: componentData.componentSets || {},
-      componentPreviews: componentData.componentPreviews || {},
-    };
-    
-    console.log('Design system extraction complete!');
-    console.log(`- ${Object.keys(designTokens.colors || {}).length} color tokens`);
-    console.log(`- ${Object.keys(designTokens.typography || {}).length} typography tokens`);
-    console.log(`- ${Object.keys(designTokens.spacing || {}).length} spacing tokens`);
-    console.log(`- ${Object.keys(designSystem.components || {}).length} components`);
-    console.log(`- ${Object.keys(designSystem.componentSets || {}).length} component sets`);
+    const designSystem = await extractionJobRunner.extractDesignSystem(figmaApi, fileKey);
     
     // Save to database
     console.log('Saving design system to database...');
@@ -254,7 +202,9 @@ const extractAndSaveDesignSystem = asyncHandler(async (req, res) => {
     
     res.status(200).json({
       success: true,
-      designSystem: savedDesignSystem
+      designSystem: savedDesignSystem,
+      report: designSystem.extractionReport,
+      metrics: designSystem.extractionMetrics
     });
   } catch (error) {
     console.error('Error extracting and saving design system:', error);
@@ -266,43 +216,239 @@ const extractAndSaveDesignSystem = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get a design system by ID
- * @route   GET /api/figma/design-systems/:id
+ * @desc    Start an extraction job that extracts and saves a design system in the background
+ * @route   POST /api/figma/extraction-jobs
  * @access  Private
  */
-const getDesignSystemById = asyncHandler(async (req, res) => {
+const startExtractionJob = asyncHandler(async (req, res) => {
+  const { fileKey } = req.body;
+  
+  if (!fileKey) {
+    return res.status(400).json({
+      success: false,
+      error: 'File key is required'
+    });
+  }
+  
+  if (!(await checkOrganizationAccess(req, res))) return;
+  
+  // Create a Figma client scoped to this user
+  const figmaApi = await getFigmaClientForUser(req.user.id);
+  
+  if (!figmaApi) {
+    return res.status(400).json({
+      success: false,
+      error: 'Figma API not initialized. Please provide your Figma token first.'
+    });
+  }
+  
+  const job = await extractionJobRunner.startJob({
+    fileKey,
+    userId: req.user.id,
+    organizationId: req.body.organizationId || null,
+    figmaApi
+  });
+  
+  res.status(202).json({
+    success: true,
+    jobId: job._id.toString(),
+    job: extractionJobRunner.getJobSnapshot(job)
+  });
+});
+
+/**
+ * Load an extraction job and check that the current user may see it
+ * Sends the error response itself and returns null when the job can't be used
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} The extraction job
+ */
+const getAuthorizedExtractionJob = async (req, res) => {
+  const job = await extractionJobRunner.getJob(req.params.id);
+  
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Extraction job not found'
+    });
+    return null;
+  }
+  
+  // Check if user owns the job
+  if (job.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      error: 'Not authorized to access this extraction job'
+    });
+    return null;
+  }
+  
+  return job;
+};
+
+/**
+ * @desc    Get the status of an extraction job
+ * @route   GET /api/figma/extraction-jobs/:id
+ * @access  Private
+ */
+const getExtractionJob = asyncHandler(async (req, res) => {
+  const job = await getAuthorizedExtractionJob(req, res);
+  if (!job) return;
+  
+  res.status(200).json({
+    success: true,
+    job: extractionJobRunner.getLatestSnapshot(job)
+  });
+});
+
+/**
+ * @desc    Stream the progress of an extraction job as Server-Sent Events
+ *          Sends `progress` events, then one `completed` or `failed` event before closing
+ * @route   GET /api/figma/extraction-jobs/:id/events
+ * @access  Private
+ */
+const streamExtractionJob = asyncHandler(async (req, res) => {
+  const job = await getAuthorizedExtractionJob(req, res);
+  if (!job) return;
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  let unsubscribe = () => {};
+  let heartbeat = null;
+  
+  const close = () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+  
+  const sendSnapshot = (snapshot) => {
+    const event = extractionJobRunner.isFinished(snapshot) ? snapshot.status : 'progress';
+    res.write(`event: ${event}\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    
+    if (extractionJobRunner.isFinished(snapshot)) {
+      close();
+    }
+  };
+  
+  // Subscribe before sending the current state, so late subscribers catch up without missing
+  // an update. The job may have moved on while it was read, so the latest snapshot is sent.
+  unsubscribe = extractionJobRunner.subscribe(req.params.id, sendSnapshot);
+  
+  const snapshot = extractionJobRunner.getLatestSnapshot(job);
+  sendSnapshot(snapshot);
+  if (extractionJobRunner.isFinished(snapshot)) return;
+  
+  // Keep proxies from closing an idle connection
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  
+  req.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+  });
+});
+
+/**
+ * Load a design system and check that the current user has a permission on it
+ * Sends the error response itself and returns null when the design system can't be used.
+ * The user's role is left in res.locals.designSystemRole.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} [permission='view'] - 'view', 'edit' or 'delete'
+ * @param {string} [action='access'] - The action, used in the error message
+ * @returns {Promise<Object|null>} The design system
+ */
+const getAuthorizedDesignSystem = async (req, res, permission = 'view', action = 'access') => {
   const designSystem = await designSystemStore.getDesignSystemById(req.params.id);
   
   if (!designSystem) {
-    return res.status(404).json({
+    res.status(404).json({
       success: false,
       error: 'Design system not found'
     });
+    return null;
   }
   
-  // Check ownership
-  if (designSystem.userId.toString() !== req.user.id && req.user.role !== 'admin') {
-    return res.status(403).json({
+  // Check the user's role on the design system (personal owner or organization role)
+  const role = await designSystemAccess.getRole(designSystem, req.user);
+  
+  if (!designSystemAccess.can(role, permission)) {
+    res.status(403).json({
+      success: false,
+      error: `Not authorized to ${action} this design system`
+    });
+    return null;
+  }
+  
+  res.locals.designSystemRole = role;
+  return designSystem;
+};
+
+/**
+ * Check that the user may add design systems to the organization in the request body
+ * Sends the error response itself and returns false when the user can't
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} Whether the request may continue
+ */
+const checkOrganizationAccess = async (req, res) => {
+  const { organizationId } = req.body;
+  
+  if (organizationId && !(await designSystemAccess.canEditOrganization(req.user, organizationId))) {
+    res.status(403).json({
       success: false,
-      error: 'Not authorized to access this design system'
+      error: 'Not authorized to add design systems to this organization'
     });
+    return false;
   }
   
+  return true;
+};
+
+/**
+ * @desc    Get a design system by ID
+ * @route   GET /api/figma/design-systems/:id
+ * @access  Private
+ */
+const getDesignSystemById = asyncHandler(async (req, res) => {
+  const designSystem = await getAuthorizedDesignSystem(req, res);
+  if (!designSystem) return;
+  
+  const role = res.locals.designSystemRole;
+  
   res.status(200).json({
     success: true,
-    designSystem
+    designSystem,
+    access: {
+      role,
+      canEdit: designSystemAccess.can(role, 'edit'),
+      canDelete: designSystemAccess.can(role, 'delete')
+    }
   });
 });
 
 /**
- * @desc    Get all design systems for a user
- * @route   GET /api/figma/design-systems
+ * @desc    Get the user's personal design systems and those of their organizations
+ * @route   GET /api/figma/design-systems?organizationId=
  * @access  Private
  */
 const getDesignSystemsByUser = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
+  const query = await designSystemAccess.getListQuery(req.user, req.query.organizationId);
+  
+  if (!query) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized to access this organization'
+    });
+  }
   
-  const designSystems = await designSystemStore.getDesignSystemsByUser(userId);
+  const designSystems = await designSystemStore.getDesignSystems(query);
   
   res.status(200).json({
     success: true,
@@ -312,76 +458,255 @@ const getDesignSystemsByUser = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Delete a design system
- * @route   DELETE /api/figma/design-systems/:id
+ * @desc    Re-sync a design system with its Figma file, applying only what changed
+ * @route   POST /api/figma/design-systems/:id/sync
  * @access  Private
  */
-const deleteDesignSystem = asyncHandler(async (req, res) => {
-  const designSystem = await designSystemStore.getDesignSystemById(req.params.id);
+const syncDesignSystem = asyncHandler(async (req, res) => {
+  const designSystem = await getAuthorizedDesignSystem(req, res, 'edit', 'sync');
+  if (!designSystem) return;
   
-  if (!designSystem) {
-    return res.status(404).json({
+  // Create a Figma client scoped to this user
+  const figmaApi = await getFigmaClientForUser(req.user.id);
+  
+  if (!figmaApi) {
+    return res.status(400).json({
       success: false,
-      error: 'Design system not found'
+      error: 'Figma API not initialized. Please provide your Figma token first.'
     });
   }
   
-  // Check ownership
-  if (designSystem.userId.toString() !== req.user.id && req.user.role !== 'admin') {
-    return res.status(403).json({
+  try {
+    const extracted = await extractionJobRunner.extractDesignSystem(figmaApi, designSystem.figmaFileKey);
+    const { changes, changelog } = await designSystemSync.syncDesignSystem(designSystem, extracted, { userId: req.user.id });
+    
+    res.status(200).json({
+      success: true,
+      designSystem: await designSystemStore.getDesignSystemById(req.params.id),
+      changes,
+      changelog,
+      report: extracted.extractionReport,
+      metrics: extracted.extractionMetrics
+    });
+  } catch (error) {
+    console.error('Error syncing design system:', error);
+    res.status(500).json({
       success: false,
-      error: 'Not authorized to delete this design system'
+      error: `Failed to sync design system: ${error.message}`
     });
   }
+});
+
+/**
+ * @desc    List the recorded versions of a design system
+ * @route   GET /api/figma/design-systems/:id/versions
+ * @access  Private
+ */
+const getDesignSystemVersions = asyncHandler(async (req, res) => {
+  const designSystem = await getAuthorizedDesignSystem(req, res);
+  if (!designSystem) return;
   
-  await designSystemStore.deleteDesignSystem(req.params.id);
+  const versions = await designSystemHistory.getVersions(designSystem._id);
   
   res.status(200).json({
     success: true,
-    data: {}
+    currentVersion: designSystem.version,
+    count: versions.length,
+    versions
   });
 });
 
 /**
- * @desc    Export a design system as JSON
- * @route   GET /api/figma/export/:id
+ * @desc    Get the snapshot of one version of a design system
+ * @route   GET /api/figma/design-systems/:id/versions/:version
  * @access  Private
  */
-const exportDesignSystem = asyncHandler(async (req, res) => {
-  const designSystem = await designSystemStore.getDesignSystemById(req.params.id);
+const getDesignSystemVersion = asyncHandler(async (req, res) => {
+  const designSystem = await getAuthorizedDesignSystem(req, res);
+  if (!designSystem) return;
   
-  if (!designSystem) {
+  const version = await designSystemHistory.getVersion(designSystem._id, req.params.version);
+  
+  if (!version) {
     return res.status(404).json({
       success: false,
-      error: 'Design system not found'
+      error: `Version ${req.params.version} not found`
     });
   }
   
-  // Check ownership
-  if (designSystem.userId.toString() !== req.user.id && req.user.role !== 'admin') {
-    return res.status(403).json({
+  res.status(200).json({
+    success: true,
+    version
+  });
+});
+
+/**
+ * @desc    Roll a design system back to a recorded version
+ *          The restored content is saved as a new version, so history is never rewritten
+ * @route   POST /api/figma/design-systems/:id/versions/:version/restore
+ * @access  Private
+ */
+const restoreDesignSystemVersion = asyncHandler(async (req, res) => {
+  const designSystem = await getAuthorizedDesignSystem(req, res, 'edit', 'restore');
+  if (!designSystem) return;
+  
+  const snapshot = await designSystemHistory.getVersion(designSystem._id, req.params.version);
+  
+  if (!snapshot) {
+    return res.status(404).json({
+      success: false,
+      error: `Version ${req.params.version} not found`
+    });
+  }
+  
+  try {
+    const { changes, changelog } = await designSystemSync.syncDesignSystem(
+      designSystem,
+      designSystemHistory.toDesignSystemData(snapshot),
+      { userId: req.user.id, source: 'restore', restoredFrom: snapshot.version }
+    );
+    
+    res.status(200).json({
+      success: true,
+      designSystem: await designSystemStore.getDesignSystemById(req.params.id),
+      restoredFrom: snapshot.version,
+      changes,
+      changelog
+    });
+  } catch (error) {
+    console.error('Error restoring design system version:', error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to restore version ${snapshot.version}: ${error.message}`
+    });
+  }
+});
+
+/**
+ * @desc    Compare two versions of a design system
+ *          `to` defaults to the current version and `from` to the version recorded before `to`
+ * @route   GET /api/figma/design-systems/:id/diff?from=&to=
+ * @access  Private
+ */
+const getDesignSystemDiff = asyncHandler(async (req, res) => {
+  const designSystem = await getAuthorizedDesignSystem(req, res);
+  if (!designSystem) return;
+  
+  const to = req.query.to || designSystem.version;
+  const from = req.query.from || await designSystemHistory.getPreviousVersion(designSystem._id, to);
+  
+  if (!from) {
+    return res.status(400).json({
+      success: false,
+      error: `No version recorded before ${to} to compare with`
+    });
+  }
+  
+  const [fromData, toData] = await Promise.all([
+    designSystemHistory.getVersionData(designSystem, from),
+    designSystemHistory.getVersionData(designSystem, to)
+  ]);
+  
+  const missingVersion = !fromData ? from : !toData ? to : null;
+  if (missingVersion) {
+    return res.status(404).json({
       success: false,
-      error: 'Not authorized to export this design system'
+      error: `Version ${missingVersion} not found`
     });
   }
   
-  const exportData = await designSystemStore.exportDesignSystem(req.params.id);
+  res.status(200).json({
+    success: true,
+    diff: designSystemDiff.diffDesignSystems(fromData, toData)
+  });
+});
+
+/**
+ * @desc    Generate a React + Tailwind component from a component set
+ *          `componentId` is a component set ID, or the ID of a component in the set
+ * @route   GET /api/figma/design-systems/:id/components/:componentId/code
+ * @access  Private
+ */
+const getComponentCode = asyncHandler(async (req, res) => {
+  const designSystem = await getAuthorizedDesignSystem(req, res);
+  if (!designSystem) return;
+  
+  const result = componentCodeGenerator.generateComponentCode(designSystem, req.params.componentId);
+  
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      error: 'Component not found'
+    });
+  }
   
   res.status(200).json({
     success: true,
-    designSystem: exportData
+    ...result
   });
 });
 
 /**
- * @desc    Import a design system from JSON
+ * @desc    Delete a design system
+ * @route   DELETE /api/figma/design-systems/:id
+ * @access  Private
+ */
+const deleteDesignSystem = asyncHandler(async (req, res) => {
+  const designSystem = await getAuthorizedDesignSystem(req, res, 'delete', 'delete');
+  if (!designSystem) return;
+  
+  await designSystemStore.deleteDesignSystem(req.params.id);
+  
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+/**
+ * @desc    Export a design system as JSON or as a downloadable file
+ * @route   GET /api/figma/export/:id?format=json|css|dtcg|tailwind|style-dictionary
+ * @access  Private
+ */
+const exportDesignSystem = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'json';
+  const exportFormat = designSystemStore.getExportFormat(format);
+  
+  if (!exportFormat) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported export format: ${format}`
+    });
+  }
+  
+  const designSystem = await getAuthorizedDesignSystem(req, res, 'view', 'export');
+  if (!designSystem) return;
+  
+  const exportData = await designSystemStore.exportDesignSystem(req.params.id, format);
+  
+  if (format === 'json') {
+    return res.status(200).json({
+      success: true,
+      designSystem: exportData
+    });
+  }
+  
+  // Serve other formats as a file download
+  const fileName = `${designSystem.name.replace(/\s+/g, '-').toLowerCase()}.${exportFormat.extension}`;
+  res.attachment(fileName);
+  res.set('Content-Type', exportFormat.contentType);
+  res.status(200).send(exportData);
+});
+
+/**
+ * @desc    Import a design system from our JSON export or a DTCG tokens file
  * @route   POST /api/figma/import
  * @access  Private
  */
 const importDesignSystem = asyncHandler(async (req, res) => {
   const { designSystem } = req.body;
   const userId = req.user.id;
-  const organizationId = req.user.organizationId || null;
+  const organizationId = req.body.organizationId || null;
   
   if (!designSystem) {
     return res.status(400).json({
@@ -390,16 +715,29 @@ const importDesignSystem = asyncHandler(async (req, res) => {
     });
   }
   
-  const importedDesignSystem = await designSystemStore.importDesignSystem(
-    designSystem,
-    userId,
-    organizationId
-  );
+  if (!(await checkOrganizationAccess(req, res))) return;
   
-  res.status(200).json({
-    success: true,
-    designSystem: importedDesignSystem
-  });
+  try {
+    const importedDesignSystem = await designSystemStore.importDesignSystem(
+      designSystem,
+      userId,
+      organizationId
+    );
+    
+    res.status(200).json({
+      success: true,
+      designSystem: importedDesignSystem
+    });
+  } catch (error) {
+    // A mistake in the uploaded document rather than on our side
+    if (!(error instanceof DtcgImportError)) throw error;
+    
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      path: error.path
+    });
+  }
 });
 
 /**
@@ -417,12 +755,11 @@ const authorizeFigma = asyncHandler(async (req, res) => {
     });
   }
   
-  // Initialize the Figma API with the token
   try {
-    initializeFigmaApi(token);
+    const figmaApi = createFigmaClient(token);
     
     // Verify the token works by making a test request
-    const user = await figmaApiService.getUser();
+    const user = await figmaApi.getUser();
     
     // Update user with new token
     const updatedUser = await User.findByIdAndUpdate(
@@ -450,12 +787,20 @@ const authorizeFigma = asyncHandler(async (req, res) => {
 });
 
 module.exports = {
-  initializeFigmaApi,
   extractDesignSystem,
   saveDesignSystem,
   extractAndSaveDesignSystem,
+  startExtractionJob,
+  getExtractionJob,
+  streamExtractionJob,
   getDesignSystemById,
   getDesignSystemsByUser,
+  syncDesignSystem,
+  getDesignSystemVersions,
+  getDesignSystemVersion,
+  restoreDesignSystemVersion,
+  getDesignSystemDiff,
+  getComponentCode,
   deleteDesignSystem,
   exportDesignSystem,
   importDesignSystem,
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Generation = require('../models/Generation');
+const asyncHandler = require('../utils/asyncHandler');
+const { designSystemStore, designSystemAccess, generationService } = require('../services');
+
+// Longest prompt accepted
+const MAX_PROMPT_LENGTH = 2000;
+
+/**
+ * Get a generation the current user may access
+ * Sends the error response itself and returns null when the user can't
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} The generation
+ */
+const getOwnGeneration = async (req, res) => {
+  const generation = await Generation.findById(req.params.id);
+  
+  if (!generation) {
+    res.status(404).json({
+      success: false,
+      error: 'Generation not found'
+    });
+    return null;
+  }
+  
+  if (generation.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      error: 'Not authorized to access this generation'
+    });
+    return null;
+  }
+  
+  return generation;
+};
+
+/**
+ * @desc    Generate a screen from a prompt with a design system's components and tokens
+ * @route   POST /api/generate
+ * @access  Private
+ */
+const generateUI = asyncHandler(async (req, res) => {
+  const { designSystemId } = req.body;
+  const prompt = typeof req.body.prompt === 'string' ? req.body.prompt.trim() : '';
+  
+  if (!prompt || !designSystemId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please provide a prompt and a design system'
+    });
+  }
+  
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Prompt can not be more than ${MAX_PROMPT_LENGTH} characters`
+    });
+  }
+  
+  const designSystem = await designSystemStore.getDesignSystemById(designSystemId);
+  
+  if (!designSystem) {
+    return res.status(404).json({
+      success: false,
+      error: 'Design system not found'
+    });
+  }
+  
+  const role = await designSystemAccess.getRole(designSystem, req.user);
+  
+  if (!designSystemAccess.can(role, 'view')) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized to access this design system'
+    });
+  }
+  
+  try {
+    const generation = await generationService.generate(designSystem, prompt, req.user);
+    
+    res.status(201).json({
+      success: true,
+      generation
+    });
+  } catch (error) {
+    // The model failed; the prompt was still saved as a failed generation
+    if (!error.generation) throw error;
+    
+    res.status(502).json({
+      success: false,
+      error: error.message,
+      generation: error.generation
+    });
+  }
+});
+
+/**
+ * @desc    Get the current user's generations, newest first
+ * @route   GET /api/generate?designSystemId=
+ * @access  Private
+ */
+const getGenerations = asyncHandler(async (req, res) => {
+  const filter = { userId: req.user.id };
+  
+  if (req.query.designSystemId) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.designSystemId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid design system ID'
+      });
+    }
+    filter.designSystemId = req.query.designSystemId;
+  }
+  
+  const generations = await Generation.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(50);
+  
+  res.status(200).json({
+    success: true,
+    count: generations.length,
+    generations
+  });
+});
+
+/**
+ * @desc    Get a generation
+ * @route   GET /api/generate/:id
+ * @access  Private
+ */
+const getGeneration = asyncHandler(async (req, res) => {
+  const generation = await getOwnGeneration(req, res);
+  if (!generation) return;
+  
+  res.status(200).json({
+    success: true,
+    generation
+  });
+});
+
+/**
+ * @desc    Delete a generation
+ * @route   DELETE /api/generate/:id
+ * @access  Private
+ */
+const deleteGeneration = asyncHandler(async (req, res) => {
+  const generation = await getOwnGeneration(req, res);
+  if (!generation) return;
+  
+  await generation.deleteOne();
+  
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+module.exports = {
+  generateUI,
+  getGenerations,
+  getGeneration,
+  deleteGeneration
+};
\ No newline at end of file
@@ -0,0 +1,137 @@
+const asyncHandler = require('../utils/asyncHandler');
+const { invitationService } = require('../services');
+
+/**
+ * @desc    Get the pending invitations sent to the current user
+ * @route   GET /api/invitations
+ * @access  Private
+ */
+const getMyInvitations = asyncHandler(async (req, res) => {
+  const invitations = await invitationService.getInvitationsForEmail(req.user.email);
+
+  res.status(200).json({
+    success: true,
+    count: invitations.length,
+    invitations
+  });
+});
+
+/**
+ * @desc    Get an invitation by its token
+ * @route   GET /api/invitations/:token
+ * @access  Public
+ */
+const getInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.getInvitationByToken(req.params.token);
+
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invitation not found'
+    });
+  }
+
+  await invitation.populate([
+    { path: 'organizationId', select: 'name description' },
+    { path: 'invitedBy', select: 'name' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    invitation: {
+      id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      status: invitation.status === 'pending' && invitation.isExpired() ? 'expired' : invitation.status,
+      organization: invitation.organizationId,
+      invitedBy: invitation.invitedBy,
+      expiresAt: invitation.expiresAt
+    }
+  });
+});
+
+/**
+ * @desc    Accept an invitation
+ * @route   POST /api/invitations/:token/accept
+ * @access  Private
+ */
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.getInvitationByToken(req.params.token);
+
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invitation not found'
+    });
+  }
+
+  // Invitations can only be accepted by the account they were sent to
+  if (invitation.email !== req.user.email.toLowerCase()) {
+    return res.status(403).json({
+      success: false,
+      error: `This invitation was sent to ${invitation.email}. Sign in with that email to accept it`
+    });
+  }
+
+  const invitationError = await invitationService.getInvitationError(invitation);
+
+  if (invitationError) {
+    return res.status(400).json({
+      success: false,
+      error: invitationError
+    });
+  }
+
+  const organization = await invitationService.acceptInvitation(invitation, req.user);
+
+  if (!organization) {
+    return res.status(404).json({
+      success: false,
+      error: 'Organization not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    organization
+  });
+});
+
+/**
+ * @desc    Decline an invitation
+ * @route   POST /api/invitations/:token/decline
+ * @access  Public
+ */
+const declineInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.getInvitationByToken(req.params.token);
+
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invitation not found'
+    });
+  }
+
+  const invitationError = await invitationService.getInvitationError(invitation);
+
+  if (invitationError) {
+    return res.status(400).json({
+      success: false,
+      error: invitationError
+    });
+  }
+
+  await invitationService.closeInvitation(invitation, 'declined');
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+module.exports = {
+  getMyInvitations,
+  getInvitation,
+  acceptInvitation,
+  declineInvitation
+};
\ No newline at end of file
@@ -1,5 +1,11 @@
 const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
 const asyncHandler = require('../utils/asyncHandler');
+const { designSystemStore, invitationService } = require('../services');
+
+// The pattern the User and Invitation models validate emails against
+const EMAIL_PATTERN = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
 
 /**
  * @desc    Get all organizations
@@ -42,7 +48,7 @@ const getOrganization = asyncHandler(async (req, res) => {
   
   // Check if user is a member
   const isMember = organization.members.some(
-    member => member.user.id.toString() === req.user.id
+    member => member.user && member.user.id.toString() === req.user.id
   );
   
   if (!isMember) {
@@ -112,10 +118,13 @@ const updateOrganization = asyncHandler(async (req, res) => {
     });
   }
   
+  // Only the name and description can be changed here; members have their own routes
+  const { name, description } = req.body;
+  
   // Update organization
   organization = await Organization.findByIdAndUpdate(
     req.params.id,
-    req.body,
+    { name, description },
     {
       new: true,
       runValidators: true
@@ -153,7 +162,10 @@ const deleteOrganization = asyncHandler(async (req, res) => {
     });
   }
   
-  await organization.remove();
+  // Delete the organization's design systems with their components and versions
+  await designSystemStore.deleteDesignSystemsByOrganization(organization._id);
+  await invitationService.deleteInvitations(organization._id);
+  await organization.deleteOne();
   
   res.status(200).json({
     success: true,
@@ -176,6 +188,14 @@ const addMember = asyncHandler(async (req, res) => {
     });
   }
   
+  // Organizations have a single owner
+  if (role && !['admin', 'member'].includes(role)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Role must be admin or member'
+    });
+  }
+  
   // Find user by email
   const user = await User.findOne({ email });
   
@@ -234,6 +254,73 @@ const addMember = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Change a member's role
+ * @route   PUT /api/organizations/:id/members/:userId
+ * @access  Private
+ */
+const updateMemberRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  
+  // Organizations have a single owner
+  if (!['admin', 'member'].includes(role)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Role must be admin or member'
+    });
+  }
+  
+  // Get organization
+  const organization = await Organization.findById(req.params.id);
+  
+  if (!organization) {
+    return res.status(404).json({
+      success: false,
+      error: 'Organization not found'
+    });
+  }
+  
+  // Check if user is owner or admin
+  const currentMember = organization.members.find(
+    member => member.user.toString() === req.user.id
+  );
+  
+  if (!currentMember || !['owner', 'admin'].includes(currentMember.role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized to change roles in this organization'
+    });
+  }
+  
+  // Find member to update
+  const memberToUpdate = organization.members.find(
+    member => member.user.toString() === req.params.userId
+  );
+  
+  if (!memberToUpdate) {
+    return res.status(404).json({
+      success: false,
+      error: 'Member not found'
+    });
+  }
+  
+  // Prevent demoting owner
+  if (memberToUpdate.role === 'owner') {
+    return res.status(400).json({
+      success: false,
+      error: 'Cannot change the role of the owner of the organization'
+    });
+  }
+  
+  memberToUpdate.role = role;
+  await organization.save();
+  
+  res.status(200).json({
+    success: true,
+    organization
+  });
+});
+
 /**
  * @desc    Remove member from organization
  * @route   DELETE /api/organizations/:id/members/:userId
@@ -293,6 +380,192 @@ const removeMember = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Invite someone to an organization by email
+ * @route   POST /api/organizations/:id/invitations
+ * @access  Private
+ */
+const inviteMember = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+  
+  if (!email) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please provide an email'
+    });
+  }
+  
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please add a valid email'
+    });
+  }
+  
+  // Organizations have a single owner
+  if (role && !['admin', 'member'].includes(role)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Role must be admin or member'
+    });
+  }
+  
+  // Get organization
+  const organization = await Organization.findById(req.params.id);
+  
+  if (!organization) {
+    return res.status(404).json({
+      success: false,
+      error: 'Organization not found'
+    });
+  }
+  
+  // Check if user is owner or admin
+  const member = organization.members.find(
+    member => member.user.toString() === req.user.id
+  );
+  
+  if (!member || !['owner', 'admin'].includes(member.role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized to invite members to this organization'
+    });
+  }
+  
+  // Check if the invitee is already a member
+  const members = await User.find({
+    _id: { $in: organization.members.map(member => member.user) }
+  }).select('email');
+  
+  const isAlreadyMember = members.some(
+    user => user.email.toLowerCase() === email.toLowerCase()
+  );
+  
+  if (isAlreadyMember) {
+    return res.status(400).json({
+      success: false,
+      error: 'User is already a member of this organization'
+    });
+  }
+  
+  const { invitation, token } = await invitationService.createInvitation(organization, {
+    email,
+    role,
+    invitedBy: req.user.id
+  });
+  
+  try {
+    await invitationService.sendInvitationEmail(invitation, token, organization, req.user);
+  } catch (err) {
+    console.log(err);
+    await invitation.deleteOne();
+    
+    return res.status(500).json({
+      success: false,
+      error: 'Invitation email could not be sent'
+    });
+  }
+  
+  // Only now that the new link is on its way do the old ones stop working
+  await invitationService.revokeEarlierInvitations(invitation);
+  
+  res.status(201).json({
+    success: true,
+    invitation
+  });
+});
+
+/**
+ * @desc    Get pending invitations of an organization
+ * @route   GET /api/organizations/:id/invitations
+ * @access  Private
+ */
+const getInvitations = asyncHandler(async (req, res) => {
+  const organization = await Organization.findById(req.params.id);
+  
+  if (!organization) {
+    return res.status(404).json({
+      success: false,
+      error: 'Organization not found'
+    });
+  }
+  
+  // Check if user is owner or admin
+  const member = organization.members.find(
+    member => member.user.toString() === req.user.id
+  );
+  
+  if (!member || !['owner', 'admin'].includes(member.role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized to view invitations of this organization'
+    });
+  }
+  
+  const invitations = await invitationService.getPendingInvitations(organization._id);
+  
+  res.status(200).json({
+    success: true,
+    count: invitations.length,
+    invitations
+  });
+});
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/organizations/:id/invitations/:invitationId
+ * @access  Private
+ */
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const organization = await Organization.findById(req.params.id);
+  
+  if (!organization) {
+    return res.status(404).json({
+      success: false,
+      error: 'Organization not found'
+    });
+  }
+  
+  // Check if user is owner or admin
+  const member = organization.members.find(
+    member => member.user.toString() === req.user.id
+  );
+  
+  if (!member || !['owner', 'admin'].includes(member.role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized to revoke invitations of this organization'
+    });
+  }
+  
+  const invitation = await Invitation.findOne({
+    _id: req.params.invitationId,
+    organizationId: organization._id
+  });
+  
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invitation not found'
+    });
+  }
+  
+  if (invitation.status !== 'pending') {
+    return res.status(400).json({
+      success: false,
+      error: `Invitation has already been ${invitation.status}`
+    });
+  }
+  
+  await invitationService.closeInvitation(invitation, 'revoked');
+  
+  res.status(200).json({
+    success: true,
+    invitation
+  });
+});
+
 module.exports = {
   getOrganizations,
   getOrganization,
@@ -300,5 +573,9 @@ module.exports = {
   updateOrganization,
   deleteOrganization,
   addMember,
-  removeMember
+  updateMemberRole,
+  removeMember,
+  inviteMember,
+  getInvitations,
+  revokeInvitation
 };
\ No newline at end of file
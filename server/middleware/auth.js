@@ -30,6 +30,11 @@ exports.protect = asyncHandler(async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, config.jwtSecret);
     
+    // Invitation links are signed with the same secret but aren't sessions
+    if (decoded.type) {
+      throw new Error('Not a session token');
+    }
+    
     // Add user to request object
     req.user = await User.findById(decoded.id);
     
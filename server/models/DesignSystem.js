@@ -19,8 +19,10 @@ const DesignSystemSchema = new mongoose.Schema({
     required: true 
   },
   organizationId: { 
-    type: String, 
-    default: null 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization',
+    default: null,
+    index: true
   },
   tokens: {
     colors: { 
@@ -28,6 +30,11 @@ const DesignSystemSchema = new mongoose.Schema({
       of: mongoose.Schema.Types.Mixed, 
       default: {} 
     },
+    gradients: { 
+      type: Map, 
+      of: mongoose.Schema.Types.Mixed, 
+      default: {} 
+    },
     typography: { 
       type: Map, 
       of: mongoose.Schema.Types.Mixed, 
@@ -47,6 +54,31 @@ const DesignSystemSchema = new mongoose.Schema({
       type: Map, 
       of: mongoose.Schema.Types.Mixed, 
       default: {} 
+    },
+    radii: { 
+      type: Map, 
+      of: mongoose.Schema.Types.Mixed, 
+      default: {} 
+    },
+    opacity: { 
+      type: Map, 
+      of: mongoose.Schema.Types.Mixed, 
+      default: {} 
+    },
+    blur: { 
+      type: Map, 
+      of: mongoose.Schema.Types.Mixed, 
+      default: {} 
+    },
+    grids: { 
+      type: Map, 
+      of: mongoose.Schema.Types.Mixed, 
+      default: {} 
+    },
+    breakpoints: { 
+      type: Map, 
+      of: mongoose.Schema.Types.Mixed, 
+      default: {} 
     }
   },
   components: [{ 
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const ComponentSnapshotSchema = new mongoose.Schema({
+  componentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Component'
+  },
+  figmaId: String,
+  figmaKey: String,
+  name: String,
+  description: String,
+  type: String,
+  properties: mongoose.Schema.Types.Mixed,
+  layout: mongoose.Schema.Types.Mixed,
+  styles: mongoose.Schema.Types.Mixed,
+  variantProperties: mongoose.Schema.Types.Mixed,
+  previewUrl: String
+}, {
+  _id: false,
+  minimize: false
+});
+
+// Immutable snapshot of a design system's content at one version
+const DesignSystemVersionSchema = new mongoose.Schema({
+  designSystemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DesignSystem',
+    required: true,
+    immutable: true
+  },
+  version: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  name: {
+    type: String,
+    immutable: true
+  },
+  description: {
+    type: String,
+    default: '',
+    immutable: true
+  },
+  tokens: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+    immutable: true
+  },
+  componentSets: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+    immutable: true
+  },
+  componentPreviews: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+    immutable: true
+  },
+  components: {
+    type: [ComponentSnapshotSchema],
+    default: [],
+    immutable: true
+  },
+  stats: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+    immutable: true
+  },
+  source: {
+    type: String,
+    enum: ['save', 'sync', 'restore', 'baseline'],
+    default: 'save',
+    immutable: true
+  },
+  restoredFrom: {
+    type: String,
+    default: null,
+    immutable: true
+  },
+  // { bump, summary, entries: [{ bump, message }] }
+  changelog: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    immutable: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  minimize: false
+});
+
+DesignSystemVersionSchema.index({ designSystemId: 1, version: 1 }, { unique: true });
+
+// Snapshots are written once and never changed
+DesignSystemVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Design system versions are immutable'));
+  }
+  next();
+});
+
+DesignSystemVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Design system versions are immutable'));
+});
+
+module.exports = mongoose.model('DesignSystemVersion', DesignSystemVersionSchema);
\ No newline at end of file
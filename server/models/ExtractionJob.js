@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// Extraction stages in the order they run, with their share of the overall progress
+const EXTRACTION_STAGES = [
+  { name: 'file', label: 'Fetching file', weight: 10 },
+  { name: 'styles', label: 'Extracting styles', weight: 30 },
+  { name: 'nodes', label: 'Fetching component nodes', weight: 25 },
+  { name: 'components', label: 'Processing components', weight: 10 },
+  { name: 'previews', label: 'Fetching component previews', weight: 15 },
+  { name: 'save', label: 'Saving design system', weight: 10 }
+];
+
+const JobStageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: EXTRACTION_STAGES.map(stage => stage.name),
+    required: true
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  percent: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+const ExtractionJobSchema = new mongoose.Schema({
+  fileKey: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizationId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  stage: {
+    type: String,
+    default: null
+  },
+  percent: {
+    type: Number,
+    default: 0
+  },
+  message: {
+    type: String,
+    default: 'Waiting to start'
+  },
+  stages: {
+    type: [JobStageSchema],
+    default: () => EXTRACTION_STAGES.map(({ name, label }) => ({ name, label }))
+  },
+  designSystemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DesignSystem',
+    default: null
+  },
+  // Node and preview requests that still failed after retrying
+  report: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Figma response cache hits and misses
+  metrics: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+ExtractionJobSchema.statics.STAGES = EXTRACTION_STAGES;
+
+module.exports = mongoose.model('ExtractionJob', ExtractionJobSchema);
\ No newline at end of file
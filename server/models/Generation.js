@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A screen generated from a prompt with a design system's components and tokens
+const GenerationSchema = new mongoose.Schema({
+  designSystemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DesignSystem',
+    required: true,
+    index: true
+  },
+  // Design system version the screen was generated against
+  designSystemVersion: {
+    type: String,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  prompt: {
+    type: String,
+    required: [true, 'Please describe what you want to build'],
+    trim: true,
+    maxlength: [2000, 'Prompt can not be more than 2000 characters']
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'failed'],
+    default: 'completed'
+  },
+  code: {
+    type: String,
+    default: ''
+  },
+  // Design system components the code uses
+  components: {
+    type: [String],
+    default: []
+  },
+  // Validation issues left after the last attempt
+  issues: {
+    type: [String],
+    default: []
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  usage: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Generation', GenerationSchema);
\ No newline at end of file
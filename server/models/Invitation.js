@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const config = require('../config/default');
+
+const InvitationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ],
+    index: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Whether the invitation can no longer be used
+InvitationSchema.methods.isExpired = function() {
+  return this.expiresAt.getTime() <= Date.now();
+};
+
+// Sign a token for the invitation link that expires with the invitation
+InvitationSchema.methods.getSignedToken = function() {
+  return jwt.sign({ id: this._id, type: 'invitation' }, config.jwtSecret, {
+    expiresIn: Math.max(1, Math.ceil((this.expiresAt.getTime() - Date.now()) / 1000))
+  });
+};
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
\ No newline at end of file
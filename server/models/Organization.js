@@ -35,10 +35,4 @@ const OrganizationSchema = new mongoose.Schema({
   }
 });
 
-// Cascade delete design systems when an organization is deleted
-OrganizationSchema.pre('remove', async function(next) {
-  await this.model('DesignSystem').deleteMany({ organizationId: this._id });
-  next();
-});
-
 module.exports = mongoose.model('Organization', OrganizationSchema);
\ No newline at end of file
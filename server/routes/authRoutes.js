@@ -5,7 +5,9 @@ const {
   getMe,
   updateDetails,
   updatePassword,
-  saveFigmaToken
+  saveFigmaToken,
+  forgotPassword,
+  resetPassword
 } = require('../controllers/authController');
 
 const router = express.Router();
@@ -20,5 +22,7 @@ router.get('/me', protect, getMe);
 router.put('/updatedetails', protect, updateDetails);
 router.put('/updatepassword', protect, updatePassword);
 router.post('/figma-token', protect, saveFigmaToken);
+router.post('/forgotpassword', forgotPassword);
+router.put('/resetpassword/:resettoken', resetPassword);
 
 module.exports = router;
\ No newline at end of file
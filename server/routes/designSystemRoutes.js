@@ -0,0 +1,12 @@
+const express = require('express');
+const { lintCode } = require('../controllers/designSystemController');
+
+const router = express.Router();
+
+// Middleware
+const { protect } = require('../middleware/auth');
+
+// Design system routes that aren't tied to Figma, e.g. for CI
+router.post('/:id/lint', protect, lintCode);
+
+module.exports = router;
\ No newline at end of file
@@ -1,11 +1,19 @@
 const express = require('express');
 const {
-  initializeFigmaApi,
   extractDesignSystem,
   saveDesignSystem,
   extractAndSaveDesignSystem,
+  startExtractionJob,
+  getExtractionJob,
+  streamExtractionJob,
   getDesignSystemById,
   getDesignSystemsByUser,
+  syncDesignSystem,
+  getDesignSystemVersions,
+  getDesignSystemVersion,
+  restoreDesignSystemVersion,
+  getDesignSystemDiff,
+  getComponentCode,
   deleteDesignSystem,
   exportDesignSystem,
   importDesignSystem,
@@ -22,8 +30,17 @@ router.post('/auth', protect, authorizeFigma);
 router.post('/extract', protect, extractDesignSystem);
 router.post('/save', protect, saveDesignSystem);
 router.post('/extract-and-save', protect, extractAndSaveDesignSystem);
+router.post('/extraction-jobs', protect, startExtractionJob);
+router.get('/extraction-jobs/:id', protect, getExtractionJob);
+router.get('/extraction-jobs/:id/events', protect, streamExtractionJob);
 router.get('/design-systems', protect, getDesignSystemsByUser);
 router.get('/design-systems/:id', protect, getDesignSystemById);
+router.post('/design-systems/:id/sync', protect, syncDesignSystem);
+router.get('/design-systems/:id/versions', protect, getDesignSystemVersions);
+router.get('/design-systems/:id/versions/:version', protect, getDesignSystemVersion);
+router.post('/design-systems/:id/versions/:version/restore', protect, restoreDesignSystemVersion);
+router.get('/design-systems/:id/diff', protect, getDesignSystemDiff);
+router.get('/design-systems/:id/components/:componentId/code', protect, getComponentCode);
 router.delete('/design-systems/:id', protect, deleteDesignSystem);
 router.get('/export/:id', protect, exportDesignSystem);
 router.post('/import', protect, importDesignSystem);
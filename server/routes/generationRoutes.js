@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  generateUI,
+  getGenerations,
+  getGeneration,
+  deleteGeneration
+} = require('../controllers/generationController');
+
+const router = express.Router();
+
+// Middleware
+const { protect } = require('../middleware/auth');
+
+// Apply protection to all routes
+router.use(protect);
+
+// Generation routes
+router.route('/')
+  .get(getGenerations)
+  .post(generateUI);
+
+router.route('/:id')
+  .get(getGeneration)
+  .delete(deleteGeneration);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getMyInvitations,
+  getInvitation,
+  acceptInvitation,
+  declineInvitation
+} = require('../controllers/invitationController');
+
+const router = express.Router();
+
+// Middleware
+const { protect } = require('../middleware/auth');
+
+// Invitation routes. The token in the link is enough to view or decline an invitation
+router.get('/', protect, getMyInvitations);
+router.get('/:token', getInvitation);
+router.post('/:token/accept', protect, acceptInvitation);
+router.post('/:token/decline', declineInvitation);
+
+module.exports = router;
\ No newline at end of file
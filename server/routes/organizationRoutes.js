@@ -6,7 +6,11 @@ const {
   updateOrganization,
   deleteOrganization,
   addMember,
-  removeMember
+  updateMemberRole,
+  removeMember,
+  inviteMember,
+  getInvitations,
+  revokeInvitation
 } = require('../controllers/organizationController');
 
 const router = express.Router();
@@ -32,6 +36,15 @@ router.route('/:id/members')
   .post(addMember);
 
 router.route('/:id/members/:userId')
+  .put(updateMemberRole)
   .delete(removeMember);
 
+// Invitation routes
+router.route('/:id/invitations')
+  .get(getInvitations)
+  .post(inviteMember);
+
+router.route('/:id/invitations/:invitationId')
+  .delete(revokeInvitation);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,255 @@
+// server/services/codegen/__tests__/designSystemLinter.test.js
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const config = require('../../../config/default');
+const User = require('../../../models/User');
+const designSystemStore = require('../../figma/designSystemStore');
+const designSystemRoutes = require('../../../routes/designSystemRoutes');
+const designSystemLinter = require('../designSystemLinter');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const designSystem = {
+  _id: id(),
+  userId: id(),
+  organizationId: null,
+  tokens: {
+    colors: {
+      'color/primary': { name: 'primary', value: '#2563eb' },
+      'color/text': { name: 'text', value: '#111827' }
+    },
+    typography: {
+      body: { name: 'body', fontFamily: 'Inter', fontWeight: 400, fontSize: '16px', lineHeight: '24px' }
+    },
+    spacing: {
+      'spacing/sm': { name: 'sm', value: '8px' },
+      'spacing/md': { name: 'md', value: '16px' }
+    }
+  }
+};
+
+/**
+ * Lint a source and keep the fields the assertions look at
+ * @param {string} source - The JSX source
+ * @returns {Array} Issues, as { type, severity, value, context, property, line, column }
+ */
+const lintIssues = (source) => designSystemLinter.lint(designSystem, source).issues
+  .map(({ type, severity, value, context, property, line, column }) => ({ type, severity, value, context, property, line, column }));
+
+describe('designSystemLinter', () => {
+  describe('lint', () => {
+    test('reports arbitrary values in class names', () => {
+      const issues = lintIssues('export const Card = () => <div className="bg-[#2563ea] p-[9px] text-[15px] gap-md" />;');
+
+      expect(issues).toEqual([
+        expect.objectContaining({ type: 'color', value: '#2563ea', context: 'className', property: 'bg-[#2563ea]' }),
+        expect.objectContaining({ type: 'spacing', value: '9px', context: 'className', property: 'p-[9px]' }),
+        expect.objectContaining({ type: 'fontSize', value: '15px', context: 'className', property: 'text-[15px]' })
+      ]);
+    });
+
+    test('suggests the nearest token with its class name', () => {
+      const [issue] = designSystemLinter.lint(designSystem, '<div className="p-[9px]" />').issues;
+
+      expect(issue.message).toBe("Hard-coded spacing 9px doesn't match a token; the nearest is sm (8px, 1px larger), use p-sm");
+      expect(issue.suggestion).toEqual({ token: 'sm', name: 'sm', value: '8px', className: 'p-sm', distance: 1 });
+    });
+
+    test('reports values in inline styles', () => {
+      const issues = lintIssues("<div style={{ color: '#ff0000', padding: '16px 9px', fontSize: 16, margin: 0 }} />");
+
+      expect(issues).toEqual([
+        expect.objectContaining({ type: 'color', value: '#ff0000', context: 'style', property: 'color' }),
+        expect.objectContaining({ type: 'spacing', value: '16px', context: 'style', property: 'padding' }),
+        expect.objectContaining({ type: 'spacing', value: '9px', context: 'style', property: 'padding' }),
+        expect.objectContaining({ type: 'fontSize', value: '16px', context: 'style', property: 'fontSize' })
+      ]);
+    });
+
+    test('reports colors in SVG fill and stroke attributes', () => {
+      const issues = lintIssues('<svg><path fill="#2563eb" stroke="#123456" /><path fill="currentColor" /></svg>');
+
+      expect(issues).toEqual([
+        expect.objectContaining({ type: 'color', value: '#2563eb', context: 'attribute', property: 'fill' }),
+        expect.objectContaining({ type: 'color', value: '#123456', context: 'attribute', property: 'stroke' })
+      ]);
+    });
+
+    test('reports class lists kept in variables', () => {
+      const issues = lintIssues([
+        "const baseClasses = 'flex p-[9px]';",
+        'const variantClasses = `rounded bg-[#123456]`;',
+        "const label = 'Save changes';"
+      ].join('\n'));
+
+      expect(issues).toEqual([
+        expect.objectContaining({ value: '9px', context: 'className', property: 'p-[9px]' }),
+        expect.objectContaining({ value: '#123456', context: 'className', property: 'bg-[#123456]' })
+      ]);
+    });
+
+    test("ignores values that aren't design decisions", () => {
+      const issues = lintIssues([
+        "import theme from './theme-tokens';",
+        '<div className="bg-primary p-md text-body w-[320px] bg-[var(--brand)]" style={{ margin: 0, width: \'50%\' }} />'
+      ].join('\n'));
+
+      expect(issues).toEqual([]);
+    });
+
+    test('warns about values that match a token and fails values that match none', () => {
+      const issues = lintIssues('<div className="bg-[#2563ea] bg-[#ff0000] p-[16px] p-[9px]" />');
+
+      expect(issues.map(({ value, severity }) => [value, severity])).toEqual([
+        ['#2563ea', 'warning'],
+        ['#ff0000', 'error'],
+        ['16px', 'warning'],
+        ['9px', 'error']
+      ]);
+    });
+
+    test('reports where each value is, with 1-based lines and columns', () => {
+      const source = [
+        'export default function Card() {',
+        '  return (',
+        '    <div className="flex bg-[#ff0000]">',
+        "      <p style={{ color: '#123456' }}>Hi</p>",
+        '    </div>',
+        '  );',
+        '}'
+      ].join('\n');
+
+      expect(lintIssues(source).map(({ value, line, column }) => ({ value, line, column }))).toEqual([
+        { value: '#ff0000', line: 3, column: 26 },
+        { value: '#123456', line: 4, column: 27 }
+      ]);
+    });
+
+    test("returns the parse error for code that doesn't parse", () => {
+      const result = designSystemLinter.lint(designSystem, 'const a = <div>', { fileName: 'Broken.tsx' });
+
+      expect(result).toEqual({ fileName: 'Broken.tsx', issues: [], error: expect.stringMatching(/^Unexpected token/) });
+    });
+  });
+
+  describe('lintFiles', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('passes files with warnings only', () => {
+      const result = designSystemLinter.lintFiles(designSystem, [{ fileName: 'Card.tsx', code: '<div className="p-[16px]" />' }]);
+
+      expect(result.passed).toBe(true);
+      expect(result.summary).toEqual({ files: 1, errors: 0, warnings: 1, parseErrors: 0, byType: { spacing: 1 } });
+    });
+
+    test('fails on errors and parse errors', () => {
+      const result = designSystemLinter.lintFiles(designSystem, [
+        { fileName: 'Card.tsx', code: '<div className="bg-[#ff0000]" />' },
+        { fileName: 'Broken.tsx', code: 'const a = <div>' }
+      ]);
+
+      expect(result.passed).toBe(false);
+      expect(result.summary).toMatchObject({ files: 2, errors: 1, warnings: 0, parseErrors: 1 });
+    });
+  });
+
+  describe('POST /api/design-systems/:id/lint', () => {
+    const users = {
+      owner: { _id: designSystem.userId, id: designSystem.userId.toString(), role: 'user' },
+      other: { _id: id(), role: 'user' }
+    };
+    users.other.id = users.other._id.toString();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/design-systems', designSystemRoutes);
+
+    const lint = (body, user = users.owner) => request(app)
+      .post(`/api/design-systems/${designSystem._id}/lint`)
+      .set('Authorization', `Bearer ${jwt.sign({ id: user.id }, config.jwtSecret)}`)
+      .send(body);
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      jest.spyOn(User, 'findById').mockImplementation((userId) =>
+        Promise.resolve(Object.values(users).find(user => user.id === userId.toString()) || null)
+      );
+      jest.spyOn(designSystemStore, 'getDesignSystemById').mockImplementation((designSystemId) =>
+        Promise.resolve(String(designSystemId) === designSystem._id.toString() ? designSystem : null)
+      );
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('lints the code of one file', async () => {
+      const response = await lint({ code: '<div className="bg-[#ff0000]" />', fileName: 'Card.tsx' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.passed).toBe(false);
+      expect(response.body.files).toEqual([
+        expect.objectContaining({ fileName: 'Card.tsx', issues: [expect.objectContaining({ value: '#ff0000', severity: 'error' })] })
+      ]);
+    });
+
+    test('names files sent without a name', async () => {
+      const response = await lint({ files: [{ code: '<div />' }, { code: '<span />', fileName: 'Label.tsx' }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.files.map(file => file.fileName)).toEqual(['file-1.tsx', 'Label.tsx']);
+    });
+
+    test.each([
+      ['a missing code', {}],
+      ['code that is not a string', { code: 42 }],
+      ['an empty file list', { files: [] }],
+      ['a file without code', { files: [{ code: '<div />' }, { fileName: 'Card.tsx' }] }]
+    ])('rejects %s', async (label, body) => {
+      const response = await lint(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Please provide the code to lint');
+    });
+
+    test('lints up to 200 files at once', async () => {
+      const files = Array.from({ length: 200 }, () => ({ code: '<div />' }));
+
+      expect((await lint({ files })).status).toBe(200);
+
+      const response = await lint({ files: [...files, { code: '<div />' }] });
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Can not lint more than 200 files at once');
+    });
+
+    test("doesn't lint against a design system the user can't view", async () => {
+      const lintFiles = jest.spyOn(designSystemLinter, 'lintFiles');
+
+      const response = await lint({ code: '<div />' }, users.other);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Not authorized to access this design system');
+      expect(lintFiles).not.toHaveBeenCalled();
+    });
+
+    test('answers 404 for design systems that do not exist', async () => {
+      const response = await request(app)
+        .post(`/api/design-systems/${id()}/lint`)
+        .set('Authorization', `Bearer ${jwt.sign({ id: users.owner.id }, config.jwtSecret)}`)
+        .send({ code: '<div />' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
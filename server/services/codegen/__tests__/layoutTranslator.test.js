@@ -0,0 +1,121 @@
+// server/services/codegen/__tests__/layoutTranslator.test.js
+const fs = require('fs');
+const path = require('path');
+const layoutTranslator = require('../layoutTranslator');
+
+// Each fixture is a Figma subtree (<name>.json) and the stylesheet expected for it (<name>.css)
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'layout');
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => path.basename(file, '.json'))
+  .sort();
+
+const readFixture = (name) => ({
+  node: JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8')),
+  css: fs.readFileSync(path.join(FIXTURES_DIR, `${name}.css`), 'utf8')
+});
+
+/**
+ * Collect the CSS of every node in a translated tree
+ * @param {Object} tree - The tree from translateTree
+ * @returns {Object} CSS declarations by node ID
+ */
+const getCssById = (tree) => {
+  const cssById = {};
+  const visit = (node) => {
+    cssById[node.id] = node.css;
+    node.children.forEach(visit);
+  };
+  visit(tree);
+  return cssById;
+};
+
+describe('layoutTranslator', () => {
+  test('has fixtures', () => {
+    expect(fixtures).toEqual(expect.arrayContaining([
+      'absolute',
+      'fill-hug-fixed',
+      'grid',
+      'min-max',
+      'space-between',
+      'wrap'
+    ]));
+  });
+
+  describe.each(fixtures)('%s', (name) => {
+    const { node, css } = readFixture(name);
+
+    test('renders the expected stylesheet', () => {
+      expect(layoutTranslator.toStylesheet(layoutTranslator.translateTree(node))).toBe(css);
+    });
+
+    test('prefixes class names', () => {
+      const stylesheet = layoutTranslator.toStylesheet(layoutTranslator.translateTree(node), { prefix: 'ds' });
+
+      expect(stylesheet).toBe(css.replace(/^\.([\w-]+) \{/gm, '.ds-$1 {'));
+    });
+  });
+
+  describe('per node', () => {
+    const translate = (name) => getCssById(layoutTranslator.translateTree(readFixture(name).node));
+
+    test('sizes fixed, hug and fill children of a row', () => {
+      const css = translate('fill-hug-fixed');
+
+      expect(css['1:1']).toMatchObject({ height: '40px', display: 'flex', gap: '8px', padding: '4px 12px' });
+      expect(css['1:1']).not.toHaveProperty('width');
+      expect(css['1:2']).toEqual({ width: '16px', 'flex-shrink': '0', height: '16px' });
+      expect(css['1:3']).toEqual({ flex: '1 1 0px', 'align-self': 'stretch' });
+      expect(css['1:4']).toEqual({ 'flex-shrink': '0' });
+    });
+
+    test('skips hidden nodes', () => {
+      expect(translate('fill-hug-fixed')).not.toHaveProperty(['1:5']);
+    });
+
+    test('reads the legacy layoutGrow and layoutAlign sizing', () => {
+      const css = translate('space-between');
+
+      expect(css['2:1']).toMatchObject({ 'justify-content': 'space-between', 'flex-direction': 'column' });
+      expect(css['2:2']).toMatchObject({ 'align-self': 'stretch', height: '50px' });
+      expect(css['2:3']).toMatchObject({ flex: '1 1 0px', width: '120px' });
+    });
+
+    test('uses the counter axis spacing as the row gap when wrapping', () => {
+      expect(translate('wrap')['3:1']).toMatchObject({ 'flex-wrap': 'wrap', gap: '12px 4px', 'align-content': 'space-between' });
+    });
+
+    test('keeps min and max sizes', () => {
+      const css = translate('min-max');
+
+      expect(css['4:1']).toMatchObject({ width: '100%', 'min-width': '320px', 'max-width': '640px' });
+      expect(css['4:2']).toMatchObject({ 'max-height': '200px' });
+      expect(css['4:3']).toMatchObject({ height: '40px', 'min-height': '40px', 'justify-content': 'flex-end' });
+    });
+
+    test('positions absolute children by their constraints', () => {
+      const css = translate('absolute');
+
+      expect(css['5:1']).toMatchObject({ position: 'relative', overflow: 'hidden' });
+      expect(css['5:2']).toEqual({ position: 'absolute', right: '10px', width: '20px', bottom: '10px', height: '10px' });
+      expect(css['5:3']).toEqual({ position: 'absolute', left: '10px', right: '10px', top: '10px', bottom: '10px' });
+      expect(css['5:4']).toEqual({ position: 'absolute', left: 'calc(50% - 10px)', width: '20px', top: '25%', height: '50%' });
+      expect(css['5:5']).toEqual({ 'flex-shrink': '0' });
+    });
+
+    test('places grid items by anchor and span', () => {
+      const css = translate('grid');
+
+      expect(css['6:1']).toMatchObject({
+        display: 'grid',
+        'grid-template-columns': 'repeat(3, minmax(0, 1fr))',
+        'grid-template-rows': 'repeat(2, auto)',
+        gap: '16px 24px'
+      });
+      expect(css['6:2']).toMatchObject({ 'grid-column': '1 / span 2', 'grid-row': '1 / span 1', 'align-self': 'start' });
+      expect(css['6:3']).toEqual({ 'grid-column': '3 / span 1', 'grid-row': '1 / span 2' });
+      expect(css['6:4']).toMatchObject({ width: '120px', height: '120px', 'justify-self': 'start' });
+    });
+  });
+});
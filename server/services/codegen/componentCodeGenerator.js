@@ -0,0 +1,922 @@
+// server/services/codegen/componentCodeGenerator.js
+const tinycolor = require('tinycolor2');
+const tailwindExporter = require('../export/tailwindExporter');
+const layoutTranslator = require('./layoutTranslator');
+const { getTokenEntries, toKebabCase } = require('../../utils/tokenUtils');
+const { findClosestColor, isSameColor } = require('../../utils/colorUtils');
+
+/**
+ * Variant property names that hold interaction states
+ */
+const STATE_PROPERTIES = ['state', 'states', 'status', 'interaction'];
+
+/**
+ * Interaction state values and the Tailwind modifier they map to
+ * Resting states map to null; values not listed here (e.g. "error") stay props
+ */
+const STATE_MODIFIERS = {
+  default: null,
+  rest: null,
+  resting: null,
+  enabled: null,
+  normal: null,
+  idle: null,
+  hover: 'hover',
+  hovered: 'hover',
+  pressed: 'active',
+  active: 'active',
+  focus: 'focus-visible',
+  focused: 'focus-visible',
+  'focus-visible': 'focus-visible',
+  disabled: 'disabled'
+};
+
+/**
+ * Variant values that make a property a boolean prop, truthy value first
+ */
+const BOOLEAN_VALUES = [['true', 'false'], ['yes', 'no'], ['on', 'off']];
+
+/**
+ * Props the generated component declares itself
+ */
+const RESERVED_PROPS = ['children', 'className', 'icon', 'disabled', 'props', 'classes'];
+
+/**
+ * Elements rendered for each component type
+ */
+const ELEMENTS = {
+  button: { tag: 'button', attributes: 'React.ButtonHTMLAttributes<HTMLButtonElement>' },
+  input: { tag: 'input', attributes: 'React.InputHTMLAttributes<HTMLInputElement>' },
+  component: { tag: 'div', attributes: 'React.HTMLAttributes<HTMLDivElement>' }
+};
+
+/**
+ * Classes for CSS declarations from the layout translator that map one to one
+ */
+const LAYOUT_CLASSES = {
+  'flex-direction': { column: 'flex-col' },
+  'flex-wrap': { wrap: 'flex-wrap' },
+  'align-content': { 'flex-start': 'content-start', 'space-between': 'content-between' },
+  'justify-content': { center: 'justify-center', 'flex-end': 'justify-end', 'space-between': 'justify-between' },
+  'align-items': { 'flex-start': 'items-start', center: 'items-center', 'flex-end': 'items-end', baseline: 'items-baseline' },
+  position: { relative: 'relative' },
+  overflow: { hidden: 'overflow-hidden' }
+};
+
+const FONT_WEIGHT_CLASSES = {
+  100: 'font-thin',
+  200: 'font-extralight',
+  300: 'font-light',
+  400: 'font-normal',
+  500: 'font-medium',
+  600: 'font-semibold',
+  700: 'font-bold',
+  800: 'font-extrabold',
+  900: 'font-black'
+};
+
+class ComponentCodeGenerator {
+  /**
+   * Generate a typed React component styled with Tailwind from a component set
+   * Variant properties become props, interaction states become Tailwind modifiers
+   * and class names use the design system's own Tailwind theme where a token matches
+   * @param {Object} designSystem - The design system, with populated components
+   * @param {string} componentId - A component set ID, or the Figma or database ID of a component
+   * @returns {Object|null} { code, fileName, componentName, componentSetId, props }, or null if the component isn't found
+   */
+  generateComponentCode(designSystem, componentId) {
+    const data = typeof designSystem.toObject === 'function'
+      ? designSystem.toObject({ flattenMaps: true })
+      : designSystem;
+
+    const target = this.findComponentSet(data, componentId);
+    if (!target || target.variants.length === 0) {
+      return null;
+    }
+
+    console.log(`Generating code for ${target.name} (${target.variants.length} variants)`);
+
+    const index = this.buildTokenIndex(data.tokens || {});
+    const element = this.getElement(target);
+    const { props, stateProperty } = this.getVariantProps(target);
+    const combinations = this.getCombinations(target, props, stateProperty, element, index);
+    const classMaps = this.splitClasses(combinations, props);
+
+    const componentName = this.toPascalCase(target.name);
+    const resting = combinations[0].variant;
+    const properties = target.variants.reduce((merged, variant) => ({ ...variant.properties, ...merged }), {});
+
+    const code = this.renderComponent({
+      componentName,
+      target,
+      designSystem: data,
+      element,
+      props,
+      classMaps,
+      hasDisabledState: combinations.some(combination => combination.states.includes('disabled')),
+      icon: properties.hasIcon ? (properties.iconPosition === 'right' || properties.iconPosition === 'bottom' ? 'end' : 'start') : null,
+      label: (resting.properties && resting.properties.label) || target.name.split('/').pop().trim(),
+      placeholder: properties.placeholder || ''
+    });
+
+    return {
+      code,
+      fileName: `${componentName}.tsx`,
+      componentName,
+      componentSetId: target.id,
+      props: props.map(({ name, property, type, values, defaultValue }) => ({
+        name,
+        property,
+        type,
+        values: values.map(value => value.value),
+        default: defaultValue
+      }))
+    };
+  }
+
+  /**
+   * Find the component set to generate, or a standalone component wrapped as a set of one
+   * @param {Object} data - The design system (plain object)
+   * @param {string} componentId - A component set ID, or the Figma or database ID of a component
+   * @returns {Object|null} { id, name, description, type, variantProperties, variants }
+   */
+  findComponentSet(data, componentId) {
+    const componentSets = data.componentSets || {};
+    const components = data.components || [];
+
+    const toTarget = (id, componentSet) => ({
+      id,
+      name: componentSet.name,
+      description: componentSet.description || '',
+      type: componentSet.type || 'component',
+      variantProperties: componentSet.variantProperties || {},
+      variants: (componentSet.components || [])
+        .map(figmaId => components.find(component => component.figmaId === figmaId))
+        .filter(Boolean)
+    });
+
+    if (componentSets[componentId]) {
+      return toTarget(componentId, componentSets[componentId]);
+    }
+
+    const component = components.find(c => c.figmaId === componentId || String(c._id) === componentId);
+    if (!component) return null;
+
+    const setEntry = Object.entries(componentSets).find(([, componentSet]) =>
+      (componentSet.components || []).includes(component.figmaId)
+    );
+    if (setEntry) {
+      return toTarget(setEntry[0], setEntry[1]);
+    }
+
+    return {
+      id: component.figmaId,
+      name: component.name,
+      description: component.description || '',
+      type: component.type || 'component',
+      variantProperties: {},
+      variants: [component]
+    };
+  }
+
+  /**
+   * Choose the element to render
+   * @param {Object} target - The component set
+   * @returns {Object} { tag, attributes }
+   */
+  getElement(target) {
+    if (target.type === 'button' || /button/i.test(target.name)) return ELEMENTS.button;
+    if (target.type === 'input' || target.variants.some(variant => variant.properties && variant.properties.isInput)) {
+      return ELEMENTS.input;
+    }
+    return ELEMENTS.component;
+  }
+
+  /**
+   * Turn the set's variant properties into component props
+   * The state property is split: interaction states become modifiers and only
+   * the remaining values (e.g. "error") are kept as a prop
+   * @param {Object} target - The component set
+   * @returns {Object} { props, stateProperty }
+   */
+  getVariantProps(target) {
+    const variantProperties = Object.keys(target.variantProperties).length > 0
+      ? target.variantProperties
+      : this.collectVariantProperties(target.variants);
+    const firstVariant = target.variants[0].variantProperties || {};
+
+    const props = [];
+    const usedNames = new Set(RESERVED_PROPS);
+    let stateProperty = null;
+
+    for (const [property, rawValues] of Object.entries(variantProperties)) {
+      let values = [...new Set(rawValues)];
+      let defaultValue = firstVariant[property];
+
+      if (STATE_PROPERTIES.includes(property.trim().toLowerCase())) {
+        stateProperty = property;
+        const restingValue = this.getRestingState(values);
+
+        values = values.filter(value => value === restingValue || this.getStateModifier(value) === undefined);
+        defaultValue = restingValue;
+      }
+
+      if (values.length < 2) continue;
+
+      let name = this.toCamelCase(property) || 'variant';
+      if (/^\d/.test(name)) name = `prop${name}`;
+      while (usedNames.has(name)) name = `${name}Variant`;
+      usedNames.add(name);
+
+      const lowerValues = values.map(value => value.trim().toLowerCase());
+      const booleanPair = BOOLEAN_VALUES.find(pair =>
+        lowerValues.length === 2 && pair.every(value => lowerValues.includes(value))
+      );
+
+      if (booleanPair) {
+        props.push({
+          name,
+          property,
+          type: 'boolean',
+          values: values.map(value => ({ raw: value, value: value.trim().toLowerCase() === booleanPair[0] })),
+          defaultValue: `${defaultValue}`.trim().toLowerCase() === booleanPair[0]
+        });
+        continue;
+      }
+
+      const seen = new Set();
+      const enumValues = values.map((value, i) => {
+        let key = toKebabCase(value) || `option-${i + 1}`;
+        while (seen.has(key)) key = `${key}-${i + 1}`;
+        seen.add(key);
+        return { raw: value, value: key };
+      });
+      const defaultEntry = enumValues.find(entry => entry.raw === defaultValue) || enumValues[0];
+
+      props.push({
+        name,
+        property,
+        type: 'enum',
+        typeName: null,
+        values: enumValues,
+        defaultValue: defaultEntry.value
+      });
+    }
+
+    return { props, stateProperty };
+  }
+
+  /**
+   * Collect variant property values from the components of a set
+   * @param {Array} variants - The components
+   * @returns {Object} Values by property name
+   */
+  collectVariantProperties(variants) {
+    const variantProperties = {};
+
+    for (const variant of variants) {
+      for (const [key, value] of Object.entries(variant.variantProperties || {})) {
+        if (!variantProperties[key]) variantProperties[key] = [];
+        if (!variantProperties[key].includes(value)) variantProperties[key].push(value);
+      }
+    }
+
+    return variantProperties;
+  }
+
+  /**
+   * Get the Tailwind modifier of a state value
+   * @param {string} value - The state value
+   * @returns {string|null|undefined} The modifier, null for resting states, undefined for other values
+   */
+  getStateModifier(value) {
+    return STATE_MODIFIERS[toKebabCase(value)];
+  }
+
+  /**
+   * Pick the resting value of a state property
+   * @param {string[]} values - The state values
+   * @returns {string} The resting value
+   */
+  getRestingState(values) {
+    return values.find(value => this.getStateModifier(value) === null)
+      || values.find(value => this.getStateModifier(value) === undefined)
+      || values[0];
+  }
+
+  /**
+   * Group variants by their prop values and compute the classes of each group
+   * Interaction state variants are folded into their resting variant as
+   * modifier classes (e.g. hover:bg-primary-600)
+   * @param {Object} target - The component set
+   * @param {Array} props - The component props
+   * @param {string|null} stateProperty - The variant property holding interaction states
+   * @param {Object} element - The rendered element
+   * @param {Object} index - The token index
+   * @returns {Array} [{ values, variant, classes, states }]
+   */
+  getCombinations(target, props, stateProperty, element, index) {
+    const inline = element.tag === 'button';
+    const combinations = new Map();
+    const stateVariants = [];
+
+    const getValues = (variant) => {
+      const variantProperties = variant.variantProperties || {};
+      const values = {};
+
+      for (const prop of props) {
+        let raw = variantProperties[prop.property];
+        if (prop.property === stateProperty && this.getStateModifier(raw)) {
+          raw = this.getRestingState(prop.values.map(value => value.raw));
+        }
+        const entry = prop.values.find(value => value.raw === raw);
+        values[prop.name] = entry ? entry.value : prop.defaultValue;
+      }
+
+      return values;
+    };
+
+    for (const variant of target.variants) {
+      const state = stateProperty && variant.variantProperties
+        ? this.getStateModifier(variant.variantProperties[stateProperty])
+        : null;
+      const values = getValues(variant);
+      const key = JSON.stringify(values);
+
+      if (state) {
+        stateVariants.push({ key, state, variant });
+      } else if (!combinations.has(key)) {
+        combinations.set(key, { values, variant, classes: this.getClasses(variant, index, inline), states: [] });
+      }
+    }
+
+    // Interaction state variants only contribute what differs from the resting variant
+    for (const { key, state, variant } of stateVariants) {
+      const combination = combinations.get(key);
+      if (!combination) {
+        // No resting variant to compare with, so this one stands in for it
+        combinations.set(key, { values: getValues(variant), variant, classes: this.getClasses(variant, index, inline), states: [] });
+        continue;
+      }
+
+      const modifier = state === 'disabled' && element.tag === 'div' ? 'aria-disabled' : state;
+      const restingClasses = new Set(this.getClasses(combination.variant, index, inline));
+
+      for (const className of this.getClasses(variant, index, inline)) {
+        if (!restingClasses.has(className)) {
+          combination.classes.push(`${modifier}:${className}`);
+        }
+      }
+      if (!combination.states.includes(state)) combination.states.push(state);
+    }
+
+    return [...combinations.values()];
+  }
+
+  /**
+   * Split the classes of each combination into base classes, classes per prop
+   * value and leftover classes for specific combinations of values
+   * @param {Array} combinations - The variant combinations
+   * @param {Array} props - The component props
+   * @returns {Object} { base, byProp, compounds }
+   */
+  splitClasses(combinations, props) {
+    const intersect = (lists) => lists.length === 0
+      ? []
+      : lists[0].filter(className => lists.every(list => list.includes(className)));
+
+    const base = intersect(combinations.map(combination => combination.classes));
+
+    const byProp = {};
+    for (const prop of props) {
+      byProp[prop.name] = {};
+      for (const { value } of prop.values) {
+        const matching = combinations.filter(combination => combination.values[prop.name] === value);
+        byProp[prop.name][value] = intersect(matching.map(combination => combination.classes))
+          .filter(className => !base.includes(className));
+      }
+    }
+
+    const compounds = [];
+    for (const combination of combinations) {
+      const explained = new Set(base);
+      for (const prop of props) {
+        (byProp[prop.name][combination.values[prop.name]] || []).forEach(className => explained.add(className));
+      }
+
+      const leftover = combination.classes.filter(className => !explained.has(className));
+      if (leftover.length > 0) {
+        compounds.push({ when: combination.values, classes: leftover });
+      }
+    }
+
+    return { base, byProp, compounds };
+  }
+
+  /**
+   * Get the Tailwind classes of a component variant
+   * @param {Object} component - The component
+   * @param {Object} index - The token index
+   * @param {boolean} inline - Whether the element is laid out inline
+   * @returns {string[]} The classes
+   */
+  getClasses(component, index, inline) {
+    const classes = [
+      ...this.getLayoutClasses(component.layout, index, inline),
+      ...this.getVisualClasses(component.styles || {}, index)
+    ];
+
+    return [...new Set(classes.filter(Boolean))];
+  }
+
+  /**
+   * Translate the component's layout into flexbox or grid classes
+   * @param {Object} layout - The component layout
+   * @param {Object} index - The token index
+   * @param {boolean} inline - Whether to use inline-flex
+   * @returns {string[]} The classes
+   */
+  getLayoutClasses(layout, index, inline) {
+    if (!layout) return [];
+
+    const css = layoutTranslator.translateLayout(layout);
+    const classes = [];
+
+    for (const [property, value] of Object.entries(css)) {
+      if (LAYOUT_CLASSES[property]) {
+        if (LAYOUT_CLASSES[property][value]) classes.push(LAYOUT_CLASSES[property][value]);
+        continue;
+      }
+
+      switch (property) {
+        case 'display':
+          classes.push(value === 'flex' && inline ? 'inline-flex' : value);
+          break;
+        case 'width':
+        case 'height': {
+          const prefix = property === 'width' ? 'w' : 'h';
+          classes.push(value === '100%' ? `${prefix}-full` : this.getScaleClass(prefix, 'spacing', value, index));
+          break;
+        }
+        case 'min-width':
+        case 'max-width':
+        case 'min-height':
+        case 'max-height': {
+          const [bound, dimension] = property.split('-');
+          classes.push(`${bound}-${dimension === 'width' ? 'w' : 'h'}-[${value}]`);
+          break;
+        }
+        case 'gap': {
+          const [rowGap, columnGap = rowGap] = value.split(' ');
+          if (rowGap === columnGap) {
+            classes.push(this.getScaleClass('gap', 'spacing', rowGap, index));
+          } else {
+            if (rowGap !== '0') classes.push(this.getScaleClass('gap-y', 'spacing', rowGap, index));
+            if (columnGap !== '0') classes.push(this.getScaleClass('gap-x', 'spacing', columnGap, index));
+          }
+          break;
+        }
+        case 'padding':
+          classes.push(...this.getPaddingClasses(value, index));
+          break;
+        case 'grid-template-columns':
+        case 'grid-template-rows': {
+          const prefix = property === 'grid-template-columns' ? 'grid-cols' : 'grid-rows';
+          const equalTracks = value.match(/^repeat\((\d+), minmax\(0, 1fr\)\)$/);
+          classes.push(equalTracks ? `${prefix}-${equalTracks[1]}` : `${prefix}-[${value.replace(/,\s*/g, ',').replace(/\s+/g, '_')}]`);
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
+    return classes;
+  }
+
+  /**
+   * Get padding classes from a CSS padding shorthand
+   * @param {string} value - The padding (one to four values)
+   * @param {Object} index - The token index
+   * @returns {string[]} The classes
+   */
+  getPaddingClasses(value, index) {
+    const parts = value.split(' ');
+    const [top, right = top, bottom = top, left = right] = parts;
+    const classes = [];
+    const add = (prefix, padding) => {
+      if (padding !== '0') classes.push(this.getScaleClass(prefix, 'spacing', padding, index));
+    };
+
+    if (top === right && top === bottom && top === left) {
+      add('p', top);
+      return classes;
+    }
+
+    if (top === bottom) {
+      add('py', top);
+    } else {
+      add('pt', top);
+      add('pb', bottom);
+    }
+    if (left === right) {
+      add('px', left);
+    } else {
+      add('pl', left);
+      add('pr', right);
+    }
+
+    return classes;
+  }
+
+  /**
+   * Translate a component's style values into classes, preferring theme tokens
+   * Components extracted before style values were recorded only get layout classes
+   * @param {Object} styles - The component styles ({ keys, values })
+   * @param {Object} index - The token index
+   * @returns {string[]} The classes
+   */
+  getVisualClasses(styles, index) {
+    const keys = styles.keys || {};
+    const values = styles.values || {};
+    const classes = [];
+
+    if (values.background) classes.push(this.getColorClass('bg', values.background, keys.fill, index));
+
+    if (values.borderWidth) {
+      classes.push(values.borderWidth === '1px' && !index.borderWidth['1px']
+        ? 'border'
+        : this.getScaleClass('border', 'borderWidth', values.borderWidth, index));
+    }
+    if (values.borderColor) {
+      classes.push(this.getColorClass('border', values.borderColor, keys.stroke, index, 'borderColor'));
+    }
+
+    if (values.borderRadius) classes.push(this.getScaleClass('rounded', 'borderRadius', values.borderRadius, index));
+
+    if (values.boxShadow) {
+      const token = keys.effect && index.styleKeys[keys.effect];
+      classes.push(token && token.scale === 'boxShadow'
+        ? `shadow-${token.name}`
+        : this.getScaleClass('shadow', 'boxShadow', values.boxShadow, index));
+    }
+
+    if (values.opacity !== undefined) classes.push(this.getScaleClass('opacity', 'opacity', `${values.opacity}`, index));
+
+    classes.push(...this.getTypographyClasses(values, keys.text, index));
+    if (values.color) classes.push(this.getColorClass('text', values.color, keys.textFill, index));
+
+    return classes;
+  }
+
+  /**
+   * Get typography classes, using a typography token when the text style matches one
+   * @param {Object} values - The style values
+   * @param {string} [styleKey] - The published key of the text style
+   * @param {Object} index - The token index
+   * @returns {string[]} The classes
+   */
+  getTypographyClasses(values, styleKey, index) {
+    if (!values.fontSize) return [];
+
+    const classes = [];
+    if (values.fontFamily) {
+      classes.push(index.fontFamily[values.fontFamily]
+        ? `font-${index.fontFamily[values.fontFamily]}`
+        : `font-[${values.fontFamily.replace(/\s+/g, '_')}]`);
+    }
+
+    // Typography tokens set the weight, line height and letter spacing along with the size
+    const styleToken = styleKey && index.styleKeys[styleKey];
+    const name = styleToken && styleToken.scale === 'fontSize'
+      ? styleToken.name
+      : index.typography[this.getTypographySignature(values)];
+    if (name) {
+      classes.push(`text-${name}`);
+      return classes;
+    }
+
+    classes.push(`text-[${values.fontSize}]`);
+    if (values.fontWeight) {
+      classes.push(FONT_WEIGHT_CLASSES[values.fontWeight] || `font-[${values.fontWeight}]`);
+    }
+    if (values.lineHeight) classes.push(`leading-[${values.lineHeight}]`);
+    if (values.letterSpacing) classes.push(`tracking-[${values.letterSpacing}]`);
+
+    return classes;
+  }
+
+  /**
+   * Get a color class, e.g. bg-primary-500 or bg-[#1d4ed8] when no token matches
+   * @param {string} prefix - The utility prefix
+   * @param {string} color - The color
+   * @param {string} [styleKey] - The published key of the color style
+   * @param {Object} index - The token index
+   * @param {string} [scale] - An extra theme scale to search (e.g. borderColor)
+   * @returns {string|null} The class
+   */
+  getColorClass(prefix, color, styleKey, index, scale) {
+    const token = styleKey && index.styleKeys[styleKey];
+    if (token && token.scale === 'colors') return `${prefix}-${token.name}`;
+
+    const normalized = this.normalizeColor(color);
+    if (!normalized) return null;
+
+    const name = index.colors[normalized] || (scale && index[scale][normalized]) ||
+      this.findMatchingColor(normalized, index, scale);
+    if (name) return `${prefix}-${name}`;
+
+    const parsed = tinycolor(color);
+    return `${prefix}-[${parsed.getAlpha() < 1 ? parsed.toHex8String() : parsed.toHexString()}]`;
+  }
+
+  /**
+   * Find a color token that looks the same as a color
+   * Figma stores channels as floats, so a fill that uses a token's color
+   * without its style can be a rounding step off the token's hex
+   * @param {string} color - The normalized color
+   * @param {Object} index - The token index
+   * @param {string} [scale] - An extra theme scale to search
+   * @returns {string|null} The utility name of the token
+   */
+  findMatchingColor(color, index, scale) {
+    const candidates = { ...(scale ? index[scale] : {}), ...index.colors };
+    const closest = findClosestColor(color, Object.keys(candidates));
+
+    return closest && isSameColor(color, closest) ? candidates[closest] : null;
+  }
+
+  /**
+   * Get the class for a value of a theme scale, falling back to an arbitrary value
+   * @param {string} prefix - The utility prefix
+   * @param {string} scale - The theme scale
+   * @param {string} value - The CSS value
+   * @param {Object} index - The token index
+   * @returns {string} The class
+   */
+  getScaleClass(prefix, scale, value, index) {
+    const name = index[scale] && index[scale][value];
+    if (name) return `${prefix}-${name}`;
+
+    return `${prefix}-[${String(value).replace(/,\s*/g, ',').replace(/\s+/g, '_')}]`;
+  }
+
+  /**
+   * Index the design system's tokens by value and style key, with the Tailwind
+   * utility names the tailwind.config.js export gives them
+   * @param {Object} tokens - The design system tokens
+   * @returns {Object} Utility names by theme scale and value, plus `styleKeys`
+   */
+  buildTokenIndex(tokens) {
+    const names = {};
+    tailwindExporter.buildThemeExtension(tokens, names);
+
+    const index = {
+      styleKeys: {},
+      colors: {},
+      borderColor: {},
+      typography: {},
+      fontFamily: {},
+      spacing: {},
+      boxShadow: {},
+      borderWidth: {},
+      borderRadius: {},
+      opacity: {}
+    };
+
+    const add = (scale, value, name) => {
+      if (value === undefined || value === null || !name) return;
+      if (index[scale][value] === undefined) index[scale][value] = name;
+    };
+    const addStyleKey = (token, scale, name) => {
+      if (token.styleKey && name) index.styleKeys[token.styleKey] = { scale, name };
+    };
+    const nameOf = (scale, key) => names[scale] && names[scale][key];
+
+    for (const [key, token] of getTokenEntries(tokens.colors)) {
+      add('colors', this.normalizeColor(token.value || token.hex), nameOf('colors', key));
+      addStyleKey(token, 'colors', nameOf('colors', key));
+    }
+
+    for (const [key, token] of getTokenEntries(tokens.typography)) {
+      add('typography', this.getTypographySignature(token), nameOf('fontSize', key));
+      add('fontFamily', token.fontFamily, nameOf('fontFamily', key));
+      addStyleKey(token, 'fontSize', nameOf('fontSize', key));
+    }
+
+    for (const [key, token] of getTokenEntries(tokens.spacing)) {
+      add('spacing', token.value, nameOf('spacing', key));
+    }
+
+    for (const [key, token] of getTokenEntries(tokens.shadows)) {
+      const inset = token.type === 'innerShadow' ? 'inset ' : '';
+      const value = Array.isArray(token.values) && token.values.length > 0
+        ? token.values.map(v => `${inset}${v.x} ${v.y} ${v.blur} ${v.spread} ${v.color}`).join(', ')
+        : token.value;
+      add('boxShadow', value, nameOf('boxShadow', key));
+      addStyleKey(token, 'boxShadow', nameOf('boxShadow', key));
+    }
+
+    for (const [key, token] of getTokenEntries(tokens.borders)) {
+      add('borderWidth', token.width, nameOf('borderWidth', key));
+      add('borderColor', this.normalizeColor(token.color), nameOf('borderColor', key));
+    }
+
+    for (const [key, token] of getTokenEntries(tokens.radii)) {
+      add('borderRadius', token.value, nameOf('borderRadius', key));
+    }
+
+    for (const [key, token] of getTokenEntries(tokens.opacity)) {
+      add('opacity', `${token.value}`, nameOf('opacity', key));
+    }
+
+    return index;
+  }
+
+  /**
+   * Get the value typography tokens and text styles are matched on
+   * @param {Object} style - A typography token or style values
+   * @returns {string} The signature
+   */
+  getTypographySignature(style) {
+    return [style.fontFamily, `${style.fontWeight || 400}`, style.fontSize].join('|');
+  }
+
+  /**
+   * Normalize a color for comparison
+   * @param {string} color - The color
+   * @returns {string|null} The color as #rrggbbaa, or null if invalid
+   */
+  normalizeColor(color) {
+    if (!color) return null;
+    const parsed = tinycolor(color);
+    return parsed.isValid() ? parsed.toHex8String() : null;
+  }
+
+  /**
+   * Render the component source
+   * @param {Object} options - The component name, set, props, class maps and element
+   * @returns {string} The TSX source
+   */
+  renderComponent(options) {
+    const { componentName, target, designSystem, element, props, classMaps, hasDisabledState, icon, label, placeholder } = options;
+    const quote = (value) => tailwindExporter.toJsLiteral(value, 0);
+    const quoteKey = (key) => /^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key);
+    const joinClasses = (classes) => quote(classes.join(' '));
+    const isInput = element.tag === 'input';
+    const needsDisabledProp = hasDisabledState && element.tag === 'div';
+
+    const lines = [
+      '/**',
+      ` * ${componentName}`,
+      ...(target.description ? [` * ${target.description.replace(/\*\//g, '* /').split('\n').join('\n * ')}`] : []),
+      ` * Generated by UiFinity AI from "${target.name}" in ${designSystem.name || 'the design system'}${designSystem.version ? ` v${designSystem.version}` : ''}.`,
+      ' * Class names use the theme from the design system\'s Tailwind export.',
+      ' */',
+      "import * as React from 'react';",
+      ''
+    ];
+
+    // Union types for enum props
+    for (const prop of props) {
+      if (prop.type !== 'enum') continue;
+      prop.typeName = `${componentName}${this.toPascalCase(prop.name)}`;
+      lines.push(`export type ${prop.typeName} = ${prop.values.map(({ value }) => quote(value)).join(' | ')};`);
+    }
+    if (props.some(prop => prop.type === 'enum')) lines.push('');
+
+    const omitted = props.map(prop => prop.name);
+    const attributes = omitted.length > 0
+      ? `Omit<${element.attributes}, ${omitted.map(quote).join(' | ')}>`
+      : element.attributes;
+
+    const members = [];
+    for (const prop of props) {
+      members.push(`  /** Figma property "${prop.property}" */`);
+      members.push(`  ${prop.name}?: ${prop.type === 'enum' ? prop.typeName : 'boolean'};`);
+    }
+    if (needsDisabledProp) members.push('  disabled?: boolean;');
+    if (icon && !isInput) members.push('  icon?: React.ReactNode;');
+
+    if (members.length > 0) {
+      lines.push(`export interface ${componentName}Props extends ${attributes} {`, ...members, '}', '');
+    } else {
+      lines.push(`export type ${componentName}Props = ${attributes};`, '');
+    }
+
+    lines.push(`const baseClasses = ${joinClasses(classMaps.base)};`, '');
+
+    // Class maps for props whose values change the styles
+    const styledProps = props.filter(prop =>
+      Object.values(classMaps.byProp[prop.name]).some(classes => classes.length > 0)
+    );
+    for (const prop of styledProps) {
+      const classes = classMaps.byProp[prop.name];
+
+      if (prop.type === 'boolean') {
+        lines.push(`const ${prop.name}Classes = {`);
+        lines.push(`  on: ${joinClasses(classes.true || [])},`);
+        lines.push(`  off: ${joinClasses(classes.false || [])}`);
+        lines.push('};', '');
+        continue;
+      }
+
+      lines.push(`const ${prop.name}Classes: Record<${prop.typeName}, string> = {`);
+      lines.push(prop.values.map(({ value }) => `  ${quoteKey(value)}: ${joinClasses(classes[value] || [])}`).join(',\n'));
+      lines.push('};', '');
+    }
+
+    if (classMaps.compounds.length > 0) {
+      lines.push(`const compoundClasses: { when: Partial<Pick<${componentName}Props, ${omitted.map(quote).join(' | ')}>>; className: string }[] = [`);
+      lines.push(classMaps.compounds.map(({ when, classes }) => {
+        const conditions = Object.entries(when)
+          .map(([name, value]) => `${name}: ${typeof value === 'boolean' ? value : quote(value)}`)
+          .join(', ');
+        return `  { when: { ${conditions} }, className: ${joinClasses(classes)} }`;
+      }).join(',\n'));
+      lines.push('];', '');
+    }
+
+    // Component
+    const params = props.map(prop => `  ${prop.name} = ${prop.type === 'enum' ? quote(prop.defaultValue) : prop.defaultValue},`);
+    if (needsDisabledProp) params.push('  disabled = false,');
+    if (icon && !isInput) params.push('  icon,');
+    if (isInput && placeholder) params.push(`  placeholder = ${quote(placeholder)},`);
+    params.push('  className,');
+    if (!isInput) params.push(`  children = ${quote(label)},`);
+    params.push('  ...props');
+
+    lines.push(`export function ${componentName}({`, ...params, `}: ${componentName}Props) {`);
+
+    if (classMaps.compounds.length > 0) {
+      lines.push(`  const variantProps = { ${props.map(prop => prop.name).join(', ')} };`);
+    }
+
+    lines.push('  const classes = [', '    baseClasses,');
+    for (const prop of styledProps) {
+      lines.push(prop.type === 'boolean'
+        ? `    ${prop.name} ? ${prop.name}Classes.on : ${prop.name}Classes.off,`
+        : `    ${prop.name}Classes[${prop.name}],`);
+    }
+    if (classMaps.compounds.length > 0) {
+      lines.push('    ...compoundClasses');
+      lines.push('      .filter(({ when }) => Object.entries(when).every(([key, value]) => variantProps[key as keyof typeof variantProps] === value))');
+      lines.push('      .map(({ className }) => className),');
+    }
+    lines.push('    className', '  ].filter(Boolean).join(\' \');', '');
+
+    const attributesJsx = [
+      element.tag === 'button' ? ' type="button"' : '',
+      ' className={classes}',
+      needsDisabledProp ? ' aria-disabled={disabled || undefined}' : '',
+      isInput && placeholder ? ' placeholder={placeholder}' : ''
+    ].join('');
+
+    if (isInput) {
+      lines.push(`  return <input${attributesJsx} {...props} />;`);
+    } else {
+      lines.push('  return (');
+      lines.push(`    <${element.tag}${attributesJsx} {...props}>`);
+      if (icon === 'start') lines.push('      {icon}');
+      lines.push('      {children}');
+      if (icon === 'end') lines.push('      {icon}');
+      lines.push(`    </${element.tag}>`);
+      lines.push('  );');
+    }
+
+    lines.push('}', '', `export default ${componentName};`, '');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Convert a Figma name to a PascalCase identifier
+   * @param {string} value - The name
+   * @returns {string} The identifier
+   */
+  toPascalCase(value) {
+    const identifier = toKebabCase(String(value).replace(/[^A-Za-z0-9]+/g, ' '))
+      .split('-')
+      .filter(Boolean)
+      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+      .join('')
+      .replace(/[^A-Za-z0-9]/g, '');
+
+    if (!identifier) return 'Component';
+    return /^\d/.test(identifier) ? `Component${identifier}` : identifier;
+  }
+
+  /**
+   * Convert a Figma property name to a camelCase prop name
+   * @param {string} value - The property name
+   * @returns {string} The prop name
+   */
+  toCamelCase(value) {
+    const pascal = this.toPascalCase(value);
+    return pascal === 'Component' && !/component/i.test(value)
+      ? ''
+      : pascal.charAt(0).toLowerCase() + pascal.slice(1);
+  }
+}
+
+module.exports = new ComponentCodeGenerator();
@@ -0,0 +1,678 @@
+// server/services/codegen/designSystemLinter.js
+const babelParser = require('@babel/parser');
+const tinycolor = require('tinycolor2');
+const tailwindExporter = require('../export/tailwindExporter');
+const { getTokenEntries } = require('../../utils/tokenUtils');
+const { JUST_NOTICEABLE_DIFFERENCE, parseColor, getColorDifference } = require('../../utils/colorUtils');
+
+/**
+ * Inline style properties that take a design value, and the utility prefix of the token class to use instead
+ */
+const STYLE_PROPERTIES = {
+  color: { type: 'color', prefix: 'text' },
+  background: { type: 'color', prefix: 'bg' },
+  backgroundColor: { type: 'color', prefix: 'bg' },
+  border: { type: 'color', prefix: 'border' },
+  borderTop: { type: 'color', prefix: 'border-t' },
+  borderRight: { type: 'color', prefix: 'border-r' },
+  borderBottom: { type: 'color', prefix: 'border-b' },
+  borderLeft: { type: 'color', prefix: 'border-l' },
+  borderColor: { type: 'color', prefix: 'border' },
+  outline: { type: 'color', prefix: 'outline' },
+  outlineColor: { type: 'color', prefix: 'outline' },
+  fill: { type: 'color', prefix: 'fill' },
+  stroke: { type: 'color', prefix: 'stroke' },
+  fontSize: { type: 'fontSize', prefix: 'text' },
+  padding: { type: 'spacing', prefix: 'p' },
+  paddingTop: { type: 'spacing', prefix: 'pt' },
+  paddingRight: { type: 'spacing', prefix: 'pr' },
+  paddingBottom: { type: 'spacing', prefix: 'pb' },
+  paddingLeft: { type: 'spacing', prefix: 'pl' },
+  paddingInline: { type: 'spacing', prefix: 'px' },
+  paddingBlock: { type: 'spacing', prefix: 'py' },
+  margin: { type: 'spacing', prefix: 'm' },
+  marginTop: { type: 'spacing', prefix: 'mt' },
+  marginRight: { type: 'spacing', prefix: 'mr' },
+  marginBottom: { type: 'spacing', prefix: 'mb' },
+  marginLeft: { type: 'spacing', prefix: 'ml' },
+  marginInline: { type: 'spacing', prefix: 'mx' },
+  marginBlock: { type: 'spacing', prefix: 'my' },
+  gap: { type: 'spacing', prefix: 'gap' },
+  rowGap: { type: 'spacing', prefix: 'gap-y' },
+  columnGap: { type: 'spacing', prefix: 'gap-x' },
+  boxShadow: { type: 'shadow', prefix: 'shadow' }
+};
+
+/**
+ * JSX attributes that take a color (mostly SVG)
+ */
+const COLOR_ATTRIBUTES = {
+  color: 'text',
+  fill: 'fill',
+  stroke: 'stroke',
+  stopColor: 'stop'
+};
+
+/**
+ * Utility prefixes that take a color
+ */
+const COLOR_PREFIXES = ['bg', 'text', 'border', 'border-t', 'border-r', 'border-b', 'border-l', 'border-x', 'border-y',
+  'ring', 'outline', 'fill', 'stroke', 'from', 'via', 'to', 'divide', 'decoration', 'accent', 'caret', 'placeholder', 'shadow'];
+
+/**
+ * Utility prefixes that take a spacing value
+ */
+const SPACING_PREFIXES = ['p', 'px', 'py', 'pt', 'pr', 'pb', 'pl', 'ps', 'pe', 'm', 'mx', 'my', 'mt', 'mr', 'mb', 'ml', 'ms', 'me',
+  'gap', 'gap-x', 'gap-y', 'space-x', 'space-y'];
+
+/**
+ * Tailwind's default font sizes in px
+ */
+const DEFAULT_FONT_SIZES = {
+  xs: 12, sm: 14, base: 16, lg: 18, xl: 20, '2xl': 24, '3xl': 30, '4xl': 36, '5xl': 48, '6xl': 60, '7xl': 72, '8xl': 96, '9xl': 128
+};
+
+// Root font size used for rem and em values
+const ROOT_FONT_SIZE = 16;
+
+class DesignSystemLinter {
+  /**
+   * Check JSX/TSX source for hard-coded colors, font sizes, spacing and shadows
+   * Values that don't match a token are errors; values that match one but don't
+   * use it are warnings. Both come with the nearest token as a suggestion.
+   * @param {Object} designSystem - The design system
+   * @param {string} source - The JSX/TSX source
+   * @param {Object} [options] - { fileName, index } where index is a prebuilt token index
+   * @returns {Object} { fileName, issues, error } where error is set if the source doesn't parse
+   */
+  lint(designSystem, source, options = {}) {
+    const fileName = options.fileName || 'Component.tsx';
+    const index = options.index || this.buildIndex(designSystem);
+
+    let ast;
+    try {
+      ast = babelParser.parse(source, {
+        sourceType: 'module',
+        plugins: ['jsx', 'typescript']
+      });
+    } catch (error) {
+      return { fileName, issues: [], error: error.message };
+    }
+
+    const issues = [];
+    const lineStarts = this.getLineStarts(source);
+    const report = (issue, offset) => {
+      issues.push({ ...issue, ...this.getPosition(lineStarts, offset) });
+    };
+
+    this.walk(ast.program, null, (node, parent) => {
+      if (node.type === 'JSXAttribute') {
+        this.checkAttribute(node, index, report);
+        // className and style values are checked here; don't treat them as plain strings
+        return node.value && ['className', 'class', 'style'].includes(this.getAttributeName(node)) ? false : undefined;
+      }
+
+      // Class lists kept in variables, e.g. `const baseClasses = '...'`
+      if (node.type === 'StringLiteral' && !this.isIgnoredString(parent)) {
+        this.checkClassList(node.value, node.start + 1, index, report);
+      } else if (node.type === 'TemplateElement') {
+        this.checkClassList(node.value.cooked || '', node.start, index, report);
+      }
+      return undefined;
+    });
+
+    issues.sort((a, b) => a.line - b.line || a.column - b.column);
+
+    return { fileName, issues, error: null };
+  }
+
+  /**
+   * Lint several files and summarize the results
+   * @param {Object} designSystem - The design system
+   * @param {Array} files - Files to lint ({ fileName, code })
+   * @returns {Object} { passed, summary, files }
+   */
+  lintFiles(designSystem, files) {
+    const index = this.buildIndex(designSystem);
+    const results = files.map(file => this.lint(designSystem, file.code, { fileName: file.fileName, index }));
+
+    const summary = { files: results.length, errors: 0, warnings: 0, parseErrors: 0, byType: {} };
+    for (const result of results) {
+      if (result.error) summary.parseErrors++;
+      for (const issue of result.issues) {
+        summary[issue.severity === 'error' ? 'errors' : 'warnings']++;
+        summary.byType[issue.type] = (summary.byType[issue.type] || 0) + 1;
+      }
+    }
+
+    console.log(`Linted ${results.length} files: ${summary.errors} errors, ${summary.warnings} warnings, ${summary.parseErrors} parse errors`);
+
+    return {
+      passed: summary.errors === 0 && summary.parseErrors === 0,
+      summary,
+      files: results
+    };
+  }
+
+  /**
+   * Collect the token values to compare against, with their Tailwind class names
+   * @param {Object} designSystem - The design system
+   * @returns {Object} Tokens by type ({ color, fontSize, spacing, shadow }) and class names by scale
+   */
+  buildIndex(designSystem) {
+    const data = typeof designSystem.toObject === 'function'
+      ? designSystem.toObject({ flattenMaps: true })
+      : designSystem;
+    const tokens = data.tokens || {};
+    const names = {};
+    tailwindExporter.buildThemeExtension(tokens, names);
+
+    const index = { color: [], fontSize: [], spacing: [], shadow: [], names: {} };
+    for (const [scale, keys] of Object.entries(names)) {
+      index.names[scale] = new Set(Object.values(keys));
+    }
+
+    for (const [key, token] of getTokenEntries(tokens.colors)) {
+      const color = tinycolor(token.hex || token.value);
+      if (!color.isValid() || !names.colors || !names.colors[key]) continue;
+      index.color.push({ key, token: token.name || key, name: names.colors[key], value: token.hex || token.value, rgba: color.toRgb() });
+    }
+
+    const seenFontSizes = new Set();
+    for (const [key, token] of getTokenEntries(tokens.typography)) {
+      const size = this.parseLength(token.fontSize);
+      const name = names.fontSize && names.fontSize[key];
+      if (size === null || !name || seenFontSizes.has(name)) continue;
+      seenFontSizes.add(name);
+      index.fontSize.push({ key, token: token.name || key, name, value: token.fontSize, size });
+    }
+
+    for (const [key, token] of getTokenEntries(tokens.spacing)) {
+      const size = this.parseLength(token.value);
+      const name = names.spacing && names.spacing[key];
+      if (size === null || !name) continue;
+      index.spacing.push({ key, token: token.name || key, name, value: token.value, size });
+    }
+
+    for (const [key, token] of getTokenEntries(tokens.shadows)) {
+      const name = names.boxShadow && names.boxShadow[key];
+      const inset = token.type === 'innerShadow' ? 'inset ' : '';
+      const value = Array.isArray(token.values) && token.values.length > 0
+        ? token.values.map(v => `${inset}${v.x} ${v.y} ${v.blur} ${v.spread} ${v.color}`).join(', ')
+        : token.value;
+      const layers = this.parseShadow(value);
+      if (!name || !layers) continue;
+      index.shadow.push({ key, token: token.name || key, name, value, layers });
+    }
+
+    return index;
+  }
+
+  /**
+   * Check a JSX attribute: class lists, inline styles and color attributes
+   * @param {Object} node - The JSXAttribute node
+   * @param {Object} index - The token index
+   * @param {Function} report - Called with (issue, offset)
+   */
+  checkAttribute(node, index, report) {
+    const name = this.getAttributeName(node);
+    const value = node.value;
+    if (!value) return;
+
+    if (name === 'className' || name === 'class') {
+      this.walk(value, null, (child) => {
+        if (child.type === 'StringLiteral') {
+          this.checkClassList(child.value, child.start + 1, index, report);
+        } else if (child.type === 'TemplateElement') {
+          this.checkClassList(child.value.cooked || '', child.start, index, report);
+        }
+      });
+      return;
+    }
+
+    if (name === 'style' && value.type === 'JSXExpressionContainer' && value.expression.type === 'ObjectExpression') {
+      for (const property of value.expression.properties) {
+        this.checkStyleProperty(property, index, report);
+      }
+      return;
+    }
+
+    if (COLOR_ATTRIBUTES[name] && value.type === 'StringLiteral') {
+      if (this.isColor(value.value)) {
+        report(this.checkColor(value.value, index, { context: 'attribute', property: name, prefix: COLOR_ATTRIBUTES[name] }), value.start + 1);
+      }
+    }
+  }
+
+  /**
+   * Check one property of an inline style object
+   * @param {Object} property - The ObjectProperty node
+   * @param {Object} index - The token index
+   * @param {Function} report - Called with (issue, offset)
+   */
+  checkStyleProperty(property, index, report) {
+    if (property.type !== 'ObjectProperty' || property.computed) return;
+
+    const key = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+    const name = String(key).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    const definition = STYLE_PROPERTIES[name];
+    if (!definition) return;
+
+    const valueNode = property.value;
+    let value;
+    if (valueNode.type === 'StringLiteral') value = valueNode.value;
+    else if (valueNode.type === 'NumericLiteral') value = valueNode.value;
+    else if (valueNode.type === 'TemplateLiteral' && valueNode.expressions.length === 0) value = valueNode.quasis[0].value.cooked;
+    else return;
+
+    const offset = valueNode.start + (valueNode.type === 'NumericLiteral' ? 0 : 1);
+    const details = { context: 'style', property: name, prefix: definition.prefix };
+
+    if (definition.type === 'color') {
+      for (const color of this.findColors(String(value))) {
+        report(this.checkColor(color, index, details), offset);
+      }
+    } else if (definition.type === 'shadow') {
+      const issue = this.checkShadow(String(value), index, details);
+      if (issue) report(issue, offset);
+    } else {
+      // Shorthands like `padding: '8px 16px'` have a value per side
+      const parts = typeof value === 'number' ? [value] : String(value).trim().split(/\s+/);
+      for (const part of parts) {
+        const issue = this.checkLength(definition.type, part, index, details);
+        if (issue) report(issue, offset);
+      }
+    }
+  }
+
+  /**
+   * Check a space-separated class list for arbitrary values and Tailwind defaults
+   * that should be design system tokens
+   * @param {string} classList - The class list
+   * @param {number} offset - Source offset of the first character
+   * @param {Object} index - The token index
+   * @param {Function} report - Called with (issue, offset)
+   */
+  checkClassList(classList, offset, index, report) {
+    if (!this.looksLikeClassList(classList)) return;
+
+    for (const match of classList.matchAll(/\S+/g)) {
+      const className = match[0];
+      const issue = this.checkClassName(className, index);
+      if (issue) report(issue, offset + match.index);
+    }
+  }
+
+  /**
+   * Check one class name
+   * @param {string} className - The class name (e.g. hover:bg-[#2563eb])
+   * @param {Object} index - The token index
+   * @returns {Object|null} The issue
+   */
+  checkClassName(className, index) {
+    // Drop variants (hover:, md:) but not colons inside arbitrary values
+    const utility = className.replace(/^([^:[\]]+:)+/, '').replace(/^!?-?/, '');
+    const details = { context: 'className', property: className };
+
+    // Arbitrary values, e.g. bg-[#2563eb], text-[14px], p-[12px], shadow-[0_1px_2px_rgba(0,0,0,0.1)]
+    const arbitrary = utility.match(/^([a-z-]+?)-\[(.+)\]$/);
+    if (arbitrary) {
+      const [, prefix, rawValue] = arbitrary;
+      const value = rawValue.replace(/_/g, ' ').replace(/^(color|length):/, '');
+      if (value.startsWith('var(')) return null;
+
+      if (prefix === 'shadow' && this.parseShadow(value)) {
+        return this.checkShadow(value, index, { ...details, prefix });
+      }
+      if (COLOR_PREFIXES.includes(prefix) && this.isColor(value)) {
+        return this.checkColor(value, index, { ...details, prefix });
+      }
+      if (prefix === 'text' && this.parseLength(value) !== null) {
+        return this.checkLength('fontSize', value, index, { ...details, prefix });
+      }
+      if (SPACING_PREFIXES.includes(prefix) && this.parseLength(value) !== null) {
+        return this.checkLength('spacing', value, index, { ...details, prefix });
+      }
+      return null;
+    }
+
+    // Tailwind's default scales, when the design system has its own
+    const fontSize = utility.match(/^text-(xs|sm|base|lg|\d?xl)$/);
+    if (fontSize && index.fontSize.length > 0 && !this.isTokenName(index, 'fontSize', fontSize[1])) {
+      return this.checkLength('fontSize', `${DEFAULT_FONT_SIZES[fontSize[1]]}px`, index, { ...details, prefix: 'text' });
+    }
+
+    const spacing = utility.match(/^([a-z-]+)-(\d+(?:\.5)?|px)$/);
+    if (spacing && SPACING_PREFIXES.includes(spacing[1]) && index.spacing.length > 0 && !this.isTokenName(index, 'spacing', spacing[2])) {
+      const size = spacing[2] === 'px' ? 1 : parseFloat(spacing[2]) * 4;
+      return this.checkLength('spacing', `${size}px`, index, { ...details, prefix: spacing[1] });
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a hard-coded color against the color tokens
+   * @param {string} value - The color
+   * @param {Object} index - The token index
+   * @param {Object} details - { context, property, prefix }
+   * @returns {Object} The issue
+   */
+  checkColor(value, index, details) {
+    const rgba = parseColor(value);
+    let nearest = null;
+
+    // Alpha-aware, so rgba(0, 0, 0, 0.5) doesn't pass for a black token
+    for (const token of index.color) {
+      const distance = getColorDifference(rgba, token.rgba);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { token, distance };
+      }
+    }
+
+    return this.createIssue('color', value, details, nearest, nearest && nearest.distance < JUST_NOTICEABLE_DIFFERENCE,
+      nearest ? `ΔE ${this.round(nearest.distance)}` : null);
+  }
+
+  /**
+   * Check a hard-coded font size or spacing value against the tokens
+   * @param {string} type - 'fontSize' or 'spacing'
+   * @param {string|number} value - The value (numbers are px)
+   * @param {Object} index - The token index
+   * @param {Object} details - { context, property, prefix }
+   * @returns {Object|null} The issue, or null for values that aren't design decisions (0, auto, %)
+   */
+  checkLength(type, value, index, details) {
+    const size = typeof value === 'number' ? value : this.parseLength(value);
+    if (size === null || size === 0) return null;
+
+    let nearest = null;
+    for (const token of index[type]) {
+      const distance = Math.abs(token.size - size);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { token, distance };
+      }
+    }
+
+    return this.createIssue(type, typeof value === 'number' ? `${value}px` : value, details, nearest, nearest && nearest.distance < 0.5,
+      nearest ? `${this.round(Math.abs(size - nearest.token.size))}px ${size > nearest.token.size ? 'larger' : 'smaller'}` : null);
+  }
+
+  /**
+   * Check a hard-coded box shadow against the shadow tokens
+   * Compares the first layer's offsets, blur and spread, plus the color difference
+   * @param {string} value - The box-shadow value
+   * @param {Object} index - The token index
+   * @param {Object} details - { context, property, prefix }
+   * @returns {Object|null} The issue
+   */
+  checkShadow(value, index, details) {
+    const layers = this.parseShadow(value);
+    if (!layers) return null;
+
+    let nearest = null;
+    for (const token of index.shadow) {
+      const distance = this.getShadowDistance(layers, token.layers);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { token, distance };
+      }
+    }
+
+    return this.createIssue('shadow', value, details, nearest, nearest && nearest.distance < 0.5, null);
+  }
+
+  /**
+   * Build an issue with its message and suggestion
+   * @param {string} type - color, fontSize, spacing or shadow
+   * @param {string} value - The hard-coded value
+   * @param {Object} details - { context, property, prefix }
+   * @param {Object|null} nearest - { token, distance }
+   * @param {boolean} matches - Whether the value is the same as the nearest token
+   * @param {string|null} difference - How far off the nearest token is
+   * @returns {Object} The issue
+   */
+  createIssue(type, value, details, nearest, matches, difference) {
+    const label = { color: 'color', fontSize: 'font size', spacing: 'spacing', shadow: 'shadow' }[type];
+    const suggestion = nearest ? {
+      token: nearest.token.token,
+      name: nearest.token.name,
+      value: nearest.token.value,
+      className: details.prefix ? `${details.prefix}-${nearest.token.name}` : null,
+      distance: this.round(nearest.distance)
+    } : null;
+    const use = suggestion ? (suggestion.className || suggestion.name) : null;
+
+    let message;
+    if (!suggestion) {
+      message = `Hard-coded ${label} ${value}: the design system has no ${label} tokens`;
+    } else if (matches) {
+      message = `Hard-coded ${label} ${value} is the ${suggestion.token} token; use ${use}`;
+    } else {
+      message = `Hard-coded ${label} ${value} doesn't match a token; the nearest is ${suggestion.token} (${suggestion.value}${difference ? `, ${difference}` : ''}), use ${use}`;
+    }
+
+    return {
+      type,
+      severity: matches ? 'warning' : 'error',
+      value,
+      context: details.context,
+      property: details.property,
+      message,
+      suggestion
+    };
+  }
+
+  /**
+   * Parse a CSS length into px
+   * @param {string|number} value - The length (px, rem, em or a bare number)
+   * @returns {number|null} The size in px, or null if it isn't an absolute length
+   */
+  parseLength(value) {
+    if (typeof value === 'number') return value;
+    const match = String(value || '').trim().match(/^(-?\d*\.?\d+)(px|rem|em)?$/);
+    if (!match) return null;
+
+    const number = parseFloat(match[1]);
+    return match[2] === 'rem' || match[2] === 'em' ? number * ROOT_FONT_SIZE : number;
+  }
+
+  /**
+   * Parse a box-shadow value into layers
+   * @param {string} value - The box-shadow value
+   * @returns {Array|null} Layers ({ inset, x, y, blur, spread, rgba }), or null if it isn't a shadow
+   */
+  parseShadow(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const layers = this.splitOutsideParens(value, ',').map(layer => {
+      const parts = this.splitOutsideParens(layer.trim(), ' ').filter(Boolean);
+      const lengths = [];
+      let color = null;
+      let inset = false;
+
+      for (const part of parts) {
+        if (part === 'inset') inset = true;
+        else if (this.parseLength(part) !== null) lengths.push(this.parseLength(part));
+        else if (this.isColor(part)) color = tinycolor(part);
+        else return null;
+      }
+
+      if (lengths.length < 2 || lengths.length > 4) return null;
+      const [x, y, blur = 0, spread = 0] = lengths;
+      return { inset, x, y, blur, spread, rgba: (color || tinycolor('black')).toRgb() };
+    });
+
+    return layers.length > 0 && layers.every(Boolean) ? layers : null;
+  }
+
+  /**
+   * Get how different two shadows look
+   * @param {Array} a - Shadow layers
+   * @param {Array} b - Shadow layers
+   * @returns {number} Sum of the px differences of the first layers plus their color difference
+   */
+  getShadowDistance(a, b) {
+    const first = a[0];
+    const second = b[0];
+    const geometry = Math.abs(first.x - second.x) + Math.abs(first.y - second.y) +
+      Math.abs(first.blur - second.blur) + Math.abs(first.spread - second.spread);
+
+    return geometry + getColorDifference(first.rgba, second.rgba) / 10 +
+      (first.inset !== second.inset ? 10 : 0) + Math.abs(a.length - b.length) * 5;
+  }
+
+  /**
+   * Find the colors in a CSS value (e.g. `1px solid #ccc`)
+   * @param {string} value - The CSS value
+   * @returns {string[]} The colors
+   */
+  findColors(value) {
+    return this.splitOutsideParens(value, ' ').filter(part => this.isColor(part));
+  }
+
+  /**
+   * Check whether a value is a literal color
+   * Keywords like currentColor and transparent aren't design decisions, and bare
+   * digits (which tinycolor reads as hex) are lengths, not colors
+   * @param {string} value - The value
+   * @returns {boolean} Whether it's a hex, rgb(), hsl() or named color
+   */
+  isColor(value) {
+    const text = String(value || '').trim();
+    if (['transparent', 'currentcolor', 'inherit', 'initial', 'unset', 'none'].includes(text.toLowerCase())) return false;
+
+    const color = tinycolor(text);
+    return color.isValid() && (text.startsWith('#') || /^(rgb|hsl|hsv)a?\(/i.test(text) || color.getFormat() === 'name');
+  }
+
+  /**
+   * Split a string on a separator, ignoring separators inside parentheses
+   * @param {string} value - The string
+   * @param {string} separator - The separator character
+   * @returns {string[]} The parts
+   */
+  splitOutsideParens(value, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of value) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === separator && depth === 0) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current);
+
+    return parts.map(part => part.trim());
+  }
+
+  /**
+   * Check whether a string looks like a list of utility classes rather than text
+   * @param {string} value - The string
+   * @returns {boolean} Whether to check its classes
+   */
+  looksLikeClassList(value) {
+    const words = value.trim().split(/\s+/).filter(Boolean);
+    return words.length > 0 &&
+      words.every(word => /^[!-]?[\w:[\]().,#%/\-]+$/.test(word)) &&
+      words.some(word => word.includes('-'));
+  }
+
+  /**
+   * Check whether a utility value is a token on a theme scale
+   * @param {Object} index - The token index
+   * @param {string} scale - The theme scale
+   * @param {string} value - The utility value
+   * @returns {boolean} Whether a token has that name
+   */
+  isTokenName(index, scale, value) {
+    return Boolean(index.names[scale] && index.names[scale].has(value));
+  }
+
+  /**
+   * Check whether a string literal is part of the code rather than UI values
+   * @param {Object|null} parent - The parent node
+   * @returns {boolean} Whether to skip it
+   */
+  isIgnoredString(parent) {
+    return Boolean(parent) && ['ImportDeclaration', 'ExportNamedDeclaration', 'ExportAllDeclaration', 'TSLiteralType',
+      'TSExternalModuleReference', 'Directive', 'JSXAttribute'].includes(parent.type);
+  }
+
+  /**
+   * Get the name of a JSX attribute
+   * @param {Object} node - The JSXAttribute node
+   * @returns {string} The name
+   */
+  getAttributeName(node) {
+    return node.name.type === 'JSXNamespacedName' ? `${node.name.namespace.name}:${node.name.name.name}` : node.name.name;
+  }
+
+  /**
+   * Visit every node of an AST
+   * @param {Object} node - The node to start from
+   * @param {Object|null} parent - The parent node
+   * @param {Function} visit - Called with (node, parent); return false to skip the children
+   */
+  walk(node, parent, visit) {
+    if (!node || typeof node.type !== 'string') return;
+    if (visit(node, parent) === false) return;
+
+    for (const key of Object.keys(node)) {
+      if (['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments'].includes(key)) continue;
+
+      const child = node[key];
+      if (Array.isArray(child)) {
+        for (const item of child) this.walk(item, node, visit);
+      } else if (child && typeof child === 'object') {
+        this.walk(child, node, visit);
+      }
+    }
+  }
+
+  /**
+   * Get the offset of the start of every line
+   * @param {string} source - The source
+   * @returns {number[]} Line start offsets
+   */
+  getLineStarts(source) {
+    const starts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+  }
+
+  /**
+   * Turn a source offset into a line and column (both 1-based)
+   * @param {number[]} lineStarts - Line start offsets
+   * @param {number} offset - The offset
+   * @returns {Object} { line, column }
+   */
+  getPosition(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  }
+
+  /**
+   * Round a number to two decimals
+   * @param {number} value - The number
+   * @returns {number} The rounded number
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new DesignSystemLinter();
@@ -0,0 +1,531 @@
+// server/services/codegen/layoutTranslator.js
+const { toKebabCase } = require('../../utils/tokenUtils');
+
+const JUSTIFY_CONTENT = {
+  center: 'center',
+  max: 'flex-end',
+  space_between: 'space-between'
+};
+
+const ALIGN_ITEMS = {
+  min: 'flex-start',
+  center: 'center',
+  max: 'flex-end',
+  baseline: 'baseline'
+};
+
+const FLEX_TYPES = ['horizontal', 'vertical'];
+
+class LayoutTranslator {
+  /**
+   * Read the layout of a Figma node
+   * Sizing is resolved to fixed, hug or fill for both axes, falling back to the
+   * older layoutGrow/layoutAlign and axis sizing mode fields when the node has
+   * no layoutSizingHorizontal/Vertical
+   * @param {Object} node - The Figma node
+   * @param {Object} [parent] - The node's parent, to resolve sizing and position within it
+   * @returns {Object} The layout
+   */
+  getLayout(node, parent = null) {
+    const layout = {};
+
+    if (node.layoutMode === 'GRID') {
+      layout.type = 'grid';
+      layout.grid = {
+        rows: node.gridRowCount || 1,
+        columns: node.gridColumnCount || 1,
+        rowGap: node.gridRowGap || 0,
+        columnGap: node.gridColumnGap || 0
+      };
+      if (node.gridRowsSizing) layout.grid.rowsSizing = node.gridRowsSizing;
+      if (node.gridColumnsSizing) layout.grid.columnsSizing = node.gridColumnsSizing;
+      layout.padding = this.getPadding(node);
+    } else if (node.layoutMode && node.layoutMode !== 'NONE') {
+      layout.type = node.layoutMode.toLowerCase(); // HORIZONTAL or VERTICAL
+      layout.padding = this.getPadding(node);
+      layout.spacing = node.itemSpacing || 0;
+
+      if (node.layoutWrap === 'WRAP') {
+        layout.wrap = true;
+        // A null counter axis spacing means "same as the item spacing"
+        layout.counterAxisSpacing = typeof node.counterAxisSpacing === 'number' ? node.counterAxisSpacing : layout.spacing;
+        if (node.counterAxisAlignContent) {
+          layout.counterAxisAlignContent = node.counterAxisAlignContent.toLowerCase();
+        }
+      }
+    } else {
+      layout.type = 'none';
+    }
+
+    if (node.constraints) {
+      layout.constraints = {
+        horizontal: node.constraints.horizontal.toLowerCase(),
+        vertical: node.constraints.vertical.toLowerCase()
+      };
+    }
+
+    if (node.primaryAxisAlignItems) {
+      layout.primaryAxisAlignment = node.primaryAxisAlignItems.toLowerCase();
+    }
+    if (node.counterAxisAlignItems) {
+      layout.counterAxisAlignment = node.counterAxisAlignItems.toLowerCase();
+    }
+
+    layout.sizing = {
+      horizontal: this.getSizing(node, parent, 'horizontal'),
+      vertical: this.getSizing(node, parent, 'vertical')
+    };
+
+    const box = node.absoluteBoundingBox;
+    if (box) {
+      layout.size = { width: this.round(box.width), height: this.round(box.height) };
+    } else if (node.size) {
+      layout.size = { width: this.round(node.size.x), height: this.round(node.size.y) };
+    }
+
+    if (parent) {
+      const position = this.getRelativePosition(node, parent);
+      if (position) layout.position = position;
+    }
+
+    if (node.layoutPositioning === 'ABSOLUTE') {
+      layout.positioning = 'absolute';
+    }
+
+    for (const property of ['minWidth', 'maxWidth', 'minHeight', 'maxHeight']) {
+      if (typeof node[property] === 'number') layout[property] = node[property];
+    }
+
+    if (node.gridRowSpan > 1 || node.gridColumnSpan > 1 || node.gridRowAnchorIndex !== undefined || node.gridColumnAnchorIndex !== undefined) {
+      layout.gridItem = {
+        rowSpan: node.gridRowSpan || 1,
+        columnSpan: node.gridColumnSpan || 1
+      };
+      if (typeof node.gridRowAnchorIndex === 'number') layout.gridItem.rowStart = node.gridRowAnchorIndex + 1;
+      if (typeof node.gridColumnAnchorIndex === 'number') layout.gridItem.columnStart = node.gridColumnAnchorIndex + 1;
+    }
+
+    if (node.clipsContent) layout.clipsContent = true;
+
+    // Children outside the flow are positioned against this node
+    const children = (node.children || []).filter(child => child.visible !== false);
+    if (children.length > 0 && (layout.type === 'none' || children.some(child => child.layoutPositioning === 'ABSOLUTE'))) {
+      layout.positionsChildren = true;
+    }
+
+    return layout;
+  }
+
+  /**
+   * Resolve how a node is sized along an axis
+   * @param {Object} node - The Figma node
+   * @param {Object|null} parent - The node's parent
+   * @param {string} axis - 'horizontal' or 'vertical'
+   * @returns {string} 'fixed', 'hug' or 'fill'
+   */
+  getSizing(node, parent, axis) {
+    const explicit = axis === 'horizontal' ? node.layoutSizingHorizontal : node.layoutSizingVertical;
+    if (explicit) return explicit.toLowerCase();
+
+    const parentMode = parent && parent.layoutMode;
+    if (parentMode && FLEX_TYPES.includes(parentMode.toLowerCase()) && node.layoutPositioning !== 'ABSOLUTE') {
+      const isPrimary = (parentMode === 'HORIZONTAL') === (axis === 'horizontal');
+      if (isPrimary && node.layoutGrow === 1) return 'fill';
+      if (!isPrimary && node.layoutAlign === 'STRETCH') return 'fill';
+    }
+
+    if (node.layoutMode && FLEX_TYPES.includes(node.layoutMode.toLowerCase())) {
+      const isPrimary = (node.layoutMode === 'HORIZONTAL') === (axis === 'horizontal');
+      // Figma leaves out the defaults: primary axis AUTO, counter axis FIXED
+      const mode = isPrimary ? (node.primaryAxisSizingMode || 'AUTO') : (node.counterAxisSizingMode || 'FIXED');
+      return mode === 'AUTO' ? 'hug' : 'fixed';
+    }
+
+    if (node.type === 'TEXT') {
+      const autoResize = (node.style && node.style.textAutoResize) || node.textAutoResize;
+      if (autoResize === 'WIDTH_AND_HEIGHT') return 'hug';
+      if (autoResize === 'HEIGHT') return axis === 'vertical' ? 'hug' : 'fixed';
+    }
+
+    return 'fixed';
+  }
+
+  /**
+   * Get a node's padding
+   * @param {Object} node - The Figma node
+   * @returns {Object} { top, right, bottom, left }
+   */
+  getPadding(node) {
+    return {
+      top: node.paddingTop || 0,
+      right: node.paddingRight || 0,
+      bottom: node.paddingBottom || 0,
+      left: node.paddingLeft || 0
+    };
+  }
+
+  /**
+   * Get a node's position relative to its parent's top left corner
+   * @param {Object} node - The Figma node
+   * @param {Object} parent - The parent node
+   * @returns {Object|null} { x, y }
+   */
+  getRelativePosition(node, parent) {
+    if (node.absoluteBoundingBox && parent.absoluteBoundingBox) {
+      return {
+        x: this.round(node.absoluteBoundingBox.x - parent.absoluteBoundingBox.x),
+        y: this.round(node.absoluteBoundingBox.y - parent.absoluteBoundingBox.y)
+      };
+    }
+
+    if (Array.isArray(node.relativeTransform)) {
+      return {
+        x: this.round(node.relativeTransform[0][2]),
+        y: this.round(node.relativeTransform[1][2])
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Translate a node's layout into CSS declarations
+   * Covers how the node sits in its parent (flex item, grid item or absolutely
+   * positioned) and how it lays out its own children
+   * @param {Object} layout - The node's layout, from getLayout
+   * @param {Object} [parentLayout] - The parent's layout; the node is treated as a root without it
+   * @returns {Object} CSS declarations by property name
+   */
+  translateLayout(layout = {}, parentLayout = null) {
+    const css = {};
+    const parentType = parentLayout && parentLayout.type;
+    const inFlow = (FLEX_TYPES.includes(parentType) || parentType === 'grid') && layout.positioning !== 'absolute';
+
+    if (!parentLayout) {
+      Object.assign(css, this.getRootCss(layout));
+    } else if (!inFlow) {
+      Object.assign(css, this.getAbsoluteCss(layout, parentLayout));
+    } else if (parentType === 'grid') {
+      Object.assign(css, this.getGridItemCss(layout));
+    } else {
+      Object.assign(css, this.getFlexItemCss(layout, parentLayout));
+    }
+
+    if (layout.positionsChildren && css.position !== 'absolute') {
+      css.position = 'relative';
+    }
+
+    for (const [property, cssProperty] of [['minWidth', 'min-width'], ['maxWidth', 'max-width'], ['minHeight', 'min-height'], ['maxHeight', 'max-height']]) {
+      if (typeof layout[property] === 'number') css[cssProperty] = this.px(layout[property]);
+    }
+
+    Object.assign(css, this.getContainerCss(layout));
+
+    if (layout.clipsContent) css.overflow = 'hidden';
+
+    return css;
+  }
+
+  /**
+   * Size a node that has no parent (e.g. a component)
+   * @param {Object} layout - The node's layout
+   * @returns {Object} CSS declarations
+   */
+  getRootCss(layout) {
+    const css = {};
+    const { sizing = {}, size } = layout;
+
+    for (const [axis, dimension] of [['horizontal', 'width'], ['vertical', 'height']]) {
+      if (sizing[axis] === 'fill') {
+        css[dimension] = '100%';
+      } else if (sizing[axis] === 'fixed' && size) {
+        css[dimension] = this.px(size[dimension]);
+      }
+    }
+
+    return css;
+  }
+
+  /**
+   * Size a node inside an auto layout frame
+   * Fill grows along the parent's primary axis and stretches along its counter axis;
+   * fixed and hug items keep their size instead of shrinking
+   * @param {Object} layout - The node's layout
+   * @param {Object} parentLayout - The parent's layout
+   * @returns {Object} CSS declarations
+   */
+  getFlexItemCss(layout, parentLayout) {
+    const css = {};
+    const { sizing = {}, size } = layout;
+    const primaryAxis = parentLayout.type;
+    const counterAxis = primaryAxis === 'horizontal' ? 'vertical' : 'horizontal';
+    const dimensionOf = (axis) => axis === 'horizontal' ? 'width' : 'height';
+
+    if (sizing[primaryAxis] === 'fill') {
+      css.flex = '1 1 0px';
+    } else {
+      if (sizing[primaryAxis] === 'fixed' && size) css[dimensionOf(primaryAxis)] = this.px(size[dimensionOf(primaryAxis)]);
+      if (sizing[primaryAxis]) css['flex-shrink'] = '0';
+    }
+
+    if (sizing[counterAxis] === 'fill') {
+      css['align-self'] = 'stretch';
+    } else if (sizing[counterAxis] === 'fixed' && size) {
+      css[dimensionOf(counterAxis)] = this.px(size[dimensionOf(counterAxis)]);
+    }
+
+    return css;
+  }
+
+  /**
+   * Place and size a node inside a grid frame
+   * @param {Object} layout - The node's layout
+   * @returns {Object} CSS declarations
+   */
+  getGridItemCss(layout) {
+    const css = {};
+    const { sizing = {}, size, gridItem } = layout;
+
+    if (gridItem) {
+      const line = (start, span) => start ? `${start} / span ${span}` : `span ${span}`;
+      if (gridItem.columnStart || gridItem.columnSpan > 1) css['grid-column'] = line(gridItem.columnStart, gridItem.columnSpan);
+      if (gridItem.rowStart || gridItem.rowSpan > 1) css['grid-row'] = line(gridItem.rowStart, gridItem.rowSpan);
+    }
+
+    // Grid items stretch to their cell by default, which is what fill means
+    for (const [axis, dimension, alignment] of [['horizontal', 'width', 'justify-self'], ['vertical', 'height', 'align-self']]) {
+      if (sizing[axis] === 'fixed' && size) {
+        css[dimension] = this.px(size[dimension]);
+        css[alignment] = 'start';
+      } else if (sizing[axis] === 'hug') {
+        css[alignment] = 'start';
+      }
+    }
+
+    return css;
+  }
+
+  /**
+   * Position a node outside of auto layout using its constraints
+   * @param {Object} layout - The node's layout
+   * @param {Object} parentLayout - The parent's layout
+   * @returns {Object} CSS declarations
+   */
+  getAbsoluteCss(layout, parentLayout) {
+    const css = { position: 'absolute' };
+    const { size, position, sizing = {} } = layout;
+    const parentSize = parentLayout.size;
+
+    if (!size || !position || !parentSize) return css;
+
+    const constraints = layout.constraints || { horizontal: 'left', vertical: 'top' };
+    const axes = [
+      {
+        constraint: constraints.horizontal, offset: position.x, length: size.width, parentLength: parentSize.width,
+        start: 'left', end: 'right', dimension: 'width', hug: sizing.horizontal === 'hug'
+      },
+      {
+        constraint: constraints.vertical, offset: position.y, length: size.height, parentLength: parentSize.height,
+        start: 'top', end: 'bottom', dimension: 'height', hug: sizing.vertical === 'hug'
+      }
+    ];
+
+    for (const { constraint, offset, length, parentLength, start, end, dimension, hug } of axes) {
+      const endOffset = parentLength - offset - length;
+
+      switch (constraint) {
+        case 'right':
+        case 'bottom':
+        case 'max':
+          css[end] = this.px(endOffset);
+          if (!hug) css[dimension] = this.px(length);
+          break;
+        case 'left_right':
+        case 'top_bottom':
+        case 'stretch':
+          css[start] = this.px(offset);
+          css[end] = this.px(endOffset);
+          break;
+        case 'center': {
+          const fromCenter = this.round(offset - parentLength / 2);
+          css[start] = `calc(50% ${fromCenter < 0 ? '-' : '+'} ${this.px(Math.abs(fromCenter))})`;
+          if (!hug) css[dimension] = this.px(length);
+          break;
+        }
+        case 'scale':
+          css[start] = this.percent(offset, parentLength);
+          css[dimension] = this.percent(length, parentLength);
+          break;
+        default:
+          css[start] = this.px(offset);
+          if (!hug) css[dimension] = this.px(length);
+      }
+    }
+
+    return css;
+  }
+
+  /**
+   * Lay out a frame's children
+   * @param {Object} layout - The frame's layout
+   * @returns {Object} CSS declarations
+   */
+  getContainerCss(layout) {
+    const css = {};
+
+    if (layout.type === 'grid') {
+      const { rows, columns, rowGap, columnGap, rowsSizing, columnsSizing } = layout.grid;
+      css.display = 'grid';
+      css['grid-template-columns'] = columnsSizing || `repeat(${columns}, minmax(0, 1fr))`;
+      if (rowsSizing || rows > 1) css['grid-template-rows'] = rowsSizing || `repeat(${rows}, auto)`;
+      if (rowGap || columnGap) css.gap = rowGap === columnGap ? this.px(rowGap) : `${this.px(rowGap)} ${this.px(columnGap)}`;
+    } else if (FLEX_TYPES.includes(layout.type)) {
+      const vertical = layout.type === 'vertical';
+      css.display = 'flex';
+      if (vertical) css['flex-direction'] = 'column';
+
+      if (layout.wrap) {
+        css['flex-wrap'] = 'wrap';
+        css['align-content'] = layout.counterAxisAlignContent === 'space_between' ? 'space-between' : 'flex-start';
+      }
+
+      if (JUSTIFY_CONTENT[layout.primaryAxisAlignment]) {
+        css['justify-content'] = JUSTIFY_CONTENT[layout.primaryAxisAlignment];
+      }
+      // CSS stretches items by default, Figma starts them
+      css['align-items'] = ALIGN_ITEMS[layout.counterAxisAlignment] || 'flex-start';
+
+      // Space between distributes the items and ignores the item spacing
+      const primaryGap = layout.primaryAxisAlignment === 'space_between' ? 0 : (layout.spacing || 0);
+      const counterGap = layout.wrap ? (layout.counterAxisSpacing || 0) : primaryGap;
+      const rowGap = vertical ? primaryGap : counterGap;
+      const columnGap = vertical ? counterGap : primaryGap;
+      if (rowGap || columnGap) {
+        css.gap = rowGap === columnGap ? this.px(rowGap) : `${this.px(rowGap)} ${this.px(columnGap)}`;
+      }
+    } else {
+      return css;
+    }
+
+    const { top = 0, right = 0, bottom = 0, left = 0 } = layout.padding || {};
+    if (top || right || bottom || left) {
+      css.padding = this.getPaddingShorthand(top, right, bottom, left);
+    }
+
+    return css;
+  }
+
+  /**
+   * Translate a Figma node and its descendants
+   * @param {Object} node - The root Figma node
+   * @param {Object} [parent] - The root's parent; the root is sized as a standalone element without it
+   * @returns {Object} { id, name, type, layout, css, children }
+   */
+  translateTree(node, parent = null) {
+    const layout = this.getLayout(node, parent);
+    const parentLayout = parent ? this.getLayout(parent) : null;
+
+    return this.translateNode(node, layout, parentLayout);
+  }
+
+  /**
+   * Translate a node whose layout is already known, then its children
+   * @param {Object} node - The Figma node
+   * @param {Object} layout - The node's layout
+   * @param {Object|null} parentLayout - The parent's layout
+   * @returns {Object} { id, name, type, layout, css, children }
+   */
+  translateNode(node, layout, parentLayout) {
+    const children = (node.children || [])
+      .filter(child => child.visible !== false)
+      .map(child => this.translateNode(child, this.getLayout(child, node), layout));
+
+    return {
+      id: node.id,
+      name: node.name,
+      type: node.type,
+      layout,
+      css: this.translateLayout(layout, parentLayout),
+      children
+    };
+  }
+
+  /**
+   * Render a translated tree as a stylesheet with one class per node
+   * @param {Object} tree - The tree from translateTree
+   * @param {Object} [options] - Options
+   * @param {string} [options.prefix] - Prefix for the class names
+   * @returns {string} The CSS
+   */
+  toStylesheet(tree, options = {}) {
+    const usedNames = new Set();
+    const rules = [];
+
+    const visit = (node) => {
+      const baseName = [options.prefix, toKebabCase(node.name || node.type || 'node') || 'node'].filter(Boolean).join('-');
+      let className = baseName;
+      let suffix = 2;
+      while (usedNames.has(className)) {
+        className = `${baseName}-${suffix}`;
+        suffix++;
+      }
+      usedNames.add(className);
+
+      const declarations = Object.entries(node.css);
+      if (declarations.length > 0) {
+        rules.push(`.${className} {\n${declarations.map(([property, value]) => `  ${property}: ${value};`).join('\n')}\n}`);
+      }
+
+      node.children.forEach(visit);
+    };
+
+    visit(tree);
+    return rules.join('\n\n') + (rules.length > 0 ? '\n' : '');
+  }
+
+  /**
+   * Shorten padding to the CSS shorthand
+   * @param {number} top - Top padding
+   * @param {number} right - Right padding
+   * @param {number} bottom - Bottom padding
+   * @param {number} left - Left padding
+   * @returns {string} The padding value
+   */
+  getPaddingShorthand(top, right, bottom, left) {
+    if (top === right && top === bottom && top === left) return this.px(top);
+    if (top === bottom && left === right) return `${this.px(top)} ${this.px(right)}`;
+    if (left === right) return `${this.px(top)} ${this.px(right)} ${this.px(bottom)}`;
+    return `${this.px(top)} ${this.px(right)} ${this.px(bottom)} ${this.px(left)}`;
+  }
+
+  /**
+   * Format a pixel value
+   * @param {number} value - The value
+   * @returns {string} e.g. "12px", or "0" for zero
+   */
+  px(value) {
+    const rounded = this.round(value);
+    return rounded === 0 ? '0' : `${rounded}px`;
+  }
+
+  /**
+   * Format a length as a percentage of another
+   * @param {number} value - The length
+   * @param {number} total - The length it is relative to
+   * @returns {string} e.g. "25%"
+   */
+  percent(value, total) {
+    return total ? `${this.round(value / total * 100)}%` : '0';
+  }
+
+  /**
+   * Round to two decimals
+   * @param {number} value - The value
+   * @returns {number} The rounded value
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new LayoutTranslator();
@@ -0,0 +1,106 @@
+// server/services/export/__tests__/dtcgSerializer.test.js
+const dtcgSerializer = require('../dtcgSerializer');
+const DtcgImportError = require('../dtcgImportError');
+
+/**
+ * Deserialize a document and return the error it throws
+ * @param {Object} document - The DTCG document
+ * @returns {Error|null} The error
+ */
+const getImportError = (document) => {
+  try {
+    dtcgSerializer.deserialize(document);
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+const heading = (fields = {}) => ({
+  name: 'Heading/H1',
+  fontFamily: 'Inter',
+  fontWeight: 700,
+  fontSize: 32,
+  lineHeight: '40px',
+  letterSpacing: '0px',
+  textCase: 'none',
+  value: '700 32px/40px Inter',
+  ...fields
+});
+
+const serializeTypography = (token) =>
+  dtcgSerializer.serialize({ name: 'Acme UI', tokens: { typography: { heading: token } } }).typography.heading.h1;
+
+describe('dtcgSerializer', () => {
+  describe('typography line height', () => {
+    test.each([
+      ['40px', 32, 1.25],
+      ['24px', '16px', 1.5],
+      ['1.5', 32, 1.5],
+      ['150%', 32, 1.5],
+      ['50px', 30, 1.6667]
+    ])('exports %s at a font size of %s as the multiplier %s', (lineHeight, fontSize, expected) => {
+      expect(serializeTypography(heading({ lineHeight, fontSize })).$value.lineHeight).toBe(expected);
+    });
+
+    test('leaves out line heights without a number', () => {
+      expect(serializeTypography(heading({ lineHeight: 'normal' })).$value).not.toHaveProperty('lineHeight');
+      expect(serializeTypography(heading({ lineHeight: '40px', fontSize: '2rem' })).$value).not.toHaveProperty('lineHeight');
+    });
+
+    test.each(['40px', '1.5', 'normal'])('restores a line height of %s', (lineHeight) => {
+      const designSystem = { name: 'Acme UI', tokens: { typography: { heading: heading({ lineHeight }) } } };
+
+      const { tokens } = dtcgSerializer.deserialize(dtcgSerializer.serialize(designSystem));
+
+      expect(tokens.typography.heading).toEqual(heading({ lineHeight }));
+    });
+
+    test('imports multipliers from other tools as pixels of the font size', () => {
+      const { tokens } = dtcgSerializer.deserialize({
+        type: {
+          $type: 'typography',
+          body: { $value: { fontFamily: 'Inter', fontWeight: 400, fontSize: '16px', lineHeight: 1.5 } },
+          relative: { $value: { fontFamily: 'Inter', fontWeight: 400, fontSize: '1rem', lineHeight: 1.5 } },
+          unset: { $value: { fontFamily: 'Inter', fontWeight: 400, fontSize: '16px' } }
+        }
+      });
+
+      expect(tokens.typography.body).toMatchObject({ lineHeight: '24px', value: '400 16px/24px Inter' });
+      expect(tokens.typography.relative.lineHeight).toBe('1.5');
+      expect(tokens.typography.unset.lineHeight).toBe('normal');
+    });
+  });
+
+  describe('aliases', () => {
+    test('resolves references to other tokens', () => {
+      const { tokens } = dtcgSerializer.deserialize({
+        base: { $type: 'color', blue: { $value: '#2563eb' } },
+        brand: { $type: 'color', primary: { $value: '{base.blue}' } }
+      });
+
+      expect(tokens.colors.primary.hex).toBe('#2563eb');
+    });
+
+    test.each([
+      ['a dangling reference', { colors: { $type: 'color', primary: { $value: '{colors.missing}' } } }, 'colors.primary', 'Unresolvable token reference: {colors.missing}'],
+      ['a circular reference', {
+        colors: { $type: 'color', a: { $value: '{colors.b}' }, b: { $value: '{colors.a}' } }
+      }, 'colors.a', 'Circular token reference: {colors.a}'],
+      ['a reference to itself', { colors: { $type: 'color', a: { $value: '{colors.a}' } } }, 'colors.a', 'Circular token reference: {colors.a}']
+    ])('rejects %s with the path of the token', (label, document, path, reason) => {
+      const error = getImportError(document);
+
+      expect(error).toBeInstanceOf(DtcgImportError);
+      expect(error.path).toBe(path);
+      expect(error.message).toBe(`Invalid token ${path}: ${reason}`);
+    });
+
+    test('rejects values that do not fit the type', () => {
+      const error = getImportError({ type: { $type: 'typography', heading: { $value: null } } });
+
+      expect(error).toBeInstanceOf(DtcgImportError);
+      expect(error.path).toBe('type.heading');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+// server/services/export/__tests__/styleDictionaryExporter.test.js
+const JSZip = require('jszip');
+const styleDictionaryExporter = require('../styleDictionaryExporter');
+
+const designSystem = {
+  name: 'Acme UI',
+  version: 3,
+  tokens: {
+    colors: {
+      'brand/primary': { value: '#2563eb' },
+      'brand/secondary': { value: 'rgba(15, 23, 42, 0.5)' },
+      'Brand Primary': { name: 'brand/primary', value: '#1d4ed8' }
+    },
+    typography: {
+      'heading/h1': { fontFamily: 'Inter', fontWeight: 700, fontSize: '32px', lineHeight: '40px', letterSpacing: '0px' }
+    },
+    spacing: {
+      sm: { value: '8px' },
+      relative: { value: '1.5em' }
+    },
+    borders: {
+      default: { width: '1px', style: 'solid', color: '#e5e7eb' }
+    },
+    radii: {
+      md: { value: '6px' },
+      mixed: { value: '4px 4px 0px 0px' }
+    },
+    shadows: {
+      card: { type: 'dropShadow', values: [{ x: 0, y: 2, blur: 4, spread: 0, color: 'rgba(0, 0, 0, 0.1)' }] }
+    },
+    opacity: {
+      disabled: { value: 0.4 }
+    }
+  }
+};
+
+// How each rendered file declares a token
+const DECLARATIONS = {
+  'build/js/tokens.js': /^export const (\w+)/gm,
+  'build/ios/UIColor+DesignTokens.swift': /^ {4}static let (\w+)/gm,
+  'build/ios/CGFloat+DesignTokens.swift': /^ {4}static let (\w+)/gm,
+  'build/android/colors.xml': /<color name="(\w+)"/g,
+  'build/android/dimens.xml': /<dimen name="(\w+)"/g
+};
+
+/**
+ * Collect the tokens of a Style Dictionary source with their paths
+ * @param {Object} source - The source JSON
+ * @param {Array} [path] - Path of the group
+ * @returns {Array} [path, token] pairs
+ */
+const getSourceTokens = (source, path = []) => Object.entries(source).flatMap(([key, value]) =>
+  value && value.value !== undefined ? [[[...path, key], value]] : getSourceTokens(value, [...path, key])
+);
+
+// Style Dictionary matches filter objects against the token's properties
+const matchesFilter = (token, filter = {}) => Object.entries(filter).every(([key, value]) => token[key] === value);
+
+// Names are compared without case or separators, which each platform's name transform adds
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+describe('styleDictionaryExporter', () => {
+  let archive;
+  let config;
+  let sourceTokens;
+
+  beforeAll(async () => {
+    archive = await JSZip.loadAsync(await styleDictionaryExporter.generateArchive(designSystem));
+    config = JSON.parse(await archive.file('config.json').async('string'));
+    sourceTokens = getSourceTokens(JSON.parse(await archive.file('tokens.json').async('string')));
+  });
+
+  test('ships every file the config builds, and only those', () => {
+    const configured = Object.values(config.platforms)
+      .flatMap(platform => platform.files.map(file => `${platform.buildPath}${file.destination}`))
+      .sort();
+    const shipped = Object.keys(archive.files).filter(file => file.startsWith('build/') && !archive.files[file].dir).sort();
+
+    expect(shipped).toEqual(configured);
+  });
+
+  test('declares exactly the tokens the config selects in each file', async () => {
+    const files = Object.values(config.platforms).flatMap(platform =>
+      platform.files.map(file => ({ ...file, path: `${platform.buildPath}${file.destination}` }))
+    );
+
+    for (const [path, pattern] of Object.entries(DECLARATIONS)) {
+      const file = files.find(candidate => candidate.path === path);
+      const rendered = await archive.file(path).async('string');
+
+      const declared = [...rendered.matchAll(pattern)].map(match => normalizeName(match[1])).sort();
+      const selected = sourceTokens
+        .filter(([, token]) => matchesFilter(token, file.filter))
+        .map(([tokenPath]) => normalizeName(tokenPath.join('')))
+        .sort();
+
+      expect({ path, declared }).toEqual({ path, declared: selected });
+    }
+  });
+
+  test('groups the source by the prefix the names use', () => {
+    const paths = sourceTokens.map(([path]) => path.join('.'));
+
+    expect(paths).toEqual(expect.arrayContaining([
+      'color.brand.primary',
+      'color.brand.primary-2',
+      'font.heading.h1',
+      'spacing.sm',
+      'border.default',
+      'radius.md'
+    ]));
+    expect(paths).not.toContain('radius.mixed');
+  });
+
+  test('records the unit of dimensions', () => {
+    const tokens = Object.fromEntries(sourceTokens.map(([path, token]) => [path.join('.'), token]));
+
+    expect(tokens['spacing.sm']).toEqual({ value: '8px', type: 'dimension', unit: 'px' });
+    expect(tokens['spacing.relative']).toMatchObject({ value: '1.5em', unit: 'em' });
+    expect(tokens['color.brand.primary']).not.toHaveProperty('unit');
+  });
+
+  test('renders native values', async () => {
+    const colors = await archive.file('build/ios/UIColor+DesignTokens.swift').async('string');
+    const dimens = await archive.file('build/android/dimens.xml').async('string');
+
+    expect(colors).toContain('public extension UIColor {');
+    expect(colors).toContain('static let colorBrandSecondary = UIColor(red: 0.059, green: 0.09, blue: 0.165, alpha: 0.5)');
+    expect(dimens).toContain('<dimen name="spacing_sm">8dp</dimen>');
+    expect(dimens).not.toContain('spacing_relative');
+  });
+});
@@ -0,0 +1,284 @@
+// server/services/export/cssExporter.js
+const { getTokenPath, getTokenEntries } = require('../../utils/tokenUtils');
+
+class CssExporter {
+  /**
+   * Generate a stylesheet of CSS custom properties from a design system
+   * @param {Object} designSystem - The design system (plain object)
+   * @returns {string} The stylesheet
+   */
+  generateStylesheet(designSystem) {
+    const tokens = designSystem.tokens || {};
+    const usedNames = new Set();
+
+    const sections = [
+      ['Colors', this.generateColorProperties(tokens.colors, usedNames)],
+      ['Gradients', this.generateGradientProperties(tokens.gradients, usedNames)],
+      ['Typography', this.generateTypographyProperties(tokens.typography, usedNames)],
+      ['Spacing', this.generateSpacingProperties(tokens.spacing, usedNames)],
+      ['Shadows', this.generateShadowProperties(tokens.shadows, usedNames)],
+      ['Borders', this.generateBorderProperties(tokens.borders, usedNames)],
+      ['Radii', this.generateValueProperties('radius', 'radii', tokens.radii, usedNames)],
+      ['Opacity', this.generateValueProperties('opacity', 'opacity', tokens.opacity, usedNames)],
+      ['Blur', this.generateValueProperties('blur', 'blur', tokens.blur, usedNames)],
+      ['Breakpoints', this.generateValueProperties('breakpoint', 'breakpoints', tokens.breakpoints, usedNames)],
+      ['Grids', this.generateGridProperties(tokens.grids, usedNames)]
+    ];
+
+    const body = sections
+      .filter(([, declarations]) => declarations.length > 0)
+      .map(([title, declarations]) => `  /* ${title} */\n${declarations.map(d => `  ${d}`).join('\n')}`)
+      .join('\n\n');
+
+    const header = `/**\n * ${designSystem.name || 'Design System'}${designSystem.version ? ` v${designSystem.version}` : ''}\n * Generated by UiFinity AI - do not edit directly\n */`;
+
+    const layoutHelpers = this.generateLayoutHelpers(tokens);
+
+    return `${header}\n:root {\n${body}\n}\n${layoutHelpers ? `\n${layoutHelpers}` : ''}`;
+  }
+
+  /**
+   * Build a unique custom property name for a token
+   * @param {string} prefix - The property prefix (e.g. "color")
+   * @param {string} category - The token category
+   * @param {string} tokenKey - The token key
+   * @param {Object} token - The token object
+   * @param {Set} usedNames - Names already emitted
+   * @returns {string} Custom property name without the leading dashes
+   */
+  getPropertyName(prefix, category, tokenKey, token, usedNames) {
+    const baseName = [prefix, ...getTokenPath(category, tokenKey, token)].join('-');
+
+    let name = baseName;
+    let suffix = 2;
+    while (usedNames.has(name)) {
+      name = `${baseName}-${suffix}`;
+      suffix++;
+    }
+
+    usedNames.add(name);
+    return name;
+  }
+
+  /**
+   * Generate color custom properties
+   * @param {Object} tokens - The color tokens
+   * @param {Set} usedNames - Names already emitted
+   * @returns {string[]} Declarations
+   */
+  generateColorProperties(tokens, usedNames) {
+    return getTokenEntries(tokens).map(([key, token]) => {
+      const name = this.getPropertyName('color', 'colors', key, token, usedNames);
+      return `--${name}: ${token.value || token.hex};`;
+    });
+  }
+
+  /**
+   * Generate gradient custom properties
+   * @param {Object} tokens - The gradient tokens
+   * @param {Set} usedNames - Names already emitted
+   * @returns {string[]} Declarations
+   */
+  generateGradientProperties(tokens, usedNames) {
+    return getTokenEntries(tokens).map(([key, token]) => {
+      const name = this.getPropertyName('gradient', 'gradients', key, token, usedNames);
+      return `--${name}: ${token.value};`;
+    });
+  }
+
+  /**
+   * Generate typography custom properties
+   * Each text style yields a `font` shorthand plus its individual properties
+   * @param {Object} tokens - The typography tokens
+   * @param {Set} usedNames - Names already emitted
+   * @returns {string[]} Declarations
+   */
+  generateTypographyProperties(tokens, usedNames) {
+    const declarations = [];
+
+    for (const [key, token] of getTokenEntries(tokens)) {
+      const name = this.getPropertyName('font', 'typography', key, token, usedNames);
+      const fontFamily = this.formatFontFamily(token.fontFamily);
+
+      declarations.push(`--${name}: ${token.fontWeight} ${token.fontSize}/${token.lineHeight || 'normal'} ${fontFamily};`);
+      declarations.push(`--${name}-family: ${fontFamily};`);
+      declarations.push(`--${name}-size: ${token.fontSize};`);
+      declarations.push(`--${name}-weight: ${token.fontWeight};`);
+      declarations.push(`--${name}-line-height: ${token.lineHeight || 'normal'};`);
+      declarations.push(`--${name}-letter-spacing: ${token.letterSpacing || 'normal'};`);
+    }
+
+    return declarations;
+  }
+
+  /**
+   * Generate spacing custom properties
+   * @param {Object} tokens - The spacing tokens
+   * @param {Set} usedNames - Names already emitted
+   * @returns {string[]} Declarations
+   */
+  generateSpacingProperties(tokens, usedNames) {
+    return getTokenEntries(tokens).map(([key, token]) => {
+      const name = this.getPropertyName('spacing', 'spacing', key, token, usedNames);
+      return `--${name}: ${token.value};`;
+    });
+  }
+
+  /**
+   * Generate shadow custom properties
+   * @param {Object} tokens - The shadow tokens
+   * @param {Set} usedNames - Names already emitted
+   * @returns {string[]} Declarations
+   */
+  generateShadowProperties(tokens, usedNames) {
+    return getTokenEntries(tokens).map(([key, token]) => {
+      const name = this.getPropertyName('shadow', 'shadows', key, token, usedNames);
+      const inset = token.type === 'innerShadow' ? 'inset ' : '';
+      const value = Array.isArray(token.values) && token.values.length > 0
+        ? token.values.map(v => `${inset}${v.x} ${v.y} ${v.blur} ${v.spread} ${v.color}`).join(', ')
+        : token.value;
+      return `--${name}: ${value};`;
+    });
+  }
+
+  /**
+   * Generate border custom properties
+   * @param {Object} tokens - The border tokens
+   * @param {Set} usedNames - Names already emitted
+   * @returns {string[]} Declarations
+   */
+  generateBorderProperties(tokens, usedNames) {
+    const declarations = [];
+
+    for (const [key, token] of getTokenEntries(tokens)) {
+      const name = this.getPropertyName('border', 'borders', key, token, usedNames);
+      declarations.push(`--${name}: ${token.value};`);
+      if (token.width) declarations.push(`--${name}-width: ${token.width};`);
+      if (token.color) declarations.push(`--${name}-color: ${token.color};`);
+    }
+
+    return declarations;
+  }
+
+  /**
+   * Generate custom properties for categories whose tokens are a single value
+   * (radii, opacity, blur)
+   * @param {string} prefix - The property prefix
+   * @param {string} category - The token category
+   * @param {Object} tokens - The tokens
+   * @param {Set} usedNames - Names already emitted
+   * @returns {string[]} Declarations
+   */
+  generateValueProperties(prefix, category, tokens, usedNames) {
+    return getTokenEntries(tokens).map(([key, token]) => {
+      const name = this.getPropertyName(prefix, category, key, token, usedNames);
+      return `--${name}: ${token.value};`;
+    });
+  }
+
+  /**
+   * Generate layout grid custom properties
+   * @param {Object} tokens - The grid tokens
+   * @param {Set} usedNames - Names already emitted
+   * @returns {string[]} Declarations
+   */
+  generateGridProperties(tokens, usedNames) {
+    const declarations = [];
+
+    for (const [key, token] of getTokenEntries(tokens)) {
+      const name = this.getPropertyName('grid', 'grids', key, token, usedNames);
+      if (token.columns) {
+        declarations.push(`--${name}-columns: ${token.columns.count};`);
+        declarations.push(`--${name}-gutter: ${token.columns.gutter};`);
+        declarations.push(`--${name}-margin: ${token.columns.margin};`);
+      }
+      if (token.baseline) declarations.push(`--${name}-baseline: ${token.baseline};`);
+    }
+
+    return declarations;
+  }
+
+  /**
+   * Generate container, grid and media/container query helpers from grid and breakpoint tokens
+   * `.layout-grid` responds to the viewport; inside a `.layout-container` it responds
+   * to the container's width instead
+   * @param {Object} tokens - The design system tokens
+   * @returns {string} CSS rules, or an empty string when there are no layout tokens
+   */
+  generateLayoutHelpers(tokens) {
+    const breakpoints = getTokenEntries(tokens.breakpoints)
+      .map(([, token]) => token)
+      .filter(token => token.width)
+      .sort((a, b) => a.width - b.width);
+    const grids = getTokenEntries(tokens.grids).filter(([, token]) => token.columns);
+
+    if (breakpoints.length === 0 && grids.length === 0) {
+      return '';
+    }
+
+    const rules = ['/* Layout helpers */'];
+    const gridRule = (columns) => [
+      `grid-template-columns: repeat(${columns.count}, ${columns.size || 'minmax(0, 1fr)'});`,
+      `column-gap: ${columns.gutter};`
+    ];
+    const block = (selector, declarations, indent = '') =>
+      `${indent}${selector} {\n${declarations.map(d => `${indent}  ${d}`).join('\n')}\n${indent}}`;
+
+    // Base layout comes from the smallest breakpoint with a grid, else the first grid token
+    const baseColumns = (breakpoints.find(bp => bp.columns) || {}).columns || (grids[0] && grids[0][1].columns);
+
+    rules.push(block('.container', [
+      'width: 100%;',
+      'margin-inline: auto;',
+      ...(baseColumns ? [`padding-inline: ${baseColumns.margin};`] : [])
+    ]));
+    if (baseColumns) {
+      rules.push(block('.layout-grid', ['display: grid;', ...gridRule(baseColumns)]));
+      rules.push(block('.layout-container', ['container-type: inline-size;']));
+      rules.push(block('.layout-container .layout-grid', gridRule(baseColumns)));
+    }
+
+    // Breakpoints above the smallest one switch to their own grid
+    for (const breakpoint of breakpoints.slice(1)) {
+      const query = `(min-width: ${breakpoint.value})`;
+      const mediaRules = [block('.container', [
+        `max-width: ${breakpoint.value};`,
+        ...(breakpoint.columns ? [`padding-inline: ${breakpoint.columns.margin};`] : [])
+      ], '  ')];
+
+      if (breakpoint.columns) {
+        mediaRules.push(block('.layout-grid', gridRule(breakpoint.columns), '  '));
+      }
+      rules.push(`@media ${query} {\n${mediaRules.join('\n')}\n}`);
+
+      if (breakpoint.columns) {
+        rules.push(`@container ${query} {\n${block('.layout-container .layout-grid', gridRule(breakpoint.columns), '  ')}\n}`);
+      }
+    }
+
+    // One utility class per grid token
+    const usedNames = new Set();
+    for (const [key, token] of grids) {
+      const name = this.getPropertyName('grid', 'grids', key, token, usedNames);
+      rules.push(block(`.${name}`, [
+        'display: grid;',
+        ...gridRule(token.columns),
+        `padding-inline: ${token.columns.margin};`
+      ]));
+    }
+
+    return `${rules.join('\n\n')}\n`;
+  }
+
+  /**
+   * Quote a font family name when needed
+   * @param {string} fontFamily - The font family
+   * @returns {string} CSS font family value
+   */
+  formatFontFamily(fontFamily) {
+    if (!fontFamily) return 'inherit';
+    return /\s/.test(fontFamily) ? `"${fontFamily}"` : fontFamily;
+  }
+}
+
+module.exports = new CssExporter();
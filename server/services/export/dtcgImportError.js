@@ -0,0 +1,17 @@
+// server/services/export/dtcgImportError.js
+
+class DtcgImportError extends Error {
+  /**
+   * Create an error for a DTCG document that can't be imported
+   * These are mistakes in the user's document, not server errors
+   * @param {string} message - What is wrong
+   * @param {string} [path] - Dotted path of the offending token
+   */
+  constructor(message, path = null) {
+    super(message);
+    this.name = 'DtcgImportError';
+    this.path = path;
+  }
+}
+
+module.exports = DtcgImportError;
@@ -0,0 +1,530 @@
+// server/services/export/dtcgSerializer.js
+const tinycolor = require('tinycolor2');
+const { getTokenPath, getTokenEntries } = require('../../utils/tokenUtils');
+const DtcgImportError = require('./dtcgImportError');
+
+// Namespace for our data inside DTCG `$extensions`
+const EXTENSION_KEY = 'ai.uifinity';
+
+// Token category → DTCG type
+const CATEGORY_TYPES = {
+  colors: 'color',
+  gradients: 'gradient',
+  typography: 'typography',
+  spacing: 'dimension',
+  shadows: 'shadow',
+  borders: 'border',
+  radii: 'dimension',
+  opacity: 'number',
+  blur: 'dimension',
+  breakpoints: 'dimension'
+};
+
+// DTCG type → token category, used for documents produced by other tools
+const TYPE_CATEGORIES = {
+  color: 'colors',
+  gradient: 'gradients',
+  typography: 'typography',
+  dimension: 'spacing',
+  shadow: 'shadows',
+  border: 'borders'
+};
+
+class DtcgSerializer {
+  /**
+   * Serialize the tokens of a design system to a W3C Design Tokens (DTCG) document
+   * @param {Object} designSystem - The design system (plain object)
+   * @returns {Object} The DTCG document
+   */
+  serialize(designSystem) {
+    const document = {
+      $description: designSystem.description || '',
+      $extensions: {
+        [EXTENSION_KEY]: {
+          name: designSystem.name,
+          version: designSystem.version
+        }
+      }
+    };
+
+    for (const [category, tokens] of Object.entries(designSystem.tokens || {})) {
+      const entries = getTokenEntries(tokens);
+      if (entries.length === 0) continue;
+
+      const group = { $type: CATEGORY_TYPES[category] };
+      if (!group.$type) delete group.$type;
+
+      for (const [key, token] of entries) {
+        const dtcgToken = this.toDtcgToken(category, key, token);
+        this.insertToken(group, getTokenPath(category, key, token), dtcgToken);
+      }
+
+      document[category] = group;
+    }
+
+    return document;
+  }
+
+  /**
+   * Convert one of our tokens to a DTCG token
+   * Fields that cannot be expressed in `$value` are kept in `$extensions` so
+   * that importing the document restores the exact same token
+   * @param {string} category - The token category
+   * @param {string} key - The token key
+   * @param {Object} token - The token
+   * @returns {Object} The DTCG token
+   */
+  toDtcgToken(category, key, token) {
+    const dtcgToken = {
+      $value: this.toDtcgValue(category, token)
+    };
+
+    if (token.description) {
+      dtcgToken.$description = token.description;
+    }
+
+    // Record whatever the importer would not rebuild on its own
+    const rebuilt = this.fromDtcgValue(CATEGORY_TYPES[category], dtcgToken.$value);
+    rebuilt.description = token.description || '';
+
+    const extension = { category, key, name: token.name };
+    const overrides = {};
+    for (const [field, value] of Object.entries(token)) {
+      if (field === 'name') continue;
+      if (JSON.stringify(rebuilt[field]) !== JSON.stringify(value)) {
+        overrides[field] = value;
+      }
+    }
+    const omit = [...Object.keys(rebuilt), 'name'].filter(field => !(field in token));
+
+    if (Object.keys(overrides).length > 0) extension.overrides = overrides;
+    if (omit.length > 0) extension.omit = omit;
+
+    dtcgToken.$extensions = { [EXTENSION_KEY]: extension };
+    return dtcgToken;
+  }
+
+  /**
+   * Build the DTCG `$value` of a token
+   * @param {string} category - The token category
+   * @param {Object} token - The token
+   * @returns {*} The DTCG value
+   */
+  toDtcgValue(category, token) {
+    switch (category) {
+      case 'colors':
+        return this.toDtcgColor(token.value || token.hex);
+      case 'gradients':
+        return (token.stops || []).map(stop => ({
+          color: this.toDtcgColor(stop.color),
+          position: stop.position
+        }));
+      case 'typography': {
+        const typography = {
+          fontFamily: token.fontFamily,
+          fontSize: token.fontSize,
+          fontWeight: token.fontWeight,
+          letterSpacing: token.letterSpacing
+        };
+        const lineHeight = this.toDtcgLineHeight(token.lineHeight, token.fontSize);
+        if (lineHeight !== undefined) typography.lineHeight = lineHeight;
+        return typography;
+      }
+      case 'spacing':
+      case 'radii':
+      case 'opacity':
+      case 'breakpoints':
+        return token.value;
+      case 'blur':
+        return token.radius;
+      case 'shadows': {
+        const shadows = (token.values || []).map(shadow => ({
+          color: this.toDtcgColor(shadow.color),
+          offsetX: shadow.x,
+          offsetY: shadow.y,
+          blur: shadow.blur,
+          spread: shadow.spread,
+          inset: token.type === 'innerShadow'
+        }));
+        return shadows.length === 1 ? shadows[0] : shadows;
+      }
+      case 'borders':
+        return {
+          color: this.toDtcgColor(token.color),
+          width: token.width,
+          style: token.style
+        };
+      default:
+        return token.value;
+    }
+  }
+
+  /**
+   * Deserialize a DTCG document into our token categories
+   * @param {Object} document - The DTCG document
+   * @returns {Object} Design system data ({ name, description, tokens, skipped })
+   * @throws {DtcgImportError} When a token can't be read, with the token's path
+   */
+  deserialize(document) {
+    const rawTokens = [];
+    this.collectTokens(document, [], undefined, rawTokens);
+
+    // Index by path so aliases like "{colors.primary.500}" can be resolved
+    const byPath = new Map(rawTokens.map(raw => [raw.path.join('.'), raw]));
+
+    const tokens = {};
+    const skipped = [];
+
+    for (const raw of rawTokens) {
+      const extension = raw.token.$extensions?.[EXTENSION_KEY] || {};
+      const category = extension.category || TYPE_CATEGORIES[raw.type];
+
+      if (!category) {
+        skipped.push(raw.path.join('.'));
+        continue;
+      }
+
+      const path = raw.path.join('.');
+      const type = raw.type || CATEGORY_TYPES[category];
+      let token;
+      try {
+        const value = this.resolveAliases(raw.token.$value, byPath, new Set([path]));
+        token = CATEGORY_TYPES[category] === type
+          ? this.fromDtcgValue(type, value)
+          : { value };
+      } catch (error) {
+        throw new DtcgImportError(`Invalid token ${path}: ${error.message}`, path);
+      }
+
+      token.description = raw.token.$description || '';
+      token.name = extension.name || raw.path.join('/');
+
+      for (const field of extension.omit || []) {
+        delete token[field];
+      }
+      Object.assign(token, extension.overrides || {});
+
+      const key = extension.key || this.getTokenKey(raw.path);
+      if (!tokens[category]) tokens[category] = {};
+      tokens[category][key] = token;
+    }
+
+    const rootExtension = document.$extensions?.[EXTENSION_KEY] || {};
+
+    return {
+      name: rootExtension.name,
+      description: document.$description || '',
+      tokens,
+      skipped
+    };
+  }
+
+  /**
+   * Check whether a document looks like a DTCG token file rather than our own export
+   * @param {Object} document - The document to check
+   * @returns {boolean} Whether the document is in DTCG format
+   */
+  isDtcgDocument(document) {
+    if (!document || typeof document !== 'object' || document.tokens) {
+      return false;
+    }
+
+    const hasToken = (node) => {
+      if (!node || typeof node !== 'object') return false;
+      if ('$value' in node) return true;
+      return Object.entries(node).some(([key, child]) => !key.startsWith('$') && hasToken(child));
+    };
+
+    return hasToken(document);
+  }
+
+  /**
+   * Recursively collect tokens from a DTCG group
+   * @param {Object} group - The group to walk
+   * @param {string[]} path - The path of the group
+   * @param {string} inheritedType - `$type` inherited from parent groups
+   * @param {Array} result - Collected tokens
+   */
+  collectTokens(group, path, inheritedType, result) {
+    const groupType = group.$type || inheritedType;
+
+    for (const [name, child] of Object.entries(group)) {
+      if ((name.startsWith('$') && name !== '$root') || !child || typeof child !== 'object') continue;
+
+      if ('$value' in child) {
+        result.push({ path: [...path, name], type: child.$type || groupType, token: child });
+      } else {
+        this.collectTokens(child, [...path, name], groupType, result);
+      }
+    }
+  }
+
+  /**
+   * Resolve DTCG alias references ("{group.token}") inside a value
+   * @param {*} value - The value to resolve
+   * @param {Map} byPath - Tokens indexed by dotted path
+   * @param {Set} seen - Paths already visited, to stop circular references
+   * @returns {*} The resolved value
+   */
+  resolveAliases(value, byPath, seen) {
+    if (typeof value === 'string') {
+      const match = value.match(/^\{([^}]+)\}$/);
+      if (!match) return value;
+
+      const target = byPath.get(match[1]);
+      if (!target) {
+        throw new DtcgImportError(`Unresolvable token reference: ${value}`);
+      }
+      if (seen.has(match[1])) {
+        throw new DtcgImportError(`Circular token reference: ${value}`);
+      }
+      return this.resolveAliases(target.token.$value, byPath, new Set([...seen, match[1]]));
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolveAliases(item, byPath, seen));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.resolveAliases(item, byPath, seen)])
+      );
+    }
+
+    return value;
+  }
+
+  /**
+   * Build one of our tokens from a DTCG value
+   * @param {string} type - The DTCG type
+   * @param {*} value - The DTCG value
+   * @returns {Object} The token (without name and description)
+   */
+  fromDtcgValue(type, value) {
+    switch (type) {
+      case 'color': {
+        const color = tinycolor(this.fromDtcgColor(value));
+        return {
+          hex: color.toHexString(),
+          rgba: color.toRgbString(),
+          value: color.toRgbString()
+        };
+      }
+      case 'gradient': {
+        // DTCG gradients carry no geometry, so they come back as left-to-right linear gradients
+        const stops = (Array.isArray(value) ? value : []).map(stop => ({
+          color: tinycolor(this.fromDtcgColor(stop.color)).toRgbString(),
+          position: stop.position
+        }));
+        return {
+          type: 'linear',
+          stops,
+          value: `linear-gradient(90deg, ${stops.map(stop => `${stop.color} ${Math.round(stop.position * 10000) / 100}%`).join(', ')})`
+        };
+      }
+      case 'typography': {
+        const fontFamily = Array.isArray(value.fontFamily) ? value.fontFamily[0] : value.fontFamily;
+        const fontSize = this.toDimension(value.fontSize);
+        const lineHeight = this.fromDtcgLineHeight(value.lineHeight, fontSize);
+        return {
+          fontFamily,
+          fontWeight: value.fontWeight,
+          fontSize,
+          lineHeight,
+          letterSpacing: value.letterSpacing !== undefined ? this.toDimension(value.letterSpacing) : 'normal',
+          textCase: 'none',
+          value: `${value.fontWeight} ${fontSize}/${lineHeight} ${fontFamily}`
+        };
+      }
+      case 'dimension':
+        return { value: this.toDimension(value) };
+      case 'number':
+        return { value: Number(value) };
+      case 'shadow': {
+        const shadows = Array.isArray(value) ? value : [value];
+        const values = shadows.map(shadow => ({
+          x: this.toDimension(shadow.offsetX),
+          y: this.toDimension(shadow.offsetY),
+          blur: this.toDimension(shadow.blur),
+          spread: this.toDimension(shadow.spread || '0px'),
+          color: tinycolor(this.fromDtcgColor(shadow.color)).toRgbString()
+        }));
+        return {
+          type: shadows[0]?.inset ? 'innerShadow' : 'dropShadow',
+          values,
+          value: values.map(v => `${v.x} ${v.y} ${v.blur} ${v.spread} ${v.color}`).join(', ')
+        };
+      }
+      case 'border': {
+        const width = this.toDimension(value.width);
+        const style = typeof value.style === 'string' ? value.style : 'solid';
+        const color = tinycolor(this.fromDtcgColor(value.color)).toRgbString();
+        return {
+          width,
+          style,
+          color,
+          cap: 'butt',
+          join: 'miter',
+          align: 'center',
+          value: `${width} ${style} ${color}`
+        };
+      }
+      default:
+        return { value };
+    }
+  }
+
+  /**
+   * Insert a token into a nested group structure
+   * A path that is both a token and a group keeps the token under "$root"
+   * @param {Object} group - The root group
+   * @param {string[]} path - The token path
+   * @param {Object} token - The DTCG token
+   */
+  insertToken(group, path, token) {
+    let current = group;
+    for (const segment of path.slice(0, -1)) {
+      if (!current[segment]) {
+        current[segment] = {};
+      } else if ('$value' in current[segment]) {
+        current[segment] = { $root: current[segment] };
+      }
+      current = current[segment];
+    }
+
+    let leaf = path[path.length - 1];
+    if (current[leaf] && !('$value' in current[leaf])) {
+      current = current[leaf];
+      leaf = '$root';
+    }
+
+    // Distinct tokens can share a path once normalized
+    let name = leaf;
+    let suffix = 2;
+    while (current[name]) {
+      name = `${leaf}-${suffix}`;
+      suffix++;
+    }
+
+    current[name] = token;
+  }
+
+  /**
+   * Generate a token key from a DTCG path (e.g. ['colors', 'primary', '500'] → "primary500")
+   * @param {string[]} path - The token path
+   * @returns {string} The token key
+   */
+  getTokenKey(path) {
+    const segments = path.filter(segment => segment !== '$root');
+    const relevant = segments.length > 1 ? segments.slice(1) : segments;
+
+    return relevant
+      .join('-')
+      .replace(/[^\w-]/g, '')
+      .replace(/-+(\w)/g, (_, c) => c.toUpperCase())
+      .replace(/^([A-Z])/, (_, c) => c.toLowerCase());
+  }
+
+  /**
+   * Convert a CSS color to a DTCG hex color (#rrggbb or #rrggbbaa)
+   * @param {string} value - The CSS color
+   * @returns {string} The hex color
+   */
+  toDtcgColor(value) {
+    const color = tinycolor(value);
+    return color.getAlpha() < 1 ? color.toHex8String() : color.toHexString();
+  }
+
+  /**
+   * Convert a DTCG color (hex string or color space object) to a CSS color
+   * @param {string|Object} value - The DTCG color
+   * @returns {string} The CSS color
+   */
+  fromDtcgColor(value) {
+    if (value && typeof value === 'object') {
+      if (value.hex) {
+        const alpha = value.alpha !== undefined ? value.alpha : 1;
+        return tinycolor(value.hex).setAlpha(alpha).toRgbString();
+      }
+      if (Array.isArray(value.components)) {
+        const [r, g, b] = value.components.map(c => Math.round(c * 255));
+        return `rgba(${r}, ${g}, ${b}, ${value.alpha !== undefined ? value.alpha : 1})`;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Convert a DTCG dimension (string or { value, unit } object) to a CSS string
+   * @param {string|number|Object} value - The dimension
+   * @returns {string} The CSS dimension
+   */
+  toDimension(value) {
+    if (value && typeof value === 'object') {
+      return `${value.value}${value.unit || 'px'}`;
+    }
+    if (typeof value === 'number') {
+      return `${value}px`;
+    }
+    return value;
+  }
+
+  /**
+   * Convert a line height to the unitless multiplier DTCG requires
+   * Pixel line heights become a ratio of the font size; "normal" has no number and is left out
+   * @param {string|number} lineHeight - The line height ("40px", "150%", "1.5", "normal")
+   * @param {string|number} fontSize - The font size
+   * @returns {number|undefined} The multiplier
+   */
+  toDtcgLineHeight(lineHeight, fontSize) {
+    const match = String(lineHeight ?? '').trim().match(/^(-?\d*\.?\d+)(px|%)?$/);
+    if (!match) return undefined;
+
+    const value = parseFloat(match[1]);
+    if (match[2] === '%') return this.round(value / 100);
+    if (match[2] !== 'px') return value;
+
+    const fontSizePixels = this.toPixels(fontSize);
+    return fontSizePixels ? this.round(value / fontSizePixels) : undefined;
+  }
+
+  /**
+   * Convert a DTCG line height multiplier back to pixels when the font size is in pixels
+   * @param {number|string} [lineHeight] - The DTCG line height
+   * @param {string} fontSize - The CSS font size
+   * @returns {string} The line height ("40px", "1.5" or "normal")
+   */
+  fromDtcgLineHeight(lineHeight, fontSize) {
+    if (lineHeight === undefined || lineHeight === null) return 'normal';
+
+    const fontSizePixels = this.toPixels(fontSize);
+    if (typeof lineHeight === 'number' && fontSizePixels) {
+      return `${this.round(lineHeight * fontSizePixels, 2)}px`;
+    }
+    return `${lineHeight}`;
+  }
+
+  /**
+   * Get the pixel value of a CSS size
+   * @param {string|number} value - The size (16, "16px")
+   * @returns {number|null} The pixels, or null for other units
+   */
+  toPixels(value) {
+    if (typeof value === 'number') return value;
+    const match = String(value ?? '').trim().match(/^(-?\d*\.?\d+)(px)?$/);
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  /**
+   * Round a number to a few decimals
+   * @param {number} value - The number
+   * @param {number} [decimals=4] - Decimals to keep
+   * @returns {number} The rounded number
+   */
+  round(value, decimals = 4) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new DtcgSerializer();
@@ -0,0 +1,406 @@
+// server/services/export/styleDictionaryExporter.js
+const JSZip = require('jszip');
+const tokenNormalizer = require('./tokenNormalizer');
+
+// Style Dictionary config shipped with the archive so teams can rebuild with the CLI
+const STYLE_DICTIONARY_CONFIG = {
+  source: ['tokens.json'],
+  platforms: {
+    scss: { transformGroup: 'scss', buildPath: 'build/scss/', files: [{ destination: '_variables.scss', format: 'scss/variables' }] },
+    js: { transformGroup: 'js', buildPath: 'build/js/', files: [{ destination: 'tokens.js', format: 'javascript/es6' }] },
+    ios: {
+      transformGroup: 'ios-swift',
+      buildPath: 'build/ios/',
+      files: [
+        { destination: 'UIColor+DesignTokens.swift', format: 'ios-swift/any.swift', className: 'UIColor', filter: { type: 'color' }, options: { objectType: 'extension', import: ['UIKit'] } },
+        { destination: 'CGFloat+DesignTokens.swift', format: 'ios-swift/any.swift', className: 'CGFloat', filter: { type: 'dimension', unit: 'px' }, options: { objectType: 'extension', import: ['CoreGraphics'] } }
+      ]
+    },
+    android: {
+      transformGroup: 'android',
+      buildPath: 'build/android/',
+      files: [
+        { destination: 'colors.xml', format: 'android/colors', filter: { type: 'color' } },
+        { destination: 'dimens.xml', format: 'android/dimens', filter: { type: 'dimension', unit: 'px' } }
+      ]
+    }
+  }
+};
+
+// Top-level group of each token category in the source, which also prefixes the token names
+const CATEGORY_PREFIXES = {
+  colors: 'color',
+  typography: 'font',
+  spacing: 'spacing',
+  shadows: 'shadow',
+  borders: 'border',
+  radii: 'radius',
+  opacity: 'opacity',
+  blur: 'blur',
+  breakpoints: 'breakpoint'
+};
+
+class StyleDictionaryExporter {
+  /**
+   * Build a zip archive with the Style Dictionary source and rendered platform files
+   * @param {Object} designSystem - The design system (plain object)
+   * @returns {Promise<Buffer>} The zip archive
+   */
+  async generateArchive(designSystem) {
+    const tokens = this.assignNames(tokenNormalizer.normalizeTokens(designSystem.tokens || {}));
+    const title = `${designSystem.name || 'Design System'}${designSystem.version ? ` v${designSystem.version}` : ''}`;
+
+    const zip = new JSZip();
+    zip.file('tokens.json', JSON.stringify(this.buildSource(tokens), null, 2));
+    zip.file('config.json', JSON.stringify(STYLE_DICTIONARY_CONFIG, null, 2));
+    zip.file('build/scss/_variables.scss', this.renderScss(tokens, title));
+    zip.file('build/js/tokens.js', this.renderJs(tokens, title));
+    zip.file('build/ios/UIColor+DesignTokens.swift', this.renderSwiftColors(tokens, title));
+    zip.file('build/ios/CGFloat+DesignTokens.swift', this.renderSwiftDimensions(tokens, title));
+    zip.file('build/android/colors.xml', this.renderAndroidColors(tokens, title));
+    zip.file('build/android/dimens.xml', this.renderAndroidDimens(tokens, title));
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  /**
+   * Build Style Dictionary source JSON, nested by category prefix and Figma path
+   * so Style Dictionary derives the same names as the rendered files
+   * Dimensions carry their unit, which the native platforms filter on
+   * @param {Array} tokens - Normalized tokens with assigned names
+   * @returns {Object} Style Dictionary source
+   */
+  buildSource(tokens) {
+    const source = {};
+
+    for (const token of tokens) {
+      let group = source;
+      for (const segment of token.sourcePath.slice(0, -1)) {
+        if (!group[segment]) group[segment] = {};
+        group = group[segment];
+      }
+
+      const entry = {
+        value: this.toSourceValue(token),
+        type: token.type
+      };
+      if (token.type === 'dimension') entry.unit = token.value.unit;
+      if (token.description) entry.comment = token.description;
+
+      group[token.sourcePath[token.sourcePath.length - 1]] = entry;
+    }
+
+    return source;
+  }
+
+  /**
+   * Convert a normalized token value to its Style Dictionary source value
+   * @param {Object} token - Normalized token
+   * @returns {*} Source value
+   */
+  toSourceValue(token) {
+    const { type, value } = token;
+
+    switch (type) {
+      case 'color':
+        return tokenNormalizer.toHex(value);
+      case 'dimension':
+        return tokenNormalizer.toCssDimension(value);
+      case 'typography':
+        return {
+          fontFamily: value.fontFamily,
+          fontWeight: value.fontWeight,
+          fontSize: tokenNormalizer.toCssDimension(value.fontSize),
+          lineHeight: this.formatLineHeight(value.lineHeight),
+          letterSpacing: tokenNormalizer.toCssDimension(value.letterSpacing)
+        };
+      case 'shadow':
+        return value.map(shadow => ({
+          offsetX: tokenNormalizer.toCssDimension(shadow.offsetX),
+          offsetY: tokenNormalizer.toCssDimension(shadow.offsetY),
+          blur: tokenNormalizer.toCssDimension(shadow.blur),
+          spread: tokenNormalizer.toCssDimension(shadow.spread),
+          color: tokenNormalizer.toHex(shadow.color),
+          inset: shadow.inset
+        }));
+      case 'border':
+        return {
+          width: tokenNormalizer.toCssDimension(value.width),
+          style: value.style,
+          color: tokenNormalizer.toHex(value.color)
+        };
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Render SCSS variables
+   * @param {Array} tokens - Normalized tokens
+   * @param {string} title - Header title
+   * @returns {string} SCSS source
+   */
+  renderScss(tokens, title) {
+    const lines = [this.getHeader('//', title)];
+
+    for (const token of tokens) {
+      const name = this.getName(token, '-');
+      const { value } = token;
+
+      switch (token.type) {
+        case 'color':
+          lines.push(`$${name}: ${tokenNormalizer.toCssColor(value)};`);
+          break;
+        case 'dimension':
+          lines.push(`$${name}: ${tokenNormalizer.toCssDimension(value)};`);
+          break;
+        case 'number':
+          lines.push(`$${name}: ${value};`);
+          break;
+        case 'typography':
+          lines.push(`$${name}-family: ${this.quoteFontFamily(value.fontFamily)};`);
+          lines.push(`$${name}-size: ${tokenNormalizer.toCssDimension(value.fontSize)};`);
+          lines.push(`$${name}-weight: ${value.fontWeight};`);
+          lines.push(`$${name}-line-height: ${this.formatLineHeight(value.lineHeight)};`);
+          lines.push(`$${name}-letter-spacing: ${tokenNormalizer.toCssDimension(value.letterSpacing)};`);
+          break;
+        case 'shadow':
+          lines.push(`$${name}: ${this.formatShadow(value)};`);
+          break;
+        case 'border':
+          lines.push(`$${name}: ${tokenNormalizer.toCssDimension(value.width)} ${value.style} ${tokenNormalizer.toCssColor(value.color)};`);
+          lines.push(`$${name}-width: ${tokenNormalizer.toCssDimension(value.width)};`);
+          lines.push(`$${name}-color: ${tokenNormalizer.toCssColor(value.color)};`);
+          break;
+        default:
+          break;
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render ES module constants
+   * @param {Array} tokens - Normalized tokens
+   * @param {string} title - Header title
+   * @returns {string} JavaScript source
+   */
+  renderJs(tokens, title) {
+    const lines = [this.getHeader('//', title)];
+
+    for (const token of tokens) {
+      const name = this.toPascalCase(this.getName(token, '-'));
+      const value = this.toSourceValue(token);
+      lines.push(`export const ${name} = ${JSON.stringify(value)};`);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render a Swift UIColor extension with color tokens
+   * @param {Array} tokens - Normalized tokens
+   * @param {string} title - Header title
+   * @returns {string} Swift source
+   */
+  renderSwiftColors(tokens, title) {
+    const lines = [this.getHeader('//', title), '', 'import UIKit', '', 'public extension UIColor {'];
+
+    const toUIColor = ({ r, g, b, a }) =>
+      `UIColor(red: ${this.toFixed(r / 255)}, green: ${this.toFixed(g / 255)}, blue: ${this.toFixed(b / 255)}, alpha: ${this.toFixed(a)})`;
+
+    for (const token of tokens) {
+      if (token.type === 'color') {
+        lines.push(`    static let ${this.toCamelCase(this.getName(token, '-'))} = ${toUIColor(token.value)}`);
+      }
+    }
+
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render a Swift CGFloat extension with dimension tokens
+   * Only pixel values are converted (1px = 1pt)
+   * @param {Array} tokens - Normalized tokens
+   * @param {string} title - Header title
+   * @returns {string} Swift source
+   */
+  renderSwiftDimensions(tokens, title) {
+    const lines = [this.getHeader('//', title), '', 'import CoreGraphics', '', 'public extension CGFloat {'];
+
+    for (const token of tokens) {
+      if (token.type === 'dimension' && token.value.unit === 'px') {
+        lines.push(`    static let ${this.toCamelCase(this.getName(token, '-'))}: CGFloat = ${token.value.value}`);
+      }
+    }
+
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render Android colors.xml (#AARRGGBB)
+   * @param {Array} tokens - Normalized tokens
+   * @param {string} title - Header title
+   * @returns {string} XML resource file
+   */
+  renderAndroidColors(tokens, title) {
+    const lines = ['<?xml version="1.0" encoding="utf-8"?>', `<!-- ${this.escapeXml(title)} - generated by UiFinity AI -->`, '<resources>'];
+
+    const toArgb = ({ r, g, b, a }) =>
+      `#${[Math.round(a * 255), r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+
+    for (const token of tokens) {
+      if (token.type === 'color') {
+        lines.push(`    <color name="${this.getName(token, '_')}">${toArgb(token.value)}</color>`);
+      }
+    }
+
+    lines.push('</resources>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render Android dimens.xml (dp)
+   * Only pixel values are converted (1px = 1dp)
+   * @param {Array} tokens - Normalized tokens
+   * @param {string} title - Header title
+   * @returns {string} XML resource file
+   */
+  renderAndroidDimens(tokens, title) {
+    const lines = ['<?xml version="1.0" encoding="utf-8"?>', `<!-- ${this.escapeXml(title)} - generated by UiFinity AI -->`, '<resources>'];
+
+    for (const token of tokens) {
+      if (token.type === 'dimension' && token.value.unit === 'px') {
+        lines.push(`    <dimen name="${this.getName(token, '_')}">${token.value.value}dp</dimen>`);
+      }
+    }
+
+    lines.push('</resources>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Give every token a unique source path (category prefix plus path) and flat name
+   * so the platform files never declare the same identifier twice
+   * @param {Array} tokens - Normalized tokens
+   * @returns {Array} The tokens with `sourcePath` and `name` properties
+   */
+  assignNames(tokens) {
+    const usedNames = new Set();
+
+    return tokens.map(token => {
+      const group = [CATEGORY_PREFIXES[token.category] || token.category, ...token.path.slice(0, -1)];
+      const leaf = token.path[token.path.length - 1];
+
+      let sourcePath = [...group, leaf];
+      let suffix = 2;
+      while (usedNames.has(sourcePath.join('-'))) {
+        sourcePath = [...group, `${leaf}-${suffix}`];
+        suffix++;
+      }
+
+      const name = sourcePath.join('-');
+      usedNames.add(name);
+      return { ...token, sourcePath, name };
+    });
+  }
+
+  /**
+   * Get the flat name of a token using the given separator
+   * @param {Object} token - Normalized token with an assigned name
+   * @param {string} separator - Separator between segments
+   * @returns {string} Token name
+   */
+  getName(token, separator) {
+    return token.name.split('-').filter(Boolean).join(separator);
+  }
+
+  /**
+   * Format a normalized line height for CSS
+   * @param {number|Object|null} lineHeight - The line height
+   * @returns {string} CSS line height
+   */
+  formatLineHeight(lineHeight) {
+    if (lineHeight === null || lineHeight === undefined) return 'normal';
+    if (typeof lineHeight === 'number') return `${lineHeight}`;
+    return tokenNormalizer.toCssDimension(lineHeight);
+  }
+
+  /**
+   * Format normalized shadows as a CSS box-shadow
+   * @param {Array} shadows - Normalized shadows
+   * @returns {string} CSS box-shadow value
+   */
+  formatShadow(shadows) {
+    return shadows.map(shadow => [
+      shadow.inset ? 'inset' : '',
+      tokenNormalizer.toCssDimension(shadow.offsetX),
+      tokenNormalizer.toCssDimension(shadow.offsetY),
+      tokenNormalizer.toCssDimension(shadow.blur),
+      tokenNormalizer.toCssDimension(shadow.spread),
+      tokenNormalizer.toCssColor(shadow.color)
+    ].filter(Boolean).join(' ')).join(', ');
+  }
+
+  /**
+   * Quote a font family for SCSS
+   * @param {string} fontFamily - The font family
+   * @returns {string} Quoted font family
+   */
+  quoteFontFamily(fontFamily) {
+    return fontFamily ? `"${fontFamily}"` : 'inherit';
+  }
+
+  /**
+   * Build a generated-file header comment
+   * @param {string} commentPrefix - Line comment prefix
+   * @param {string} title - Header title
+   * @returns {string} Header comment
+   */
+  getHeader(commentPrefix, title) {
+    return `${commentPrefix} ${title}\n${commentPrefix} Generated by UiFinity AI - do not edit directly`;
+  }
+
+  /**
+   * Convert a hyphenated name to camelCase, prefixing names that start with a digit
+   * @param {string} name - Hyphenated name
+   * @returns {string} camelCase name
+   */
+  toCamelCase(name) {
+    const camel = name.replace(/-+(\w)/g, (_, c) => c.toUpperCase());
+    return /^\d/.test(camel) ? `_${camel}` : camel;
+  }
+
+  /**
+   * Convert a hyphenated name to PascalCase
+   * @param {string} name - Hyphenated name
+   * @returns {string} PascalCase name
+   */
+  toPascalCase(name) {
+    const camel = this.toCamelCase(name);
+    return camel.charAt(0).toUpperCase() + camel.slice(1);
+  }
+
+  /**
+   * Round a number to at most three decimals
+   * @param {number} value - The number
+   * @returns {string} Formatted number
+   */
+  toFixed(value) {
+    return `${Math.round(value * 1000) / 1000}`;
+  }
+
+  /**
+   * Escape text for XML comments and values
+   * @param {string} value - The text
+   * @returns {string} Escaped text
+   */
+  escapeXml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/--/g, '-');
+  }
+}
+
+module.exports = new StyleDictionaryExporter();
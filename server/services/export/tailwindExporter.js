@@ -0,0 +1,215 @@
+// server/services/export/tailwindExporter.js
+const { getTokenPath, getTokenEntries, toKebabCase } = require('../../utils/tokenUtils');
+
+class TailwindExporter {
+  /**
+   * Generate a tailwind.config.js with a `theme.extend` block from a design system
+   * @param {Object} designSystem - The design system (plain object)
+   * @returns {string} The config file contents
+   */
+  generateConfig(designSystem) {
+    const theme = this.buildThemeExtension(designSystem.tokens || {});
+
+    return [
+      '/**',
+      ` * Tailwind theme for ${designSystem.name || 'Design System'}${designSystem.version ? ` v${designSystem.version}` : ''}`,
+      ' * Generated by UiFinity AI - do not edit directly',
+      ' */',
+      "/** @type {import('tailwindcss').Config} */",
+      `module.exports = ${this.toJsLiteral({ theme: { extend: theme } }, 0)};`,
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Build the `theme.extend` object
+   * Colors keep the Figma group hierarchy as nested objects (e.g. primary.500);
+   * scales Tailwind cannot nest use the hyphenated path (e.g. heading-h1)
+   * @param {Object} tokens - The design system tokens
+   * @param {Object} [names] - Filled with the utility name of each token by theme scale
+   *                           and token key (e.g. names.colors['primary500'] = 'primary-500')
+   * @returns {Object} The theme extension
+   */
+  buildThemeExtension(tokens, names = {}) {
+    const extend = {};
+    const record = (scale, key, name) => {
+      if (!names[scale]) names[scale] = {};
+      names[scale][key] = name;
+      return name;
+    };
+
+    const colors = {};
+    for (const [key, token] of getTokenEntries(tokens.colors)) {
+      const path = getTokenPath('colors', key, token);
+      this.setNested(colors, path, token.value || token.hex);
+      record('colors', key, path.join('-'));
+    }
+    if (Object.keys(colors).length > 0) extend.colors = colors;
+
+    // Diamond gradients are approximated with a full `background` value, which
+    // can't be used as a background-image utility
+    const backgroundImage = {};
+    for (const [key, token] of getTokenEntries(tokens.gradients)) {
+      if (token.type === 'diamond') continue;
+      backgroundImage[record('backgroundImage', key, this.getFlatKey('gradients', key, token, backgroundImage))] = token.value;
+    }
+    if (Object.keys(backgroundImage).length > 0) extend.backgroundImage = backgroundImage;
+
+    const fontFamily = {};
+    const fontSize = {};
+    for (const [key, token] of getTokenEntries(tokens.typography)) {
+      if (token.fontFamily) {
+        fontFamily[record('fontFamily', key, toKebabCase(token.fontFamily))] = [token.fontFamily, 'sans-serif'];
+      }
+
+      const options = {};
+      if (token.lineHeight && token.lineHeight !== 'normal') options.lineHeight = token.lineHeight;
+      if (token.letterSpacing && token.letterSpacing !== 'normal') options.letterSpacing = token.letterSpacing;
+      if (token.fontWeight) options.fontWeight = `${token.fontWeight}`;
+
+      fontSize[record('fontSize', key, this.getFlatKey('typography', key, token, fontSize))] = [token.fontSize, options];
+    }
+    if (Object.keys(fontFamily).length > 0) extend.fontFamily = fontFamily;
+    if (Object.keys(fontSize).length > 0) extend.fontSize = fontSize;
+
+    const spacing = {};
+    for (const [key, token] of getTokenEntries(tokens.spacing)) {
+      spacing[record('spacing', key, this.getFlatKey('spacing', key, token, spacing))] = token.value;
+    }
+    if (Object.keys(spacing).length > 0) extend.spacing = spacing;
+
+    const boxShadow = {};
+    for (const [key, token] of getTokenEntries(tokens.shadows)) {
+      const inset = token.type === 'innerShadow' ? 'inset ' : '';
+      boxShadow[record('boxShadow', key, this.getFlatKey('shadows', key, token, boxShadow))] = Array.isArray(token.values) && token.values.length > 0
+        ? token.values.map(v => `${inset}${v.x} ${v.y} ${v.blur} ${v.spread} ${v.color}`).join(', ')
+        : token.value;
+    }
+    if (Object.keys(boxShadow).length > 0) extend.boxShadow = boxShadow;
+
+    const borderWidth = {};
+    const borderColor = {};
+    for (const [key, token] of getTokenEntries(tokens.borders)) {
+      const path = getTokenPath('borders', key, token);
+      if (token.width) borderWidth[record('borderWidth', key, this.getFlatKey('borders', key, token, borderWidth))] = token.width;
+      if (token.color) {
+        this.setNested(borderColor, path, token.color);
+        record('borderColor', key, path.join('-'));
+      }
+    }
+    if (Object.keys(borderWidth).length > 0) extend.borderWidth = borderWidth;
+    if (Object.keys(borderColor).length > 0) extend.borderColor = borderColor;
+
+    const borderRadius = {};
+    for (const [key, token] of getTokenEntries(tokens.radii)) {
+      borderRadius[record('borderRadius', key, this.getFlatKey('radii', key, token, borderRadius))] = token.value;
+    }
+    if (Object.keys(borderRadius).length > 0) extend.borderRadius = borderRadius;
+
+    const opacity = {};
+    for (const [key, token] of getTokenEntries(tokens.opacity)) {
+      opacity[record('opacity', key, this.getFlatKey('opacity', key, token, opacity))] = `${token.value}`;
+    }
+    if (Object.keys(opacity).length > 0) extend.opacity = opacity;
+
+    // Layer blurs become `blur-*` utilities, background blurs `backdrop-blur-*`
+    const blur = {};
+    const backdropBlur = {};
+    for (const [key, token] of getTokenEntries(tokens.blur)) {
+      const scale = token.type === 'backgroundBlur' ? backdropBlur : blur;
+      const scaleName = token.type === 'backgroundBlur' ? 'backdropBlur' : 'blur';
+      scale[record(scaleName, key, this.getFlatKey('blur', key, token, scale))] = token.radius;
+    }
+    if (Object.keys(blur).length > 0) extend.blur = blur;
+    if (Object.keys(backdropBlur).length > 0) extend.backdropBlur = backdropBlur;
+
+    const screens = {};
+    for (const [key, token] of getTokenEntries(tokens.breakpoints)) {
+      screens[record('screens', key, this.getFlatKey('breakpoints', key, token, screens))] = token.value;
+    }
+    if (Object.keys(screens).length > 0) extend.screens = screens;
+
+    return extend;
+  }
+
+  /**
+   * Get a unique hyphenated key for scales that cannot be nested
+   * @param {string} category - The token category
+   * @param {string} key - The token key
+   * @param {Object} token - The token
+   * @param {Object} scale - The scale the key is added to
+   * @returns {string} The key
+   */
+  getFlatKey(category, key, token, scale) {
+    const baseKey = getTokenPath(category, key, token).join('-');
+
+    let flatKey = baseKey;
+    let suffix = 2;
+    while (scale[flatKey] !== undefined) {
+      flatKey = `${baseKey}-${suffix}`;
+      suffix++;
+    }
+    return flatKey;
+  }
+
+  /**
+   * Set a value at a nested path, using Tailwind's DEFAULT key when a
+   * path is both a value and a group (e.g. "primary" and "primary/500")
+   * @param {Object} target - The object to write to
+   * @param {string[]} path - The path segments
+   * @param {*} value - The value
+   */
+  setNested(target, path, value) {
+    let current = target;
+
+    for (const segment of path.slice(0, -1)) {
+      if (current[segment] === undefined) {
+        current[segment] = {};
+      } else if (typeof current[segment] !== 'object') {
+        current[segment] = { DEFAULT: current[segment] };
+      }
+      current = current[segment];
+    }
+
+    const leaf = path[path.length - 1];
+    if (current[leaf] !== undefined && typeof current[leaf] === 'object') {
+      current[leaf].DEFAULT = value;
+    } else {
+      current[leaf] = value;
+    }
+  }
+
+  /**
+   * Serialize a value as a JavaScript literal
+   * @param {*} value - The value to serialize
+   * @param {number} depth - Current indentation depth
+   * @returns {string} JavaScript source
+   */
+  toJsLiteral(value, depth) {
+    const indent = '  '.repeat(depth + 1);
+    const closingIndent = '  '.repeat(depth);
+
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.toJsLiteral(item, depth)).join(', ')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      const entries = Object.entries(value);
+      if (entries.length === 0) return '{}';
+
+      const lines = entries.map(([key, item]) => {
+        const safeKey = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key.replace(/'/g, "\\'")}'`;
+        return `${indent}${safeKey}: ${this.toJsLiteral(item, depth + 1)}`;
+      });
+      return `{\n${lines.join(',\n')}\n${closingIndent}}`;
+    }
+
+    if (typeof value === 'string') {
+      return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    }
+
+    return String(value);
+  }
+}
+
+module.exports = new TailwindExporter();
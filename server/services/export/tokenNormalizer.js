@@ -0,0 +1,170 @@
+// server/services/export/tokenNormalizer.js
+const tinycolor = require('tinycolor2');
+const { getTokenPath, getTokenEntries } = require('../../utils/tokenUtils');
+
+class TokenNormalizer {
+  /**
+   * Normalize every token of a design system into typed values
+   * @param {Object} tokens - The design system tokens
+   * @returns {Array} Normalized tokens ({ category, key, path, type, value, description })
+   */
+  normalizeTokens(tokens = {}) {
+    const normalized = [];
+
+    for (const [category, categoryTokens] of Object.entries(tokens)) {
+      for (const [key, token] of getTokenEntries(categoryTokens)) {
+        const typed = this.normalizeToken(category, token);
+        if (!typed) continue;
+
+        normalized.push({
+          category,
+          key,
+          path: getTokenPath(category, key, token),
+          description: token.description || '',
+          ...typed
+        });
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Normalize a single token
+   * @param {string} category - The token category
+   * @param {Object} token - The token as stored by DesignTokenExtractor
+   * @returns {Object|null} { type, value } or null when the category is not supported
+   */
+  normalizeToken(category, token) {
+    switch (category) {
+      case 'colors':
+        return { type: 'color', value: this.parseColor(token.value || token.hex) };
+      case 'spacing':
+        return { type: 'dimension', value: this.parseDimension(token.value) };
+      case 'typography':
+        return {
+          type: 'typography',
+          value: {
+            fontFamily: token.fontFamily,
+            fontWeight: Number(token.fontWeight) || 400,
+            fontSize: this.parseDimension(token.fontSize),
+            lineHeight: this.parseLineHeight(token.lineHeight),
+            letterSpacing: this.parseDimension(token.letterSpacing)
+          }
+        };
+      case 'shadows':
+        return {
+          type: 'shadow',
+          value: (token.values || []).map(shadow => ({
+            offsetX: this.parseDimension(shadow.x),
+            offsetY: this.parseDimension(shadow.y),
+            blur: this.parseDimension(shadow.blur),
+            spread: this.parseDimension(shadow.spread),
+            color: this.parseColor(shadow.color),
+            inset: token.type === 'innerShadow'
+          }))
+        };
+      case 'borders':
+        return {
+          type: 'border',
+          value: {
+            width: this.parseDimension(token.width),
+            style: token.style || 'solid',
+            color: this.parseColor(token.color)
+          }
+        };
+      case 'radii':
+        // Per-corner radii have no single-dimension equivalent on native platforms
+        if (/\s/.test(String(token.value).trim())) return null;
+        return { type: 'dimension', value: this.parseDimension(token.value) };
+      case 'opacity':
+        return { type: 'number', value: Number(token.value) };
+      case 'blur':
+        return { type: 'dimension', value: this.parseDimension(token.radius) };
+      case 'breakpoints':
+        return { type: 'dimension', value: this.parseDimension(token.value) };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Parse a CSS color (hex, rgb or rgba string)
+   * @param {string} value - The CSS color
+   * @returns {Object} { r, g, b, a } with channels 0-255 and alpha 0-1
+   */
+  parseColor(value) {
+    const { r, g, b, a } = tinycolor(value).toRgb();
+    return { r, g, b, a };
+  }
+
+  /**
+   * Parse a CSS dimension ("8px", "0.5em", 12)
+   * Keywords such as "normal" become a zero pixel value
+   * @param {string|number} value - The dimension
+   * @returns {Object} { value, unit }
+   */
+  parseDimension(value) {
+    if (typeof value === 'number') {
+      return { value, unit: 'px' };
+    }
+
+    const match = String(value || '').trim().match(/^(-?\d*\.?\d+)([a-z%]*)$/i);
+    if (!match) {
+      return { value: 0, unit: 'px' };
+    }
+
+    return {
+      value: parseFloat(match[1]),
+      unit: match[2] || 'px'
+    };
+  }
+
+  /**
+   * Parse a line height: unitless multipliers stay numbers, lengths become dimensions
+   * @param {string} value - The line height ("1.5", "24px", "normal")
+   * @returns {number|Object|null} Multiplier, dimension or null for "normal"
+   */
+  parseLineHeight(value) {
+    if (value === undefined || value === null || value === 'normal') {
+      return null;
+    }
+
+    const stringValue = String(value).trim();
+    if (/^-?\d*\.?\d+$/.test(stringValue)) {
+      return parseFloat(stringValue);
+    }
+
+    return this.parseDimension(stringValue);
+  }
+
+  /**
+   * Format a parsed color as a hex string (#rrggbb or #rrggbbaa)
+   * @param {Object} color - { r, g, b, a }
+   * @returns {string} Hex color
+   */
+  toHex(color) {
+    const instance = tinycolor(color);
+    return color.a < 1 ? instance.toHex8String() : instance.toHexString();
+  }
+
+  /**
+   * Format a parsed color as a CSS color
+   * @param {Object} color - { r, g, b, a }
+   * @returns {string} CSS color
+   */
+  toCssColor(color) {
+    return color.a < 1 ? tinycolor(color).toRgbString() : this.toHex(color);
+  }
+
+  /**
+   * Format a parsed dimension as a CSS length
+   * @param {Object} dimension - { value, unit }
+   * @returns {string} CSS length
+   */
+  toCssDimension(dimension) {
+    return dimension.value === 0 ? '0' : `${dimension.value}${dimension.unit}`;
+  }
+}
+
+module.exports = new TokenNormalizer();
@@ -0,0 +1,372 @@
+// server/services/figma/__tests__/apiService.test.js
+const http = require('http');
+const FigmaApiService = require('../apiService');
+const responseCache = require('../responseCache');
+
+/**
+ * Start a local stand-in for the Figma API
+ * @param {Function} handler - Called with (req, res, url) for every request
+ * @returns {Promise<Object>} { baseURL, requests, close }
+ */
+const startStubServer = (handler) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, query: url.searchParams, headers: req.headers });
+    handler(req, res, url);
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      baseURL: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+/**
+ * Send a JSON response
+ * @param {Object} res - The response
+ * @param {number} status - The status code
+ * @param {Object} body - The body
+ * @param {Object} [headers] - Extra headers
+ */
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Answer a nodes request with a document for every requested ID
+ * @param {Object} res - The response
+ * @param {URL} url - The request URL
+ */
+const sendNodes = (res, url) => {
+  const nodes = {};
+  for (const id of url.searchParams.get('ids').split(',')) {
+    nodes[id] = { document: { id, name: `Node ${id}` } };
+  }
+  sendJson(res, 200, { nodes });
+};
+
+const nodeIds = (count) => Array.from({ length: count }, (_, index) => `1:${index}`);
+
+// Limiters are shared by token, so every test uses its own
+let tokenCount = 0;
+const nextToken = () => `test-token-${++tokenCount}`;
+
+describe('FigmaApiService', () => {
+  let stub;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    if (stub) {
+      await stub.close();
+      stub = null;
+    }
+  });
+
+  const createClient = (options = {}) => new FigmaApiService(options.token || nextToken(), {
+    baseURL: stub.baseURL,
+    maxRetries: 3,
+    retryBaseDelay: 1,
+    maxRetryDelay: 5000,
+    maxConcurrentRequests: 4,
+    cache: false,
+    ...options
+  });
+
+  describe('isolation', () => {
+    // Files each token can open
+    const access = {
+      'token-alice': ['file-alice', 'file-shared'],
+      'token-bob': ['file-bob'],
+      'token-carol': ['file-shared']
+    };
+
+    /**
+     * Answer like Figma: 403 for files the token can't open, otherwise the file
+     * (or its nodes) at version `v1`, with the token that fetched it in the payload
+     */
+    const figmaHandler = (req, res, url) => {
+      const token = req.headers['x-figma-token'];
+      if (url.pathname === '/v1/me') {
+        return setTimeout(() => sendJson(res, 200, { handle: token }), 10);
+      }
+
+      const [, , , fileKey, resource] = url.pathname.split('/');
+      if (!access[token] || !access[token].includes(fileKey)) {
+        return sendJson(res, 403, { status: 403, err: 'Forbidden' });
+      }
+
+      if (resource === 'nodes') {
+        return sendNodes(res, url);
+      }
+
+      setTimeout(() => sendJson(res, 200, {
+        name: `${fileKey} for ${token}`,
+        version: 'v1',
+        lastModified: '2024-01-01T00:00:00Z',
+        document: { id: '0:0' }
+      }), 10);
+    };
+
+    const createUserClient = (token) => new FigmaApiService(token, {
+      baseURL: `${stub.baseURL}/v1`,
+      maxRetries: 0,
+      cache: false
+    });
+
+    test('sends each client its own token when extractions run at the same time', async () => {
+      stub = await startStubServer(figmaHandler);
+
+      const alice = createUserClient('token-alice');
+      const bob = createUserClient('token-bob');
+
+      const [aliceUser, bobUser, aliceFile, bobFile] = await Promise.all([
+        alice.getUser(),
+        bob.getUser(),
+        alice.getFile('file-alice'),
+        bob.getFile('file-bob')
+      ]);
+
+      expect(aliceUser.handle).toBe('token-alice');
+      expect(bobUser.handle).toBe('token-bob');
+      expect(aliceFile.name).toBe('file-alice for token-alice');
+      expect(bobFile.name).toBe('file-bob for token-bob');
+
+      const tokensByPath = (path) => stub.requests
+        .filter(request => request.path === path)
+        .map(request => request.headers['x-figma-token']);
+
+      expect(tokensByPath('/v1/files/file-alice')).toEqual(['token-alice']);
+      expect(tokensByPath('/v1/files/file-bob')).toEqual(['token-bob']);
+      expect(tokensByPath('/v1/me').sort()).toEqual(['token-alice', 'token-bob']);
+    });
+
+    test("doesn't serve cached payloads to a token without access", async () => {
+      stub = await startStubServer(figmaHandler);
+
+      const fileKey = 'file-shared';
+      const alice = new FigmaApiService('token-alice', { baseURL: `${stub.baseURL}/v1`, maxRetries: 0, cache: responseCache });
+      const bob = new FigmaApiService('token-bob', { baseURL: `${stub.baseURL}/v1`, maxRetries: 0, cache: responseCache });
+
+      await alice.getFile(fileKey);
+      await alice.getNodes(fileKey, ['0:0']);
+      expect(await responseCache.get('files', fileKey, 'v1-2024-01-01T00:00:00Z')).not.toBeNull();
+      expect(await responseCache.get('nodes', fileKey, 'v1-2024-01-01T00:00:00Z', '0:0')).not.toBeNull();
+
+      await expect(bob.getFile(fileKey)).rejects.toThrow('Failed to fetch Figma file');
+      const { nodes, report } = await bob.getNodes(fileKey, ['0:0']);
+
+      expect(nodes).toEqual({});
+      expect(report.failedIds).toEqual(['0:0']);
+      expect(bob.getCacheStats()).toMatchObject({ files: { hits: 0 }, nodes: { hits: 0 } });
+
+      // Bob's requests all went to Figma with his own token, and were refused
+      const bobRequests = stub.requests.filter(request => request.headers['x-figma-token'] === 'token-bob');
+      expect(bobRequests.map(request => request.path)).toEqual(expect.arrayContaining([
+        `/v1/files/${fileKey}`,
+        `/v1/files/${fileKey}/nodes`
+      ]));
+    });
+
+    test('serves cached payloads to another token that can open the file', async () => {
+      stub = await startStubServer(figmaHandler);
+
+      const fileKey = 'file-shared';
+      const alice = new FigmaApiService('token-alice', { baseURL: `${stub.baseURL}/v1`, maxRetries: 0, cache: responseCache });
+      const carol = new FigmaApiService('token-carol', { baseURL: `${stub.baseURL}/v1`, maxRetries: 0, cache: responseCache });
+
+      await alice.getFile(fileKey);
+      const file = await carol.getFile(fileKey);
+
+      expect(file.name).toBe('file-shared for token-alice');
+      expect(carol.getCacheStats().files.hits).toBe(1);
+      // Carol still checked her access with a version lookup of her own
+      expect(stub.requests.filter(request => request.headers['x-figma-token'] === 'token-carol')
+        .map(request => request.query.get('depth'))).toEqual(['1']);
+    });
+  });
+
+  describe('retries', () => {
+    test('waits for Retry-After on 429 responses', async () => {
+      let calls = 0;
+      stub = await startStubServer((req, res) => {
+        calls++;
+        if (calls === 1) {
+          return sendJson(res, 429, { status: 429, err: 'Rate limit exceeded' }, { 'Retry-After': '2' });
+        }
+        sendJson(res, 200, { id: 'user-1' });
+      });
+
+      const client = createClient();
+      const sleep = jest.spyOn(client, 'sleep').mockResolvedValue();
+
+      await expect(client.getUser()).resolves.toEqual({ id: 'user-1' });
+      expect(stub.requests).toHaveLength(2);
+      expect(sleep).toHaveBeenCalledTimes(1);
+      expect(sleep).toHaveBeenCalledWith(2000);
+    });
+
+    test('gives up when Retry-After is longer than the maximum delay', async () => {
+      stub = await startStubServer((req, res) => {
+        sendJson(res, 429, { status: 429, err: 'Rate limit exceeded' }, { 'Retry-After': '120' });
+      });
+
+      const client = createClient();
+      const sleep = jest.spyOn(client, 'sleep').mockResolvedValue();
+
+      await expect(client.getUser()).rejects.toMatchObject({ response: { status: 429 }, attempts: 1 });
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    test('retries 5xx responses with backoff', async () => {
+      let calls = 0;
+      stub = await startStubServer((req, res) => {
+        calls++;
+        if (calls < 3) {
+          return sendJson(res, 503, { status: 503, err: 'Service unavailable' });
+        }
+        sendJson(res, 200, { id: 'user-1' });
+      });
+
+      const client = createClient({ retryBaseDelay: 10 });
+      const sleep = jest.spyOn(client, 'sleep').mockResolvedValue();
+
+      await expect(client.getUser()).resolves.toEqual({ id: 'user-1' });
+      expect(stub.requests).toHaveLength(3);
+      // Full jitter: each wait is at most the exponential backoff for its attempt
+      expect(sleep.mock.calls[0][0]).toBeLessThanOrEqual(10);
+      expect(sleep.mock.calls[1][0]).toBeLessThanOrEqual(20);
+    });
+
+    test('throws once the retries are exhausted', async () => {
+      stub = await startStubServer((req, res) => {
+        sendJson(res, 429, { status: 429, err: 'Rate limit exceeded' });
+      });
+
+      const client = createClient({ maxRetries: 2 });
+
+      await expect(client.getUser()).rejects.toMatchObject({ response: { status: 429 }, attempts: 3 });
+      expect(stub.requests).toHaveLength(3);
+    });
+
+    test("doesn't retry when retries are disabled", async () => {
+      stub = await startStubServer((req, res) => {
+        sendJson(res, 503, { status: 503, err: 'Service unavailable' });
+      });
+
+      const client = createClient({ maxRetries: 0 });
+
+      await expect(client.getUser()).rejects.toMatchObject({ attempts: 1 });
+      expect(stub.requests).toHaveLength(1);
+    });
+
+    test("doesn't retry client errors", async () => {
+      stub = await startStubServer((req, res) => {
+        sendJson(res, 403, { status: 403, err: 'Invalid token' });
+      });
+
+      const client = createClient();
+
+      await expect(client.getUser()).rejects.toMatchObject({ response: { status: 403 }, attempts: 1 });
+      expect(stub.requests).toHaveLength(1);
+    });
+  });
+
+  describe('concurrency', () => {
+    test('keeps at most maxConcurrentRequests requests in flight per token', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      stub = await startStubServer((req, res, url) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        setTimeout(() => {
+          inFlight--;
+          sendNodes(res, url);
+        }, 20);
+      });
+
+      const token = nextToken();
+      const first = createClient({ token, maxConcurrentRequests: 2 });
+      const second = createClient({ token, maxConcurrentRequests: 2 });
+
+      const [firstResult, secondResult] = await Promise.all([
+        first.getNodes('file-1', nodeIds(450)),
+        second.getNodes('file-2', nodeIds(250))
+      ]);
+
+      // 5 + 3 chunks of at most 100 IDs, through one limiter for the shared token
+      expect(stub.requests).toHaveLength(8);
+      expect(maxInFlight).toBe(2);
+      expect(Object.keys(firstResult.nodes)).toHaveLength(450);
+      expect(Object.keys(secondResult.nodes)).toHaveLength(250);
+      expect(FigmaApiService.limiters.has(token)).toBe(false);
+    });
+
+    test("doesn't limit different tokens together", async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      stub = await startStubServer((req, res, url) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        setTimeout(() => {
+          inFlight--;
+          sendNodes(res, url);
+        }, 20);
+      });
+
+      await Promise.all([
+        createClient({ maxConcurrentRequests: 1 }).getNodes('file-1', nodeIds(200)),
+        createClient({ maxConcurrentRequests: 1 }).getNodes('file-1', nodeIds(200))
+      ]);
+
+      expect(maxInFlight).toBe(2);
+    });
+  });
+
+  describe('partial results', () => {
+    test('reports the IDs of chunks that still fail after retrying', async () => {
+      stub = await startStubServer((req, res, url) => {
+        // The second chunk always fails
+        if (url.searchParams.get('ids').split(',').includes('1:150')) {
+          return sendJson(res, 500, { status: 500, err: 'Internal error' });
+        }
+        sendNodes(res, url);
+      });
+
+      const client = createClient({ maxRetries: 1 });
+      const onChunk = jest.fn();
+      const ids = nodeIds(250);
+
+      const { nodes, report } = await client.getNodes('file-1', ids, { onChunk });
+
+      expect(Object.keys(nodes)).toHaveLength(150);
+      expect(nodes['1:150']).toBeUndefined();
+      expect(report.complete).toBe(false);
+      expect(report.requested).toBe(250);
+      expect(report.succeeded).toBe(150);
+      expect(report.failedIds).toEqual(ids.slice(100, 200));
+      expect(report.failures).toEqual([
+        { ids: ids.slice(100, 200), status: 500, message: 'Internal error', attempts: 2 }
+      ]);
+      expect(onChunk).toHaveBeenLastCalledWith(250, 250);
+    });
+
+    test('reports complete results', async () => {
+      stub = await startStubServer((req, res, url) => sendNodes(res, url));
+
+      const { report } = await createClient().getNodes('file-1', nodeIds(120));
+
+      expect(report).toEqual({ complete: true, requested: 120, succeeded: 120, failedIds: [], failures: [] });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+// server/services/figma/__tests__/designSystemAccess.test.js
+const mongoose = require('mongoose');
+const Organization = require('../../../models/Organization');
+const designSystemAccess = require('../designSystemAccess');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const ownerId = id();
+const adminId = id();
+const memberId = id();
+const outsiderId = id();
+const organizationId = id();
+
+const organization = {
+  _id: organizationId,
+  members: [
+    { user: ownerId, role: 'owner' },
+    { user: adminId, role: 'admin' },
+    { user: memberId, role: 'member' }
+  ]
+};
+
+const user = (userId, role = 'user') => ({ id: userId.toString(), role });
+
+const organizationDesignSystem = { _id: id(), userId: ownerId, organizationId };
+const personalDesignSystem = { _id: id(), userId: memberId, organizationId: null };
+
+describe('designSystemAccess', () => {
+  beforeEach(() => {
+    jest.spyOn(Organization, 'findById').mockImplementation((organizationIdToFind) => ({
+      select: jest.fn().mockResolvedValue(
+        organizationIdToFind.toString() === organizationId.toString() ? organization : null
+      )
+    }));
+    jest.spyOn(Organization, 'find').mockImplementation((query) => ({
+      select: jest.fn().mockResolvedValue(
+        organization.members.some(member => member.user.toString() === query['members.user']) ? [organization] : []
+      )
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getRole', () => {
+    test.each([
+      ['owner', ownerId, 'owner'],
+      ['admin', adminId, 'admin'],
+      ['member', memberId, 'member'],
+      ['non-member', outsiderId, null]
+    ])('gives an organization %s their organization role', async (label, userId, expected) => {
+      await expect(designSystemAccess.getRole(organizationDesignSystem, user(userId))).resolves.toBe(expected);
+    });
+
+    test('treats site admins as owners', async () => {
+      await expect(designSystemAccess.getRole(organizationDesignSystem, user(outsiderId, 'admin'))).resolves.toBe('owner');
+      await expect(designSystemAccess.getRole(personalDesignSystem, user(outsiderId, 'admin'))).resolves.toBe('owner');
+    });
+
+    test('gives no role when the organization is gone', async () => {
+      const orphaned = { ...organizationDesignSystem, organizationId: id() };
+
+      await expect(designSystemAccess.getRole(orphaned, user(ownerId))).resolves.toBeNull();
+    });
+
+    test('gives the creator of a personal design system the owner role', async () => {
+      await expect(designSystemAccess.getRole(personalDesignSystem, user(memberId))).resolves.toBe('owner');
+      await expect(designSystemAccess.getRole({ ...personalDesignSystem, userId: { _id: memberId } }, user(memberId)))
+        .resolves.toBe('owner');
+    });
+
+    test('gives other users no role on a personal design system', async () => {
+      // Even owners of an organization the creator belongs to
+      await expect(designSystemAccess.getRole(personalDesignSystem, user(ownerId))).resolves.toBeNull();
+      await expect(designSystemAccess.getRole(personalDesignSystem, user(outsiderId))).resolves.toBeNull();
+    });
+  });
+
+  describe('can', () => {
+    test.each([
+      ['owner', { view: true, edit: true, delete: true }],
+      ['admin', { view: true, edit: true, delete: true }],
+      ['member', { view: true, edit: false, delete: false }],
+      [null, { view: false, edit: false, delete: false }],
+      ['unknown', { view: false, edit: false, delete: false }]
+    ])('grants %s the right permissions', (role, permissions) => {
+      for (const [permission, expected] of Object.entries(permissions)) {
+        expect(designSystemAccess.can(role, permission)).toBe(expected);
+      }
+    });
+  });
+
+  describe('canEditOrganization', () => {
+    test.each([
+      ['owner', user(ownerId), true],
+      ['admin', user(adminId), true],
+      ['member', user(memberId), false],
+      ['non-member', user(outsiderId), false],
+      ['site admin', user(outsiderId, 'admin'), true]
+    ])('checks whether an organization %s may add design systems', async (label, currentUser, expected) => {
+      await expect(designSystemAccess.canEditOrganization(currentUser, organizationId.toString())).resolves.toBe(expected);
+    });
+  });
+
+  describe('getListQuery', () => {
+    test.each([
+      ['owner', user(ownerId)],
+      ['admin', user(adminId)],
+      ['member', user(memberId)],
+      ['site admin', user(outsiderId, 'admin')]
+    ])("lists an organization's design systems for its %s", async (label, currentUser) => {
+      await expect(designSystemAccess.getListQuery(currentUser, organizationId.toString()))
+        .resolves.toEqual({ organizationId: organizationId.toString() });
+    });
+
+    test("doesn't list an organization's design systems for non-members", async () => {
+      await expect(designSystemAccess.getListQuery(user(outsiderId), organizationId.toString())).resolves.toBeNull();
+    });
+
+    test("lists a member's personal design systems and those of their organizations", async () => {
+      const currentUser = user(memberId);
+
+      await expect(designSystemAccess.getListQuery(currentUser)).resolves.toEqual({
+        $or: [
+          { userId: currentUser.id, organizationId: null },
+          { organizationId: { $in: [organizationId] } }
+        ]
+      });
+    });
+
+    test('lists only personal design systems for users without organizations', async () => {
+      const currentUser = user(outsiderId);
+
+      await expect(designSystemAccess.getListQuery(currentUser)).resolves.toEqual({
+        $or: [
+          { userId: currentUser.id, organizationId: null },
+          { organizationId: { $in: [] } }
+        ]
+      });
+    });
+  });
+});
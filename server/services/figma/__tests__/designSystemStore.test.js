@@ -0,0 +1,92 @@
+// server/services/figma/__tests__/designSystemStore.test.js
+const mongoose = require('mongoose');
+const DesignSystem = require('../../../models/DesignSystem');
+const DesignSystemVersion = require('../../../models/DesignSystemVersion');
+const designSystemStore = require('../designSystemStore');
+
+const userId = new mongoose.Types.ObjectId();
+
+const tokens = {
+  colors: { 'color/primary': { name: 'primary', value: '#2563eb' } }
+};
+
+// What an extraction of the unchanged Figma file returns
+const extracted = {
+  name: 'Acme UI',
+  description: 'Product design system',
+  figmaFileKey: 'file-key',
+  tokens,
+  components: {},
+  componentSets: {},
+  componentPreviews: { 'button-set': 'https://figma.example/button.png' }
+};
+
+describe('designSystemStore.saveDesignSystem', () => {
+  let existing;
+  // In-memory stand-in for the design system versions collection
+  let versions;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    existing = new DesignSystem({
+      name: extracted.name,
+      description: extracted.description,
+      figmaFileKey: extracted.figmaFileKey,
+      userId,
+      tokens,
+      componentPreviews: extracted.componentPreviews,
+      version: '1.0.0'
+    });
+    versions = [];
+
+    jest.spyOn(DesignSystem, 'findOne').mockResolvedValue(existing);
+    jest.spyOn(DesignSystem.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(designSystemStore, 'updateComponents').mockResolvedValue();
+
+    jest.spyOn(DesignSystemVersion, 'findOne').mockImplementation(({ version }) => ({
+      select: () => Promise.resolve(versions.find(snapshot => snapshot.version === version) || null)
+    }));
+    jest.spyOn(DesignSystemVersion, 'create').mockImplementation((snapshot) => {
+      versions.push(snapshot);
+      return Promise.resolve(snapshot);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the version when nothing changed', async () => {
+    const saved = await designSystemStore.saveDesignSystem(extracted, userId);
+
+    expect(saved.version).toBe('1.0.0');
+    expect(versions.map(snapshot => snapshot.version)).toEqual(['1.0.0']);
+  });
+
+  test.each([
+    ['name', { name: 'Acme Design' }, 'Renamed the design system from `Acme UI` to `Acme Design`'],
+    ['description', { description: 'Shared UI kit' }, 'Changed the design system description'],
+    ['component previews', { componentPreviews: { 'button-set': 'https://figma.example/button-v2.png' } }, 'Updated component previews']
+  ])('records a patch version when only the %s changed', async (label, change, message) => {
+    const saved = await designSystemStore.saveDesignSystem({ ...extracted, ...change }, userId);
+
+    expect(saved.version).toBe('1.0.1');
+    expect(versions.map(snapshot => snapshot.version)).toEqual(['1.0.0', '1.0.1']);
+
+    const [baseline, recorded] = versions;
+    expect(recorded.changelog).toMatchObject({ bump: 'patch', entries: [{ bump: 'patch', message }] });
+    expect(recorded).toMatchObject(change);
+    expect(baseline).toMatchObject({ name: extracted.name, description: extracted.description, componentPreviews: extracted.componentPreviews });
+  });
+
+  test('keeps the current name and description when the new data leaves them out', async () => {
+    const saved = await designSystemStore.saveDesignSystem({ ...extracted, name: '', description: undefined }, userId);
+
+    expect(saved.version).toBe('1.0.0');
+    expect(saved.name).toBe('Acme UI');
+    expect(saved.description).toBe('Product design system');
+  });
+});
@@ -1,11 +1,44 @@
 // server/services/figma/apiService.js
 const axios = require('axios');
 const figmaConfig = require('../../config/figma');
+const RequestLimiter = require('./requestLimiter');
+const responseCache = require('./responseCache');
+
+// Network errors worth retrying
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+// Figma API limits the number of IDs per request
+const MAX_IDS_PER_REQUEST = 100;
 
 class FigmaApiService {
-  constructor() {
+  /**
+   * Create a Figma API client
+   * Each request gets its own instance so users never share credentials
+   * @param {string} [personalAccessToken] - Figma personal access token
+   * @param {Object} [options] - Overrides for the Figma config (baseURL, maxRetries, retryBaseDelay, maxRetryDelay, maxConcurrentRequests),
+   *   plus `cache`: the response cache to use, or false to disable caching
+   */
+  constructor(personalAccessToken = null, options = {}) {
     this.apiClient = null;
-    this.baseURL = figmaConfig.baseURL;
+    this.accessToken = null;
+    this.baseURL = options.baseURL || figmaConfig.baseURL;
+    this.maxRetries = options.maxRetries ?? figmaConfig.maxRetries;
+    this.retryBaseDelay = options.retryBaseDelay ?? figmaConfig.retryBaseDelay;
+    this.maxRetryDelay = options.maxRetryDelay ?? figmaConfig.maxRetryDelay;
+    this.maxConcurrentRequests = options.maxConcurrentRequests ?? figmaConfig.maxConcurrentRequests;
+    this.cache = options.cache === undefined ? responseCache : options.cache;
+    
+    // File versions looked up by this client, and how its cache lookups went
+    this.fileVersions = new Map();
+    this.cacheStats = {
+      files: { hits: 0, misses: 0 },
+      nodes: { hits: 0, misses: 0 },
+      diskHits: 0
+    };
+    
+    if (personalAccessToken) {
+      this.initializeWithPersonalToken(personalAccessToken);
+    }
   }
 
   /**
@@ -13,6 +46,7 @@ class FigmaApiService {
    * @param {string} accessToken - Figma access token
    */
   initialize(accessToken) {
+    this.accessToken = accessToken;
     this.apiClient = this.createApiClient(accessToken);
   }
 
@@ -21,6 +55,7 @@ class FigmaApiService {
    * @param {string} personalAccessToken - Figma personal access token
    */
   initializeWithPersonalToken(personalAccessToken) {
+    this.accessToken = personalAccessToken;
     this.apiClient = this.createPersonalTokenClient(personalAccessToken);
   }
 
@@ -53,6 +88,196 @@ class FigmaApiService {
     });
   }
 
+  /**
+   * Send a GET request to the Figma API
+   * Requests share a concurrency limit per token and are retried on 429 and 5xx
+   * responses, waiting for Retry-After when Figma sends it and backing off
+   * exponentially with jitter otherwise
+   * @param {string} path - The API path
+   * @returns {Promise<Object>} The axios response
+   */
+  async request(path) {
+    for (let attempt = 0; ; attempt++) {
+      const limiter = this.getLimiter();
+      
+      try {
+        return await limiter.run(() => this.apiClient.get(path));
+      } catch (error) {
+        error.attempts = attempt + 1;
+        
+        const delay = this.getRetryDelay(error, attempt);
+        if (delay === null) {
+          throw error;
+        }
+        
+        console.warn(`Figma API request failed (${error.response?.status || error.code}), retrying in ${delay}ms: ${path}`);
+        await this.sleep(delay);
+      } finally {
+        // Drop limiters of tokens that have no requests in flight
+        if (limiter.isIdle() && FigmaApiService.limiters.get(this.accessToken) === limiter) {
+          FigmaApiService.limiters.delete(this.accessToken);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the concurrency limiter shared by all clients using this token
+   * @private
+   * @returns {RequestLimiter} The limiter
+   */
+  getLimiter() {
+    const limiters = FigmaApiService.limiters;
+    let limiter = limiters.get(this.accessToken);
+    
+    if (!limiter) {
+      limiter = new RequestLimiter(this.maxConcurrentRequests);
+      limiters.set(this.accessToken, limiter);
+    }
+    
+    return limiter;
+  }
+
+  /**
+   * Get how long to wait before retrying a failed request
+   * @private
+   * @param {Error} error - The axios error
+   * @param {number} attempt - The zero-based attempt that failed
+   * @returns {number|null} Delay in milliseconds, or null if the request should not be retried
+   */
+  getRetryDelay(error, attempt) {
+    if (attempt >= this.maxRetries || !this.isRetryableError(error)) {
+      return null;
+    }
+    
+    const retryAfter = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      // Waiting longer than this would stall the extraction, so give up instead
+      return retryAfter <= this.maxRetryDelay ? retryAfter : null;
+    }
+    
+    // Full jitter keeps clients that failed together from retrying together
+    const backoff = Math.min(this.maxRetryDelay, this.retryBaseDelay * 2 ** attempt);
+    return Math.round(Math.random() * backoff);
+  }
+
+  /**
+   * Check whether a failed request may succeed when retried
+   * @private
+   * @param {Error} error - The axios error
+   * @returns {boolean} Whether the error is transient
+   */
+  isRetryableError(error) {
+    if (!error.response) {
+      return RETRYABLE_ERROR_CODES.includes(error.code);
+    }
+    
+    const { status } = error.response;
+    return status === 429 || status >= 500;
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or an HTTP date)
+   * @private
+   * @param {string} value - The header value
+   * @returns {number|null} Delay in milliseconds, or null if missing or invalid
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Wait for a number of milliseconds
+   * @private
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Get the version key used to cache a file's payloads
+   * Looked up once per client with a shallow (depth=1) request, using this client's
+   * token, so cached payloads are only served to users who can open the file
+   * @param {string} fileKey - The Figma file key
+   * @returns {Promise<string|null>} The version key, or null if caching is disabled or the lookup failed
+   */
+  async getFileVersionKey(fileKey) {
+    if (!this.cache) {
+      return null;
+    }
+    
+    if (!this.fileVersions.has(fileKey)) {
+      const lookup = this.request(`/files/${fileKey}?depth=1`)
+        .then(response => this.getVersionKey(response.data))
+        .catch(error => {
+          console.warn(`Could not look up version of ${fileKey}, skipping the cache:`, error.message);
+          this.fileVersions.delete(fileKey);
+          return null;
+        });
+      this.fileVersions.set(fileKey, lookup);
+    }
+    
+    return this.fileVersions.get(fileKey);
+  }
+
+  /**
+   * Build a version key from file data
+   * @private
+   * @param {Object} fileData - File data with version and lastModified
+   * @returns {string} The version key
+   */
+  getVersionKey(fileData) {
+    return `${fileData.version}-${fileData.lastModified}`;
+  }
+
+  /**
+   * Count a cache lookup
+   * @private
+   * @param {string} namespace - 'files' or 'nodes'
+   * @param {Object|null} cached - The cache result ({ value, source }) or null on a miss
+   */
+  recordCacheLookup(namespace, cached) {
+    if (!cached) {
+      this.cacheStats[namespace].misses++;
+      return;
+    }
+    
+    this.cacheStats[namespace].hits++;
+    if (cached.source === 'disk') {
+      this.cacheStats.diskHits++;
+    }
+  }
+
+  /**
+   * Get the cache metrics of this client
+   * @returns {Object} { files, nodes, diskHits, hitRate }
+   */
+  getCacheStats() {
+    const { files, nodes, diskHits } = this.cacheStats;
+    const hits = files.hits + nodes.hits;
+    const lookups = hits + files.misses + nodes.misses;
+    
+    return {
+      enabled: Boolean(this.cache),
+      files: { ...files },
+      nodes: { ...nodes },
+      diskHits,
+      hitRate: lookups > 0 ? Math.round((hits / lookups) * 100) / 100 : null
+    };
+  }
+
   /**
    * Get file data from Figma
    * @param {string} fileKey - The Figma file key
@@ -61,9 +286,27 @@ class FigmaApiService {
   async getFile(fileKey) {
     this.validateClient();
     try {
+      const versionKey = await this.getFileVersionKey(fileKey);
+      
+      if (versionKey) {
+        const cached = await this.cache.get('files', fileKey, versionKey);
+        this.recordCacheLookup('files', cached);
+        
+        if (cached) {
+          console.log(`Using cached Figma file: ${fileKey} (${cached.source})`);
+          return cached.value;
+        }
+      }
+      
       console.log(`Fetching Figma file: ${fileKey}`);
-      const response = await this.apiClient.get(`/files/${fileKey}`);
+      const response = await this.request(`/files/${fileKey}`);
       console.log(`Successfully retrieved file: ${response.data.name}`);
+      
+      if (versionKey) {
+        // Store under the version actually downloaded, in case the file changed since the lookup
+        await this.cache.set('files', fileKey, this.getVersionKey(response.data), '', response.data);
+      }
+      
       return response.data;
     } catch (error) {
       console.error('Error fetching Figma file:', error.message);
@@ -83,7 +326,7 @@ class FigmaApiService {
     this.validateClient();
     try {
       console.log(`Fetching styles for file: ${fileKey}`);
-      const response = await this.apiClient.get(`/files/${fileKey}/styles`);
+      const response = await this.request(`/files/${fileKey}/styles`);
       console.log(`Retrieved ${response.data.meta?.styles?.length || 0} styles`);
       return response.data;
     } catch (error) {
@@ -98,6 +341,33 @@ class FigmaApiService {
     }
   }
 
+  /**
+   * Get local variables and variable collections from Figma
+   * @param {string} fileKey - The Figma file key
+   * @returns {Promise<Object>} The variables data ({ meta: { variables, variableCollections } })
+   */
+  async getLocalVariables(fileKey) {
+    this.validateClient();
+    try {
+      console.log(`Fetching local variables for file: ${fileKey}`);
+      const response = await this.request(`/files/${fileKey}/variables/local`);
+      console.log(`Retrieved ${Object.keys(response.data.meta?.variables || {}).length} variables`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching Figma variables:', error.message);
+      if (error.response) {
+        console.error('API response:', error.response.status, error.response.data);
+      }
+      // The variables endpoint is not available on every plan, so don't fail the extraction
+      return {
+        meta: {
+          variables: {},
+          variableCollections: {}
+        }
+      };
+    }
+  }
+
   /**
    * Get component data from Figma
    * @param {string} fileKey - The Figma file key
@@ -107,19 +377,14 @@ class FigmaApiService {
     this.validateClient();
     try {
       console.log(`Fetching components for file: ${fileKey}`);
-      const response = await this.apiClient.get(`/files/${fileKey}`);
-      console.log(`Retrieved ${response?.data?.components?.length || 0} components`);
-      // log and store the response in temp file for debugging      
-      // Ensure we have the expected structure
-      if (!response?.data?.components) {
-        response.data.components = [];
-        response.data.componentSets = [];
-      }
+      // Components are part of the file response, which is usually cached by now
+      const fileData = await this.getFile(fileKey);
+      console.log(`Retrieved ${Object.keys(fileData.components || {}).length} components`);
       
       return {
         meta: {
-          components: response?.data?.components || [],
-          component_sets: response?.data?.componentSets || []
+          components: fileData.components || {},
+          component_sets: fileData.componentSets || {}
         }
       };
     } catch (error) {
@@ -140,7 +405,7 @@ class FigmaApiService {
     this.validateClient();
     try {
       console.log(`Fetching component sets for file: ${fileKey}`);
-      const response = await this.apiClient.get(`/files/${fileKey}/component_sets`);
+      const response = await this.request(`/files/${fileKey}/component_sets`);
       console.log(`Retrieved ${response.data.meta?.component_sets?.length || 0} component sets`);
       
       // Ensure we have the expected structure
@@ -181,66 +446,133 @@ class FigmaApiService {
     return chunks;
   }
   
+  /**
+   * Fetch IDs in chunks, running the chunks in parallel (within the token's concurrency limit)
+   * Chunks that still fail after retrying are left out of the result and listed in its report
+   * @private
+   * @param {string[]} ids - IDs to fetch
+   * @param {Function} getChunkPath - Builds the API path for a chunk of IDs
+   * @param {string} resultKey - Response key holding the results by ID (nodes or images)
+   * @param {Function} [onChunk] - Called with (settledCount, totalCount) as each chunk succeeds or fails
+   * @returns {Promise<Object>} { [resultKey]: results, report }
+   */
+  async fetchInChunks(ids, getChunkPath, resultKey, onChunk) {
+    const chunks = this.chunkArray(ids, MAX_IDS_PER_REQUEST);
+    if (chunks.length > 1) {
+      console.log(`Breaking ${ids.length} IDs into ${chunks.length} chunks of ${MAX_IDS_PER_REQUEST}`);
+    }
+    
+    let settledCount = 0;
+    const responses = await Promise.allSettled(
+      chunks.map(chunk => this.request(getChunkPath(chunk)).finally(() => {
+        settledCount += chunk.length;
+        if (onChunk) onChunk(settledCount, ids.length);
+      }))
+    );
+    
+    const results = {};
+    const failures = [];
+    
+    responses.forEach((response, index) => {
+      if (response.status === 'fulfilled') {
+        Object.assign(results, response.value.data?.[resultKey] || {});
+        return;
+      }
+      
+      const error = response.reason;
+      console.error(`Error fetching chunk of ${resultKey}: ${error.message}`);
+      failures.push({
+        ids: chunks[index],
+        status: error.response?.status || null,
+        message: error.response?.data?.err || error.message,
+        attempts: error.attempts || 1
+      });
+    });
+    
+    return {
+      [resultKey]: results,
+      report: this.createPartialReport(ids, failures)
+    };
+  }
+
+  /**
+   * Describe which IDs of a chunked request could not be fetched
+   * @private
+   * @param {string[]} ids - The requested IDs
+   * @param {Array} failures - Failed chunks ({ ids, status, message, attempts })
+   * @returns {Object} { complete, requested, succeeded, failedIds, failures }
+   */
+  createPartialReport(ids, failures) {
+    const failedIds = failures.flatMap(failure => failure.ids);
+    
+    return {
+      complete: failures.length === 0,
+      requested: ids.length,
+      succeeded: ids.length - failedIds.length,
+      failedIds,
+      failures
+    };
+  }
+  
   /**
    * Get node data for specific nodes
    * @param {string} fileKey - The Figma file key
    * @param {string[]} nodeIds - Array of node IDs to fetch
-   * @returns {Promise<Object>} The nodes data
+   * @param {Object} [options] - Request options
+   * @param {Function} [options.onChunk] - Called with (settledCount, totalCount) as each chunk finishes
+   * @returns {Promise<Object>} The nodes data ({ nodes, report }), where report lists the nodes that could not be fetched
    */
-  async getNodes(fileKey, nodeIds) {
+  async getNodes(fileKey, nodeIds, options = {}) {
     this.validateClient();
-    try {
-      if (!nodeIds || nodeIds.length === 0) {
-        return { nodes: {} };
-      }
-      
-      console.log(`Fetching ${nodeIds.length} nodes for file: ${fileKey}`);
+    
+    if (!nodeIds || nodeIds.length === 0) {
+      return { nodes: {}, report: this.createPartialReport([], []) };
+    }
+    
+    // Only fetch the nodes that aren't cached for this version of the file
+    const versionKey = await this.getFileVersionKey(fileKey);
+    const cachedNodes = {};
+    const missingIds = [];
+    
+    await Promise.all(nodeIds.map(async (nodeId) => {
+      const cached = versionKey ? await this.cache.get('nodes', fileKey, versionKey, nodeId) : null;
+      if (versionKey) this.recordCacheLookup('nodes', cached);
       
-      // Figma API limits the number of IDs per request
-      const maxIdsPerRequest = 100;
-      if (nodeIds.length <= maxIdsPerRequest) {
-        const nodeIdsParam = nodeIds.join(',');
-        const response = await this.apiClient.get(`/files/${fileKey}/nodes?ids=${nodeIdsParam}`);
-        console.log(`Retrieved ${Object.keys(response.data.nodes || {}).length} nodes`);
-        
-        // Ensure we have the expected structure
-        if (!response.data.nodes) {
-          response.data.nodes = {};
-        }
-        
-        return response.data;
+      if (cached) {
+        cachedNodes[nodeId] = cached.value;
       } else {
-        // Handle large requests by breaking them into chunks
-        console.log(`Breaking ${nodeIds.length} nodes into chunks of ${maxIdsPerRequest}`);
-        const chunks = this.chunkArray(nodeIds, maxIdsPerRequest);
-        const results = { nodes: {} };
-        
-        for (const chunk of chunks) {
-          try {
-            const nodeIdsParam = chunk.join(',');
-            const response = await this.apiClient.get(`/files/${fileKey}/nodes?ids=${nodeIdsParam}`);
-            
-            // Merge the chunk results
-            if (response.data && response.data.nodes) {
-              Object.assign(results.nodes, response.data.nodes);
-            }
-          } catch (chunkError) {
-            console.error(`Error fetching chunk of nodes: ${chunkError.message}`);
-            // Continue to the next chunk instead of failing completely
-          }
-        }
-        
-        console.log(`Retrieved a total of ${Object.keys(results.nodes).length} nodes after processing all chunks`);
-        return results;
+        missingIds.push(nodeId);
       }
-    } catch (error) {
-      console.error('Error fetching Figma nodes:', error.message);
-      if (error.response) {
-        console.error('API response:', error.response.status, error.response.data);
+    }));
+    
+    const cachedCount = nodeIds.length - missingIds.length;
+    if (missingIds.length === 0) {
+      console.log(`Using ${cachedCount} cached nodes for file: ${fileKey}`);
+      if (options.onChunk) options.onChunk(nodeIds.length, nodeIds.length);
+      return { nodes: cachedNodes, report: this.createPartialReport(nodeIds, []) };
+    }
+    
+    console.log(`Fetching ${missingIds.length} nodes for file: ${fileKey} (${cachedCount} cached)`);
+    const result = await this.fetchInChunks(
+      missingIds,
+      chunk => `/files/${fileKey}/nodes?ids=${chunk.join(',')}`,
+      'nodes',
+      (settledCount) => {
+        if (options.onChunk) options.onChunk(cachedCount + settledCount, nodeIds.length);
       }
-      // Return empty result instead of throwing to prevent cascading failures
-      return { nodes: {} };
+    );
+    
+    if (versionKey) {
+      await Promise.all(Object.entries(result.nodes).map(([nodeId, node]) =>
+        this.cache.set('nodes', fileKey, versionKey, nodeId, node)
+      ));
     }
+    
+    console.log(`Retrieved ${Object.keys(result.nodes).length} nodes`);
+    return {
+      nodes: { ...cachedNodes, ...result.nodes },
+      report: this.createPartialReport(nodeIds, result.report.failures)
+    };
   }
 
   /**
@@ -249,66 +581,27 @@ class FigmaApiService {
    * @param {string[]} nodeIds - Array of node IDs to get images for
    * @param {string} format - Image format (png, jpg, svg, pdf)
    * @param {number} scale - Image scale (1, 2, 3, 4)
-   * @returns {Promise<Object>} The image URLs
+   * @param {Object} [options] - Request options
+   * @param {Function} [options.onChunk] - Called with (settledCount, totalCount) as each chunk finishes
+   * @returns {Promise<Object>} The image URLs ({ images, report }), where report lists the nodes that could not be fetched
    */
-  async getImages(fileKey, nodeIds, format = 'png', scale = 1) {
+  async getImages(fileKey, nodeIds, format = 'png', scale = 1, options = {}) {
     this.validateClient();
-    try {
-      if (!nodeIds || nodeIds.length === 0) {
-        return { images: {} };
-      }
-      
-      console.log(`Fetching images for ${nodeIds.length} nodes in file: ${fileKey}`);
-      
-      // Figma API limits the number of IDs per request, so we may need to chunk
-      const maxIdsPerRequest = 100;
-      if (nodeIds.length <= maxIdsPerRequest) {
-        const nodeIdsParam = nodeIds.join(',');
-        const response = await this.apiClient.get(
-          `/images/${fileKey}?ids=${nodeIdsParam}&format=${format}&scale=${scale}`
-        );
-        console.log(`Retrieved ${Object.keys(response.data.images || {}).length} images`);
-        
-        // Ensure we have the expected structure
-        if (!response.data.images) {
-          response.data.images = {};
-        }
-        
-        return response.data;
-      } else {
-        // Handle large requests by breaking them into chunks
-        console.log(`Breaking ${nodeIds.length} image requests into chunks of ${maxIdsPerRequest}`);
-        const chunks = this.chunkArray(nodeIds, maxIdsPerRequest);
-        const results = { images: {} };
-        
-        for (const chunk of chunks) {
-          try {
-            const nodeIdsParam = chunk.join(',');
-            const response = await this.apiClient.get(
-              `/images/${fileKey}?ids=${nodeIdsParam}&format=${format}&scale=${scale}`
-            );
-            
-            // Merge the chunk results
-            if (response.data && response.data.images) {
-              Object.assign(results.images, response.data.images);
-            }
-          } catch (chunkError) {
-            console.error(`Error fetching chunk of images: ${chunkError.message}`);
-            // Continue to the next chunk instead of failing completely
-          }
-        }
-        
-        console.log(`Retrieved a total of ${Object.keys(results.images).length} images after processing all chunks`);
-        return results;
-      }
-    } catch (error) {
-      console.error('Error fetching Figma images:', error.message);
-      if (error.response) {
-        console.error('API response:', error.response.status, error.response.data);
-      }
-      // Return empty result instead of throwing to prevent cascading failures
-      return { images: {} };
+    
+    if (!nodeIds || nodeIds.length === 0) {
+      return { images: {}, report: this.createPartialReport([], []) };
     }
+    
+    console.log(`Fetching images for ${nodeIds.length} nodes in file: ${fileKey}`);
+    const result = await this.fetchInChunks(
+      nodeIds,
+      chunk => `/images/${fileKey}?ids=${chunk.join(',')}&format=${format}&scale=${scale}`,
+      'images',
+      options.onChunk
+    );
+    
+    console.log(`Retrieved ${Object.keys(result.images).length} images`);
+    return result;
   }
 
   /**
@@ -329,7 +622,7 @@ class FigmaApiService {
   async getUser() {
     this.validateClient();
     try {
-      const response = await this.apiClient.get('/me');
+      const response = await this.request('/me');
       return response.data;
     } catch (error) {
       console.error('Error fetching user data:', error.message);
@@ -348,7 +641,7 @@ class FigmaApiService {
   async getTeamProjects(teamId) {
     this.validateClient();
     try {
-      const response = await this.apiClient.get(`/teams/${teamId}/projects`);
+      const response = await this.request(`/teams/${teamId}/projects`);
       return response.data;
     } catch (error) {
       console.error('Error fetching team projects:', error.message);
@@ -367,7 +660,7 @@ class FigmaApiService {
   async getProjectFiles(projectId) {
     this.validateClient();
     try {
-      const response = await this.apiClient.get(`/projects/${projectId}/files`);
+      const response = await this.request(`/projects/${projectId}/files`);
       return response.data;
     } catch (error) {
       console.error('Error fetching project files:', error.message);
@@ -379,4 +672,7 @@ class FigmaApiService {
   }
 }
 
-module.exports = new FigmaApiService();
\ No newline at end of file
+// Request limiters by token, shared by every client instance
+FigmaApiService.limiters = new Map();
+
+module.exports = FigmaApiService;
\ No newline at end of file
@@ -1,22 +1,38 @@
 // server/services/figma/componentExtractor.js
-const figmaApiService = require('./apiService');
+const tinycolor = require('tinycolor2');
+const layoutTranslator = require('../codegen/layoutTranslator');
 
 class ComponentExtractor {
+  /**
+   * @param {FigmaApiService} figmaApi - Figma API client for the current user
+   */
+  constructor(figmaApi) {
+    this.figmaApi = figmaApi;
+  }
+
   /**
    * Extract all components from a Figma file
    * @param {string} fileKey - The Figma file key
+   * @param {Object} [options] - Extraction options
+   * @param {Object} [options.fileData] - Already fetched file data, to avoid fetching it again
+   * @param {Function} [options.onProgress] - Called with (stage, fraction, message) for node batches, components and previews
    * @returns {Promise<Object>} The extracted components
    */
-  async extractComponents(fileKey) {
+  async extractComponents(fileKey, options = {}) {
+    const { onProgress } = options;
+    const reportProgress = (stage, fraction, message) => {
+      if (onProgress) onProgress(stage, fraction, message);
+    };
+    
     try {
       console.log('Extracting components from file:', fileKey);
       
       // Step 1: Get file data to have the complete document structure
-      const fileData = await figmaApiService.getFile(fileKey);
+      const fileData = options.fileData || await this.figmaApi.getFile(fileKey);
       console.log('File data retrieved:', fileData.name);
       
       // Step 2: Get component data from Figma
-      const componentsData = await figmaApiService.getFileComponents(fileKey);
+      const componentsData = await this.figmaApi.getFileComponents(fileKey);
       console.log('Found components:', Object.keys(componentsData.meta.components).length);
       
       // Step 3: Get component sets data
@@ -34,6 +50,9 @@ class ComponentExtractor {
       
       if (allNodeIds.length === 0) {
         console.log('No components or component sets found');
+        reportProgress('nodes', 1, 'No components found');
+        reportProgress('components', 1, 'No components found');
+        reportProgress('previews', 1, 'No components found');
         return {
           components: {},
           componentSets: {},
@@ -42,24 +61,16 @@ class ComponentExtractor {
       }
       
       console.log('Fetching node data for components and component sets...');
-      const nodesData = { nodes: {} };
-      
-      // Process in chunks to avoid API limits
-      const maxIdsPerRequest = 100;
-      for (let i = 0; i < allNodeIds.length; i += maxIdsPerRequest) {
-        const chunk = allNodeIds.slice(i, i + maxIdsPerRequest);
-        try {
-          console.log(`Fetching data for ${chunk.length} nodes...`);
-          const chunkData = await figmaApiService.getNodes(fileKey, chunk);
-          if (chunkData && chunkData.nodes) {
-            Object.assign(nodesData.nodes, chunkData.nodes);
-          }
-        } catch (error) {
-          console.error(`Error fetching nodes chunk: ${error.message}`);
+      const nodesData = await this.figmaApi.getNodes(fileKey, allNodeIds, {
+        onChunk: (fetchedCount, totalCount) => {
+          reportProgress('nodes', fetchedCount / totalCount, `Fetched ${fetchedCount} of ${totalCount} nodes`);
         }
-      }
+      });
       
       console.log(`Retrieved data for ${Object.keys(nodesData.nodes).length} nodes`);
+      if (!nodesData.report.complete) {
+        console.warn(`Could not fetch ${nodesData.report.failedIds.length} of ${allNodeIds.length} nodes`);
+      }
       
       // Step 5: Process component sets first to establish the structure
       console.log('Processing component sets...');
@@ -112,7 +123,7 @@ class ComponentExtractor {
           componentSetId: componentSetId,
           properties: this.extractComponentProperties(node),
           layout: this.extractLayoutProperties(node),
-          styles: this.extractStyleReferences(node),
+          styles: this.extractStyleReferences(node, fileData.styles),
           size: node.absoluteBoundingBox ? {
             width: node.absoluteBoundingBox.width,
             height: node.absoluteBoundingBox.height
@@ -148,9 +159,13 @@ class ComponentExtractor {
         }
       }
       
+      reportProgress('components', 1, `Processed ${Object.keys(components).length} components`);
+      
       // Step 8: Get image previews for components
       console.log('Fetching component previews...');
-      const componentPreviews = await this.getComponentPreviews(fileKey, componentIds);
+      const { previews: componentPreviews, report: previewsReport } = await this.getComponentPreviews(fileKey, componentIds, (fetchedCount, totalCount) => {
+        reportProgress('previews', fetchedCount / totalCount, `Fetched previews for ${fetchedCount} of ${totalCount} components`);
+      });
       
       console.log('Component extraction complete:');
       console.log(`- ${Object.keys(components).length} components`);
@@ -161,7 +176,12 @@ class ComponentExtractor {
       return {
         components,
         componentSets,
-        componentPreviews
+        componentPreviews,
+        // Node and preview chunks that failed even after retrying
+        report: {
+          nodes: nodesData.report,
+          previews: previewsReport
+        }
       };
     } catch (error) {
       console.error('Error extracting components:', error);
@@ -178,36 +198,21 @@ class ComponentExtractor {
    * Get image previews for components
    * @param {string} fileKey - The Figma file key
    * @param {Array} componentIds - Array of component IDs
-   * @returns {Promise<Object>} Map of component ID to image URL
+   * @param {Function} [onChunk] - Called with (settledCount, totalCount) as each chunk finishes
+   * @returns {Promise<Object>} { previews, report }, with previews mapping component ID to image URL
    */
-  async getComponentPreviews(fileKey, componentIds) {
+  async getComponentPreviews(fileKey, componentIds, onChunk) {
     try {
-      if (!componentIds || componentIds.length === 0) {
-        return {};
-      }
+      const { images, report } = await this.figmaApi.getImages(fileKey, componentIds, 'png', 1, { onChunk });
       
-      const previews = {};
-      
-      // Process in chunks to avoid API limits
-      const maxIdsPerRequest = 100;
-      for (let i = 0; i < componentIds.length; i += maxIdsPerRequest) {
-        const chunk = componentIds.slice(i, i + maxIdsPerRequest);
-        try {
-          console.log(`Fetching images for ${chunk.length} components...`);
-          const imageData = await figmaApiService.getImages(fileKey, chunk);
-          
-          if (imageData && imageData.images) {
-            Object.assign(previews, imageData.images);
-          }
-        } catch (error) {
-          console.error(`Error fetching images chunk: ${error.message}`);
-        }
+      if (!report.complete) {
+        console.warn(`Could not fetch previews for ${report.failedIds.length} of ${report.requested} components`);
       }
       
-      return previews;
+      return { previews: images, report };
     } catch (error) {
       console.error('Error getting component previews:', error);
-      return {};
+      return { previews: {}, report: null };
     }
   }
   
@@ -370,44 +375,15 @@ class ComponentExtractor {
   
   /**
    * Extract layout properties from a node
+   * Besides the auto layout settings this records sizing (fixed, hug or fill),
+   * wrapping, min/max sizes and absolute positioning, which the layout
+   * translator turns into CSS
    * @param {Object} node - The node to extract from
    * @returns {Object} The layout properties
    */
   extractLayoutProperties(node) {
     try {
-      const layout = {};
-      
-      // Extract layout mode
-      if (node.layoutMode) {
-        layout.type = node.layoutMode.toLowerCase(); // HORIZONTAL or VERTICAL
-        layout.padding = {
-          top: node.paddingTop || 0,
-          right: node.paddingRight || 0,
-          bottom: node.paddingBottom || 0,
-          left: node.paddingLeft || 0
-        };
-        layout.spacing = node.itemSpacing || 0;
-      } else {
-        layout.type = 'none';
-      }
-      
-      // Extract constraints
-      if (node.constraints) {
-        layout.constraints = {
-          horizontal: node.constraints.horizontal.toLowerCase(),
-          vertical: node.constraints.vertical.toLowerCase()
-        };
-      }
-      
-      // Extract auto layout properties
-      if (node.primaryAxisAlignItems) {
-        layout.primaryAxisAlignment = node.primaryAxisAlignItems.toLowerCase();
-      }
-      if (node.counterAxisAlignItems) {
-        layout.counterAxisAlignment = node.counterAxisAlignItems.toLowerCase();
-      }
-      
-      return layout;
+      return layoutTranslator.getLayout(node);
     } catch (error) {
       console.error('Error extracting layout properties:', error);
       return { type: 'none' };
@@ -416,10 +392,14 @@ class ComponentExtractor {
   
   /**
    * Extract style references from a node
+   * Besides the node's style IDs, `keys` holds the published keys of those styles
+   * (which tokens are matched on) and `values` the resolved visual values, so
+   * generated code can reference tokens even when a component uses no styles
    * @param {Object} node - The node to extract from
+   * @param {Object} [fileStyles] - The file's style metadata by style ID
    * @returns {Object} The style references
    */
-  extractStyleReferences(node) {
+  extractStyleReferences(node, fileStyles = {}) {
     try {
       const styles = {};
       
@@ -431,6 +411,23 @@ class ComponentExtractor {
         if (node.styles.grid) styles.grid = node.styles.grid;
       }
       
+      // Text styles usually live on the label rather than the component frame
+      const textNode = this.findFirstTextNode(node);
+      const textStyles = (textNode && textNode.styles) || {};
+      
+      const getStyleKey = (styleId) => styleId && fileStyles && fileStyles[styleId] ? fileStyles[styleId].key : undefined;
+      const keys = {
+        fill: getStyleKey(styles.fill),
+        stroke: getStyleKey(styles.stroke),
+        effect: getStyleKey(styles.effect),
+        text: getStyleKey(textStyles.text),
+        textFill: getStyleKey(textStyles.fill)
+      };
+      Object.keys(keys).forEach(key => keys[key] === undefined && delete keys[key]);
+      
+      if (Object.keys(keys).length > 0) styles.keys = keys;
+      styles.values = this.extractStyleValues(node, textNode);
+      
       return styles;
     } catch (error) {
       console.error('Error extracting style references:', error);
@@ -438,6 +435,117 @@ class ComponentExtractor {
     }
   }
   
+  /**
+   * Extract the visual values of a node and its label
+   * Colors use the same rgb()/rgba() format as color tokens
+   * @param {Object} node - The node to extract from
+   * @param {Object|null} textNode - The node's first text node
+   * @returns {Object} The visual values (background, borderColor, borderWidth, borderRadius, opacity, boxShadow, color, fontFamily, fontWeight, fontSize, lineHeight, letterSpacing)
+   */
+  extractStyleValues(node, textNode) {
+    const values = {};
+    
+    const background = this.getSolidColor(node.fills);
+    if (background) values.background = background;
+    
+    const borderColor = this.getSolidColor(node.strokes);
+    if (borderColor && node.strokeWeight) {
+      values.borderColor = borderColor;
+      values.borderWidth = `${Math.round(node.strokeWeight * 100) / 100}px`;
+    }
+    
+    const borderRadius = this.getCornerRadius(node);
+    if (borderRadius) values.borderRadius = borderRadius;
+    
+    if (typeof node.opacity === 'number' && node.opacity < 1) {
+      values.opacity = Math.round(node.opacity * 100) / 100;
+    }
+    
+    const shadowEffects = (node.effects || []).filter(effect => 
+      effect.visible !== false && (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW')
+    );
+    if (shadowEffects.length > 0) {
+      values.boxShadow = shadowEffects.map(effect => {
+        const { color, offset, radius, spread = 0 } = effect;
+        const rgbaColor = `rgba(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)}, ${color.a})`;
+        const inset = effect.type === 'INNER_SHADOW' ? 'inset ' : '';
+        
+        return `${inset}${offset.x}px ${offset.y}px ${radius}px ${spread}px ${rgbaColor}`;
+      }).join(', ');
+    }
+    
+    if (textNode) {
+      const color = this.getSolidColor(textNode.fills);
+      if (color) values.color = color;
+      
+      const style = textNode.style || {};
+      if (style.fontFamily) values.fontFamily = style.fontFamily;
+      if (style.fontWeight) values.fontWeight = style.fontWeight;
+      if (style.fontSize) values.fontSize = `${style.fontSize}px`;
+      if (style.lineHeightPx) values.lineHeight = `${Math.round(style.lineHeightPx * 100) / 100}px`;
+      if (style.letterSpacing) values.letterSpacing = `${Math.round(style.letterSpacing * 100) / 100}px`;
+    }
+    
+    return values;
+  }
+  
+  /**
+   * Get the color of the first visible solid paint
+   * @param {Array} paints - Fills or strokes
+   * @returns {string|null} The color as rgb()/rgba(), or null
+   */
+  getSolidColor(paints) {
+    const paint = (paints || []).find(p => p.type === 'SOLID' && p.visible !== false && p.color);
+    if (!paint) return null;
+    
+    const { r, g, b, a = 1 } = paint.color;
+    const opacity = typeof paint.opacity === 'number' ? paint.opacity : 1;
+    
+    return tinycolor({
+      r: Math.round(r * 255),
+      g: Math.round(g * 255),
+      b: Math.round(b * 255),
+      a: a * opacity
+    }).toRgbString();
+  }
+  
+  /**
+   * Get the corner radius of a node
+   * @param {Object} node - The node
+   * @returns {string|null} The radius (e.g. "8px", or "8px 8px 0px 0px" for mixed corners), or null
+   */
+  getCornerRadius(node) {
+    if (Array.isArray(node.rectangleCornerRadii)) {
+      const radii = node.rectangleCornerRadii.map(radius => `${Math.round(radius * 100) / 100}px`);
+      if (radii.every(radius => radius === '0px')) return null;
+      return radii.every(radius => radius === radii[0]) ? radii[0] : radii.join(' ');
+    }
+    
+    if (typeof node.cornerRadius === 'number' && node.cornerRadius > 0) {
+      return `${Math.round(node.cornerRadius * 100) / 100}px`;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Find the first text node in a node's subtree
+   * @param {Object} node - The node to search
+   * @returns {Object|null} The text node
+   */
+  findFirstTextNode(node) {
+    if (!node) return null;
+    if (node.type === 'TEXT') return node;
+    
+    for (const child of node.children || []) {
+      if (child.visible === false) continue;
+      const textNode = this.findFirstTextNode(child);
+      if (textNode) return textNode;
+    }
+    
+    return null;
+  }
+  
   /**
    * Extract variant properties from a component name
    * @param {string} componentName - The component name
@@ -627,4 +735,4 @@ class ComponentExtractor {
   }
 }
 
-module.exports = new ComponentExtractor();
\ No newline at end of file
+module.exports = ComponentExtractor;
\ No newline at end of file
@@ -0,0 +1,96 @@
+// server/services/figma/designSystemAccess.js
+const Organization = require('../../models/Organization');
+
+// What each role may do with a design system
+const ROLE_PERMISSIONS = {
+  owner: ['view', 'edit', 'delete'],
+  admin: ['view', 'edit', 'delete'],
+  member: ['view']
+};
+
+class DesignSystemAccess {
+  /**
+   * Get the role a user has on a design system
+   * Personal design systems belong to their creator. Organization design systems
+   * take the user's role in the organization, and site admins may do anything.
+   * @param {Object} designSystem - The design system
+   * @param {Object} user - The user
+   * @returns {Promise<string|null>} 'owner', 'admin', 'member', or null without access
+   */
+  async getRole(designSystem, user) {
+    if (user.role === 'admin') {
+      return 'owner';
+    }
+
+    if (designSystem.organizationId) {
+      return await this.getMemberRole(designSystem.organizationId, user.id);
+    }
+
+    const ownerId = designSystem.userId && (designSystem.userId._id || designSystem.userId);
+    return ownerId && ownerId.toString() === user.id ? 'owner' : null;
+  }
+
+  /**
+   * Get a user's role in an organization
+   * @param {string} organizationId - The organization ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<string|null>} The member role, or null if the user isn't a member
+   */
+  async getMemberRole(organizationId, userId) {
+    const organization = await Organization.findById(organizationId).select('members');
+
+    if (!organization) {
+      return null;
+    }
+
+    const member = organization.members.find(member => member.user && member.user.toString() === userId);
+    return member ? member.role : null;
+  }
+
+  /**
+   * Check whether a role grants a permission
+   * @param {string|null} role - The role
+   * @param {string} permission - 'view', 'edit' or 'delete'
+   * @returns {boolean} Whether the permission is granted
+   */
+  can(role, permission) {
+    return Boolean(role && ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+  }
+
+  /**
+   * Check whether a user may create or overwrite design systems in an organization
+   * @param {Object} user - The user
+   * @param {string} organizationId - The organization ID
+   * @returns {Promise<boolean>} Whether the user is an owner or admin of the organization
+   */
+  async canEditOrganization(user, organizationId) {
+    if (user.role === 'admin') {
+      return true;
+    }
+    return this.can(await this.getMemberRole(organizationId, user.id), 'edit');
+  }
+
+  /**
+   * Build the query for the design systems a user can list
+   * @param {Object} user - The user
+   * @param {string} [organizationId] - Only list this organization's design systems
+   * @returns {Promise<Object|null>} MongoDB filter, or null if the user isn't a member of the organization
+   */
+  async getListQuery(user, organizationId = null) {
+    if (organizationId) {
+      const role = user.role === 'admin' ? 'owner' : await this.getMemberRole(organizationId, user.id);
+      return role ? { organizationId } : null;
+    }
+
+    const organizations = await Organization.find({ 'members.user': user.id }).select('_id');
+
+    return {
+      $or: [
+        { userId: user.id, organizationId: null },
+        { organizationId: { $in: organizations.map(organization => organization._id) } }
+      ]
+    };
+  }
+}
+
+module.exports = new DesignSystemAccess();
@@ -0,0 +1,222 @@
+// server/services/figma/designSystemChangelog.js
+
+// Version bumps from least to most significant
+const BUMPS = ['patch', 'minor', 'major'];
+
+// Singular names of token categories, for changelog messages
+const CATEGORY_LABELS = {
+  colors: 'color',
+  gradients: 'gradient',
+  typography: 'typography',
+  spacing: 'spacing',
+  shadows: 'shadow',
+  borders: 'border',
+  radii: 'radius',
+  opacity: 'opacity',
+  blur: 'blur',
+  grids: 'grid',
+  breakpoints: 'breakpoint'
+};
+
+class DesignSystemChangelog {
+  /**
+   * Build the changelog of a design system diff
+   * Removing or renaming tokens, components or variants is a major change,
+   * adding them is minor, and anything else (value tweaks, a new name or description) is a patch.
+   * @param {Object} diff - A diff from designSystemDiff.diffDesignSystems
+   * @returns {Object} { bump, summary, entries: [{ bump, message }] }, where bump is null when nothing changed
+   */
+  createChangelog(diff) {
+    const entries = [
+      ...this.getDetailEntries(diff.details),
+      ...this.getTokenEntries(diff.tokens),
+      ...this.getComponentEntries(diff.components),
+      ...this.getComponentSetEntries(diff.componentSets)
+    ];
+
+    // Most significant changes first
+    entries.sort((a, b) => BUMPS.indexOf(b.bump) - BUMPS.indexOf(a.bump));
+
+    const bump = entries.length > 0 ? entries[0].bump : null;
+
+    return {
+      bump,
+      summary: this.summarize(entries),
+      entries
+    };
+  }
+
+  /**
+   * Changelog for the first version of a design system
+   * @returns {Object} { bump, summary, entries }
+   */
+  createInitialChangelog() {
+    return {
+      bump: null,
+      summary: 'Initial version',
+      entries: []
+    };
+  }
+
+  /**
+   * Changelog entries for changes to the name, description and component previews
+   * @param {Array} details - Changed fields, as { field, before, after }
+   * @returns {Array} Entries
+   */
+  getDetailEntries(details = []) {
+    return details.map(({ field, before, after }) => {
+      switch (field) {
+        case 'name':
+          return { bump: 'patch', message: `Renamed the design system from \`${before}\` to \`${after}\`` };
+        case 'description':
+          return { bump: 'patch', message: 'Changed the design system description' };
+        default:
+          return { bump: 'patch', message: 'Updated component previews' };
+      }
+    });
+  }
+
+  /**
+   * Changelog entries for token changes
+   * @param {Object} tokens - Token diff by category
+   * @returns {Array} Entries
+   */
+  getTokenEntries(tokens = {}) {
+    const entries = [];
+
+    for (const [category, diff] of Object.entries(tokens)) {
+      const label = CATEGORY_LABELS[category] || category;
+
+      for (const { key } of diff.removed) {
+        entries.push({ bump: 'major', message: `Removed ${label} token \`${key}\`` });
+      }
+      for (const { previousKey, key } of diff.renamed) {
+        entries.push({ bump: 'major', message: `Renamed ${label} token \`${previousKey}\` to \`${key}\`` });
+      }
+      for (const { key } of diff.added) {
+        entries.push({ bump: 'minor', message: `Added ${label} token \`${key}\`` });
+      }
+      for (const { key, changes } of diff.modified) {
+        entries.push({ bump: 'patch', message: `Changed ${label} token \`${key}\`${this.describeFieldChanges(changes)}` });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Changelog entries for component changes
+   * @param {Object} components - Component diff
+   * @returns {Array} Entries
+   */
+  getComponentEntries(components) {
+    const entries = [];
+
+    for (const { name } of components.removed) {
+      entries.push({ bump: 'major', message: `Removed component \`${name}\`` });
+    }
+    for (const { name } of components.added) {
+      entries.push({ bump: 'minor', message: `Added component \`${name}\`` });
+    }
+    for (const { name, previousName, changes } of components.modified) {
+      if (previousName) {
+        entries.push({ bump: 'major', message: `Renamed component \`${previousName}\` to \`${name}\`` });
+      }
+
+      const otherChanges = changes.filter(change => change.field !== 'name');
+      if (otherChanges.length > 0) {
+        entries.push({ bump: 'patch', message: `Changed component \`${name}\`${this.describeFieldChanges(otherChanges)}` });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Changelog entries for component set and variant changes
+   * @param {Object} componentSets - Component set diff
+   * @returns {Array} Entries
+   */
+  getComponentSetEntries(componentSets) {
+    const entries = [];
+
+    for (const { name } of componentSets.removed) {
+      entries.push({ bump: 'major', message: `Removed component set \`${name}\`` });
+    }
+    for (const { name } of componentSets.added) {
+      entries.push({ bump: 'minor', message: `Added component set \`${name}\`` });
+    }
+    for (const { name, previousName, variants, variantProperties } of componentSets.modified) {
+      if (previousName) {
+        entries.push({ bump: 'major', message: `Renamed component set \`${previousName}\` to \`${name}\`` });
+      }
+      if (variants.removed.length > 0) {
+        entries.push({ bump: 'major', message: `Removed variants from \`${name}\`: ${variants.removed.join(', ')}` });
+      }
+      for (const [property, values] of Object.entries(variantProperties.removed)) {
+        entries.push({ bump: 'major', message: `Removed ${property} values from \`${name}\`: ${values.join(', ')}` });
+      }
+      if (variants.added.length > 0) {
+        entries.push({ bump: 'minor', message: `Added variants to \`${name}\`: ${variants.added.join(', ')}` });
+      }
+      for (const [property, values] of Object.entries(variantProperties.added)) {
+        entries.push({ bump: 'minor', message: `Added ${property} values to \`${name}\`: ${values.join(', ')}` });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Describe the changed fields of a token or component
+   * @param {Array} changes - [{ field, before, after }]
+   * @returns {string} E.g. " (value: #fff → #000)", or an empty string
+   */
+  describeFieldChanges(changes = []) {
+    if (changes.length === 0) return '';
+
+    const described = changes.slice(0, 3).map(({ field, before, after }) => {
+      const isScalar = value => value === undefined || value === null || typeof value !== 'object';
+      return isScalar(before) && isScalar(after)
+        ? `${field}: ${this.formatValue(before)} → ${this.formatValue(after)}`
+        : field;
+    });
+
+    if (changes.length > 3) {
+      described.push(`${changes.length - 3} more`);
+    }
+
+    return ` (${described.join(', ')})`;
+  }
+
+  /**
+   * Format a scalar value for a changelog message
+   * @param {*} value - The value
+   * @returns {string} The formatted value
+   */
+  formatValue(value) {
+    return value === undefined || value === null ? 'none' : String(value);
+  }
+
+  /**
+   * Summarize changelog entries in one line
+   * @param {Array} entries - Changelog entries
+   * @returns {string} E.g. "1 breaking change, 2 additions, 3 changes"
+   */
+  summarize(entries) {
+    if (entries.length === 0) return 'No changes';
+
+    const count = (bump, singular, plural) => {
+      const total = entries.filter(entry => entry.bump === bump).length;
+      return total > 0 ? `${total} ${total === 1 ? singular : plural}` : null;
+    };
+
+    return [
+      count('major', 'breaking change', 'breaking changes'),
+      count('minor', 'addition', 'additions'),
+      count('patch', 'change', 'changes')
+    ].filter(Boolean).join(', ');
+  }
+}
+
+module.exports = new DesignSystemChangelog();
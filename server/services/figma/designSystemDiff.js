@@ -0,0 +1,511 @@
+// server/services/figma/designSystemDiff.js
+const { isDeepStrictEqual } = require('util');
+
+// Token categories stored on a design system
+const TOKEN_CATEGORIES = ['colors', 'gradients', 'typography', 'spacing', 'shadows', 'borders', 'radii', 'opacity', 'blur', 'grids', 'breakpoints'];
+
+// Token fields that link a token to Figma rather than describe it
+const TOKEN_REFERENCE_FIELDS = ['styleKey', 'variableId', 'id'];
+
+// Token fields that describe a token rather than its value
+const TOKEN_METADATA_FIELDS = ['name', 'description', ...TOKEN_REFERENCE_FIELDS];
+
+// Component fields compared in a diff, with the defaults applied when components are saved
+const COMPONENT_DEFAULTS = {
+  name: null,
+  description: '',
+  type: 'component',
+  properties: {},
+  layout: {},
+  styles: {},
+  variantProperties: null
+};
+
+// Design system fields compared in a diff, besides its tokens and components
+const DETAIL_FIELDS = ['name', 'description', 'componentPreviews'];
+
+class DesignSystemDiff {
+  /**
+   * Compare two versions of a design system
+   * @param {Object} from - The older design system data ({ version, name, tokens, components, componentSets })
+   * @param {Object} to - The newer design system data
+   * @returns {Object} { from, to, details, tokens, components, componentSets, summary, hasChanges }
+   */
+  diffDesignSystems(from, to) {
+    const diff = {
+      from: { version: from.version, name: from.name },
+      to: { version: to.version, name: to.name },
+      details: this.diffDetails(from, to),
+      tokens: this.diffTokenSets(from.tokens, to.tokens),
+      components: this.diffComponents(from.components, to.components),
+      componentSets: this.diffComponentSets(from.componentSets, to.componentSets, from.components, to.components)
+    };
+
+    diff.summary = this.summarizeDiff(diff);
+    diff.hasChanges = Object.values(diff.summary).some(count => count > 0);
+
+    return diff;
+  }
+
+  /**
+   * Compare the name, description and component previews of two versions
+   * Fields the newer data leaves empty are kept when saving, so they don't count as changes.
+   * Previews are only reported as changed, they are too large to list.
+   * @param {Object} from - The older design system data
+   * @param {Object} to - The newer design system data
+   * @returns {Array} Changed fields, as { field, before, after }
+   */
+  diffDetails(from, to) {
+    return DETAIL_FIELDS
+      .filter(field => to[field])
+      .filter(field => field === 'componentPreviews'
+        ? !isDeepStrictEqual(this.toPlainMap(from[field]), this.toPlainMap(to[field]))
+        : (from[field] || '') !== to[field])
+      .map(field => field === 'componentPreviews'
+        ? { field }
+        : { field, before: from[field] || '', after: to[field] });
+  }
+
+  /**
+   * Compare two token sets category by category
+   * @param {Object} fromTokens - Older tokens by category
+   * @param {Object} toTokens - Newer tokens by category
+   * @returns {Object} Token diff by category (categories without changes are left out)
+   */
+  diffTokenSets(fromTokens = {}, toTokens = {}) {
+    const categories = new Set([...TOKEN_CATEGORIES, ...Object.keys(fromTokens), ...Object.keys(toTokens)]);
+    const diff = {};
+
+    for (const category of categories) {
+      const categoryDiff = this.diffTokens(fromTokens[category], toTokens[category]);
+
+      if (categoryDiff.added.length + categoryDiff.removed.length + categoryDiff.renamed.length + categoryDiff.modified.length > 0) {
+        diff[category] = categoryDiff;
+      }
+    }
+
+    return diff;
+  }
+
+  /**
+   * Compare the tokens of one category
+   * Tokens are matched by Figma style key (or variable ID) first, so renames are
+   * recognised. Tokens without either are matched by name, and a removed and an
+   * added token with the same value are treated as a rename.
+   * @param {Object} fromTokens - Older tokens by key
+   * @param {Object} toTokens - Newer tokens by key
+   * @returns {Object} { added, removed, renamed, modified, unchanged }
+   */
+  diffTokens(fromTokens = {}, toTokens = {}) {
+    const before = this.toPlainMap(fromTokens);
+    const after = this.toPlainMap(toTokens);
+    const getIdentity = token => token.styleKey || token.variableId;
+
+    const { changes } = this.diffItems(before, after, getIdentity);
+    const diff = { added: [], removed: [], renamed: [], modified: [], unchanged: changes.unchanged };
+
+    for (const change of changes.changed) {
+      const previousKey = change.previousKey || change.key;
+      const entry = {
+        key: change.key,
+        before: before[previousKey],
+        after: after[change.key],
+        changes: this.getValueChanges(before[previousKey], after[change.key], TOKEN_REFERENCE_FIELDS)
+      };
+
+      if (change.previousKey) {
+        diff.renamed.push({ previousKey, ...entry });
+      } else if (entry.changes.length > 0) {
+        diff.modified.push(entry);
+      } else {
+        // Only the link to Figma changed, e.g. a style key recorded for the first time
+        diff.unchanged++;
+      }
+    }
+
+    // Pair up removed and added tokens that have no identity but share a value
+    const added = changes.added.map(({ key }) => ({ key, token: after[key] }));
+    const removed = changes.removed.map(({ key }) => ({ key, token: before[key] }));
+
+    for (const removedToken of removed) {
+      const match = getIdentity(removedToken.token) ? -1 : added.findIndex(addedToken =>
+        !getIdentity(addedToken.token) &&
+        isDeepStrictEqual(this.getTokenValue(removedToken.token), this.getTokenValue(addedToken.token))
+      );
+
+      if (match === -1) {
+        diff.removed.push(removedToken);
+        continue;
+      }
+
+      const [addedToken] = added.splice(match, 1);
+      diff.renamed.push({
+        previousKey: removedToken.key,
+        key: addedToken.key,
+        before: removedToken.token,
+        after: addedToken.token,
+        changes: []
+      });
+    }
+    diff.added = added;
+
+    return diff;
+  }
+
+  /**
+   * Compare two component lists, matched by Figma component key
+   * @param {Array|Object} fromComponents - Older components (array or keyed by Figma ID)
+   * @param {Array|Object} toComponents - Newer components
+   * @returns {Object} { added, removed, modified, unchanged }
+   */
+  diffComponents(fromComponents, toComponents) {
+    const before = this.indexComponents(fromComponents);
+    const after = this.indexComponents(toComponents);
+    const diff = { added: [], removed: [], modified: [], unchanged: 0 };
+
+    for (const [key, component] of after) {
+      const previous = before.get(key);
+
+      if (!previous) {
+        diff.added.push(this.describeComponent(key, component));
+        continue;
+      }
+
+      const changes = [];
+      for (const [field, defaultValue] of Object.entries(COMPONENT_DEFAULTS)) {
+        changes.push(...this.getValueChanges(
+          { [field]: previous[field] || defaultValue },
+          { [field]: component[field] || defaultValue }
+        ));
+      }
+
+      if (changes.length === 0) {
+        diff.unchanged++;
+        continue;
+      }
+
+      diff.modified.push({
+        ...this.describeComponent(key, component),
+        ...(previous.name !== component.name ? { previousName: previous.name } : {}),
+        changes
+      });
+    }
+
+    for (const [key, component] of before) {
+      if (!after.has(key)) {
+        diff.removed.push(this.describeComponent(key, component));
+      }
+    }
+
+    return diff;
+  }
+
+  /**
+   * Compare component sets, matched by Figma component key, including added and removed variants
+   * @param {Object} fromSets - Older component sets by node ID
+   * @param {Object} toSets - Newer component sets by node ID
+   * @param {Array|Object} fromComponents - Older components, used to name variants
+   * @param {Array|Object} toComponents - Newer components, used to name variants
+   * @returns {Object} { added, removed, modified, unchanged }
+   */
+  diffComponentSets(fromSets, toSets, fromComponents, toComponents) {
+    const before = this.indexBy(this.toPlainMap(fromSets), componentSet => componentSet.key);
+    const after = this.indexBy(this.toPlainMap(toSets), componentSet => componentSet.key);
+    const fromNames = this.getComponentNames(fromComponents);
+    const toNames = this.getComponentNames(toComponents);
+    const diff = { added: [], removed: [], modified: [], unchanged: 0 };
+
+    for (const [key, componentSet] of after) {
+      const previous = before.get(key);
+
+      if (!previous) {
+        diff.added.push({ key, name: componentSet.name });
+        continue;
+      }
+
+      const previousVariants = previous.components || [];
+      const variants = componentSet.components || [];
+      const variantChanges = {
+        added: variants.filter(id => !previousVariants.includes(id)).map(id => toNames.get(id) || id),
+        removed: previousVariants.filter(id => !variants.includes(id)).map(id => fromNames.get(id) || id)
+      };
+      const propertyChanges = this.diffVariantProperties(previous.variantProperties, componentSet.variantProperties);
+      const nameChanged = previous.name !== componentSet.name;
+
+      if (!nameChanged && variantChanges.added.length + variantChanges.removed.length === 0 &&
+          Object.keys(propertyChanges.added).length + Object.keys(propertyChanges.removed).length === 0) {
+        diff.unchanged++;
+        continue;
+      }
+
+      diff.modified.push({
+        key,
+        name: componentSet.name,
+        ...(nameChanged ? { previousName: previous.name } : {}),
+        variants: variantChanges,
+        variantProperties: propertyChanges
+      });
+    }
+
+    for (const [key, componentSet] of before) {
+      if (!after.has(key)) {
+        diff.removed.push({ key, name: componentSet.name });
+      }
+    }
+
+    return diff;
+  }
+
+  /**
+   * Compare the variant property values offered by a component set
+   * @param {Object} before - Older values by property name
+   * @param {Object} after - Newer values by property name
+   * @returns {Object} { added, removed } with the added and removed values by property name
+   */
+  diffVariantProperties(before = {}, after = {}) {
+    const changes = { added: {}, removed: {} };
+    const properties = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const property of properties) {
+      const previousValues = [].concat((before || {})[property] || []);
+      const values = [].concat((after || {})[property] || []);
+      const addedValues = values.filter(value => !previousValues.includes(value));
+      const removedValues = previousValues.filter(value => !values.includes(value));
+
+      if (addedValues.length > 0) changes.added[property] = addedValues;
+      if (removedValues.length > 0) changes.removed[property] = removedValues;
+    }
+
+    return changes;
+  }
+
+  /**
+   * List the fields that differ between two values, one level into nested objects
+   * @param {Object} before - The older value
+   * @param {Object} after - The newer value
+   * @param {string[]} [ignoredFields] - Top-level fields to skip
+   * @returns {Array} [{ field, before, after }], nested fields as 'parent.child'
+   */
+  getValueChanges(before = {}, after = {}, ignoredFields = []) {
+    const changes = [];
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+      if (ignoredFields.includes(field)) continue;
+
+      const previousValue = (before || {})[field];
+      const value = (after || {})[field];
+      if (isDeepStrictEqual(previousValue, value)) continue;
+
+      if (this.isPlainObject(previousValue) && this.isPlainObject(value)) {
+        const nestedFields = new Set([...Object.keys(previousValue), ...Object.keys(value)]);
+        for (const nestedField of nestedFields) {
+          if (!isDeepStrictEqual(previousValue[nestedField], value[nestedField])) {
+            changes.push({ field: `${field}.${nestedField}`, before: previousValue[nestedField], after: value[nestedField] });
+          }
+        }
+      } else {
+        changes.push({ field, before: previousValue, after: value });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Get the part of a token that carries its value, leaving out names and Figma references
+   * @param {Object} token - The token
+   * @returns {Object} The token without metadata fields
+   */
+  getTokenValue(token) {
+    return Object.fromEntries(Object.entries(token || {}).filter(([field]) => !TOKEN_METADATA_FIELDS.includes(field)));
+  }
+
+  /**
+   * Index components by Figma component key
+   * @param {Array|Object} components - Components as an array or keyed by Figma ID
+   * @returns {Map} Components by key
+   */
+  indexComponents(components = []) {
+    const list = Array.isArray(components)
+      ? components.map(component => this.toPlainValue(component))
+      : Object.entries(this.toPlainMap(components)).map(([figmaId, component]) => ({ figmaId, ...component }));
+
+    return this.indexBy(
+      Object.fromEntries(list.map((component, index) => [index, component])),
+      component => component.figmaKey || component.key || component.figmaId
+    );
+  }
+
+  /**
+   * Index items by an identity, skipping items without one
+   * @param {Object} items - Items by key
+   * @param {Function} getIdentity - Returns the identity of an item
+   * @returns {Map} Items by identity
+   */
+  indexBy(items, getIdentity) {
+    const index = new Map();
+    for (const item of Object.values(items)) {
+      const identity = getIdentity(item);
+      if (identity) index.set(identity, item);
+    }
+    return index;
+  }
+
+  /**
+   * Map Figma node IDs to component names
+   * @param {Array|Object} components - Components as an array or keyed by Figma ID
+   * @returns {Map} Names by Figma ID
+   */
+  getComponentNames(components) {
+    return new Map([...this.indexComponents(components).values()].map(component => [component.figmaId, component.name]));
+  }
+
+  /**
+   * Describe a component in a diff entry
+   * @param {string} key - The Figma component key
+   * @param {Object} component - The component
+   * @returns {Object} { key, figmaId, name, variantProperties }
+   */
+  describeComponent(key, component) {
+    return {
+      key,
+      figmaId: component.figmaId,
+      name: component.name,
+      variantProperties: component.variantProperties || null
+    };
+  }
+
+  /**
+   * Count the changes across details, tokens, components and component sets
+   * @param {Object} diff - The diff
+   * @returns {Object} { added, removed, renamed, modified }
+   */
+  summarizeDiff(diff) {
+    const summary = { added: 0, removed: 0, renamed: 0, modified: (diff.details || []).length };
+
+    for (const categoryDiff of Object.values(diff.tokens)) {
+      summary.added += categoryDiff.added.length;
+      summary.removed += categoryDiff.removed.length;
+      summary.renamed += categoryDiff.renamed.length;
+      summary.modified += categoryDiff.modified.length;
+    }
+
+    for (const section of [diff.components, diff.componentSets]) {
+      summary.added += section.added.length;
+      summary.removed += section.removed.length;
+      summary.modified += section.modified.length;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Diff two keyed collections by a stable identity
+   * Items without an identity, or stored before identities were recorded, are matched by key.
+   * @param {Object} storedItems - Stored items by key
+   * @param {Object} extractedItems - Extracted items by key
+   * @param {Function} getIdentity - Returns the Figma identity of an item, if any
+   * @returns {Object} { changes: { added, changed, removed, unchanged }, updates, removals }
+   */
+  diffItems(storedItems, extractedItems, getIdentity) {
+    const changes = { added: [], changed: [], removed: [], unchanged: 0 };
+    const updates = {};
+    const removals = [];
+
+    const storedByIdentity = new Map();
+    for (const [key, item] of Object.entries(storedItems)) {
+      const identity = getIdentity(item);
+      if (identity) storedByIdentity.set(identity, key);
+    }
+
+    const matchedKeys = new Set();
+
+    for (const [key, extractedItem] of Object.entries(extractedItems)) {
+      const item = this.toPlainValue(extractedItem);
+      const identity = getIdentity(item);
+      let storedKey = identity ? storedByIdentity.get(identity) : undefined;
+
+      if (storedKey === undefined && key in storedItems && !matchedKeys.has(key)) {
+        const storedIdentity = getIdentity(storedItems[key]);
+        if (!storedIdentity || storedIdentity === identity) {
+          storedKey = key;
+        }
+      }
+
+      if (storedKey === undefined) {
+        changes.added.push({ key, name: item.name || key });
+        updates[key] = item;
+        continue;
+      }
+
+      matchedKeys.add(storedKey);
+      const storedItem = storedItems[storedKey];
+
+      if (storedKey === key && isDeepStrictEqual(storedItem, item)) {
+        changes.unchanged++;
+        continue;
+      }
+
+      changes.changed.push({
+        key,
+        name: item.name || key,
+        ...(storedKey !== key ? { previousKey: storedKey } : {}),
+        fields: this.getChangedFields(storedItem, item)
+      });
+      updates[key] = item;
+      if (storedKey !== key) removals.push(storedKey);
+    }
+
+    for (const [key, item] of Object.entries(storedItems)) {
+      if (!matchedKeys.has(key)) {
+        changes.removed.push({ key, name: item.name || key });
+        removals.push(key);
+      }
+    }
+
+    return { changes, updates, removals };
+  }
+
+  /**
+   * List the top-level fields that differ between two items
+   * @param {Object} before - The stored item
+   * @param {Object} after - The extracted item
+   * @returns {string[]} Changed field names
+   */
+  getChangedFields(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...fields].filter(field => !isDeepStrictEqual((before || {})[field], (after || {})[field]));
+  }
+
+  /**
+   * Convert a Mongoose map (or plain object) to a plain object
+   * @param {Map|Object} map - The map
+   * @returns {Object} Plain object
+   */
+  toPlainMap(map) {
+    if (!map) return {};
+    const entries = map instanceof Map ? [...map.entries()] : Object.entries(map);
+    return Object.fromEntries(entries.map(([key, value]) => [key, this.toPlainValue(value)]));
+  }
+
+  /**
+   * Normalize a value the way it comes back from MongoDB, so stored and extracted values compare equal
+   * Strips Mongoose wrappers and undefined fields, and treats undefined as null
+   * @param {*} value - The value
+   * @returns {*} Plain value
+   */
+  toPlainValue(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+  }
+  /**
+   * Check whether a value is a plain object
+   * @param {*} value - The value
+   * @returns {boolean} Whether the value is a plain object
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+module.exports = new DesignSystemDiff();
@@ -0,0 +1,234 @@
+// server/services/figma/designSystemHistory.js
+const Component = require('../../models/Component');
+const DesignSystemVersion = require('../../models/DesignSystemVersion');
+
+// Heavy snapshot fields left out of version listings
+const CONTENT_FIELDS = '-tokens -componentSets -componentPreviews -components';
+
+class DesignSystemHistory {
+  /**
+   * Store an immutable snapshot of a design system at its current version
+   * Does nothing if that version was already recorded.
+   * @param {Object} designSystem - The design system document
+   * @param {Object} [options] - Snapshot options
+   * @param {string} [options.userId] - The user who made the change
+   * @param {string} [options.source='save'] - What produced the version (save, sync, restore, baseline)
+   * @param {string} [options.restoredFrom] - The version a restore rolled back to
+   * @param {Object} [options.changelog] - What changed since the previous version
+   * @returns {Promise<Object>} The snapshot
+   */
+  async recordVersion(designSystem, options = {}) {
+    try {
+      const existing = await DesignSystemVersion.findOne({
+        designSystemId: designSystem._id,
+        version: designSystem.version
+      }).select(CONTENT_FIELDS);
+      
+      if (existing) {
+        return existing;
+      }
+      
+      const data = await this.getSnapshotData(designSystem);
+      
+      const snapshot = await DesignSystemVersion.create({
+        designSystemId: designSystem._id,
+        ...data,
+        stats: this.getStats(data.tokens, data.components, data.componentSets),
+        source: options.source || 'save',
+        restoredFrom: options.restoredFrom || null,
+        changelog: options.changelog || null,
+        createdBy: options.userId || null
+      });
+      
+      console.log(`Recorded version ${snapshot.version} of design system ${designSystem._id}`);
+      return snapshot;
+    } catch (error) {
+      // Another request recorded the same version first
+      if (error.code === 11000) {
+        return await DesignSystemVersion.findOne({
+          designSystemId: designSystem._id,
+          version: designSystem.version
+        }).select(CONTENT_FIELDS);
+      }
+      console.error('Error recording design system version:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * List the recorded versions of a design system, newest first
+   * @param {string} designSystemId - The design system ID
+   * @returns {Promise<Array>} Versions without their content
+   */
+  async getVersions(designSystemId) {
+    try {
+      return await DesignSystemVersion.find({ designSystemId })
+        .select(CONTENT_FIELDS)
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      console.error('Error getting design system versions:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get one recorded version of a design system
+   * @param {string} designSystemId - The design system ID
+   * @param {string} version - The version number
+   * @returns {Promise<Object|null>} The snapshot
+   */
+  async getVersion(designSystemId, version) {
+    try {
+      return await DesignSystemVersion.findOne({ designSystemId, version });
+    } catch (error) {
+      console.error('Error getting design system version:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the content of a design system at a version
+   * The current version is read from the live design system, so design systems
+   * saved before version history existed can still be compared.
+   * @param {Object} designSystem - The design system document
+   * @param {string} [version] - The version number (defaults to the current version)
+   * @returns {Promise<Object|null>} Snapshot data, or null if the version was never recorded
+   */
+  async getVersionData(designSystem, version = designSystem.version) {
+    if (version === designSystem.version) {
+      return await this.getSnapshotData(designSystem);
+    }
+    
+    const snapshot = await this.getVersion(designSystem._id, version);
+    return snapshot ? snapshot.toObject() : null;
+  }
+  
+  /**
+   * Get the version recorded before a given version
+   * @param {string} designSystemId - The design system ID
+   * @param {string} version - The version number
+   * @returns {Promise<string|null>} The previous version number, or null if there is none
+   */
+  async getPreviousVersion(designSystemId, version) {
+    const versions = await this.getVersions(designSystemId);
+    const index = versions.findIndex(entry => entry.version === version);
+    const previous = index === -1
+      ? versions.find(entry => entry.version !== version)
+      : versions[index + 1];
+    
+    return previous ? previous.version : null;
+  }
+  
+  /**
+   * Delete every recorded version of a design system
+   * @param {string} designSystemId - The design system ID
+   * @returns {Promise<void>}
+   */
+  async deleteVersions(designSystemId) {
+    try {
+      await DesignSystemVersion.deleteMany({ designSystemId });
+    } catch (error) {
+      console.error('Error deleting design system versions:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Convert a snapshot to the shape produced by extraction, so it can be applied with designSystemSync
+   * @param {Object} snapshot - The snapshot
+   * @returns {Object} Design system data with components keyed by Figma ID
+   */
+  toDesignSystemData(snapshot) {
+    const data = snapshot.toObject ? snapshot.toObject() : snapshot;
+    const components = {};
+    
+    for (const component of data.components || []) {
+      components[component.figmaId] = {
+        name: component.name,
+        description: component.description,
+        type: component.type,
+        properties: component.properties,
+        layout: component.layout,
+        styles: component.styles,
+        variantProperties: component.variantProperties,
+        key: component.figmaKey
+      };
+    }
+    
+    return {
+      name: data.name,
+      description: data.description || '',
+      tokens: data.tokens || {},
+      components,
+      componentSets: data.componentSets || {},
+      componentPreviews: data.componentPreviews || {}
+    };
+  }
+  
+  /**
+   * Build the snapshot content of a design system
+   * @param {Object} designSystem - The design system document
+   * @returns {Promise<Object>} { version, name, description, tokens, componentSets, componentPreviews, components }
+   */
+  async getSnapshotData(designSystem) {
+    const data = designSystem.toObject({ flattenMaps: true });
+    
+    return {
+      version: data.version,
+      name: data.name,
+      description: data.description || '',
+      tokens: data.tokens || {},
+      componentSets: data.componentSets || {},
+      componentPreviews: data.componentPreviews || {},
+      components: await this.getComponents(designSystem)
+    };
+  }
+  
+  /**
+   * Get the components of a design system as snapshot entries
+   * @param {Object} designSystem - The design system document
+   * @returns {Promise<Array>} Component snapshots
+   */
+  async getComponents(designSystem) {
+    const populated = designSystem.components.every(component => component && component.figmaId);
+    const components = populated
+      ? designSystem.components
+      : await Component.find({ _id: { $in: designSystem.components } });
+    
+    return components.map(component => ({
+      componentId: component._id,
+      figmaId: component.figmaId,
+      figmaKey: component.figmaKey,
+      name: component.name,
+      description: component.description,
+      type: component.type,
+      properties: component.properties,
+      layout: component.layout,
+      styles: component.styles,
+      variantProperties: component.variantProperties,
+      previewUrl: component.previewUrl
+    }));
+  }
+  
+  /**
+   * Count what a snapshot contains, for version listings
+   * @param {Object} tokens - Tokens by category
+   * @param {Array} components - Component snapshots
+   * @param {Object} componentSets - Component sets by ID
+   * @returns {Object} { tokens, components, componentSets }
+   */
+  getStats(tokens = {}, components = [], componentSets = {}) {
+    const tokenCounts = {};
+    for (const [category, categoryTokens] of Object.entries(tokens)) {
+      tokenCounts[category] = Object.keys(categoryTokens || {}).length;
+    }
+    
+    return {
+      tokens: tokenCounts,
+      components: components.length,
+      componentSets: Object.keys(componentSets).length
+    };
+  }
+}
+
+module.exports = new DesignSystemHistory();
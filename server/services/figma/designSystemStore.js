@@ -2,6 +2,23 @@ const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
 const DesignSystem = require('../../models/DesignSystem');
 const Component = require('../../models/Component');
+const Generation = require('../../models/Generation');
+const designSystemHistory = require('./designSystemHistory');
+const designSystemDiff = require('./designSystemDiff');
+const designSystemChangelog = require('./designSystemChangelog');
+const cssExporter = require('../export/cssExporter');
+const dtcgSerializer = require('../export/dtcgSerializer');
+const tailwindExporter = require('../export/tailwindExporter');
+const styleDictionaryExporter = require('../export/styleDictionaryExporter');
+
+// Supported export formats and how they are served
+const EXPORT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json' },
+  css: { extension: 'css', contentType: 'text/css' },
+  dtcg: { extension: 'tokens.json', contentType: 'application/json' },
+  tailwind: { extension: 'tailwind.config.js', contentType: 'application/javascript' },
+  'style-dictionary': { extension: 'zip', contentType: 'application/zip' }
+};
 
 class DesignSystemStore {
   /**
@@ -13,18 +30,29 @@ class DesignSystemStore {
    */
   async saveDesignSystem(designSystem, userId, organizationId = null) {
     try {
-      // Check if design system already exists for this user and Figma file
-      let existingDS = await DesignSystem.findOne({
-        figmaFileKey: designSystem.figmaFileKey,
-        userId
-      });
+      // Check if design system already exists for this Figma file, in the organization
+      // or among the user's personal design systems
+      let existingDS = await DesignSystem.findOne(organizationId
+        ? { figmaFileKey: designSystem.figmaFileKey, organizationId }
+        : { figmaFileKey: designSystem.figmaFileKey, userId, organizationId: null });
       
       if (existingDS) {
+        // Keep the current content if it predates version history
+        await designSystemHistory.recordVersion(existingDS, { userId, source: 'baseline' });
+        
+        // Derive the version bump from what changed
+        const previous = await designSystemHistory.getSnapshotData(existingDS);
+        const changelog = designSystemChangelog.createChangelog(
+          designSystemDiff.diffDesignSystems(previous, designSystem)
+        );
+        
         // Update existing design system
         existingDS.name = designSystem.name || existingDS.name;
         existingDS.description = designSystem.description || existingDS.description;
         existingDS.tokens = designSystem.tokens;
-        existingDS.version = this.incrementVersion(existingDS.version);
+        if (changelog.bump) {
+          existingDS.version = this.incrementVersion(existingDS.version, changelog.bump);
+        }
         existingDS.updatedAt = new Date();
         
         // Store component previews
@@ -36,6 +64,7 @@ class DesignSystemStore {
         await this.updateComponents(existingDS, designSystem.components, designSystem.componentSets);
         
         await existingDS.save();
+        await designSystemHistory.recordVersion(existingDS, { userId, changelog });
         return existingDS;
       } else {
         // Create new design system
@@ -56,6 +85,10 @@ class DesignSystemStore {
         newDS.components = savedComponents.map(comp => comp._id);
         
         await newDS.save();
+        await designSystemHistory.recordVersion(newDS, {
+          userId,
+          changelog: designSystemChangelog.createInitialChangelog()
+        });
         return newDS;
       }
     } catch (error) {
@@ -84,10 +117,19 @@ class DesignSystemStore {
    * @returns {Promise<Array>} Array of design systems
    */
   async getDesignSystemsByUser(userId) {
+    return this.getDesignSystems({ userId });
+  }
+  
+  /**
+   * Get design systems matching a filter
+   * @param {Object} filter - MongoDB filter
+   * @returns {Promise<Array>} Array of design systems
+   */
+  async getDesignSystems(filter) {
     try {
-      return await DesignSystem.find({ userId }).populate('components');
+      return await DesignSystem.find(filter).populate('components');
     } catch (error) {
-      console.error('Error getting design systems by user:', error);
+      console.error('Error getting design systems:', error);
       throw error;
     }
   }
@@ -168,6 +210,12 @@ class DesignSystemStore {
         _id: { $in: designSystem.components }
       });
       
+      // Delete its version history
+      await designSystemHistory.deleteVersions(id);
+      
+      // Delete the screens generated from it
+      await Generation.deleteMany({ designSystemId: id });
+      
       // Delete the design system
       await DesignSystem.deleteOne({ _id: id });
       
@@ -179,12 +227,46 @@ class DesignSystemStore {
   }
   
   /**
-   * Export design system as JSON
+   * Delete every design system of an organization
+   * @param {string} organizationId - The organization ID
+   * @returns {Promise<number>} Number of deleted design systems
+   */
+  async deleteDesignSystemsByOrganization(organizationId) {
+    try {
+      const designSystems = await DesignSystem.find({ organizationId }).select('_id');
+      
+      for (const designSystem of designSystems) {
+        await this.deleteDesignSystem(designSystem._id);
+      }
+      
+      return designSystems.length;
+    } catch (error) {
+      console.error('Error deleting organization design systems:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the export format definition
+   * @param {string} format - The export format name
+   * @returns {Object|null} The format definition or null if unsupported
+   */
+  getExportFormat(format) {
+    return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+  }
+  
+  /**
+   * Export design system in the requested format
    * @param {string} id - The design system ID
-   * @returns {Promise<Object>} The exported design system
+   * @param {string} [format='json'] - Export format (json, css, dtcg, tailwind, style-dictionary)
+   * @returns {Promise<Object|string|Buffer>} The exported design system object for JSON, file contents otherwise
    */
-  async exportDesignSystem(id) {
+  async exportDesignSystem(id, format = 'json') {
     try {
+      if (!this.getExportFormat(format)) {
+        throw new Error(`Unsupported export format: ${format}`);
+      }
+      
       const designSystem = await DesignSystem.findById(id).populate('components');
       
       if (!designSystem) {
@@ -192,7 +274,23 @@ class DesignSystemStore {
       }
       
       // Convert to plain object and format for export
-      const exportData = designSystem.toObject();
+      const exportData = designSystem.toObject({ flattenMaps: true });
+      
+      if (format === 'css') {
+        return cssExporter.generateStylesheet(exportData);
+      }
+      
+      if (format === 'dtcg') {
+        return JSON.stringify(dtcgSerializer.serialize(exportData), null, 2);
+      }
+      
+      if (format === 'tailwind') {
+        return tailwindExporter.generateConfig(exportData);
+      }
+      
+      if (format === 'style-dictionary') {
+        return await styleDictionaryExporter.generateArchive(exportData);
+      }
       
       // Remove MongoDB specific fields
       delete exportData._id;
@@ -227,6 +325,7 @@ class DesignSystemStore {
   
   /**
    * Import design system from JSON
+   * Accepts our own JSON export or a W3C Design Tokens (DTCG) document
    * @param {Object} data - The design system data
    * @param {string} userId - The user ID
    * @param {string} [organizationId] - Optional organization ID
@@ -237,6 +336,23 @@ class DesignSystemStore {
       // Generate a new file key to avoid conflicts
       const newFileKey = `imported-${uuidv4()}`;
       
+      // Map DTCG documents onto our token shapes
+      if (dtcgSerializer.isDtcgDocument(data)) {
+        const { name, description, tokens, skipped } = dtcgSerializer.deserialize(data);
+        
+        if (skipped.length > 0) {
+          console.log(`Skipped ${skipped.length} DTCG tokens with unsupported types`);
+        }
+        
+        data = {
+          name: name || 'Imported Design Tokens',
+          description,
+          tokens,
+          components: {},
+          componentSets: {}
+        };
+      }
+      
       // Prepare import data
       const importData = {
         ...data,
@@ -263,12 +379,19 @@ class DesignSystemStore {
   /**
    * Increment version number
    * @param {string} version - Current version (semver)
+   * @param {string} [bump='patch'] - Segment to bump: 'major', 'minor' or 'patch'
    * @returns {string} Incremented version
    */
-  incrementVersion(version) {
-    const parts = version.split('.');
-    parts[2] = (parseInt(parts[2]) + 1).toString();
-    return parts.join('.');
+  incrementVersion(version, bump = 'patch') {
+    const [major, minor, patch] = version.split('.').map(part => parseInt(part) || 0);
+    
+    if (bump === 'major') {
+      return `${major + 1}.0.0`;
+    }
+    if (bump === 'minor') {
+      return `${major}.${minor + 1}.0`;
+    }
+    return `${major}.${minor}.${patch + 1}`;
   }
 }
 
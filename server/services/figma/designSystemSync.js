@@ -0,0 +1,226 @@
+// server/services/figma/designSystemSync.js
+const { isDeepStrictEqual } = require('util');
+const Component = require('../../models/Component');
+const designSystemStore = require('./designSystemStore');
+const designSystemHistory = require('./designSystemHistory');
+const designSystemDiff = require('./designSystemDiff');
+const designSystemChangelog = require('./designSystemChangelog');
+
+// Token categories stored on a design system
+const TOKEN_CATEGORIES = ['colors', 'gradients', 'typography', 'spacing', 'shadows', 'borders', 'radii', 'opacity', 'blur', 'grids', 'breakpoints'];
+
+// Component fields compared when syncing
+const COMPONENT_FIELDS = ['figmaId', 'name', 'description', 'type', 'properties', 'layout', 'styles', 'variantProperties'];
+
+class DesignSystemSync {
+  /**
+   * Apply a fresh extraction to a stored design system, touching only what changed
+   * Tokens are matched by Figma style key (or variable ID) and components and
+   * component sets by component key, so renamed items keep their identity and
+   * unchanged components keep their Mongo documents.
+   * @param {Object} designSystem - The stored design system document
+   * @param {Object} extracted - The freshly extracted design system
+   * @param {Object} [options] - Sync options
+   * @param {string} [options.userId] - The user making the change
+   * @param {string} [options.source='sync'] - What produced the new version (sync or restore)
+   * @param {string} [options.restoredFrom] - The version being restored
+   * @returns {Promise<Object>} { designSystem, changes, changelog }
+   */
+  async syncDesignSystem(designSystem, extracted, options = {}) {
+    console.log(`Syncing design system ${designSystem._id} with Figma file ${designSystem.figmaFileKey}...`);
+    
+    // Keep the current content if it predates version history
+    await designSystemHistory.recordVersion(designSystem, { userId: options.userId, source: 'baseline' });
+
+    // Describe the change before applying it, to pick the version bump
+    const previous = await designSystemHistory.getSnapshotData(designSystem);
+    const changelog = designSystemChangelog.createChangelog(designSystemDiff.diffDesignSystems(previous, extracted));
+
+    // Tokens
+    const tokenChanges = {};
+    for (const category of TOKEN_CATEGORIES) {
+      const storedTokens = designSystemDiff.toPlainMap(designSystem.tokens[category]);
+      const extractedTokens = (extracted.tokens && extracted.tokens[category]) || {};
+      const { changes, updates, removals } = this.diffTokens(storedTokens, extractedTokens);
+
+      for (const key of removals) {
+        designSystem.tokens[category].delete(key);
+      }
+      for (const [key, token] of Object.entries(updates)) {
+        designSystem.tokens[category].set(key, token);
+      }
+
+      tokenChanges[category] = changes;
+    }
+
+    // Components
+    const componentChanges = await this.syncComponents(designSystem, extracted.components || {});
+
+    // Component sets
+    const storedSets = designSystemDiff.toPlainMap(designSystem.componentSets);
+    const { changes: componentSetChanges, updates: setUpdates, removals: setRemovals } = designSystemDiff.diffItems(
+      storedSets,
+      extracted.componentSets || {},
+      componentSet => componentSet.key
+    );
+    for (const key of setRemovals) {
+      designSystem.componentSets.delete(key);
+    }
+    for (const [key, componentSet] of Object.entries(setUpdates)) {
+      designSystem.componentSets.set(key, componentSet);
+    }
+
+    // Preview URLs are signed and expire, so they are always replaced
+    if (extracted.componentPreviews) {
+      designSystem.componentPreviews = extracted.componentPreviews;
+    }
+
+    const changes = {
+      tokens: tokenChanges,
+      components: componentChanges,
+      componentSets: componentSetChanges
+    };
+    changes.summary = this.summarizeChanges(changes);
+    // A new name, description or set of previews is in the changelog only, and still needs a version
+    changes.hasChanges = changes.summary.added + changes.summary.changed + changes.summary.removed > 0 || Boolean(changelog.bump);
+
+    if (extracted.name && extracted.name !== designSystem.name) {
+      designSystem.name = extracted.name;
+    }
+    if (extracted.description && extracted.description !== designSystem.description) {
+      designSystem.description = extracted.description;
+    }
+
+    // Changes that don't affect consumers, like newly recorded style keys, are a patch
+    if (changes.hasChanges && !changelog.bump) {
+      changelog.bump = 'patch';
+      changelog.summary = 'Updated Figma references';
+    }
+    if (changes.hasChanges) {
+      designSystem.version = designSystemStore.incrementVersion(designSystem.version, changelog.bump);
+    }
+    designSystem.updatedAt = new Date();
+    await designSystem.save();
+
+    if (changes.hasChanges) {
+      await designSystemHistory.recordVersion(designSystem, {
+        userId: options.userId,
+        source: options.source || 'sync',
+        restoredFrom: options.restoredFrom,
+        changelog
+      });
+    }
+
+    console.log('Sync complete:', JSON.stringify(changes.summary));
+    return { designSystem, changes, changelog };
+  }
+
+  /**
+   * Diff one token category
+   * @param {Object} storedTokens - Stored tokens by key
+   * @param {Object} extractedTokens - Extracted tokens by key
+   * @returns {Object} { changes, updates, removals }, where removals must be applied before updates
+   */
+  diffTokens(storedTokens, extractedTokens) {
+    return designSystemDiff.diffItems(storedTokens, extractedTokens, token => token.styleKey || token.variableId);
+  }
+
+  /**
+   * Update, create and delete Component documents to match the extracted components
+   * Components are matched by Figma component key and keep their Mongo IDs
+   * @param {Object} designSystem - The stored design system document
+   * @param {Object} extractedComponents - Extracted components by node ID
+   * @returns {Promise<Object>} { added, changed, removed, unchanged }
+   */
+  async syncComponents(designSystem, extractedComponents) {
+    const changes = { added: [], changed: [], removed: [], unchanged: 0 };
+
+    const componentIds = designSystem.components.map(component => component._id || component);
+    const storedComponents = await Component.find({ _id: { $in: componentIds } });
+
+    const storedByKey = new Map(storedComponents.map(component => [component.figmaKey, component]));
+    const storedByFigmaId = new Map(storedComponents.map(component => [component.figmaId, component]));
+    const matched = new Set();
+    const syncedIds = [];
+
+    for (const [figmaId, componentData] of Object.entries(extractedComponents)) {
+      const fields = this.getComponentFields(figmaId, componentData);
+      const stored = storedByKey.get(fields.figmaKey) || storedByFigmaId.get(figmaId);
+
+      if (!stored || matched.has(stored.id)) {
+        const component = await Component.create(fields);
+        changes.added.push({ id: component.id, key: fields.figmaKey, name: fields.name });
+        syncedIds.push(component._id);
+        continue;
+      }
+
+      matched.add(stored.id);
+      syncedIds.push(stored._id);
+
+      const changedFields = COMPONENT_FIELDS.filter(field =>
+        !isDeepStrictEqual(designSystemDiff.toPlainValue(stored[field]), designSystemDiff.toPlainValue(fields[field]))
+      );
+
+      if (changedFields.length === 0) {
+        changes.unchanged++;
+        continue;
+      }
+
+      for (const field of changedFields) {
+        stored[field] = fields[field];
+        stored.markModified(field);
+      }
+      await stored.save();
+      changes.changed.push({ id: stored.id, key: fields.figmaKey, name: fields.name, fields: changedFields });
+    }
+
+    const removedComponents = storedComponents.filter(component => !matched.has(component.id));
+    if (removedComponents.length > 0) {
+      await Component.deleteMany({ _id: { $in: removedComponents.map(component => component._id) } });
+    }
+    for (const component of removedComponents) {
+      changes.removed.push({ id: component.id, key: component.figmaKey, name: component.name });
+    }
+
+    designSystem.components = syncedIds;
+    return changes;
+  }
+
+  /**
+   * Get the Component fields for an extracted component
+   * Mirrors designSystemStore.saveComponents
+   * @param {string} figmaId - The Figma node ID
+   * @param {Object} componentData - The extracted component
+   * @returns {Object} Component fields
+   */
+  getComponentFields(figmaId, componentData) {
+    return {
+      figmaId,
+      name: componentData.name,
+      description: componentData.description || '',
+      type: componentData.type || 'component',
+      properties: componentData.properties || {},
+      layout: componentData.layout || {},
+      styles: componentData.styles || {},
+      variantProperties: componentData.variantProperties,
+      figmaKey: componentData.key
+    };
+  }
+
+  /**
+   * Count the added, changed and removed items across all sections
+   * @param {Object} changes - Changes by section
+   * @returns {Object} { added, changed, removed }
+   */
+  summarizeChanges(changes) {
+    const sections = [...Object.values(changes.tokens), changes.components, changes.componentSets];
+
+    return sections.reduce((summary, section) => ({
+      added: summary.added + section.added.length,
+      changed: summary.changed + section.changed.length,
+      removed: summary.removed + section.removed.length
+    }), { added: 0, changed: 0, removed: 0 });
+  }
+}
+
+module.exports = new DesignSystemSync();
@@ -0,0 +1,371 @@
+const { EventEmitter } = require('events');
+const ExtractionJob = require('../../models/ExtractionJob');
+const DesignTokenExtractor = require('./tokenExtractor');
+const ComponentExtractor = require('./componentExtractor');
+const designSystemStore = require('./designSystemStore');
+
+const TERMINAL_STATUSES = ['completed', 'failed'];
+
+const EMPTY_TOKENS = { colors: {}, gradients: {}, typography: {}, spacing: {}, shadows: {}, borders: {}, radii: {}, opacity: {}, blur: {}, grids: {}, breakpoints: {} };
+
+class ExtractionJobRunner {
+  constructor() {
+    // Progress listeners, keyed by job ID
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+
+    // Jobs running in this process, their latest snapshot and their pending database write
+    // The database lags behind the snapshot until the write lands
+    this.activeJobs = new Set();
+    this.latestSnapshots = new Map();
+    this.pendingWrites = new Map();
+  }
+
+  /**
+   * Create an extraction job and start running it in the background
+   * @param {Object} params - Job parameters
+   * @param {string} params.fileKey - The Figma file key
+   * @param {string} params.userId - The user ID
+   * @param {string} [params.organizationId] - Optional organization ID
+   * @param {FigmaApiService} params.figmaApi - Figma API client for the user
+   * @returns {Promise<Object>} The created job
+   */
+  async startJob({ fileKey, userId, organizationId = null, figmaApi }) {
+    const job = await ExtractionJob.create({ fileKey, userId, organizationId });
+    const jobId = job._id.toString();
+
+    console.log(`Created extraction job ${jobId} for file ${fileKey}`);
+    this.activeJobs.add(jobId);
+
+    // Run after the response has been sent
+    setImmediate(() => {
+      this.runJob(job, figmaApi).catch(error => {
+        console.error(`Extraction job ${jobId} crashed:`, error);
+      });
+    });
+
+    return job;
+  }
+
+  /**
+   * Run an extraction job, persisting and broadcasting its progress
+   * @param {Object} job - The extraction job document
+   * @param {FigmaApiService} figmaApi - Figma API client for the user
+   * @returns {Promise<void>}
+   */
+  async runJob(job, figmaApi) {
+    const jobId = job._id.toString();
+    job.status = 'running';
+
+    try {
+      const designSystem = await this.extractDesignSystem(figmaApi, job.fileKey, (stage, fraction, message) => {
+        this.updateProgress(job, stage, fraction, message);
+      });
+
+      this.updateProgress(job, 'save', 0, 'Saving design system to database');
+      const savedDesignSystem = await designSystemStore.saveDesignSystem(
+        designSystem,
+        job.userId,
+        job.organizationId
+      );
+
+      job.designSystemId = savedDesignSystem._id;
+      job.report = designSystem.extractionReport;
+      job.metrics = designSystem.extractionMetrics;
+      job.status = 'completed';
+      job.completedAt = new Date();
+      this.updateProgress(job, 'save', 1, job.report.complete
+        ? `Saved "${savedDesignSystem.name}"`
+        : `Saved "${savedDesignSystem.name}" with some nodes or previews missing`);
+      console.log(`Extraction job ${jobId} completed`);
+    } catch (error) {
+      console.error(`Extraction job ${jobId} failed:`, error);
+      this.failJob(job, `Failed to extract and save design system: ${error.message}`);
+    } finally {
+      await this.pendingWrites.get(jobId);
+      this.activeJobs.delete(jobId);
+      this.latestSnapshots.delete(jobId);
+    }
+  }
+
+  /**
+   * Extract a complete design system from a Figma file
+   * Token and component extraction errors are logged and yield empty results,
+   * so only a failure to fetch the file itself aborts the extraction
+   * @param {FigmaApiService} figmaApi - Figma API client for the user
+   * @param {string} fileKey - The Figma file key
+   * @param {Function} [onProgress] - Called with (stage, fraction, message)
+   * @returns {Promise<Object>} The design system, ready to be saved, with an extractionReport of the requests
+   *   that failed and extractionMetrics (Figma response cache hits)
+   */
+  async extractDesignSystem(figmaApi, fileKey, onProgress = () => {}) {
+    console.log(`Getting file information for: ${fileKey}`);
+    onProgress('file', 0, 'Fetching Figma file');
+    const fileData = await figmaApi.getFile(fileKey);
+    const designSystemName = fileData.name || 'Design System';
+    onProgress('file', 1, `Fetched "${designSystemName}"`);
+
+    console.log(`Extracting design system from "${designSystemName}" (${fileKey})...`);
+
+    // Extract design tokens with robust error handling
+    console.log('Extracting design tokens...');
+    let designTokens = EMPTY_TOKENS;
+    try {
+      designTokens = await new DesignTokenExtractor(figmaApi).extractDesignTokens(fileKey, { fileData, onProgress });
+    } catch (tokenError) {
+      console.error('Error extracting design tokens:', tokenError);
+      // Continue with empty tokens instead of failing the whole process
+    }
+
+    // Extract components with robust error handling
+    console.log('Extracting components...');
+    let componentData = { components: {}, componentSets: {}, componentPreviews: {} };
+    try {
+      componentData = await new ComponentExtractor(figmaApi).extractComponents(fileKey, { fileData, onProgress });
+    } catch (componentError) {
+      console.error('Error extracting components:', componentError);
+      // Continue with empty components instead of failing the whole process
+    }
+
+    const designSystem = {
+      name: designSystemName,
+      description: fileData.description || '',
+      figmaFileKey: fileKey,
+      tokens: designTokens,
+      components: componentData.components || {},
+      componentSets: componentData.componentSets || {},
+      componentPreviews: componentData.componentPreviews || {},
+      extractionReport: this.getExtractionReport(componentData.report),
+      extractionMetrics: {
+        cache: figmaApi.getCacheStats()
+      }
+    };
+
+    console.log('Design system extraction complete!');
+    console.log(`- ${Object.keys(designTokens.colors || {}).length} color tokens`);
+    console.log(`- ${Object.keys(designTokens.gradients || {}).length} gradient tokens`);
+    console.log(`- ${Object.keys(designTokens.typography || {}).length} typography tokens`);
+    console.log(`- ${Object.keys(designTokens.spacing || {}).length} spacing tokens`);
+    console.log(`- ${Object.keys(designSystem.components || {}).length} components`);
+    console.log(`- ${Object.keys(designSystem.componentSets || {}).length} component sets`);
+    console.log('Figma cache:', JSON.stringify(designSystem.extractionMetrics.cache));
+    if (!designSystem.extractionReport.complete) {
+      console.warn('Extraction finished with missing nodes or previews:', JSON.stringify(designSystem.extractionReport));
+    }
+
+    return designSystem;
+  }
+
+  /**
+   * Summarize which Figma requests still failed after retrying
+   * @param {Object} [componentReport] - The component extractor's report ({ nodes, previews })
+   * @returns {Object} { complete, nodes, previews }, each section a partial result report or null
+   */
+  getExtractionReport(componentReport) {
+    const nodes = (componentReport && componentReport.nodes) || null;
+    const previews = (componentReport && componentReport.previews) || null;
+
+    return {
+      complete: [nodes, previews].every(report => !report || report.complete),
+      nodes,
+      previews
+    };
+  }
+
+  /**
+   * Move a job to a stage and update its progress
+   * Earlier stages are marked completed, so stages an extractor skips still finish
+   * @param {Object} job - The extraction job document
+   * @param {string} stageName - The current stage
+   * @param {number} fraction - Progress within the stage (0-1)
+   * @param {string} [message] - Human readable status
+   */
+  updateProgress(job, stageName, fraction, message) {
+    const stageIndex = ExtractionJob.STAGES.findIndex(stage => stage.name === stageName);
+    if (stageIndex === -1) return;
+
+    const now = new Date();
+    const stageFraction = Math.max(0, Math.min(1, fraction));
+
+    job.stages.forEach((stage, index) => {
+      if (index < stageIndex && stage.status !== 'completed') {
+        stage.status = 'completed';
+        stage.percent = 100;
+        stage.startedAt = stage.startedAt || now;
+        stage.completedAt = now;
+      } else if (index === stageIndex) {
+        stage.startedAt = stage.startedAt || now;
+        stage.percent = Math.round(stageFraction * 100);
+        stage.status = stageFraction >= 1 ? 'completed' : 'running';
+        stage.completedAt = stageFraction >= 1 ? now : null;
+      }
+    });
+
+    // Overall percentage, weighted by stage
+    const percent = ExtractionJob.STAGES.reduce((total, stage, index) => {
+      if (index < stageIndex) return total + stage.weight;
+      if (index === stageIndex) return total + stage.weight * stageFraction;
+      return total;
+    }, 0);
+
+    // Stay below 100% until the job has actually completed
+    job.percent = job.status === 'completed' ? 100 : Math.min(99, Math.round(percent));
+    job.stage = stageName;
+    job.message = message || ExtractionJob.STAGES[stageIndex].label;
+
+    this.persist(job);
+  }
+
+  /**
+   * Mark a job as failed
+   * @param {Object} job - The extraction job document
+   * @param {string} errorMessage - The error message
+   */
+  failJob(job, errorMessage) {
+    const now = new Date();
+
+    job.stages.forEach(stage => {
+      if (stage.status === 'running') {
+        stage.status = 'failed';
+        stage.completedAt = now;
+      }
+    });
+
+    job.status = 'failed';
+    job.error = errorMessage;
+    job.message = 'Extraction failed';
+    job.completedAt = now;
+
+    this.persist(job);
+  }
+
+  /**
+   * Save a job and notify its listeners
+   * Writes are chained per job so they reach the database in order
+   * @param {Object} job - The extraction job document
+   */
+  persist(job) {
+    const jobId = job._id.toString();
+    job.updatedAt = new Date();
+
+    const snapshot = this.getJobSnapshot(job);
+    if (this.activeJobs.has(jobId)) {
+      this.latestSnapshots.set(jobId, snapshot);
+    }
+    this.events.emit(jobId, snapshot);
+
+    const update = {
+      status: snapshot.status,
+      stage: snapshot.stage,
+      percent: snapshot.percent,
+      message: snapshot.message,
+      stages: snapshot.stages,
+      designSystemId: snapshot.designSystemId,
+      report: snapshot.report,
+      metrics: snapshot.metrics,
+      error: snapshot.error,
+      updatedAt: snapshot.updatedAt,
+      completedAt: snapshot.completedAt
+    };
+
+    const previousWrite = this.pendingWrites.get(jobId) || Promise.resolve();
+    const write = previousWrite
+      .then(() => ExtractionJob.updateOne({ _id: job._id }, { $set: update }))
+      .catch(error => {
+        console.error(`Error saving extraction job ${jobId}:`, error.message);
+      });
+
+    this.pendingWrites.set(jobId, write);
+    write.then(() => {
+      if (this.pendingWrites.get(jobId) === write) {
+        this.pendingWrites.delete(jobId);
+      }
+    });
+  }
+
+  /**
+   * Get a job by ID
+   * Jobs left unfinished by a previous server process are marked as failed
+   * @param {string} jobId - The job ID
+   * @returns {Promise<Object|null>} The job or null if not found
+   */
+  async getJob(jobId) {
+    let job = await ExtractionJob.findById(jobId);
+
+    if (job && !this.isFinished(job) && !this.activeJobs.has(jobId)) {
+      // The job may have finished in this process while it was being read;
+      // its last write has landed by the time it stops being active
+      job = await ExtractionJob.findById(jobId);
+    }
+
+    if (job && !this.isFinished(job) && !this.activeJobs.has(jobId)) {
+      this.failJob(job, 'Extraction was interrupted. Please start it again.');
+      await this.pendingWrites.get(jobId);
+    }
+
+    return job;
+  }
+
+  /**
+   * Get the most recent state of a job
+   * Jobs running in this process are ahead of the database, so their last broadcast snapshot is used
+   * @param {Object} job - The extraction job document
+   * @returns {Object} The job snapshot
+   */
+  getLatestSnapshot(job) {
+    return this.latestSnapshots.get(job._id.toString()) || this.getJobSnapshot(job);
+  }
+
+  /**
+   * Listen to the progress of a job
+   * @param {string} jobId - The job ID
+   * @param {Function} listener - Called with a job snapshot on every update
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(jobId, listener) {
+    this.events.on(jobId, listener);
+    return () => this.events.off(jobId, listener);
+  }
+
+  /**
+   * Check whether a job has completed or failed
+   * @param {Object} job - The job document or snapshot
+   * @returns {boolean} Whether the job is finished
+   */
+  isFinished(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Get a plain representation of a job for API responses and events
+   * @param {Object} job - The extraction job document
+   * @returns {Object} The job snapshot
+   */
+  getJobSnapshot(job) {
+    return {
+      id: job._id.toString(),
+      fileKey: job.fileKey,
+      status: job.status,
+      stage: job.stage,
+      percent: job.percent,
+      message: job.message,
+      stages: job.stages.map(stage => ({
+        name: stage.name,
+        label: stage.label,
+        status: stage.status,
+        percent: stage.percent,
+        startedAt: stage.startedAt,
+        completedAt: stage.completedAt
+      })),
+      designSystemId: job.designSystemId ? job.designSystemId.toString() : null,
+      report: job.report,
+      metrics: job.metrics,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt
+    };
+  }
+}
+
+module.exports = new ExtractionJobRunner();
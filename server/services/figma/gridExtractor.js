@@ -0,0 +1,265 @@
+// server/services/figma/gridExtractor.js
+
+// Frame name patterns used to infer breakpoints, smallest first
+const BREAKPOINT_PATTERNS = [
+  ['mobile', /\b(mobile|phone|iphone|android)\b/i],
+  ['tablet', /\b(tablet|ipad)\b/i],
+  ['laptop', /\b(laptop|notebook)\b/i],
+  ['desktop', /\b(desktop|web)\b/i],
+  ['wide', /\b(wide|widescreen|large desktop)\b/i]
+];
+
+// Figma layout grid alignment → CSS-friendly name
+const GRID_ALIGNMENTS = {
+  MIN: 'start',
+  CENTER: 'center',
+  MAX: 'end',
+  STRETCH: 'stretch'
+};
+
+class LayoutGridExtractor {
+  /**
+   * @param {FigmaApiService} figmaApi - Figma API client for the current user
+   */
+  constructor(figmaApi) {
+    this.figmaApi = figmaApi;
+  }
+
+  /**
+   * Extract layout grid and breakpoint tokens from a Figma file
+   * @param {string} fileKey - The Figma file key
+   * @param {Object} fileData - The complete file data
+   * @param {Object} stylesData - The styles data
+   * @returns {Promise<Object>} The extracted tokens ({ grids, breakpoints })
+   */
+  async extractLayoutTokens(fileKey, fileData, stylesData) {
+    const frames = this.getTopLevelFrames(fileData.document);
+    console.log('Found top-level frames:', frames.length);
+
+    const grids = await this.extractGridTokens(fileKey, frames, stylesData);
+    const breakpoints = this.extractBreakpointTokens(frames);
+
+    console.log(`Extracted ${Object.keys(grids).length} grid and ${Object.keys(breakpoints).length} breakpoint tokens`);
+    return { grids, breakpoints };
+  }
+
+  /**
+   * Extract grid tokens from GRID styles, falling back to the grids of top-level frames
+   * @param {string} fileKey - The Figma file key
+   * @param {Array} frames - Top-level frames
+   * @param {Object} stylesData - The styles data
+   * @returns {Promise<Object>} The extracted grid tokens
+   */
+  async extractGridTokens(fileKey, frames, stylesData) {
+    console.log('Extracting grid tokens...');
+    const gridTokens = {};
+
+    const gridStyles = (stylesData.styles || []).filter(style =>
+      style.style_type === 'GRID'
+    );
+    console.log('Found grid styles:', gridStyles.length);
+
+    if (gridStyles.length > 0) {
+      console.log('Fetching node data for grid styles...');
+      const nodesData = await this.figmaApi.getNodes(fileKey, gridStyles.map(style => style.node_id));
+
+      for (const style of gridStyles) {
+        const nodeData = nodesData.nodes[style.node_id];
+        if (!nodeData || !nodeData.document) {
+          console.log(`No node data found for style: ${style.name} (${style.node_id})`);
+          continue;
+        }
+
+        const gridToken = this.createGridToken(nodeData.document.layoutGrids);
+        if (gridToken) {
+          gridTokens[this.formatTokenKey(style.name)] = {
+            ...gridToken,
+            description: style.description || '',
+            styleKey: style.key,
+            name: style.name
+          };
+        }
+      }
+    }
+
+    if (Object.keys(gridTokens).length > 0) {
+      return gridTokens;
+    }
+
+    // Fall back to the grids set on top-level frames, one token per distinct grid
+    console.log('No grid styles found, reading layout grids from top-level frames...');
+    const seen = new Set();
+
+    for (const frame of frames) {
+      const gridToken = this.createGridToken(frame.layoutGrids);
+      if (!gridToken) continue;
+
+      const signature = JSON.stringify([gridToken.columns, gridToken.rows, gridToken.baseline]);
+      if (seen.has(signature)) continue;
+      seen.add(signature);
+
+      gridTokens[this.getUniqueKey(gridTokens, this.formatTokenKey(frame.name))] = {
+        ...gridToken,
+        frameWidth: `${Math.round(frame.absoluteBoundingBox.width)}px`,
+        description: `Layout grid of frame "${frame.name}"`,
+        name: frame.name
+      };
+    }
+
+    return gridTokens;
+  }
+
+  /**
+   * Infer breakpoints from the widths of top-level frames named like Mobile/Tablet/Desktop
+   * When several frames share a label, the most common width wins
+   * @param {Array} frames - Top-level frames
+   * @returns {Object} The extracted breakpoint tokens, smallest first
+   */
+  extractBreakpointTokens(frames) {
+    console.log('Extracting breakpoint tokens...');
+    const widthsByLabel = {};
+
+    for (const frame of frames) {
+      const match = BREAKPOINT_PATTERNS.find(([, pattern]) => pattern.test(frame.name));
+      if (!match) continue;
+
+      const [label] = match;
+      const width = Math.round(frame.absoluteBoundingBox.width);
+      if (!widthsByLabel[label]) widthsByLabel[label] = { counts: new Map(), frames: [] };
+
+      widthsByLabel[label].counts.set(width, (widthsByLabel[label].counts.get(width) || 0) + 1);
+      widthsByLabel[label].frames.push(frame);
+    }
+
+    const breakpoints = Object.entries(widthsByLabel).map(([label, { counts, frames: labelFrames }]) => {
+      const [width, frameCount] = [...counts.entries()]
+        .sort(([widthA, countA], [widthB, countB]) => countB - countA || widthA - widthB)[0];
+
+      // Use the grid of a frame at this width, if it has one
+      const gridFrame = labelFrames.find(frame =>
+        Math.round(frame.absoluteBoundingBox.width) === width && this.createGridToken(frame.layoutGrids)
+      );
+      const grid = gridFrame ? this.createGridToken(gridFrame.layoutGrids) : null;
+
+      return [label, {
+        value: `${width}px`,
+        width,
+        frameCount,
+        ...(grid ? { columns: grid.columns } : {}),
+        description: `Inferred from ${frameCount} ${label} frame${frameCount === 1 ? '' : 's'}`,
+        name: label.charAt(0).toUpperCase() + label.slice(1)
+      }];
+    });
+
+    return Object.fromEntries(breakpoints.sort(([, a], [, b]) => a.width - b.width));
+  }
+
+  /**
+   * Build a grid token from a node's layout grids
+   * @param {Array} layoutGrids - Figma layout grids
+   * @returns {Object|null} The grid token ({ columns, rows, baseline, value }) or null
+   */
+  createGridToken(layoutGrids) {
+    const visibleGrids = (layoutGrids || []).filter(grid => grid.visible !== false);
+    if (visibleGrids.length === 0) return null;
+
+    const columnGrid = visibleGrids.find(grid => grid.pattern === 'COLUMNS');
+    const rowGrid = visibleGrids.find(grid => grid.pattern === 'ROWS');
+    const baselineGrid = visibleGrids.find(grid => grid.pattern === 'GRID');
+
+    const columns = columnGrid ? this.formatTrack(columnGrid) : null;
+
+    return {
+      columns,
+      rows: rowGrid ? this.formatTrack(rowGrid) : null,
+      baseline: baselineGrid ? `${baselineGrid.sectionSize}px` : null,
+      value: columns ? this.getTemplateColumns(columns) : ''
+    };
+  }
+
+  /**
+   * Format a COLUMNS or ROWS layout grid
+   * @param {Object} grid - The Figma layout grid
+   * @returns {Object} { count, gutter, margin, alignment, size }
+   */
+  formatTrack(grid) {
+    const alignment = GRID_ALIGNMENTS[grid.alignment] || 'stretch';
+
+    return {
+      count: grid.count,
+      gutter: `${grid.gutterSize || 0}px`,
+      margin: `${alignment === 'center' ? 0 : grid.offset || 0}px`,
+      alignment,
+      // Fixed track size; stretch grids size their tracks from the frame width
+      size: alignment === 'stretch' ? null : `${grid.sectionSize}px`
+    };
+  }
+
+  /**
+   * Get the CSS grid-template-columns value for a column grid
+   * @param {Object} columns - Formatted column grid
+   * @returns {string} CSS value
+   */
+  getTemplateColumns(columns) {
+    const track = columns.size || 'minmax(0, 1fr)';
+    return `repeat(${columns.count}, ${track})`;
+  }
+
+  /**
+   * Get the frames directly on each page, including frames inside sections
+   * @param {Object} document - The document object
+   * @returns {Array} Top-level frames
+   */
+  getTopLevelFrames(document) {
+    const frames = [];
+
+    const collect = (nodes) => {
+      for (const node of nodes || []) {
+        if (node.type === 'FRAME' && node.absoluteBoundingBox) {
+          frames.push(node);
+        } else if (node.type === 'SECTION') {
+          collect(node.children);
+        }
+      }
+    };
+
+    for (const page of (document && document.children) || []) {
+      collect(page.children);
+    }
+
+    return frames;
+  }
+
+  /**
+   * Format a token key from a Figma name
+   * @param {string} name - The style or frame name
+   * @returns {string} camelCase key
+   */
+  formatTokenKey(name) {
+    const baseName = name.split('/').pop().trim();
+
+    return baseName
+      .replace(/\s+/g, '-')
+      .replace(/[^\w-]/g, '')
+      .replace(/-+(\w)/g, (_, c) => c.toUpperCase())
+      .replace(/^([A-Z])/, (_, c) => c.toLowerCase()) || 'grid';
+  }
+
+  /**
+   * Get a key that is not used yet by appending a number
+   * @param {Object} tokens - Existing tokens
+   * @param {string} key - The preferred key
+   * @returns {string} A unique key
+   */
+  getUniqueKey(tokens, key) {
+    let uniqueKey = key;
+    let suffix = 2;
+    while (tokens[uniqueKey]) {
+      uniqueKey = `${key}${suffix}`;
+      suffix++;
+    }
+    return uniqueKey;
+  }
+}
+
+module.exports = LayoutGridExtractor;
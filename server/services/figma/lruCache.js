@@ -0,0 +1,65 @@
+// server/services/figma/lruCache.js
+
+class LruCache {
+  /**
+   * In-memory cache that evicts the least recently used entries
+   * @param {number} maxEntries - Maximum number of entries to keep
+   */
+  constructor(maxEntries) {
+    this.maxEntries = Math.max(1, maxEntries);
+    // Map iteration order doubles as the recency order, oldest first
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value and mark it as recently used
+   * @param {string} key - The cache key
+   * @returns {*} The value, or undefined if not cached
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * Store a value, evicting the oldest entries when full
+   * @param {string} key - The cache key
+   * @param {*} value - The value to store
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove every entry whose key starts with a prefix
+   * @param {string} prefix - The key prefix
+   */
+  deletePrefix(prefix) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Number of cached entries
+   * @returns {number} The entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LruCache;
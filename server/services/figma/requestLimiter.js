@@ -0,0 +1,55 @@
+// server/services/figma/requestLimiter.js
+
+class RequestLimiter {
+  /**
+   * Limit how many tasks run at the same time
+   * @param {number} maxConcurrent - Maximum number of tasks running at once
+   */
+  constructor(maxConcurrent) {
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Run a task as soon as a slot is free
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} The task's result
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  /**
+   * Start queued tasks while there are free slots
+   * @private
+   */
+  next() {
+    while (this.active < this.maxConcurrent && this.queue.length > 0) {
+      const { task, resolve, reject } = this.queue.shift();
+      this.active++;
+
+      // Free the slot before settling, so callers see the limiter as idle
+      Promise.resolve()
+        .then(task)
+        .finally(() => {
+          this.active--;
+          this.next();
+        })
+        .then(resolve, reject);
+    }
+  }
+
+  /**
+   * Check whether no tasks are running or waiting
+   * @returns {boolean} Whether the limiter is idle
+   */
+  isIdle() {
+    return this.active === 0 && this.queue.length === 0;
+  }
+}
+
+module.exports = RequestLimiter;
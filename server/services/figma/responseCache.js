@@ -0,0 +1,168 @@
+// server/services/figma/responseCache.js
+const fs = require('fs').promises;
+const path = require('path');
+const figmaConfig = require('../../config/figma');
+const LruCache = require('./lruCache');
+
+/**
+ * Make a value safe to use as a single path segment
+ * @param {string} value - The value (file key, version or node ID)
+ * @returns {string} The encoded value
+ */
+const toPathSegment = (value) => encodeURIComponent(String(value)).replace(/\./g, '%2E');
+
+class FigmaResponseCache {
+  /**
+   * Cache for Figma file and node payloads, keyed by file key and file version
+   * Payloads are shared between extractions, so callers must treat them as read-only.
+   * Access is still checked on every extraction: the version lookup that produces
+   * the cache key is made with the caller's own token.
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.maxFiles] - Maximum number of file documents kept in memory
+   * @param {number} [options.maxNodes] - Maximum number of nodes kept in memory
+   * @param {string} [options.dir] - Directory for the on-disk store (disabled when empty)
+   */
+  constructor(options = figmaConfig.cache) {
+    this.memory = {
+      files: new LruCache(options.maxFiles),
+      nodes: new LruCache(options.maxNodes)
+    };
+    this.dir = options.dir || null;
+
+    // Latest version seen per file, so older versions can be dropped
+    this.latestVersions = new Map();
+  }
+
+  /**
+   * Get a cached payload
+   * @param {string} namespace - 'files' or 'nodes'
+   * @param {string} fileKey - The Figma file key
+   * @param {string} versionKey - The file version key
+   * @param {string} [id] - The node ID (nodes only)
+   * @returns {Promise<Object|null>} { value, source } where source is 'memory' or 'disk', or null on a miss
+   */
+  async get(namespace, fileKey, versionKey, id = '') {
+    const key = this.getKey(fileKey, versionKey, id);
+    const value = this.memory[namespace].get(key);
+
+    if (value !== undefined) {
+      return { value, source: 'memory' };
+    }
+
+    if (!this.dir) {
+      return null;
+    }
+
+    try {
+      const contents = await fs.readFile(this.getDiskPath(namespace, fileKey, versionKey, id), 'utf8');
+      const diskValue = JSON.parse(contents);
+      this.memory[namespace].set(key, diskValue);
+      return { value: diskValue, source: 'disk' };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Error reading Figma cache entry ${key}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Store a payload in memory and, when enabled, on disk
+   * @param {string} namespace - 'files' or 'nodes'
+   * @param {string} fileKey - The Figma file key
+   * @param {string} versionKey - The file version key
+   * @param {string} id - The node ID (empty for files)
+   * @param {Object} value - The payload
+   * @returns {Promise<void>}
+   */
+  async set(namespace, fileKey, versionKey, id, value) {
+    await this.dropOlderVersions(fileKey, versionKey);
+    this.memory[namespace].set(this.getKey(fileKey, versionKey, id), value);
+
+    if (!this.dir) {
+      return;
+    }
+
+    const filePath = this.getDiskPath(namespace, fileKey, versionKey, id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      // Write then rename, so readers never see a partial file
+      await fs.writeFile(tempPath, JSON.stringify(value));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      console.warn(`Error writing Figma cache entry ${this.getKey(fileKey, versionKey, id)}:`, error.message);
+    }
+  }
+
+  /**
+   * Forget cached payloads of other versions of a file once a new version shows up
+   * @param {string} fileKey - The Figma file key
+   * @param {string} versionKey - The current file version key
+   * @returns {Promise<void>}
+   */
+  async dropOlderVersions(fileKey, versionKey) {
+    const previousVersion = this.latestVersions.get(fileKey);
+    if (previousVersion === versionKey) {
+      return;
+    }
+    this.latestVersions.set(fileKey, versionKey);
+
+    if (previousVersion) {
+      console.log(`Figma file ${fileKey} changed, dropping cached version ${previousVersion}`);
+      const previousPrefix = this.getKey(fileKey, previousVersion);
+      this.memory.files.deletePrefix(previousPrefix);
+      this.memory.nodes.deletePrefix(previousPrefix);
+    }
+
+    if (!this.dir) {
+      return;
+    }
+
+    // The disk may also hold versions written before the server restarted
+    const fileDir = path.join(this.dir, toPathSegment(fileKey));
+    try {
+      const versionDirs = await fs.readdir(fileDir);
+      await Promise.all(versionDirs
+        .filter(versionDir => versionDir !== toPathSegment(versionKey))
+        .map(versionDir => fs.rm(path.join(fileDir, versionDir), { recursive: true, force: true })));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Error removing cached versions of ${fileKey}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Get the in-memory key of a payload
+   * @param {string} fileKey - The Figma file key
+   * @param {string} versionKey - The file version key
+   * @param {string} [id] - The node ID
+   * @returns {string} The cache key
+   */
+  getKey(fileKey, versionKey, id = '') {
+    return `${fileKey}@${versionKey}#${id}`;
+  }
+
+  /**
+   * Get the on-disk path of a payload
+   * @param {string} namespace - 'files' or 'nodes'
+   * @param {string} fileKey - The Figma file key
+   * @param {string} versionKey - The file version key
+   * @param {string} [id] - The node ID
+   * @returns {string} The file path
+   */
+  getDiskPath(namespace, fileKey, versionKey, id = '') {
+    return path.join(
+      this.dir,
+      toPathSegment(fileKey),
+      toPathSegment(versionKey),
+      namespace,
+      `${toPathSegment(id || 'document')}.json`
+    );
+  }
+}
+
+// Shared by every Figma API client
+module.exports = new FigmaResponseCache();
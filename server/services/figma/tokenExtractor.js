@@ -1,60 +1,347 @@
 // server/services/figma/tokenExtractor.js
 const tinycolor = require('tinycolor2');
-const figmaApiService = require('./apiService');
+const LayoutGridExtractor = require('./gridExtractor');
+const { CATEGORY_ALIASES } = require('../../utils/tokenUtils');
+const { GRADIENT_TYPES, isGradientPaint, getGradientStops, figmaGradientToCss } = require('../../utils/gradientUtils');
 
 class DesignTokenExtractor {
+  /**
+   * @param {FigmaApiService} figmaApi - Figma API client for the current user
+   */
+  constructor(figmaApi) {
+    this.figmaApi = figmaApi;
+    this.gridExtractor = new LayoutGridExtractor(figmaApi);
+  }
+
   /**
    * Extract all design tokens from a Figma file
    * @param {string} fileKey - The Figma file key
+   * @param {Object} [options] - Extraction options
+   * @param {Object} [options.fileData] - Already fetched file data, to avoid fetching it again
+   * @param {Function} [options.onProgress] - Called with (stage, fraction, message) as token categories finish
    * @returns {Promise<Object>} The extracted design tokens
    */
-  async extractDesignTokens(fileKey) {
+  async extractDesignTokens(fileKey, options = {}) {
+    const { onProgress } = options;
+    
+    // Styles metadata, variables and one step per token extractor
+    const totalSteps = 12;
+    let completedSteps = 0;
+    const reportStep = (message) => {
+      completedSteps++;
+      if (onProgress) onProgress('styles', completedSteps / totalSteps, message);
+    };
+    
     try {
       console.log('Starting design token extraction from file:', fileKey);
       
       // Get file data 
-      const fileData = await figmaApiService.getFile(fileKey);
+      const fileData = options.fileData || await this.figmaApi.getFile(fileKey);
       console.log('File data retrieved:', fileData.name);
       
       // Get styles metadata using the dedicated endpoint
-      const stylesData = await figmaApiService.getFileStyles(fileKey);
+      const stylesData = await this.figmaApi.getFileStyles(fileKey);
       console.log('Styles data retrieved:', stylesData.styles?.length || 0, 'styles found');
+      reportStep('Styles metadata retrieved');
+      
+      // Extract tokens from local variables (including every mode of each collection)
+      const variableTokens = await this.extractVariableTokens(fileKey);
+      reportStep('Variables extracted');
+      const hasColorStyles = (stylesData.styles || []).some(style => style.style_type === 'FILL');
       
       // Extract different token types
-      const colorTokens = await this.extractColorTokens(fileKey, fileData, stylesData);
+      // When variables define the palette and there are no color styles,
+      // skip the document scan so raw fills don't drown out the variables
+      const styleColorTokens = Object.keys(variableTokens.colors).length > 0 && !hasColorStyles
+        ? {}
+        : await this.extractColorTokens(fileKey, fileData, stylesData);
+      const colorTokens = this.mergeTokens(styleColorTokens, variableTokens.colors);
+      reportStep('Color tokens extracted');
+      const gradientTokens = await this.extractGradientTokens(fileKey, fileData, stylesData);
+      reportStep('Gradient tokens extracted');
       const typographyTokens = await this.extractTypographyTokens(fileKey, fileData, stylesData);
-      const spacingTokens = await this.extractSpacingTokens(fileKey, fileData);
+      reportStep('Typography tokens extracted');
+      const spacingTokens = this.mergeTokens(
+        await this.extractSpacingTokens(fileKey, fileData),
+        variableTokens.spacing
+      );
+      reportStep('Spacing tokens extracted');
       const shadowTokens = await this.extractShadowTokens(fileKey, fileData, stylesData);
+      reportStep('Shadow tokens extracted');
       const borderTokens = await this.extractBorderTokens(fileKey, fileData, stylesData);
+      reportStep('Border tokens extracted');
+      const radiusTokens = this.mergeTokens(
+        Object.keys(variableTokens.radii).length > 0 ? {} : await this.extractRadiusTokens(fileData),
+        variableTokens.radii
+      );
+      reportStep('Radius tokens extracted');
+      const opacityTokens = this.mergeTokens(
+        Object.keys(variableTokens.opacity).length > 0 ? {} : await this.extractOpacityTokens(fileData),
+        variableTokens.opacity
+      );
+      reportStep('Opacity tokens extracted');
+      const blurTokens = await this.extractBlurTokens(fileKey, fileData, stylesData);
+      reportStep('Blur tokens extracted');
+      const { grids: gridTokens, breakpoints: breakpointTokens } = await this.gridExtractor.extractLayoutTokens(fileKey, fileData, stylesData);
+      reportStep('Grid and breakpoint tokens extracted');
       
       // Log results
       console.log('Extracted tokens:', {
         colors: Object.keys(colorTokens).length,
+        gradients: Object.keys(gradientTokens).length,
         typography: Object.keys(typographyTokens).length,
         spacing: Object.keys(spacingTokens).length,
         shadows: Object.keys(shadowTokens).length,
-        borders: Object.keys(borderTokens).length
+        borders: Object.keys(borderTokens).length,
+        radii: Object.keys(radiusTokens).length,
+        opacity: Object.keys(opacityTokens).length,
+        blur: Object.keys(blurTokens).length,
+        grids: Object.keys(gridTokens).length,
+        breakpoints: Object.keys(breakpointTokens).length
       });
       
       // Combine all token types
       return {
         colors: colorTokens,
+        gradients: gradientTokens,
         typography: typographyTokens,
         spacing: spacingTokens,
         shadows: shadowTokens,
         borders: borderTokens,
+        radii: radiusTokens,
+        opacity: opacityTokens,
+        blur: blurTokens,
+        grids: gridTokens,
+        breakpoints: breakpointTokens
       };
     } catch (error) {
       console.error('Error extracting design tokens:', error);
       // Return empty token collections instead of throwing
       return {
         colors: {},
+        gradients: {},
         typography: {},
         spacing: {},
         shadows: {},
-        borders: {}
+        borders: {},
+        radii: {},
+        opacity: {},
+        blur: {},
+        grids: {},
+        breakpoints: {}
+      };
+    }
+  }
+
+  /**
+   * Extract color, spacing, radius and opacity tokens from the file's local variables
+   * Aliases are resolved and every mode of a collection is stored on the token
+   * @param {string} fileKey - The Figma file key
+   * @returns {Promise<Object>} The extracted tokens ({ colors, spacing, radii, opacity })
+   */
+  async extractVariableTokens(fileKey) {
+    console.log('Extracting variable tokens...');
+    const variableTokens = { colors: {}, spacing: {}, radii: {}, opacity: {} };
+    
+    const variablesData = await this.figmaApi.getLocalVariables(fileKey);
+    const variables = variablesData.meta?.variables || {};
+    const collections = variablesData.meta?.variableCollections || {};
+    
+    for (const variable of Object.values(variables)) {
+      // Remote variables are only used to resolve aliases
+      if (variable.remote || variable.deletedButReferenced) continue;
+      
+      const collection = collections[variable.variableCollectionId];
+      if (!collection || !collection.modes || collection.modes.length === 0) continue;
+      
+      const category = this.getVariableCategory(variable);
+      if (!category) continue;
+      
+      const defaultMode = collection.modes.find(mode => mode.modeId === collection.defaultModeId) || collection.modes[0];
+      const modes = {};
+      
+      for (const mode of collection.modes) {
+        const value = this.resolveVariableValue(variable.valuesByMode[mode.modeId], mode.name, variables, collections);
+        if (value === null) continue;
+        
+        modes[mode.name] = this.formatVariableValue(category, value);
+      }
+      
+      const defaultValue = modes[defaultMode.name] || Object.values(modes)[0];
+      if (!defaultValue) {
+        console.log(`Could not resolve variable: ${variable.name}`);
+        continue;
+      }
+      
+      const token = {
+        ...defaultValue,
+        description: variable.description || '',
+        name: variable.name,
+        variableId: variable.id,
+        collection: collection.name,
+        defaultMode: defaultMode.name,
+        modes
       };
+      
+      const aliasTarget = variable.valuesByMode[defaultMode.modeId];
+      if (aliasTarget && aliasTarget.type === 'VARIABLE_ALIAS' && variables[aliasTarget.id]) {
+        token.aliasOf = variables[aliasTarget.id].name;
+      }
+      
+      const tokenName = this.getUniqueTokenName(variableTokens[category], variable.name);
+      variableTokens[category][tokenName] = token;
+      console.log(`Extracted ${category} variable: ${tokenName} (${Object.keys(modes).join(', ')})`);
+    }
+    
+    console.log('Extracted variables:', Object.fromEntries(
+      Object.entries(variableTokens).map(([category, tokens]) => [category, Object.keys(tokens).length])
+    ));
+    return variableTokens;
+  }
+
+  /**
+   * Decide which token category a variable belongs to
+   * @param {Object} variable - The Figma variable
+   * @returns {string|null} The category or null if the variable is not a supported token
+   */
+  getVariableCategory(variable) {
+    if (variable.resolvedType === 'COLOR') {
+      return 'colors';
+    }
+    
+    if (variable.resolvedType === 'FLOAT') {
+      const scopes = variable.scopes || [];
+      const rootGroup = variable.name.split('/')[0].trim().toLowerCase();
+      
+      if (scopes.includes('GAP') || CATEGORY_ALIASES.spacing.includes(rootGroup)) {
+        return 'spacing';
+      }
+      
+      if (scopes.includes('CORNER_RADIUS') || CATEGORY_ALIASES.radii.includes(rootGroup)) {
+        return 'radii';
+      }
+      
+      if (scopes.includes('OPACITY') || CATEGORY_ALIASES.opacity.includes(rootGroup)) {
+        return 'opacity';
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Resolve a variable value, following aliases to other variables
+   * An alias resolves in the mode with the same name in the target collection,
+   * falling back to that collection's default mode
+   * @param {*} value - The raw value from valuesByMode
+   * @param {string} modeName - The mode being resolved
+   * @param {Object} variables - All variables by ID
+   * @param {Object} collections - All variable collections by ID
+   * @param {Set} [visited] - Variable IDs already followed (cycle guard)
+   * @returns {*} The resolved value or null if it can't be resolved
+   */
+  resolveVariableValue(value, modeName, variables, collections, visited = new Set()) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    
+    if (typeof value !== 'object' || value.type !== 'VARIABLE_ALIAS') {
+      return value;
+    }
+    
+    if (visited.has(value.id)) {
+      console.log(`Circular variable alias detected: ${value.id}`);
+      return null;
     }
+    visited.add(value.id);
+    
+    const target = variables[value.id];
+    const collection = target && collections[target.variableCollectionId];
+    if (!collection) {
+      return null;
+    }
+    
+    const mode = collection.modes.find(m => m.name === modeName) ||
+      collection.modes.find(m => m.modeId === collection.defaultModeId) ||
+      collection.modes[0];
+    
+    return this.resolveVariableValue(target.valuesByMode[mode.modeId], modeName, variables, collections, visited);
+  }
+
+  /**
+   * Format a resolved variable value for a token category
+   * @param {string} category - The token category
+   * @param {*} value - The resolved value
+   * @returns {Object} The token value fields
+   */
+  formatVariableValue(category, value) {
+    switch (category) {
+      case 'colors':
+        return this.formatVariableColor(value);
+      case 'opacity':
+        // Opacity variables are percentages in Figma
+        return { value: Math.round(value) / 100 };
+      default:
+        return { value: `${Math.round(value * 100) / 100}px` };
+    }
+  }
+
+  /**
+   * Format a Figma variable color ({ r, g, b, a } in 0-1)
+   * @param {Object} value - The color value
+   * @returns {Object} { hex, rgba, value }
+   */
+  formatVariableColor(value) {
+    const color = tinycolor({
+      r: Math.round(value.r * 255),
+      g: Math.round(value.g * 255),
+      b: Math.round(value.b * 255),
+      a: value.a === undefined ? 1 : value.a
+    });
+    
+    return {
+      hex: color.toHexString(),
+      rgba: color.toRgbString(),
+      value: color.toRgbString()
+    };
+  }
+
+  /**
+   * Merge variable tokens into style tokens without overwriting existing keys
+   * @param {Object} styleTokens - Tokens extracted from styles or the document
+   * @param {Object} variableTokens - Tokens extracted from variables
+   * @returns {Object} The merged tokens
+   */
+  mergeTokens(styleTokens, variableTokens) {
+    const merged = { ...styleTokens };
+    
+    for (const token of Object.values(variableTokens)) {
+      merged[this.getUniqueTokenName(merged, token.name)] = token;
+    }
+    
+    return merged;
+  }
+
+  /**
+   * Get a token name that is not used yet, falling back to the full path
+   * and then a numeric suffix (e.g. "primary/500" and "secondary/500")
+   * @param {Object} tokens - The tokens the name will be added to
+   * @param {string} name - The Figma name
+   * @returns {string} The token name
+   */
+  getUniqueTokenName(tokens, name) {
+    const shortName = this.formatTokenName(name);
+    if (!tokens[shortName]) return shortName;
+    
+    const fullName = this.formatTokenName(name.split('/').join(' '));
+    let tokenName = fullName;
+    let suffix = 2;
+    while (tokens[tokenName]) {
+      tokenName = `${fullName}${suffix}`;
+      suffix++;
+    }
+    
+    return tokenName;
   }
 
   /**
@@ -89,7 +376,7 @@ class DesignTokenExtractor {
     
     // Get node data for all style nodes
     console.log('Fetching node data for color styles...');
-    const nodesData = await figmaApiService.getNodes(fileKey, styleNodeIds);
+    const nodesData = await this.figmaApi.getNodes(fileKey, styleNodeIds);
     
     // Process each color style
     for (const style of colorStyles) {
@@ -125,6 +412,7 @@ class DesignTokenExtractor {
             rgba: color.toRgbString(),
             value: color.toRgbString(),
             description: style.description || '',
+            styleKey: style.key,
             name: style.name
           };
           
@@ -226,6 +514,124 @@ class DesignTokenExtractor {
     return colorTokens;
   }
 
+  /**
+   * Extract gradient tokens from fill styles
+   * @param {string} fileKey - The Figma file key
+   * @param {Object} fileData - The complete file data
+   * @param {Object} stylesData - The styles data
+   * @returns {Object} The extracted gradient tokens
+   */
+  async extractGradientTokens(fileKey, fileData, stylesData) {
+    console.log('Extracting gradient tokens...');
+    const gradientTokens = {};
+    
+    if (!stylesData.styles || stylesData.styles.length === 0) {
+      console.log('No styles found in stylesData, falling back to document scan');
+      return this.extractGradientsFromDocument(fileData.document);
+    }
+    
+    // Gradients are FILL styles, like solid colors
+    const fillStyles = stylesData.styles.filter(style => 
+      style.style_type === 'FILL'
+    );
+    
+    if (fillStyles.length === 0) {
+      return this.extractGradientsFromDocument(fileData.document);
+    }
+    
+    // Get node data for all style nodes
+    console.log('Fetching node data for gradient styles...');
+    const nodesData = await this.figmaApi.getNodes(fileKey, fillStyles.map(style => style.node_id));
+    
+    for (const style of fillStyles) {
+      const nodeData = nodesData.nodes[style.node_id];
+      if (!nodeData || !nodeData.document) {
+        continue;
+      }
+      
+      const fill = (nodeData.document.fills || []).find(isGradientPaint);
+      if (fill) {
+        const tokenName = this.formatTokenName(style.name);
+        gradientTokens[tokenName] = {
+          ...this.createGradientToken(fill),
+          description: style.description || '',
+          styleKey: style.key,
+          name: style.name
+        };
+        
+        console.log(`Extracted gradient token: ${tokenName} = ${gradientTokens[tokenName].value}`);
+      }
+    }
+    
+    console.log(`Extracted ${Object.keys(gradientTokens).length} gradient tokens`);
+    
+    // If no gradient tokens found using styles, try alternative method
+    if (Object.keys(gradientTokens).length === 0) {
+      console.log('No gradient tokens found using styles, trying alternative method...');
+      return this.extractGradientsFromDocument(fileData.document);
+    }
+    
+    return gradientTokens;
+  }
+
+  /**
+   * Extract gradients directly from the document structure
+   * @param {Object} document - The document object
+   * @returns {Object} The extracted gradient tokens
+   */
+  async extractGradientsFromDocument(document) {
+    console.log('Using alternative gradient extraction method...');
+    
+    const gradientSet = new Map();
+    const gradientTokens = {};
+    
+    const gradientNodes = this.findNodesByPattern(document, node => 
+      Array.isArray(node.fills) && node.fills.some(isGradientPaint)
+    );
+    
+    for (const node of gradientNodes) {
+      for (const fill of node.fills.filter(isGradientPaint)) {
+        const gradientToken = this.createGradientToken(fill);
+        
+        // Only add if not already in the set
+        if (!gradientSet.has(gradientToken.value)) {
+          gradientSet.set(gradientToken.value, { gradientToken, nodeName: node.name });
+        }
+      }
+    }
+    
+    // Convert map to tokens
+    let index = 1;
+    for (const { gradientToken, nodeName } of gradientSet.values()) {
+      // Use node name if it looks like a token name, otherwise generate a name
+      const tokenName = nodeName.includes('/') ? this.formatTokenName(nodeName) : `gradient${index}`;
+      
+      gradientTokens[tokenName] = {
+        ...gradientToken,
+        name: nodeName,
+        description: `Auto-extracted gradient ${index}`
+      };
+      
+      index++;
+    }
+    
+    console.log(`Alternative method found ${Object.keys(gradientTokens).length} gradients`);
+    return gradientTokens;
+  }
+
+  /**
+   * Create a gradient token from a Figma gradient paint
+   * @param {Object} paint - The gradient paint
+   * @returns {Object} The gradient token ({ type, stops, value })
+   */
+  createGradientToken(paint) {
+    return {
+      type: GRADIENT_TYPES[paint.type],
+      stops: getGradientStops(paint),
+      value: figmaGradientToCss(paint)
+    };
+  }
+
   /**
    * Extract typography tokens from styles
    * @param {string} fileKey - The Figma file key
@@ -258,7 +664,7 @@ class DesignTokenExtractor {
     
     // Get node data for all style nodes
     console.log('Fetching node data for typography styles...');
-    const nodesData = await figmaApiService.getNodes(fileKey, styleNodeIds);
+    const nodesData = await this.figmaApi.getNodes(fileKey, styleNodeIds);
     
     // Process each text style
     for (const style of textStyles) {
@@ -288,6 +694,7 @@ class DesignTokenExtractor {
           textDecoration,
           value: `${fontWeight} ${fontSize}px/${this.formatLineHeight(lineHeight)} ${fontFamily}`,
           description: style.description || '',
+          styleKey: style.key,
           name: style.name
         };
         
@@ -519,7 +926,7 @@ class DesignTokenExtractor {
     
     // Get node data for all style nodes
     console.log('Fetching node data for effect styles...');
-    const nodesData = await figmaApiService.getNodes(fileKey, styleNodeIds);
+    const nodesData = await this.figmaApi.getNodes(fileKey, styleNodeIds);
     
     // Process each effect style
     for (const style of effectStyles) {
@@ -559,6 +966,7 @@ class DesignTokenExtractor {
             }),
             value: this.formatShadowValue(shadowEffects),
             description: style.description || '',
+            styleKey: style.key,
             name: style.name
           };
           
@@ -674,9 +1082,9 @@ class DesignTokenExtractor {
       return this.extractBordersFromDocument(fileData.document);
     }
     
-    // Filter border styles (STROKE type)
+    // Filter border styles (STROKE type); GRID styles are handled by the grid extractor
     const strokeStyles = stylesData.styles.filter(style => 
-      style.style_type === 'STROKE' || style.style_type === 'GRID'
+      style.style_type === 'STROKE'
     );
     console.log('Found stroke styles:', strokeStyles.length);
     
@@ -690,7 +1098,7 @@ class DesignTokenExtractor {
     
     // Get node data for all style nodes
     console.log('Fetching node data for stroke styles...');
-    const nodesData = await figmaApiService.getNodes(fileKey, styleNodeIds);
+    const nodesData = await this.figmaApi.getNodes(fileKey, styleNodeIds);
     
     // Process each stroke style
     for (const style of strokeStyles) {
@@ -725,6 +1133,7 @@ class DesignTokenExtractor {
             align: strokeAlign?.toLowerCase() || 'center',
             value: `${strokeWeight}px ${strokeDashes && strokeDashes.length > 0 ? 'dashed' : 'solid'} ${color}`,
             description: style.description || '',
+            styleKey: style.key,
             name: style.name
           };
           
@@ -824,6 +1233,282 @@ class DesignTokenExtractor {
     return borderTokens;
   }
 
+  /**
+   * Extract corner radius tokens from nodes named after radius tokens
+   * (e.g. "Radius/md"), falling back to the most frequent radii in the document
+   * @param {Object} fileData - The complete file data
+   * @returns {Object} The extracted radius tokens
+   */
+  async extractRadiusTokens(fileData) {
+    console.log('Extracting radius tokens...');
+    const radiusTokens = {};
+    
+    const radiusNodes = this.findNodesByPattern(fileData.document, node => 
+      this.isNamedToken(node, 'radii') && this.getCornerRadius(node) !== null
+    );
+    
+    for (const node of radiusNodes) {
+      const tokenName = this.formatTokenName(node.name);
+      radiusTokens[tokenName] = {
+        value: this.getCornerRadius(node),
+        description: node.description || '',
+        name: node.name
+      };
+      
+      console.log(`Extracted radius token: ${tokenName} = ${radiusTokens[tokenName].value}`);
+    }
+    
+    if (Object.keys(radiusTokens).length === 0) {
+      console.log('No named radius tokens found, analysing radius frequency...');
+      return this.extractRadiiFromDocument(fileData.document);
+    }
+    
+    return radiusTokens;
+  }
+
+  /**
+   * Extract the corner radii used repeatedly across the document
+   * @param {Object} document - The document object
+   * @returns {Object} The extracted radius tokens
+   */
+  async extractRadiiFromDocument(document) {
+    const frequencies = this.countValues(document, node => this.getCornerRadius(node));
+    const radiusTokens = {};
+    
+    for (const [value, count] of frequencies) {
+      // Map keys can't contain dots, e.g. "2.5px 0px" → "radius2_5_0"
+      const tokenName = `radius${value.replace(/px/g, '').replace(/[\s.]+/g, '_')}`;
+      radiusTokens[tokenName] = {
+        value,
+        usage: count,
+        name: tokenName,
+        description: `Auto-extracted radius used ${count} times`
+      };
+    }
+    
+    console.log(`Frequency analysis found ${Object.keys(radiusTokens).length} radius tokens`);
+    return radiusTokens;
+  }
+
+  /**
+   * Extract opacity tokens from nodes named after opacity tokens
+   * (e.g. "Opacity/50"), falling back to the most frequent layer opacities
+   * @param {Object} fileData - The complete file data
+   * @returns {Object} The extracted opacity tokens
+   */
+  async extractOpacityTokens(fileData) {
+    console.log('Extracting opacity tokens...');
+    const opacityTokens = {};
+    
+    const opacityNodes = this.findNodesByPattern(fileData.document, node => 
+      this.isNamedToken(node, 'opacity') && typeof node.opacity === 'number'
+    );
+    
+    for (const node of opacityNodes) {
+      const tokenName = this.formatTokenName(node.name);
+      opacityTokens[tokenName] = {
+        value: Math.round(node.opacity * 100) / 100,
+        description: node.description || '',
+        name: node.name
+      };
+      
+      console.log(`Extracted opacity token: ${tokenName} = ${opacityTokens[tokenName].value}`);
+    }
+    
+    if (Object.keys(opacityTokens).length === 0) {
+      console.log('No named opacity tokens found, analysing opacity frequency...');
+      return this.extractOpacitiesFromDocument(fileData.document);
+    }
+    
+    return opacityTokens;
+  }
+
+  /**
+   * Extract the layer opacities used repeatedly across the document
+   * @param {Object} document - The document object
+   * @returns {Object} The extracted opacity tokens
+   */
+  async extractOpacitiesFromDocument(document) {
+    // Figma omits opacity for fully opaque layers
+    const frequencies = this.countValues(document, node => 
+      typeof node.opacity === 'number' && node.opacity < 1 ? `${Math.round(node.opacity * 100) / 100}` : null
+    );
+    const opacityTokens = {};
+    
+    for (const [value, count] of frequencies) {
+      const tokenName = `opacity${Math.round(parseFloat(value) * 100)}`;
+      opacityTokens[tokenName] = {
+        value: parseFloat(value),
+        usage: count,
+        name: tokenName,
+        description: `Auto-extracted opacity used ${count} times`
+      };
+    }
+    
+    console.log(`Frequency analysis found ${Object.keys(opacityTokens).length} opacity tokens`);
+    return opacityTokens;
+  }
+
+  /**
+   * Extract layer and background blur tokens from effect styles
+   * @param {string} fileKey - The Figma file key
+   * @param {Object} fileData - The complete file data
+   * @param {Object} stylesData - The styles data
+   * @returns {Object} The extracted blur tokens
+   */
+  async extractBlurTokens(fileKey, fileData, stylesData) {
+    console.log('Extracting blur tokens...');
+    const blurTokens = {};
+    
+    const effectStyles = (stylesData.styles || []).filter(style => 
+      style.style_type === 'EFFECT'
+    );
+    
+    if (effectStyles.length === 0) {
+      console.log('No effect styles found, analysing blur frequency...');
+      return this.extractBlursFromDocument(fileData.document);
+    }
+    
+    console.log('Fetching node data for blur styles...');
+    const nodesData = await this.figmaApi.getNodes(fileKey, effectStyles.map(style => style.node_id));
+    
+    for (const style of effectStyles) {
+      const nodeData = nodesData.nodes[style.node_id];
+      if (!nodeData || !nodeData.document) {
+        continue;
+      }
+      
+      const blurEffect = (nodeData.document.effects || []).find(effect => this.isBlurEffect(effect));
+      if (blurEffect) {
+        const tokenName = this.formatTokenName(style.name);
+        blurTokens[tokenName] = {
+          ...this.createBlurToken(blurEffect),
+          description: style.description || '',
+          styleKey: style.key,
+          name: style.name
+        };
+        
+        console.log(`Extracted blur token: ${tokenName} = ${blurTokens[tokenName].value}`);
+      }
+    }
+    
+    if (Object.keys(blurTokens).length === 0) {
+      console.log('No blur tokens found using styles, analysing blur frequency...');
+      return this.extractBlursFromDocument(fileData.document);
+    }
+    
+    return blurTokens;
+  }
+
+  /**
+   * Extract the blur effects used repeatedly across the document
+   * @param {Object} document - The document object
+   * @returns {Object} The extracted blur tokens
+   */
+  async extractBlursFromDocument(document) {
+    const frequencies = this.countValues(document, node => {
+      const blurEffect = (node.effects || []).find(effect => this.isBlurEffect(effect));
+      return blurEffect ? `${blurEffect.type}:${blurEffect.radius}` : null;
+    });
+    const blurTokens = {};
+    
+    for (const [key, count] of frequencies) {
+      const [type, radius] = key.split(':');
+      const blurToken = this.createBlurToken({ type, radius: parseFloat(radius) });
+      const tokenName = `${blurToken.type}${Math.round(parseFloat(radius))}`;
+      
+      blurTokens[tokenName] = {
+        ...blurToken,
+        usage: count,
+        name: tokenName,
+        description: `Auto-extracted ${type === 'BACKGROUND_BLUR' ? 'background' : 'layer'} blur used ${count} times`
+      };
+    }
+    
+    console.log(`Frequency analysis found ${Object.keys(blurTokens).length} blur tokens`);
+    return blurTokens;
+  }
+
+  /**
+   * Check whether an effect is a visible layer or background blur
+   * @param {Object} effect - The Figma effect
+   * @returns {boolean} Whether the effect is a blur
+   */
+  isBlurEffect(effect) {
+    return (effect.type === 'LAYER_BLUR' || effect.type === 'BACKGROUND_BLUR') && effect.visible !== false;
+  }
+
+  /**
+   * Create a blur token from a Figma blur effect
+   * Layer blurs map to `filter`, background blurs to `backdrop-filter`
+   * @param {Object} effect - The blur effect
+   * @returns {Object} The blur token ({ type, radius, value })
+   */
+  createBlurToken(effect) {
+    const radius = `${Math.round(effect.radius * 100) / 100}px`;
+    return {
+      type: effect.type === 'BACKGROUND_BLUR' ? 'backgroundBlur' : 'layerBlur',
+      radius,
+      value: `blur(${radius})`
+    };
+  }
+
+  /**
+   * Get the CSS border radius of a node
+   * @param {Object} node - The node
+   * @returns {string|null} The border radius or null if the node has none
+   */
+  getCornerRadius(node) {
+    if (Array.isArray(node.rectangleCornerRadii)) {
+      const radii = node.rectangleCornerRadii.map(radius => `${Math.round(radius * 100) / 100}px`);
+      if (radii.every(radius => radius === '0px')) return null;
+      return radii.every(radius => radius === radii[0]) ? radii[0] : radii.join(' ');
+    }
+    
+    if (typeof node.cornerRadius === 'number' && node.cornerRadius > 0) {
+      return `${Math.round(node.cornerRadius * 100) / 100}px`;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Check whether a node is named like a token of a category (e.g. "Radius/md")
+   * @param {Object} node - The node
+   * @param {string} category - The token category
+   * @returns {boolean} Whether the node name starts with a category alias
+   */
+  isNamedToken(node, category) {
+    if (!node.name || !node.name.includes('/')) return false;
+    const rootGroup = node.name.split('/')[0].trim().toLowerCase();
+    return CATEGORY_ALIASES[category].includes(rootGroup);
+  }
+
+  /**
+   * Count how often values occur across the document
+   * Values used only once are treated as one-offs rather than tokens
+   * @param {Object} document - The document object
+   * @param {Function} getValue - Returns the value of a node or null
+   * @param {number} [minCount=2] - Minimum number of uses
+   * @returns {Array} [value, count] pairs sorted by numeric value
+   */
+  countValues(document, getValue, minCount = 2) {
+    const counts = new Map();
+    
+    this.findNodesByPattern(document, node => {
+      const value = getValue(node);
+      if (value !== null && value !== undefined) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+      return false;
+    });
+    
+    const toNumber = value => parseFloat(String(value).split(':').pop());
+    return [...counts.entries()]
+      .filter(([, count]) => count >= minCount)
+      .sort(([a], [b]) => toNumber(a) - toNumber(b) || String(a).localeCompare(String(b)));
+  }
+
   /**
    * Format line height value
    * @param {Object|number} lineHeight - The line height value from Figma
@@ -932,4 +1617,4 @@ class DesignTokenExtractor {
   }
 }
 
-module.exports = new DesignTokenExtractor();
\ No newline at end of file
+module.exports = DesignTokenExtractor;
\ No newline at end of file
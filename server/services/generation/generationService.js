@@ -0,0 +1,462 @@
+// server/services/generation/generationService.js
+const config = require('../../config/default');
+const Generation = require('../../models/Generation');
+const tailwindExporter = require('../export/tailwindExporter');
+const componentCodeGenerator = require('../codegen/componentCodeGenerator');
+const designSystemLinter = require('../codegen/designSystemLinter');
+const { getTokenEntries } = require('../../utils/tokenUtils');
+const StubProvider = require('./providers/stubProvider');
+const OpenAiProvider = require('./providers/openAiProvider');
+
+/**
+ * Built-in model providers by name
+ */
+const PROVIDERS = {
+  stub: (options) => new StubProvider(options),
+  openai: (options) => new OpenAiProvider(options)
+};
+
+/**
+ * Theme scales passed to the model, with the token category and value they come from
+ */
+const TOKEN_SCALES = {
+  colors: { category: 'colors', value: token => token.hex || token.value },
+  backgroundImage: { category: 'gradients', value: token => token.value },
+  fontFamily: { category: 'typography', value: token => token.fontFamily },
+  fontSize: { category: 'typography', value: token => token.fontSize },
+  spacing: { category: 'spacing', value: token => token.value },
+  borderRadius: { category: 'radii', value: token => token.value },
+  borderWidth: { category: 'borders', value: token => token.width },
+  borderColor: { category: 'borders', value: token => token.color },
+  boxShadow: { category: 'shadows', value: token => token.value },
+  opacity: { category: 'opacity', value: token => token.value },
+  screens: { category: 'breakpoints', value: token => token.value }
+};
+
+/**
+ * Utility prefixes that take a value from each scale
+ */
+const SCALE_PREFIXES = {
+  colors: ['bg', 'text', 'border', 'ring', 'fill', 'stroke', 'from', 'via', 'to', 'divide', 'outline', 'placeholder'],
+  backgroundImage: ['bg'],
+  fontFamily: ['font'],
+  fontSize: ['text'],
+  spacing: ['p', 'px', 'py', 'pt', 'pr', 'pb', 'pl', 'm', 'mx', 'my', 'mt', 'mr', 'mb', 'ml', 'gap', 'gap-x', 'gap-y', 'space-x', 'space-y', 'w', 'h', 'size'],
+  borderRadius: ['rounded', 'rounded-t', 'rounded-r', 'rounded-b', 'rounded-l'],
+  borderWidth: ['border', 'border-t', 'border-r', 'border-b', 'border-l'],
+  borderColor: ['border'],
+  boxShadow: ['shadow'],
+  opacity: ['opacity']
+};
+
+/**
+ * Values from Tailwind's default theme that should be a design system token instead,
+ * checked only when the design system has tokens on that scale. Font sizes and
+ * spacing are checked by the design system linter.
+ */
+const DEFAULT_THEME_VALUES = {
+  colors: /^(slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose)-\d{2,3}(\/\d+)?$/,
+  borderRadius: /^(sm|md|lg|\d?xl)$/,
+  boxShadow: /^(sm|md|lg|\d?xl|inner)$/
+};
+
+// Most tokens listed per scale, to keep the prompt small
+const MAX_TOKENS_PER_SCALE = 60;
+
+// Where the generated components from the code view are expected to live
+const COMPONENT_IMPORT_PATH = '@/components/design-system';
+
+class GenerationService {
+  constructor() {
+    this.providerFactories = { ...PROVIDERS };
+    this.providers = {};
+  }
+
+  /**
+   * Register a model provider
+   * @param {string} name - Provider name, as used in GENERATION_PROVIDER
+   * @param {Function} factory - Called with the generation config, returns a GenerationProvider
+   */
+  registerProvider(name, factory) {
+    this.providerFactories[name] = factory;
+    delete this.providers[name];
+  }
+
+  /**
+   * Get a provider instance, creating it on first use
+   * @param {string} [name] - Provider name (defaults to the configured provider)
+   * @returns {Object} The provider
+   */
+  getProvider(name = config.generation.provider) {
+    if (!this.providers[name]) {
+      const factory = this.providerFactories[name];
+      if (!factory) {
+        throw new Error(`Unknown generation provider: ${name}`);
+      }
+      this.providers[name] = factory(config.generation);
+    }
+    return this.providers[name];
+  }
+
+  /**
+   * Generate a screen from a prompt and save it
+   * The code is checked against the design system after every attempt; while
+   * attempts are left, the issues are sent back to the model to fix
+   * @param {Object} designSystem - The design system, with populated components
+   * @param {string} prompt - What to build
+   * @param {Object} user - The user generating the screen
+   * @param {Object} [options] - { provider }
+   * @returns {Promise<Object>} The saved generation
+   */
+  async generate(designSystem, prompt, user, options = {}) {
+    const provider = this.getProvider(options.provider);
+    const context = this.buildContext(designSystem);
+    const messages = this.buildMessages(prompt, context);
+    const maxAttempts = Math.max(1, config.generation.maxAttempts);
+
+    const generation = {
+      designSystemId: designSystem._id,
+      designSystemVersion: designSystem.version || null,
+      userId: user.id,
+      prompt,
+      provider: provider.name,
+      model: provider.model
+    };
+
+    console.log(`Generating UI with ${provider.name} for design system ${designSystem._id} (${context.components.length} components)`);
+
+    let attempts = 0;
+    let result = null;
+    let code = '';
+    let validation = null;
+
+    try {
+      while (attempts < maxAttempts) {
+        attempts++;
+        result = await provider.generate({ messages, prompt, context });
+        code = this.extractCode(result.text);
+        validation = this.validateCode(code, context, designSystem);
+
+        if (validation.issues.length === 0) break;
+
+        console.log(`Attempt ${attempts} has ${validation.issues.length} issues`);
+        messages.push(
+          { role: 'assistant', content: result.text },
+          { role: 'user', content: `Fix these issues and return the complete file again:\n${validation.issues.map(issue => `- ${issue}`).join('\n')}` }
+        );
+      }
+    } catch (error) {
+      console.error('Error generating UI:', error.message);
+
+      // Keep failed generations too, so the prompt isn't lost
+      error.generation = await Generation.create({
+        ...generation,
+        status: 'failed',
+        attempts,
+        error: error.message
+      });
+      throw error;
+    }
+
+    return Generation.create({
+      ...generation,
+      model: result.model || provider.model,
+      code,
+      components: validation.components,
+      issues: validation.issues,
+      attempts,
+      usage: result.usage || null
+    });
+  }
+
+  /**
+   * Build the context the model works from: the components it may use and
+   * the Tailwind class names of the design system's tokens
+   * @param {Object} designSystem - The design system, with populated components
+   * @returns {Object} { designSystem, components, tokens }
+   */
+  buildContext(designSystem) {
+    const data = typeof designSystem.toObject === 'function'
+      ? designSystem.toObject({ flattenMaps: true })
+      : designSystem;
+
+    return {
+      designSystem: {
+        id: String(data._id),
+        name: data.name,
+        version: data.version || null
+      },
+      components: this.getContextComponents(data),
+      tokens: this.getContextTokens(data.tokens || {})
+    };
+  }
+
+  /**
+   * List the components the model may use, one per component set
+   * Names and props match the components generated by the code view
+   * @param {Object} data - The design system (plain object)
+   * @returns {Array} Components ({ name, label, importPath, element, description, props })
+   */
+  getContextComponents(data) {
+    const componentSets = data.componentSets || {};
+    const inSets = new Set(Object.values(componentSets).flatMap(componentSet => componentSet.components || []));
+    const ids = [
+      ...Object.keys(componentSets),
+      ...(data.components || []).filter(component => !inSets.has(component.figmaId)).map(component => component.figmaId)
+    ];
+
+    const components = [];
+    const names = new Set();
+
+    for (const id of ids) {
+      const result = componentCodeGenerator.generateComponentCode(data, id);
+      if (!result || names.has(result.componentName)) continue;
+      names.add(result.componentName);
+
+      const target = componentCodeGenerator.findComponentSet(data, id);
+
+      components.push({
+        name: result.componentName,
+        label: target.name.split('/').pop().trim(),
+        importPath: `${COMPONENT_IMPORT_PATH}/${result.componentName}`,
+        element: componentCodeGenerator.getElement(target).tag,
+        description: target.description || '',
+        props: result.props.map(({ name, type, values, default: defaultValue }) => ({
+          name,
+          type,
+          values,
+          default: defaultValue
+        }))
+      });
+    }
+
+    return components.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * List the utility name and value of every token by theme scale
+   * @param {Object} tokens - The design system tokens
+   * @returns {Object} Tokens by scale ({ colors: [{ name, value }], ... })
+   */
+  getContextTokens(tokens) {
+    const names = {};
+    tailwindExporter.buildThemeExtension(tokens, names);
+
+    const scales = {};
+    for (const [scale, { category, value }] of Object.entries(TOKEN_SCALES)) {
+      const seen = new Set();
+      const entries = [];
+
+      for (const [key, token] of getTokenEntries(tokens[category])) {
+        const name = names[scale] && names[scale][key];
+        if (!name || seen.has(name)) continue;
+        seen.add(name);
+        entries.push({ name, value: value(token) });
+      }
+
+      if (entries.length > 0) {
+        scales[scale] = entries
+          .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+          .slice(0, MAX_TOKENS_PER_SCALE);
+      }
+    }
+
+    return scales;
+  }
+
+  /**
+   * Build the chat messages for a prompt
+   * @param {string} prompt - What to build
+   * @param {Object} context - The design system context
+   * @returns {Array} Messages ({ role, content })
+   */
+  buildMessages(prompt, context) {
+    return [
+      { role: 'system', content: this.getSystemPrompt(context) },
+      { role: 'user', content: prompt }
+    ];
+  }
+
+  /**
+   * Describe the rules and the design system to the model
+   * @param {Object} context - The design system context
+   * @returns {string} The system prompt
+   */
+  getSystemPrompt(context) {
+    const lines = [
+      `You build React screens with the "${context.designSystem.name}" design system and Tailwind CSS.`,
+      'Reply with a single JSX file in one ```jsx code block: import what you use and export the screen as the default export.',
+      'Rules:',
+      '- Only use the components listed below, imported from the path given, plus plain HTML elements for layout.',
+      '- Only use the token classes listed below for colors, typography, spacing, radii and shadows.',
+      '- Layout utilities without a value (flex, grid, items-center, w-full, ...) are fine.',
+      '- No arbitrary values in brackets, no inline styles and no hard-coded colors.',
+      '',
+      'Components:'
+    ];
+
+    if (context.components.length === 0) {
+      lines.push('(none - build the screen from HTML elements)');
+    }
+
+    for (const component of context.components) {
+      const props = component.props.map(prop =>
+        prop.type === 'boolean'
+          ? `${prop.name}?: boolean`
+          : `${prop.name}?: ${prop.values.map(value => JSON.stringify(value)).join(' | ')}`
+      );
+      lines.push(`- <${component.name}> from '${component.importPath}' renders a <${component.element}>${props.length > 0 ? `; props: ${props.join(', ')}` : ''}${component.description ? ` - ${component.description}` : ''}`);
+    }
+
+    lines.push('', 'Token classes:');
+
+    for (const [scale, tokens] of Object.entries(context.tokens)) {
+      const prefixes = scale === 'screens' ? 'responsive modifiers' : `${(SCALE_PREFIXES[scale] || []).slice(0, 4).map(prefix => `${prefix}-`).join(', ')}...`;
+      lines.push(`${scale} (${prefixes}): ${tokens.map(token => `${token.name}${token.value ? ` = ${token.value}` : ''}`).join('; ')}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Get the code from a model response, dropping any text around the code block
+   * @param {string} text - The response text
+   * @returns {string} The code
+   */
+  extractCode(text) {
+    const blocks = [...String(text || '').matchAll(/```[\w-]*\n([\s\S]*?)```/g)];
+    const code = blocks.length > 0 ? blocks[0][1] : String(text || '');
+    return `${code.trim()}\n`;
+  }
+
+  /**
+   * Check that generated code only uses the design system's components and tokens
+   * @param {string} code - The generated code
+   * @param {Object} context - The design system context
+   * @param {Object} designSystem - The design system, for the hard-coded value checks
+   * @returns {Object} { issues, components }
+   */
+  validateCode(code, context, designSystem) {
+    const issues = new Set();
+    const components = new Map(context.components.map(component => [component.name, component]));
+    const used = new Set();
+
+    if (!/export\s+default/.test(code)) {
+      issues.add('The screen must be the default export');
+    }
+
+    for (const [, tag] of code.matchAll(/<([A-Z][\w]*)[\s/>.]/g)) {
+      if (tag === 'React' || tag === 'Fragment') continue;
+      if (components.has(tag)) {
+        used.add(tag);
+      } else {
+        issues.add(`<${tag}> is not a component of the design system`);
+      }
+    }
+
+    for (const [, names, source] of code.matchAll(/import\s+([\s\S]*?)\s+from\s+['"]([^'"]+)['"]/g)) {
+      if (source === 'react') continue;
+
+      const imported = names.replace(/[{}]/g, '').split(',').map(name => name.trim().split(/\s+as\s+/)[0]).filter(Boolean);
+      for (const name of imported) {
+        const component = components.get(name);
+        if (!component) {
+          issues.add(`Imports ${name} from '${source}', which is not part of the design system`);
+        } else if (component.importPath !== source) {
+          issues.add(`${name} must be imported from '${component.importPath}'`);
+        }
+      }
+    }
+
+    if (/\sstyle=\{/.test(code)) {
+      issues.add('Uses inline styles instead of token classes');
+    }
+
+    // Hard-coded colors, font sizes, spacing and shadows, with the token to use instead
+    const lint = designSystemLinter.lint(designSystem, code, { fileName: 'GeneratedScreen.jsx' });
+    if (lint.error) {
+      issues.add(`The code doesn't parse: ${lint.error}`);
+    }
+
+    const lintedClasses = new Set();
+    for (const issue of lint.issues) {
+      issues.add(issue.message);
+      if (issue.context === 'className') lintedClasses.add(issue.property);
+    }
+
+    for (const className of this.getClassNames(code)) {
+      if (lintedClasses.has(className)) continue;
+
+      for (const issue of this.checkClassName(className, context.tokens)) {
+        issues.add(issue);
+      }
+    }
+
+    return {
+      issues: [...issues],
+      components: [...used].sort()
+    };
+  }
+
+  /**
+   * Get every class name used in className attributes
+   * @param {string} code - The code
+   * @returns {string[]} The class names
+   */
+  getClassNames(code) {
+    const classNames = [];
+    const pattern = /className=(?:"([^"]*)"|'([^']*)'|\{\s*(?:"([^"]*)"|'([^']*)'|`([^`]*)`)\s*\})/g;
+
+    for (const match of code.matchAll(pattern)) {
+      const value = match.slice(1).find(group => group !== undefined) || '';
+      classNames.push(...value.replace(/\$\{[^}]*\}/g, ' ').split(/\s+/).filter(Boolean));
+    }
+
+    return classNames;
+  }
+
+  /**
+   * Check one class name against the design system tokens
+   * @param {string} className - The class name (e.g. hover:bg-primary-500)
+   * @param {Object} tokens - The context tokens by scale
+   * @returns {string[]} Issues
+   */
+  checkClassName(className, tokens) {
+    if (/\[.*\]/.test(className)) {
+      return [`${className} uses an arbitrary value instead of a token`];
+    }
+
+    const utility = className.split(':').pop().replace(/^!?-?/, '');
+    const issues = [];
+
+    for (const [scale, pattern] of Object.entries(DEFAULT_THEME_VALUES)) {
+      if (!tokens[scale]) continue;
+
+      for (const prefix of SCALE_PREFIXES[scale]) {
+        if (!utility.startsWith(`${prefix}-`)) continue;
+
+        const value = utility.slice(prefix.length + 1);
+        if (this.isTokenValue(value, prefix, tokens) || !pattern.test(value)) continue;
+
+        issues.push(`${className} uses Tailwind's default ${scale} instead of a design system token`);
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Check whether a utility value is the name of a token on any scale the prefix uses
+   * @param {string} value - The utility value (e.g. primary-500)
+   * @param {string} prefix - The utility prefix (e.g. bg)
+   * @param {Object} tokens - The context tokens by scale
+   * @returns {boolean} Whether the value is a token
+   */
+  isTokenValue(value, prefix, tokens) {
+    return Object.entries(SCALE_PREFIXES).some(([scale, prefixes]) =>
+      prefixes.includes(prefix) && (tokens[scale] || []).some(token => token.name === value)
+    );
+  }
+}
+
+module.exports = new GenerationService();
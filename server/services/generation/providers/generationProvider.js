@@ -0,0 +1,28 @@
+// server/services/generation/providers/generationProvider.js
+
+class GenerationProvider {
+  /**
+   * Create a model provider
+   * @param {Object} [options] - Provider settings (model, apiKey, apiUrl, timeout)
+   */
+  constructor(options = {}) {
+    this.name = 'provider';
+    this.model = options.model || null;
+  }
+
+  /**
+   * Generate a response for a prompt
+   * Providers receive both the chat messages and the structured context, so
+   * remote models can use the messages and local providers the context directly
+   * @param {Object} request - The generation request
+   * @param {Array} request.messages - Chat messages ({ role, content }), system prompt first
+   * @param {string} request.prompt - The user's prompt
+   * @param {Object} request.context - The design system context (components and token classes)
+   * @returns {Promise<Object>} { text, model, usage }
+   */
+  async generate(request) {
+    throw new Error(`${this.constructor.name} does not implement generate()`);
+  }
+}
+
+module.exports = GenerationProvider;
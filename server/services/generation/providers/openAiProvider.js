@@ -0,0 +1,61 @@
+// server/services/generation/providers/openAiProvider.js
+const axios = require('axios');
+const GenerationProvider = require('./generationProvider');
+
+class OpenAiProvider extends GenerationProvider {
+  /**
+   * Create a provider for OpenAI-compatible chat completion APIs
+   * The base URL is configurable, so self-hosted and proxy endpoints work too
+   * @param {Object} options - { apiUrl, apiKey, model, timeout }
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'openai';
+
+    if (!options.apiKey) {
+      throw new Error('GENERATION_API_KEY is required for the openai generation provider');
+    }
+
+    this.apiClient = axios.create({
+      baseURL: options.apiUrl,
+      timeout: options.timeout,
+      headers: {
+        'Authorization': `Bearer ${options.apiKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Send the messages to the chat completions endpoint
+   * @param {Object} request - { messages, prompt, context }
+   * @returns {Promise<Object>} { text, model, usage }
+   */
+  async generate({ messages }) {
+    try {
+      const response = await this.apiClient.post('/chat/completions', {
+        model: this.model,
+        messages,
+        temperature: 0.2
+      });
+
+      const choice = response.data.choices && response.data.choices[0];
+      if (!choice || !choice.message || !choice.message.content) {
+        throw new Error('The model returned an empty response');
+      }
+
+      return {
+        text: choice.message.content,
+        model: response.data.model || this.model,
+        usage: response.data.usage || null
+      };
+    } catch (error) {
+      const apiError = error.response && error.response.data && error.response.data.error;
+      const message = apiError ? apiError.message || apiError : error.message;
+      console.error('Generation provider error:', message);
+      throw new Error(`Model request failed: ${message}`);
+    }
+  }
+}
+
+module.exports = OpenAiProvider;
@@ -0,0 +1,174 @@
+// server/services/generation/providers/stubProvider.js
+const GenerationProvider = require('./generationProvider');
+
+// Spacing (in px) the stub aims for between items and around the screen
+const TARGET_GAP = 16;
+const TARGET_PADDING = 24;
+
+// Components used when the prompt doesn't name any
+const DEFAULT_COMPONENT_COUNT = 3;
+
+class StubProvider extends GenerationProvider {
+  /**
+   * Create the local stub provider
+   * It doesn't call a model: the same prompt and context always produce the same
+   * screen, which keeps generation usable offline and in tests
+   * @param {Object} [options] - Provider settings
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'stub';
+    this.model = 'stub';
+  }
+
+  /**
+   * Lay out the design system components named in the prompt on a screen
+   * @param {Object} request - { messages, prompt, context }
+   * @returns {Promise<Object>} { text, model, usage }
+   */
+  async generate({ prompt, context }) {
+    const components = this.pickComponents(prompt, context.components);
+    const tokens = context.tokens || {};
+
+    const gap = this.closestSpacing(tokens.spacing, TARGET_GAP);
+    const padding = this.closestSpacing(tokens.spacing, TARGET_PADDING);
+    const background = this.findToken(tokens.colors, /background|surface|white|base/);
+    const textColor = this.findToken(tokens.colors, /text|foreground|content|black|900/);
+    const heading = this.largestToken(tokens.fontSize);
+    const fontFamily = tokens.fontFamily && tokens.fontFamily[0];
+
+    const rootClasses = [
+      'flex',
+      'flex-col',
+      gap && `gap-${gap.name}`,
+      padding && `p-${padding.name}`,
+      background && `bg-${background.name}`,
+      fontFamily && `font-${fontFamily.name}`
+    ].filter(Boolean);
+
+    const headingClasses = [
+      heading && `text-${heading.name}`,
+      textColor && `text-${textColor.name}`
+    ].filter(Boolean);
+
+    const lines = [
+      ...components.map(component => `import { ${component.name} } from '${component.importPath}';`),
+      ...(components.length > 0 ? [''] : []),
+      'export default function GeneratedScreen() {',
+      '  return (',
+      `    <div className="${rootClasses.join(' ')}">`,
+      `      <h1${headingClasses.length > 0 ? ` className="${headingClasses.join(' ')}"` : ''}>{${JSON.stringify(this.getTitle(prompt))}}</h1>`,
+      ...components.map(component => `      ${this.renderComponent(component)}`),
+      '    </div>',
+      '  );',
+      '}',
+      ''
+    ];
+
+    const text = lines.join('\n');
+
+    return {
+      text,
+      model: this.model,
+      usage: {
+        promptCharacters: prompt.length,
+        completionCharacters: text.length
+      }
+    };
+  }
+
+  /**
+   * Choose the components to place: those whose name appears in the prompt,
+   * or the first few by name when none do
+   * @param {string} prompt - The user's prompt
+   * @param {Array} components - The context components
+   * @returns {Array} The components, sorted by name
+   */
+  pickComponents(prompt, components = []) {
+    const sorted = [...components].sort((a, b) => a.name.localeCompare(b.name));
+    const words = prompt.toLowerCase();
+
+    const mentioned = sorted.filter(component =>
+      [component.name, component.label]
+        .filter(Boolean)
+        .some(name => words.includes(name.toLowerCase()))
+    );
+
+    return mentioned.length > 0 ? mentioned : sorted.slice(0, DEFAULT_COMPONENT_COUNT);
+  }
+
+  /**
+   * Render one usage of a component with its default props
+   * @param {Object} component - The context component
+   * @returns {string} The JSX element
+   */
+  renderComponent(component) {
+    const attributes = component.props
+      .filter(prop => prop.type === 'enum' && prop.default)
+      .map(prop => ` ${prop.name}=${JSON.stringify(prop.default)}`)
+      .join('');
+
+    if (component.element === 'input') {
+      return `<${component.name}${attributes} />`;
+    }
+
+    return `<${component.name}${attributes}>${component.label || component.name}</${component.name}>`;
+  }
+
+  /**
+   * Get the token whose pixel value is closest to a target
+   * @param {Array} tokens - Spacing tokens ({ name, value })
+   * @param {number} target - The target size in px
+   * @returns {Object|null} The token
+   */
+  closestSpacing(tokens = [], target) {
+    let closest = null;
+    for (const token of tokens) {
+      const size = parseFloat(token.value);
+      if (isNaN(size)) continue;
+      if (!closest || Math.abs(size - target) < Math.abs(closest.size - target)) {
+        closest = { ...token, size };
+      }
+    }
+    return closest;
+  }
+
+  /**
+   * Get the first token whose name matches a pattern, falling back to the first token
+   * @param {Array} tokens - Tokens ({ name, value })
+   * @param {RegExp} pattern - Pattern for the token name
+   * @returns {Object|null} The token
+   */
+  findToken(tokens = [], pattern) {
+    return tokens.find(token => pattern.test(token.name)) || tokens[0] || null;
+  }
+
+  /**
+   * Get the token with the largest numeric value
+   * @param {Array} tokens - Tokens ({ name, value })
+   * @returns {Object|null} The token
+   */
+  largestToken(tokens = []) {
+    let largest = null;
+    for (const token of tokens) {
+      const size = parseFloat(token.value);
+      if (!isNaN(size) && (!largest || size > largest.size)) {
+        largest = { ...token, size };
+      }
+    }
+    return largest;
+  }
+
+  /**
+   * Turn the prompt into a short screen title
+   * @param {string} prompt - The user's prompt
+   * @returns {string} The title
+   */
+  getTitle(prompt) {
+    const title = prompt.trim().split(/[.\n]/)[0].trim();
+    const shortened = title.length > 60 ? `${title.slice(0, 57).trim()}...` : title;
+    return shortened.charAt(0).toUpperCase() + shortened.slice(1);
+  }
+}
+
+module.exports = StubProvider;
@@ -1,8 +1,21 @@
 // Export all services for easy import
 module.exports = {
-    figmaApiService: require('./figma/apiService'),
+    FigmaApiService: require('./figma/apiService'),
     figmaAuthService: require('./figma/authService'),
-    componentExtractor: require('./figma/componentExtractor'),
-    tokenExtractor: require('./figma/tokenExtractor'),
-    designSystemStore: require('./figma/designSystemStore')
+    ComponentExtractor: require('./figma/componentExtractor'),
+    DesignTokenExtractor: require('./figma/tokenExtractor'),
+    LayoutGridExtractor: require('./figma/gridExtractor'),
+    designSystemStore: require('./figma/designSystemStore'),
+    extractionJobRunner: require('./figma/extractionJobRunner'),
+    designSystemSync: require('./figma/designSystemSync'),
+    designSystemHistory: require('./figma/designSystemHistory'),
+    designSystemDiff: require('./figma/designSystemDiff'),
+    designSystemChangelog: require('./figma/designSystemChangelog'),
+    designSystemAccess: require('./figma/designSystemAccess'),
+    DtcgImportError: require('./export/dtcgImportError'),
+    invitationService: require('./organization/invitationService'),
+    componentCodeGenerator: require('./codegen/componentCodeGenerator'),
+    layoutTranslator: require('./codegen/layoutTranslator'),
+    designSystemLinter: require('./codegen/designSystemLinter'),
+    generationService: require('./generation/generationService')
   };
\ No newline at end of file
@@ -0,0 +1,238 @@
+// server/services/organization/invitationService.js
+const jwt = require('jsonwebtoken');
+const config = require('../../config/default');
+const Invitation = require('../../models/Invitation');
+const Organization = require('../../models/Organization');
+const sendEmail = require('../../utils/sendEmail');
+
+class InvitationService {
+  /**
+   * Invite an email address to an organization
+   * Earlier invitations for the same address stay valid until revokeEarlierInvitations
+   * is called, so a failed email doesn't take away a link that still works.
+   * @param {Object} organization - The organization
+   * @param {Object} options - { email, role, invitedBy }
+   * @returns {Promise<Object>} { invitation, token }
+   */
+  async createInvitation(organization, { email, role = 'member', invitedBy }) {
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const invitation = await Invitation.create({
+      organizationId: organization._id,
+      email: normalizedEmail,
+      role,
+      invitedBy,
+      expiresAt: new Date(Date.now() + config.invitations.expireDays * 24 * 60 * 60 * 1000)
+    });
+
+    console.log(`Invited ${normalizedEmail} to organization ${organization._id} as ${role}`);
+
+    return {
+      invitation,
+      token: invitation.getSignedToken()
+    };
+  }
+
+  /**
+   * Email an invitation link
+   * @param {Object} invitation - The invitation
+   * @param {string} token - The signed invitation token
+   * @param {Object} organization - The organization
+   * @param {Object} inviter - The user who sent the invitation
+   * @returns {Promise<void>}
+   */
+  async sendInvitationEmail(invitation, token, organization, inviter) {
+    const invitationUrl = `${config.clientUrl}/invitations/${token}`;
+
+    const message = `${inviter.name} has invited you to join ${organization.name} as ${invitation.role === 'admin' ? 'an admin' : 'a member'}.\n\n` +
+      `Accept or decline the invitation here:\n\n ${invitationUrl}\n\n` +
+      `The invitation expires on ${invitation.expiresAt.toUTCString()}. If you don't have an account yet, ` +
+      `sign up with this email address and you'll join the organization automatically.`;
+
+    await sendEmail({
+      email: invitation.email,
+      subject: `You've been invited to join ${organization.name}`,
+      message
+    });
+  }
+
+  /**
+   * Revoke the other pending invitations for an invitation's organization and email,
+   * so only the newest link works
+   * @param {Object} invitation - The invitation to keep
+   * @returns {Promise<void>}
+   */
+  async revokeEarlierInvitations(invitation) {
+    await Invitation.updateMany(
+      {
+        _id: { $ne: invitation._id },
+        organizationId: invitation.organizationId,
+        email: invitation.email,
+        status: 'pending'
+      },
+      { status: 'revoked', respondedAt: new Date() }
+    );
+  }
+
+  /**
+   * Find the invitation a token was issued for
+   * Expiry is checked against the invitation itself, so an expired link can still be reported as expired.
+   * @param {string} token - The signed invitation token
+   * @returns {Promise<Object|null>} The invitation, or null if the token is invalid
+   */
+  async getInvitationByToken(token) {
+    let decoded;
+
+    try {
+      decoded = jwt.verify(token, config.jwtSecret, { ignoreExpiration: true });
+    } catch (error) {
+      return null;
+    }
+
+    if (decoded.type !== 'invitation') {
+      return null;
+    }
+
+    return await Invitation.findById(decoded.id);
+  }
+
+  /**
+   * Check whether an invitation can still be accepted or declined
+   * Marks pending invitations past their expiry as expired.
+   * @param {Object} invitation - The invitation
+   * @returns {Promise<string|null>} Why the invitation can't be used, or null if it can
+   */
+  async getInvitationError(invitation) {
+    if (invitation.status !== 'pending') {
+      return `This invitation has already been ${invitation.status}`;
+    }
+
+    if (invitation.isExpired()) {
+      invitation.status = 'expired';
+      await invitation.save();
+      return 'This invitation has expired';
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the pending invitations of an organization
+   * @param {string} organizationId - The organization ID
+   * @returns {Promise<Array>} Pending invitations, newest first
+   */
+  async getPendingInvitations(organizationId) {
+    return await Invitation.find({
+      organizationId,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Get the pending invitations sent to an email address
+   * @param {string} email - The email address
+   * @returns {Promise<Array>} Pending invitations, newest first
+   */
+  async getInvitationsForEmail(email) {
+    return await Invitation.find({
+      email: email.trim().toLowerCase(),
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('organizationId', 'name description')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Accept an invitation, adding the user to the organization
+   * @param {Object} invitation - The invitation
+   * @param {Object} user - The user accepting it
+   * @returns {Promise<Object|null>} The organization, or null if it no longer exists
+   */
+  async acceptInvitation(invitation, user) {
+    const organizationId = invitation.organizationId._id || invitation.organizationId;
+    const organization = await Organization.findById(organizationId);
+
+    if (organization) {
+      const isAlreadyMember = organization.members.some(
+        member => member.user && member.user.toString() === user._id.toString()
+      );
+
+      if (!isAlreadyMember) {
+        organization.members.push({
+          user: user._id,
+          role: invitation.role
+        });
+        await organization.save();
+      }
+    }
+
+    invitation.status = organization ? 'accepted' : 'revoked';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    console.log(`${user.email} ${organization ? 'accepted' : 'could not accept'} invitation ${invitation._id}`);
+
+    return organization;
+  }
+
+  /**
+   * Decline or revoke an invitation
+   * @param {Object} invitation - The invitation
+   * @param {string} status - 'declined' or 'revoked'
+   * @returns {Promise<Object>} The updated invitation
+   */
+  async closeInvitation(invitation, status) {
+    invitation.status = status;
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    console.log(`Invitation ${invitation._id} ${status}`);
+
+    return invitation;
+  }
+
+  /**
+   * Accept every pending invitation for a new user's email address
+   * Failures are logged rather than thrown so they never block signing up.
+   * @param {Object} user - The newly registered user
+   * @returns {Promise<Array>} The organizations the user joined
+   */
+  async acceptPendingInvitations(user) {
+    const organizations = [];
+
+    try {
+      const invitations = await Invitation.find({
+        email: user.email.trim().toLowerCase(),
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      });
+
+      for (const invitation of invitations) {
+        const organization = await this.acceptInvitation(invitation, user);
+        if (organization) {
+          organizations.push(organization);
+        }
+      }
+    } catch (error) {
+      console.error(`Error accepting invitations for ${user.email}:`, error);
+    }
+
+    return organizations;
+  }
+
+  /**
+   * Delete every invitation of an organization
+   * @param {string} organizationId - The organization ID
+   * @returns {Promise<void>}
+   */
+  async deleteInvitations(organizationId) {
+    await Invitation.deleteMany({ organizationId });
+  }
+}
+
+module.exports = new InvitationService();
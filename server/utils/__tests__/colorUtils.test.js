@@ -0,0 +1,213 @@
+// server/utils/__tests__/colorUtils.test.js
+const {
+  parseColor,
+  rgbToLab,
+  deltaE76,
+  deltaE94,
+  deltaE2000,
+  getColorDistance,
+  compositeColor,
+  getColorDifference,
+  isSameColor,
+  findClosestColor
+} = require('../colorUtils');
+
+// Test data from Sharma, Wu and Dalal, "The CIEDE2000 Color-Difference Formula:
+// Implementation Notes, Supplementary Test Data, and Mathematical Observations" (2005), table 1
+// [L1, a1, b1, L2, a2, b2, ΔE00]
+const SHARMA_PAIRS = [
+  [50.0000, 2.6772, -79.7751, 50.0000, 0.0000, -82.7485, 2.0425],
+  [50.0000, 3.1571, -77.2803, 50.0000, 0.0000, -82.7485, 2.8615],
+  [50.0000, 2.8361, -74.0200, 50.0000, 0.0000, -82.7485, 3.4412],
+  [50.0000, -1.3802, -84.2814, 50.0000, 0.0000, -82.7485, 1.0000],
+  [50.0000, -1.1848, -84.8006, 50.0000, 0.0000, -82.7485, 1.0000],
+  [50.0000, -0.9009, -85.5211, 50.0000, 0.0000, -82.7485, 1.0000],
+  [50.0000, 0.0000, 0.0000, 50.0000, -1.0000, 2.0000, 2.3669],
+  [50.0000, -1.0000, 2.0000, 50.0000, 0.0000, 0.0000, 2.3669],
+  [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0009, 7.1792],
+  [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0010, 7.1792],
+  [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0011, 7.2195],
+  [50.0000, 2.4900, -0.0010, 50.0000, -2.4900, 0.0012, 7.2195],
+  [50.0000, -0.0010, 2.4900, 50.0000, 0.0009, -2.4900, 4.8045],
+  [50.0000, -0.0010, 2.4900, 50.0000, 0.0010, -2.4900, 4.8045],
+  [50.0000, -0.0010, 2.4900, 50.0000, 0.0011, -2.4900, 4.7461],
+  [50.0000, 2.5000, 0.0000, 50.0000, 0.0000, -2.5000, 4.3065],
+  [50.0000, 2.5000, 0.0000, 73.0000, 25.0000, -18.0000, 27.1492],
+  [50.0000, 2.5000, 0.0000, 61.0000, -5.0000, 29.0000, 22.8977],
+  [50.0000, 2.5000, 0.0000, 56.0000, -27.0000, -3.0000, 31.9030],
+  [50.0000, 2.5000, 0.0000, 58.0000, 24.0000, 15.0000, 19.4535],
+  [50.0000, 2.5000, 0.0000, 50.0000, 3.1736, 0.5854, 1.0000],
+  [50.0000, 2.5000, 0.0000, 50.0000, 3.2972, 0.0000, 1.0000],
+  [50.0000, 2.5000, 0.0000, 50.0000, 1.8634, 0.5757, 1.0000],
+  [50.0000, 2.5000, 0.0000, 50.0000, 3.2592, 0.3350, 1.0000],
+  [60.2574, -34.0099, 36.2677, 60.4626, -34.1751, 39.4387, 1.2644],
+  [63.0109, -31.0961, -5.8663, 62.8187, -29.7946, -4.0864, 1.2630],
+  [61.2901, 3.7196, -5.3901, 61.4292, 2.2480, -4.9620, 1.8731],
+  [35.0831, -44.1164, 3.7933, 35.0232, -40.0716, 1.5901, 1.8645],
+  [22.7233, 20.0904, -46.6940, 23.0331, 14.9730, -42.5619, 2.0373],
+  [36.4612, 47.8580, 18.3852, 36.2715, 50.5065, 21.2231, 1.4146],
+  [90.8027, -2.0831, 1.4410, 91.1528, -1.6435, 0.0447, 1.4441],
+  [90.9257, -0.5406, -0.9208, 88.6381, -0.8985, -0.7239, 1.5381],
+  [6.7747, -0.2908, -2.4247, 5.8714, -0.0985, -2.2286, 0.6377],
+  [2.0776, 0.0795, -1.1350, 0.9033, -0.0636, -0.5514, 0.9082]
+];
+
+const lab = (l, a, b) => ({ l, a, b });
+
+describe('colorUtils', () => {
+  describe('rgbToLab', () => {
+    test.each([
+      ['#ffffff', 100, 0, 0],
+      ['#000000', 0, 0, 0],
+      ['#808080', 53.585, 0, 0],
+      ['#ff0000', 53.2408, 80.0925, 67.2032],
+      ['#00ff00', 87.7347, -86.1827, 83.1793],
+      ['#0000ff', 32.2970, 79.1875, -107.8602]
+    ])('converts %s', (hex, l, a, b) => {
+      const result = rgbToLab(parseColor(hex));
+
+      expect(result.l).toBeCloseTo(l, 3);
+      expect(result.a).toBeCloseTo(a, 3);
+      expect(result.b).toBeCloseTo(b, 3);
+    });
+  });
+
+  describe('deltaE2000', () => {
+    test.each(SHARMA_PAIRS.map((pair, index) => [index + 1, ...pair]))(
+      'matches Sharma pair %i',
+      (pairNumber, l1, a1, b1, l2, a2, b2, expected) => {
+        expect(deltaE2000(lab(l1, a1, b1), lab(l2, a2, b2))).toBeCloseTo(expected, 4);
+        expect(deltaE2000(lab(l2, a2, b2), lab(l1, a1, b1))).toBeCloseTo(expected, 4);
+      }
+    );
+
+    test('is 0 for identical colors', () => {
+      expect(deltaE2000(lab(50, 10, -10), lab(50, 10, -10))).toBe(0);
+    });
+
+    test('applies the parametric factors', () => {
+      const first = lab(50, 2.5, 0);
+      const second = lab(73, 25, -18);
+
+      expect(deltaE2000(first, second, { kL: 2 })).toBeLessThan(deltaE2000(first, second));
+    });
+  });
+
+  describe('deltaE76', () => {
+    test('is the Euclidean distance in Lab', () => {
+      expect(deltaE76(lab(50, 2.6772, -79.7751), lab(50, 0, -82.7485))).toBeCloseTo(4.0011, 4);
+      expect(deltaE76(lab(50, 2.5, 0), lab(73, 25, -18))).toBeCloseTo(36.8680, 4);
+    });
+  });
+
+  describe('deltaE94', () => {
+    test('uses the graphic arts weights by default', () => {
+      expect(deltaE94(lab(50, 2.6772, -79.7751), lab(50, 0, -82.7485))).toBeCloseTo(1.3950, 4);
+    });
+
+    test('uses the textiles weights', () => {
+      expect(deltaE94(lab(50, 2.6772, -79.7751), lab(50, 0, -82.7485), 'textiles')).toBeCloseTo(1.4230, 4);
+    });
+
+    test('weights by the chroma of the reference color', () => {
+      expect(deltaE94(lab(50, 2.5, 0), lab(73, 25, -18))).toBeCloseTo(34.6892, 4);
+      expect(deltaE94(lab(73, 25, -18), lab(50, 2.5, 0))).toBeCloseTo(26.1398, 4);
+    });
+
+    test('falls back to the graphic arts weights for unknown applications', () => {
+      const first = lab(50, 2.6772, -79.7751);
+      const second = lab(50, 0, -82.7485);
+
+      expect(deltaE94(first, second, 'toString')).toBe(deltaE94(first, second));
+    });
+  });
+
+  describe('getColorDistance', () => {
+    const first = lab(50, 2.6772, -79.7751);
+    const second = lab(50, 0, -82.7485);
+
+    test('uses CIEDE2000 by default', () => {
+      expect(getColorDistance(first, second)).toBeCloseTo(2.0425, 4);
+    });
+
+    test('selects the method', () => {
+      expect(getColorDistance(first, second, 'cie76')).toBeCloseTo(4.0011, 4);
+      expect(getColorDistance(first, second, 'cie94')).toBeCloseTo(1.3950, 4);
+    });
+
+    test.each(['nope', 'toString', 'constructor', '__proto__'])('rejects the unknown method %s', (method) => {
+      expect(() => getColorDistance(first, second, method)).toThrow(`Unknown color distance method: ${method}`);
+    });
+  });
+
+  describe('compositeColor', () => {
+    test('blends a translucent color over an opaque background', () => {
+      expect(compositeColor({ r: 0, g: 0, b: 0, a: 0.5 }, { r: 255, g: 255, b: 255, a: 1 }))
+        .toEqual({ r: 127.5, g: 127.5, b: 127.5, a: 1 });
+    });
+
+    test('keeps opaque colors', () => {
+      expect(compositeColor({ r: 10, g: 20, b: 30, a: 1 }, { r: 255, g: 255, b: 255, a: 1 }))
+        .toEqual({ r: 10, g: 20, b: 30, a: 1 });
+    });
+  });
+
+  describe('getColorDifference', () => {
+    test('compares opaque colors directly', () => {
+      expect(getColorDifference('#ff0000', 'rgb(255, 0, 0)')).toBe(0);
+      expect(getColorDifference('#2563eb', '#2563ea')).toBeLessThan(1);
+    });
+
+    test('treats identical translucent colors as the same', () => {
+      expect(getColorDifference('rgba(0, 0, 0, 0.5)', 'rgba(0, 0, 0, 0.5)')).toBe(0);
+    });
+
+    test("doesn't match a translucent color with its opaque version", () => {
+      expect(getColorDifference('rgba(37, 99, 235, 0.5)', '#2563eb')).toBeGreaterThan(10);
+    });
+
+    test('uses the worst case over white and black', () => {
+      // 50% black looks like mid gray on white, but like black on black
+      expect(getColorDifference('rgba(0, 0, 0, 0.5)', '#808080')).toBeGreaterThan(30);
+    });
+
+    test('compares over the given background', () => {
+      expect(getColorDifference('rgba(0, 0, 0, 0.5)', '#808080', { background: '#ffffff' })).toBeLessThan(1);
+      expect(getColorDifference('transparent', '#ffffff', { background: 'white' })).toBe(0);
+    });
+
+    test('uses the given method', () => {
+      expect(getColorDifference('#ff0000', '#0000ff', { method: 'cie76' }))
+        .toBeCloseTo(deltaE76(rgbToLab(parseColor('#ff0000')), rgbToLab(parseColor('#0000ff'))), 6);
+    });
+
+    test('returns Infinity for invalid colors', () => {
+      expect(getColorDifference('not a color', '#ffffff')).toBe(Infinity);
+    });
+  });
+
+  describe('isSameColor', () => {
+    test('uses a just noticeable difference by default', () => {
+      expect(isSameColor('#2563eb', '#2563ea')).toBe(true);
+      expect(isSameColor('#2563eb', '#2563db')).toBe(false);
+    });
+
+    test('accepts a threshold', () => {
+      expect(isSameColor('#2563eb', '#2563db', { threshold: 5 })).toBe(true);
+    });
+  });
+
+  describe('findClosestColor', () => {
+    test('returns the closest palette color', () => {
+      expect(findClosestColor('#2563ea', ['#ff0000', '#2563eb', '#1d4ed8'])).toBe('#2563eb');
+    });
+
+    test('takes alpha into account', () => {
+      expect(findClosestColor('rgba(0, 0, 0, 0.1)', ['#000000', 'rgba(0, 0, 0, 0.12)'])).toBe('rgba(0, 0, 0, 0.12)');
+    });
+
+    test('returns null for an empty palette', () => {
+      expect(findClosestColor('#ffffff', [])).toBeNull();
+    });
+  });
+});
@@ -1,63 +1,343 @@
+const tinycolor = require('tinycolor2');
+
+// D65 reference white (CIE 1931 2° observer), the white point of sRGB
+const D65 = { x: 95.047, y: 100, z: 108.883 };
+
+// Linear sRGB to XYZ matrix (IEC 61966-2-1, D65)
+const SRGB_TO_XYZ = [
+  [0.4124564, 0.3575761, 0.1804375],
+  [0.2126729, 0.7151522, 0.0721750],
+  [0.0193339, 0.1191920, 0.9503041]
+];
+
+// CIE standard constants for the L*a*b* transfer function (ε and κ)
+const CIE_EPSILON = 216 / 24389;
+const CIE_KAPPA = 24389 / 27;
+
+// CIE94 weighting factors by application
+const CIE94_WEIGHTS = {
+  graphicArts: { kL: 1, k1: 0.045, k2: 0.015 },
+  textiles: { kL: 2, k1: 0.048, k2: 0.014 }
+};
+
+// Translucent colors are compared over white and black when no background is given,
+// so they only match if they look the same on light and dark surfaces
+const DEFAULT_BACKGROUNDS = [
+  { r: 255, g: 255, b: 255, a: 1 },
+  { r: 0, g: 0, b: 0, a: 1 }
+];
+
+// ΔE00 below which two colors can't be told apart
+const JUST_NOTICEABLE_DIFFERENCE = 1;
+
 /**
- * Calculate color distance using CIEDE2000 formula
+ * Parse a color
+ * @param {string|Object} color - Any CSS color string, or an RGB(A) object with 0-255 channels
+ * @returns {Object|null} RGBA color ({ r, g, b, a }, channels 0-255 and alpha 0-1), or null if invalid
+ */
+const parseColor = (color) => {
+  if (color && typeof color === 'object' && 'r' in color && 'g' in color && 'b' in color) {
+    return { r: color.r, g: color.g, b: color.b, a: color.a === undefined ? 1 : color.a };
+  }
+
+  const parsed = tinycolor(color);
+  return parsed.isValid() ? parsed.toRgb() : null;
+};
+
+/**
+ * Undo the sRGB transfer curve
+ * @param {number} channel - Gamma-encoded channel (0-255)
+ * @returns {number} Linear channel (0-1)
+ */
+const srgbToLinear = (channel) => {
+  const value = channel / 255;
+  return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+};
+
+/**
+ * Convert RGB to CIE XYZ
+ * @param {Object} rgb - RGB color object (channels 0-255)
+ * @returns {Object} XYZ color object (Y of white is 100)
+ */
+const rgbToXyz = (rgb) => {
+  const linear = [rgb.r, rgb.g, rgb.b].map(channel => srgbToLinear(channel) * 100);
+  const [x, y, z] = SRGB_TO_XYZ.map(row => row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]);
+
+  return { x, y, z };
+};
+
+/**
+ * Convert CIE XYZ to CIELAB
+ * @param {Object} xyz - XYZ color object (Y of white is 100)
+ * @param {Object} [white] - Reference white (defaults to D65)
+ * @returns {Object} LAB color object
+ */
+const xyzToLab = (xyz, white = D65) => {
+  const f = (t) => t > CIE_EPSILON ? Math.cbrt(t) : (CIE_KAPPA * t + 16) / 116;
+  const fx = f(xyz.x / white.x);
+  const fy = f(xyz.y / white.y);
+  const fz = f(xyz.z / white.z);
+
+  return {
+    l: 116 * fy - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz)
+  };
+};
+
+/**
+ * Convert RGB to LAB color space
+ * Goes through linear sRGB and CIE XYZ with a D65 white point. Alpha is ignored;
+ * composite translucent colors first (see compositeColor)
+ * @param {Object} rgb - RGB color object (channels 0-255)
+ * @returns {Object} LAB color object
+ */
+const rgbToLab = (rgb) => xyzToLab(rgbToXyz(rgb));
+
+/**
+ * Calculate the CIE76 color difference (Euclidean distance in LAB)
+ * @param {Object} color1 - First color in LAB format
+ * @param {Object} color2 - Second color in LAB format
+ * @returns {number} ΔE*ab
+ */
+const deltaE76 = (color1, color2) => {
+  const deltaL = color1.l - color2.l;
+  const deltaA = color1.a - color2.a;
+  const deltaB = color1.b - color2.b;
+
+  return Math.sqrt(deltaL * deltaL + deltaA * deltaA + deltaB * deltaB);
+};
+
+/**
+ * Calculate the CIE94 color difference
+ * CIE94 isn't symmetric: the first color is the reference
+ * @param {Object} color1 - Reference color in LAB format
+ * @param {Object} color2 - Sample color in LAB format
+ * @param {string} [application='graphicArts'] - 'graphicArts' or 'textiles' weighting
+ * @returns {number} ΔE*94
+ */
+const deltaE94 = (color1, color2, application = 'graphicArts') => {
+  const { kL, k1, k2 } = Object.prototype.hasOwnProperty.call(CIE94_WEIGHTS, application)
+    ? CIE94_WEIGHTS[application]
+    : CIE94_WEIGHTS.graphicArts;
+
+  const c1 = Math.sqrt(color1.a * color1.a + color1.b * color1.b);
+  const c2 = Math.sqrt(color2.a * color2.a + color2.b * color2.b);
+
+  const deltaL = color1.l - color2.l;
+  const deltaC = c1 - c2;
+  const deltaA = color1.a - color2.a;
+  const deltaB = color1.b - color2.b;
+  // ΔH² can come out slightly negative from rounding
+  const deltaHSquared = Math.max(0, deltaA * deltaA + deltaB * deltaB - deltaC * deltaC);
+
+  const sC = 1 + k1 * c1;
+  const sH = 1 + k2 * c1;
+
+  return Math.sqrt(
+    Math.pow(deltaL / kL, 2) +
+    Math.pow(deltaC / sC, 2) +
+    deltaHSquared / (sH * sH)
+  );
+};
+
+/**
+ * Calculate the CIEDE2000 color difference
+ * Follows Sharma, Wu and Dalal (2005), including the hue averaging and
+ * blue-region rotation details their reference data checks
+ * @param {Object} color1 - First color in LAB format
+ * @param {Object} color2 - Second color in LAB format
+ * @param {Object} [weights] - Parametric factors { kL, kC, kH } (all 1 by default)
+ * @returns {number} ΔE00 (below 1 is not perceptible)
+ */
+const deltaE2000 = (color1, color2, { kL = 1, kC = 1, kH = 1 } = {}) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const toDegrees = (radians) => radians * 180 / Math.PI;
+  const pow25To7 = Math.pow(25, 7);
+
+  // Adjust a* so neutral colors are treated more evenly
+  const c1 = Math.sqrt(color1.a * color1.a + color1.b * color1.b);
+  const c2 = Math.sqrt(color2.a * color2.a + color2.b * color2.b);
+  const meanC = (c1 + c2) / 2;
+  const g = 0.5 * (1 - Math.sqrt(Math.pow(meanC, 7) / (Math.pow(meanC, 7) + pow25To7)));
+
+  const a1 = color1.a * (1 + g);
+  const a2 = color2.a * (1 + g);
+  const cPrime1 = Math.sqrt(a1 * a1 + color1.b * color1.b);
+  const cPrime2 = Math.sqrt(a2 * a2 + color2.b * color2.b);
+
+  const hue = (a, b) => (a === 0 && b === 0) ? 0 : (toDegrees(Math.atan2(b, a)) + 360) % 360;
+  const h1 = hue(a1, color1.b);
+  const h2 = hue(a2, color2.b);
+
+  // Differences in lightness, chroma and hue
+  const deltaL = color2.l - color1.l;
+  const deltaC = cPrime2 - cPrime1;
+
+  let deltaH = 0;
+  if (cPrime1 * cPrime2 !== 0) {
+    deltaH = h2 - h1;
+    if (deltaH > 180) deltaH -= 360;
+    else if (deltaH < -180) deltaH += 360;
+  }
+  const deltaHPrime = 2 * Math.sqrt(cPrime1 * cPrime2) * Math.sin(toRadians(deltaH / 2));
+
+  // Means used by the weighting functions
+  const meanL = (color1.l + color2.l) / 2;
+  const meanCPrime = (cPrime1 + cPrime2) / 2;
+
+  let meanH = h1 + h2;
+  if (cPrime1 * cPrime2 !== 0) {
+    if (Math.abs(h1 - h2) <= 180) meanH = (h1 + h2) / 2;
+    else if (h1 + h2 < 360) meanH = (h1 + h2 + 360) / 2;
+    else meanH = (h1 + h2 - 360) / 2;
+  }
+
+  const t = 1
+    - 0.17 * Math.cos(toRadians(meanH - 30))
+    + 0.24 * Math.cos(toRadians(2 * meanH))
+    + 0.32 * Math.cos(toRadians(3 * meanH + 6))
+    - 0.20 * Math.cos(toRadians(4 * meanH - 63));
+
+  const sL = 1 + (0.015 * Math.pow(meanL - 50, 2)) / Math.sqrt(20 + Math.pow(meanL - 50, 2));
+  const sC = 1 + 0.045 * meanCPrime;
+  const sH = 1 + 0.015 * meanCPrime * t;
+
+  // Rotation term for the blue region
+  const deltaTheta = 30 * Math.exp(-Math.pow((meanH - 275) / 25, 2));
+  const rC = 2 * Math.sqrt(Math.pow(meanCPrime, 7) / (Math.pow(meanCPrime, 7) + pow25To7));
+  const rT = -rC * Math.sin(toRadians(2 * deltaTheta));
+
+  const lTerm = deltaL / (kL * sL);
+  const cTerm = deltaC / (kC * sC);
+  const hTerm = deltaHPrime / (kH * sH);
+
+  return Math.sqrt(lTerm * lTerm + cTerm * cTerm + hTerm * hTerm + rT * cTerm * hTerm);
+};
+
+// Color difference formulas by name
+const DISTANCE_METHODS = {
+  cie76: deltaE76,
+  cie94: deltaE94,
+  ciede2000: deltaE2000
+};
+
+/**
+ * Calculate the distance between two LAB colors
  * @param {Object} color1 - First color in LAB format
  * @param {Object} color2 - Second color in LAB format
+ * @param {string} [method='ciede2000'] - 'ciede2000', 'cie94' or 'cie76'
  * @returns {number} Distance between colors
  */
-const getColorDistance = (color1, color2) => {
-    // CIEDE2000 implementation
-    // This is a simplified placeholder - a real implementation would be more complex
-    const deltaL = color1.l - color2.l;
-    const deltaA = color1.a - color2.a;
-    const deltaB = color1.b - color2.b;
-    
-    return Math.sqrt(deltaL * deltaL + deltaA * deltaA + deltaB * deltaB);
-  };
-  
-  /**
-   * Convert RGB to LAB color space
-   * @param {Object} rgb - RGB color object
-   * @returns {Object} LAB color object
-   */
-  const rgbToLab = (rgb) => {
-    // RGB to LAB conversion
-    // This is a simplified placeholder - a real implementation would be more complex
-    return {
-      l: 0.2126 * rgb.r + 0.7152 * rgb.g + 0.0722 * rgb.b,
-      a: (rgb.r - rgb.g) * 0.5,
-      b: (rgb.b - rgb.g) * 0.5
-    };
-  };
-  
-  /**
-   * Find the closest color in a palette
-   * @param {string} targetColor - Target color in hex or rgba
-   * @param {Array} palette - Array of palette colors
-   * @returns {string} The closest color from the palette
-   */
-  const findClosestColor = (targetColor, palette) => {
-    // Convert target color to LAB
-    const targetLab = rgbToLab(targetColor);
-    
-    let closestColor = palette[0];
-    let closestDistance = Number.MAX_VALUE;
-    
-    // Find closest color
-    for (const color of palette) {
-      const colorLab = rgbToLab(color);
-      const distance = getColorDistance(targetLab, colorLab);
-      
-      if (distance < closestDistance) {
-        closestDistance = distance;
-        closestColor = color;
-      }
+const getColorDistance = (color1, color2, method = 'ciede2000') => {
+  if (!Object.prototype.hasOwnProperty.call(DISTANCE_METHODS, method)) {
+    throw new Error(`Unknown color distance method: ${method}`);
+  }
+  return DISTANCE_METHODS[method](color1, color2);
+};
+
+/**
+ * Composite a translucent color over a background ("source over")
+ * Blends the gamma-encoded channels, the way browsers render CSS colors
+ * @param {Object} color - RGBA color (channels 0-255, alpha 0-1)
+ * @param {Object} background - RGBA background
+ * @returns {Object} The resulting RGBA color
+ */
+const compositeColor = (color, background) => {
+  const alpha = color.a + background.a * (1 - color.a);
+  if (alpha === 0) {
+    return { r: 0, g: 0, b: 0, a: 0 };
+  }
+
+  const blend = (channel) =>
+    (color[channel] * color.a + background[channel] * background.a * (1 - color.a)) / alpha;
+
+  return { r: blend('r'), g: blend('g'), b: blend('b'), a: alpha };
+};
+
+/**
+ * Calculate how different two colors look, taking transparency into account
+ * Opaque colors are compared directly. When either is translucent, both are
+ * composited over the background (or over white and black when none is given)
+ * and the largest difference is used.
+ * @param {string|Object} color1 - First color (CSS string or RGBA object)
+ * @param {string|Object} color2 - Second color (CSS string or RGBA object)
+ * @param {Object} [options] - { method, background }
+ * @returns {number} The distance, or Infinity if either color is invalid
+ */
+const getColorDifference = (color1, color2, options = {}) => {
+  const { method = 'ciede2000', background = null } = options;
+  const first = parseColor(color1);
+  const second = parseColor(color2);
+
+  if (!first || !second) {
+    return Infinity;
+  }
+
+  if (first.a >= 1 && second.a >= 1) {
+    return getColorDistance(rgbToLab(first), rgbToLab(second), method);
+  }
+
+  const backgrounds = background
+    ? [compositeColor(parseColor(background) || DEFAULT_BACKGROUNDS[0], DEFAULT_BACKGROUNDS[0])]
+    : DEFAULT_BACKGROUNDS;
+
+  return Math.max(...backgrounds.map(surface => getColorDistance(
+    rgbToLab(compositeColor(first, surface)),
+    rgbToLab(compositeColor(second, surface)),
+    method
+  )));
+};
+
+/**
+ * Check whether two colors look the same
+ * @param {string|Object} color1 - First color
+ * @param {string|Object} color2 - Second color
+ * @param {Object} [options] - { method, background, threshold } (threshold defaults to ΔE00 1)
+ * @returns {boolean} Whether the difference is below the threshold
+ */
+const isSameColor = (color1, color2, options = {}) => {
+  const threshold = options.threshold === undefined ? JUST_NOTICEABLE_DIFFERENCE : options.threshold;
+  return getColorDifference(color1, color2, options) < threshold;
+};
+
+/**
+ * Find the closest color in a palette
+ * @param {string|Object} targetColor - Target color (CSS string or RGBA object)
+ * @param {Array} palette - Array of palette colors
+ * @param {Object} [options] - { method, background }
+ * @returns {string|Object|null} The closest color from the palette, or null if there is none
+ */
+const findClosestColor = (targetColor, palette, options = {}) => {
+  let closestColor = null;
+  let closestDistance = Infinity;
+
+  for (const color of palette) {
+    const distance = getColorDifference(targetColor, color, options);
+
+    if (distance < closestDistance) {
+      closestDistance = distance;
+      closestColor = color;
     }
-    
-    return closestColor;
-  };
-  
-  module.exports = {
-    getColorDistance,
-    rgbToLab,
-    findClosestColor
-  };
\ No newline at end of file
+  }
+
+  return closestColor;
+};
+
+module.exports = {
+  D65,
+  JUST_NOTICEABLE_DIFFERENCE,
+  parseColor,
+  srgbToLinear,
+  rgbToXyz,
+  xyzToLab,
+  rgbToLab,
+  deltaE76,
+  deltaE94,
+  deltaE2000,
+  getColorDistance,
+  compositeColor,
+  getColorDifference,
+  isSameColor,
+  findClosestColor
+};
\ No newline at end of file
@@ -0,0 +1,137 @@
+const tinycolor = require('tinycolor2');
+
+// Figma paint type → gradient token type
+const GRADIENT_TYPES = {
+  GRADIENT_LINEAR: 'linear',
+  GRADIENT_RADIAL: 'radial',
+  GRADIENT_ANGULAR: 'angular',
+  GRADIENT_DIAMOND: 'diamond'
+};
+
+// Figma's default handles (start, end, width) when a paint doesn't include them
+const DEFAULT_HANDLES = {
+  GRADIENT_LINEAR: [{ x: 0, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0, y: 1 }],
+  GRADIENT_RADIAL: [{ x: 0.5, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0.5, y: 1 }],
+  GRADIENT_ANGULAR: [{ x: 0.5, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0.5, y: 1 }],
+  GRADIENT_DIAMOND: [{ x: 0.5, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0.5, y: 1 }]
+};
+
+/**
+ * Round a number to two decimals
+ * @param {number} value - The number
+ * @returns {number} Rounded number
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check whether a Figma paint is a gradient
+ * @param {Object} paint - Figma paint
+ * @returns {boolean} Whether the paint is a visible gradient
+ */
+const isGradientPaint = (paint) => {
+  return Boolean(paint && GRADIENT_TYPES[paint.type] && paint.visible !== false && paint.gradientStops);
+};
+
+/**
+ * Get the CSS angle (0deg = up, clockwise) of the vector between two handles
+ * @param {Object} start - Start handle ({ x, y } normalized, y down)
+ * @param {Object} end - End handle
+ * @returns {number} Angle in degrees (0-360)
+ */
+const getHandleAngle = (start, end) => {
+  const angle = Math.atan2(end.x - start.x, -(end.y - start.y)) * (180 / Math.PI);
+  return round((angle + 360) % 360);
+};
+
+/**
+ * Get the gradient stops of a Figma paint, with the paint opacity applied
+ * @param {Object} paint - Figma gradient paint
+ * @returns {Array} Stops ({ color, position }) with position 0-1
+ */
+const getGradientStops = (paint) => {
+  const opacity = paint.opacity === undefined ? 1 : paint.opacity;
+
+  return (paint.gradientStops || []).map(stop => {
+    const { r, g, b, a = 1 } = stop.color;
+    const color = tinycolor({
+      r: Math.round(r * 255),
+      g: Math.round(g * 255),
+      b: Math.round(b * 255),
+      a: round(a * opacity)
+    });
+
+    return {
+      color: color.toRgbString(),
+      position: round(stop.position)
+    };
+  });
+};
+
+/**
+ * Format stops as a CSS color stop list
+ * @param {Array} stops - Stops from getGradientStops
+ * @param {Function} [mapPosition] - Maps a 0-1 stop position to a CSS percentage
+ * @returns {string} CSS color stops
+ */
+const formatStops = (stops, mapPosition = position => position * 100) => {
+  return stops.map(stop => `${stop.color} ${round(mapPosition(stop.position))}%`).join(', ');
+};
+
+/**
+ * Convert a Figma gradient paint to CSS
+ * Handle positions are relative to the node's bounding box, so linear stops are
+ * projected onto the CSS gradient line. Diamond gradients have no CSS equivalent
+ * and are approximated with four mirrored linear gradients (a `background` value).
+ * @param {Object} paint - Figma gradient paint
+ * @returns {string} CSS gradient
+ */
+const figmaGradientToCss = (paint) => {
+  const stops = getGradientStops(paint);
+  const handles = paint.gradientHandlePositions && paint.gradientHandlePositions.length >= 3
+    ? paint.gradientHandlePositions
+    : DEFAULT_HANDLES[paint.type];
+  const [start, end, width] = handles;
+
+  switch (paint.type) {
+    case 'GRADIENT_LINEAR': {
+      const angle = getHandleAngle(start, end);
+      const radians = angle * (Math.PI / 180);
+      const direction = { x: Math.sin(radians), y: -Math.cos(radians) };
+      const lineLength = Math.abs(direction.x) + Math.abs(direction.y);
+      const project = point =>
+        ((point.x - 0.5) * direction.x + (point.y - 0.5) * direction.y) / lineLength + 0.5;
+
+      const startOffset = project(start);
+      const endOffset = project(end);
+
+      return `linear-gradient(${angle}deg, ${formatStops(stops, position => (startOffset + position * (endOffset - startOffset)) * 100)})`;
+    }
+    case 'GRADIENT_RADIAL': {
+      const radiusX = Math.hypot(end.x - start.x, end.y - start.y);
+      const radiusY = Math.hypot(width.x - start.x, width.y - start.y);
+
+      return `radial-gradient(ellipse ${round(radiusX * 100)}% ${round(radiusY * 100)}% at ${round(start.x * 100)}% ${round(start.y * 100)}%, ${formatStops(stops)})`;
+    }
+    case 'GRADIENT_ANGULAR':
+      return `conic-gradient(from ${getHandleAngle(start, end)}deg at ${round(start.x * 100)}% ${round(start.y * 100)}%, ${formatStops(stops)})`;
+    case 'GRADIENT_DIAMOND': {
+      // Each quadrant fades from the center corner outwards; position 1 reaches the edge midpoints
+      const quadrantStops = formatStops(stops, position => position * 50);
+      return [
+        ['bottom right', 'bottom right'],
+        ['bottom left', 'bottom left'],
+        ['top left', 'top left'],
+        ['top right', 'top right']
+      ].map(([direction, corner]) => `linear-gradient(to ${direction}, ${quadrantStops}) ${corner} / 50% 50% no-repeat`).join(', ');
+    }
+    default:
+      return '';
+  }
+};
+
+module.exports = {
+  GRADIENT_TYPES,
+  isGradientPaint,
+  getGradientStops,
+  figmaGradientToCss
+};
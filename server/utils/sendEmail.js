@@ -2,14 +2,14 @@ const nodemailer = require('nodemailer');
 const config = require('../config/default');
 
 const sendEmail = async (options) => {
-  // Create a transporter
+  // Create a transporter. Local SMTP servers (e.g. MailHog) don't need credentials
   const transporter = nodemailer.createTransport({
     host: config.email.host,
     port: config.email.port,
-    auth: {
+    auth: config.email.user ? {
       user: config.email.user,
       pass: config.email.password
-    }
+    } : undefined
   });
   
   // Define email options
@@ -24,6 +24,8 @@ const sendEmail = async (options) => {
   const info = await transporter.sendMail(message);
   
   console.log('Message sent: %s', info.messageId);
+  
+  return info;
 };
 
 module.exports = sendEmail;
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * Leading Figma path segments that only repeat the token category
+ * (e.g. "Colors/Primary/500" inside the colors category)
+ */
+const CATEGORY_ALIASES = {
+  colors: ['color', 'colors', 'colour', 'colours'],
+  gradients: ['gradient', 'gradients'],
+  typography: ['typography', 'type', 'text', 'font', 'fonts'],
+  spacing: ['spacing', 'space', 'spaces'],
+  shadows: ['shadow', 'shadows', 'elevation'],
+  borders: ['border', 'borders', 'stroke', 'strokes'],
+  radii: ['radius', 'radii', 'corner', 'corners', 'rounded', 'border-radius'],
+  opacity: ['opacity', 'opacities', 'alpha'],
+  blur: ['blur', 'blurs'],
+  grids: ['grid', 'grids', 'layout', 'layouts'],
+  breakpoints: ['breakpoint', 'breakpoints', 'screen', 'screens']
+};
+
+/**
+ * Convert a string to kebab-case
+ * @param {string} value - The string to convert
+ * @returns {string} kebab-case string
+ */
+const toKebabCase = (value) => {
+  return String(value)
+    .trim()
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2') // Split camelCase
+    .replace(/[^\w\s.-]/g, '') // Remove special characters
+    .replace(/[\s_.]+/g, '-') // Spaces, underscores and dots become hyphens
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .toLowerCase();
+};
+
+/**
+ * Get the normalized path segments of a token
+ * Uses the original Figma style path when available and falls back to the token key
+ * @param {string} category - The token category (colors, typography, ...)
+ * @param {string} tokenKey - The key of the token in its category map
+ * @param {Object} token - The token object
+ * @returns {string[]} Path segments (e.g. ['primary', '500'])
+ */
+const getTokenPath = (category, tokenKey, token = {}) => {
+  const source = token.name && typeof token.name === 'string' ? token.name : tokenKey;
+  const segments = source.split('/').map(toKebabCase).filter(Boolean);
+
+  // Drop a leading segment that just repeats the category name
+  const aliases = CATEGORY_ALIASES[category] || [];
+  if (segments.length > 1 && aliases.includes(segments[0])) {
+    segments.shift();
+  }
+
+  return segments.length > 0 ? segments : [toKebabCase(tokenKey)];
+};
+
+/**
+ * Get the entries of a token category, whether it is a Map or a plain object
+ * @param {Map|Object} tokens - The token category collection
+ * @returns {Array} Array of [key, token] pairs
+ */
+const getTokenEntries = (tokens) => {
+  if (!tokens) return [];
+  if (tokens instanceof Map) return [...tokens.entries()];
+  return Object.entries(tokens);
+};
+
+module.exports = {
+  CATEGORY_ALIASES,
+  toKebabCase,
+  getTokenPath,
+  getTokenEntries
+};